@@ -0,0 +1,171 @@
+// components/TabuleiroJogoDaVelha.js
+// Tabuleiro interativo para uma partida Humano vs. IA, usando as regras de AmbienteJogoDaVelha
+// no navegador e a rota /api/v1/jogo-da-velha/jogada para obter as jogadas do superagente.
+
+import { useEffect, useRef, useState } from 'react';
+import { AmbienteJogoDaVelha } from '../ia-game-learning/jogo-da-velha/ambiente.js';
+
+const SIMBOLOS = { 0: '', 1: 'X', 2: 'O' };
+
+const estilos = {
+  container: {
+    margin: '8px 0',
+  },
+  tabuleiro: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(3, 48px)',
+    gap: '4px',
+    margin: '8px 0',
+  },
+  casa: {
+    width: '48px',
+    height: '48px',
+    fontFamily: 'inherit',
+    fontSize: '1.5em',
+    color: '#00ff00',
+    backgroundColor: '#262626',
+    border: '1px solid #00ff00',
+    cursor: 'pointer',
+  },
+  botao: {
+    fontFamily: 'inherit',
+    color: '#00ff00',
+    backgroundColor: 'transparent',
+    border: '1px solid #00ff00',
+    padding: '2px 10px',
+    marginRight: '8px',
+    cursor: 'pointer',
+  },
+};
+
+/**
+ * Captura as informações do ambiente necessárias para renderizar a partida.
+ *
+ * @param {AmbienteJogoDaVelha} ambiente - O ambiente da partida atual
+ * @returns {Object} Cópia do tabuleiro, jogador da vez e resultado
+ */
+function capturarEstado(ambiente) {
+  return {
+    tabuleiro: ambiente.obterEstado(),
+    jogadorAtual: ambiente.jogadorAtual,
+    partidaFinalizada: ambiente.partidaFinalizada,
+    vencedor: ambiente.vencedor,
+  };
+}
+
+export default function TabuleiroJogoDaVelha() {
+  const ambienteRef = useRef(null);
+  if (ambienteRef.current === null) {
+    ambienteRef.current = new AmbienteJogoDaVelha(3);
+  }
+
+  const [jogadorHumano, setJogadorHumano] = useState(null);
+  const [estado, setEstado] = useState(() => capturarEstado(ambienteRef.current));
+  const [iaPensando, setIaPensando] = useState(false);
+  const [erro, setErro] = useState(null);
+
+  const jogadorIA = jogadorHumano === 1 ? 2 : 1;
+  const vezDaIA = jogadorHumano !== null && !estado.partidaFinalizada && estado.jogadorAtual === jogadorIA;
+
+  // Quando é a vez da IA, pede a jogada ao superagente no servidor
+  useEffect(() => {
+    if (!vezDaIA || erro) return;
+
+    let cancelado = false;
+    setIaPensando(true);
+
+    fetch('/api/v1/jogo-da-velha/jogada', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ tabuleiro: estado.tabuleiro, jogador: jogadorIA }),
+    })
+      .then(async resposta => {
+        const dados = await resposta.json();
+        if (!resposta.ok) throw new Error(dados.message || 'Falha ao obter a jogada da IA.');
+        return dados;
+      })
+      .then(({ acao }) => {
+        if (cancelado) return;
+        ambienteRef.current.executarJogada(acao);
+        setEstado(capturarEstado(ambienteRef.current));
+      })
+      .catch(falha => {
+        if (!cancelado) setErro(falha.message);
+      })
+      .finally(() => {
+        if (!cancelado) setIaPensando(false);
+      });
+
+    return () => {
+      cancelado = true;
+    };
+  }, [vezDaIA, estado, jogadorIA, erro]);
+
+  function escolherSimbolo(jogador) {
+    ambienteRef.current.reiniciarPartida();
+    setJogadorHumano(jogador);
+    setErro(null);
+    setEstado(capturarEstado(ambienteRef.current));
+  }
+
+  function jogar(casa) {
+    if (vezDaIA || estado.partidaFinalizada || estado.tabuleiro[casa] !== 0) return;
+
+    ambienteRef.current.executarJogada(casa);
+    setEstado(capturarEstado(ambienteRef.current));
+  }
+
+  function novaPartida() {
+    ambienteRef.current.reiniciarPartida();
+    setErro(null);
+    setEstado(capturarEstado(ambienteRef.current));
+  }
+
+  if (jogadorHumano === null) {
+    return (
+      <div style={estilos.container}>
+        <div>🤖 Desafie a IA treinada no Jogo da Velha! Você quer ser:</div>
+        <button style={estilos.botao} onClick={() => escolherSimbolo(1)}>X</button>
+        <button style={estilos.botao} onClick={() => escolherSimbolo(2)}>O</button>
+      </div>
+    );
+  }
+
+  let mensagem;
+  if (erro) {
+    mensagem = `❌ ${erro}`;
+  } else if (estado.partidaFinalizada) {
+    if (estado.vencedor === 0) mensagem = '🤝 EMPATE! Você conseguiu igualar o mestre!';
+    else if (estado.vencedor === jogadorHumano) mensagem = '🏆 IMPOSSÍVEL! Você venceu!';
+    else mensagem = '🤖 DERROTA! A IA venceu, como esperado.';
+  } else if (iaPensando) {
+    mensagem = `Turno da IA (${SIMBOLOS[jogadorIA]})... pensando...`;
+  } else {
+    mensagem = `Sua vez (${SIMBOLOS[jogadorHumano]}). Clique em uma casa livre.`;
+  }
+
+  return (
+    <div style={estilos.container}>
+      <div>Você ('{SIMBOLOS[jogadorHumano]}') vs. IA ('{SIMBOLOS[jogadorIA]}')</div>
+      <div style={estilos.tabuleiro}>
+        {estado.tabuleiro.map((valor, casa) => (
+          <button
+            key={casa}
+            style={estilos.casa}
+            onClick={() => jogar(casa)}
+            disabled={valor !== 0 || vezDaIA || estado.partidaFinalizada}
+            aria-label={`Casa ${casa}`}
+          >
+            {SIMBOLOS[valor]}
+          </button>
+        ))}
+      </div>
+      <div>{mensagem}</div>
+      {(estado.partidaFinalizada || erro) && (
+        <button style={{ ...estilos.botao, marginTop: '8px' }} onClick={novaPartida}>
+          Jogar novamente
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,235 @@
+/**
+ * @Modulo 🎭 jogo-da-velha/adversarios.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Este módulo define adversários fixos (que não aprendem) com a mesma
+ * interface do `AgenteQLearning`, para treinar e avaliar os agentes contra
+ * estilos de jogo diferentes do próprio self-play.
+ *
+ * É como o "campo de treinamento" de Ragnarok: além de duelar com os
+ * colegas de guilda, o aprendiz enfrenta Porings (aleatórios), monstros
+ * com um truque só (heurísticos) e fantasmas de si mesmo (versões congeladas).
+ *
+ * Adversários disponíveis:
+ * - `AgenteAleatorio`: joga em qualquer casa livre
+ * - `AgenteHeuristico`: olha uma jogada à frente (vence se puder, bloqueia se precisar)
+ * - `AdversarioCongelado`: uma cópia congelada de um `AgenteQLearning`, jogando sem explorar
+ *
+ * O jogador perfeito (`AgenteMinimax`) fica em minimax.js.
+ */
+
+import { AmbienteJogoDaVelha } from './ambiente.js';
+import { AgenteQLearning } from './agente.js';
+
+/**
+ * Base dos adversários fixos: cumpre o contrato do `AgenteQLearning`
+ * (os métodos de aprendizado só contabilizam o placar).
+ *
+ * @property {number} jogador - Identificador do jogador (1 ou 2)
+ * @property {string} simbolo - Símbolo visual ('X' ou 'O')
+ * @property {number} epsilon - Sempre 0 (nunca explora)
+ * @property {number} alpha - Sempre 0 (nunca aprende)
+ * @property {function(): number} aleatorio - Gerador de números em [0, 1) usado nos sorteios
+ */
+class AdversarioFixo {
+  /**
+   * @param {Object} config - Objeto de configuração
+   * @param {number} [config.jogador=1] - Identificador do jogador (1 para X, 2 para O)
+   * @param {function(): number} [config.aleatorio=Math.random] - Gerador de números em [0, 1)
+   */
+  constructor({ jogador = 1, aleatorio = Math.random } = {}) {
+    this.jogador = jogador;
+    this.simbolo = jogador === 1 ? 'X' : 'O';
+    this.aleatorio = aleatorio;
+    this.epsilon = 0;
+    this.alpha = 0;
+
+    this.partidasTreinadas = 0;
+    this.vitorias = 0;
+    this.derrotas = 0;
+    this.empates = 0;
+  }
+
+  /**
+   * Sorteia uma das ações de uma lista.
+   *
+   * @protected
+   * @param {Array<number>} acoes - Ações candidatas
+   * @returns {number} A ação sorteada
+   */
+  sortear(acoes) {
+    return acoes[Math.floor(this.aleatorio() * acoes.length)];
+  }
+
+  /** @returns {void} */
+  iniciarNovaPartida() {}
+
+  /** @returns {void} */
+  registrarJogada() {}
+
+  /**
+   * Apenas contabiliza o resultado da partida (adversários fixos não aprendem).
+   *
+   * @param {number} recompensaFinal - Recompensa final da partida (+1, -1 ou 0)
+   * @returns {void}
+   */
+  aprenderComFimDePartida(recompensaFinal) {
+    this.partidasTreinadas += 1;
+    if (recompensaFinal > 0) this.vitorias++;
+    else if (recompensaFinal < 0) this.derrotas++;
+    else this.empates++;
+  }
+
+  /**
+   * Imprime o placar do adversário.
+   *
+   * @returns {void}
+   */
+  imprimirEstatisticas() {
+    console.log(`\n${'='.repeat(50)}`);
+    console.log(`🎭 ESTATÍSTICAS DO ADVERSÁRIO ${this.rotulo.toUpperCase()} (${this.simbolo})`);
+    console.log(`${'='.repeat(50)}`);
+    console.log(`Partidas jogadas:     ${this.partidasTreinadas.toLocaleString('pt-BR')}`);
+    console.log(`Vitórias: ${this.vitorias} | Empates: ${this.empates} | Derrotas: ${this.derrotas}`);
+    console.log(`${'='.repeat(50)}\n`);
+  }
+}
+
+/**
+ * Um jogador que escolhe qualquer casa livre, sem pensar.
+ *
+ * É o Poring do Jogo da Velha: não oferece perigo a quem sabe jogar, mas
+ * pune quem deixa brechas óbvias.
+ *
+ * @property {string} rotulo - Nome do adversário nos relatórios
+ */
+export class AgenteAleatorio extends AdversarioFixo {
+  rotulo = 'aleatorio';
+
+  /**
+   * Escolhe uma ação válida ao acaso.
+   *
+   * @param {string} estado - O estado atual do tabuleiro (JSON)
+   * @param {Array<number>} acoesValidas - Lista de ações disponíveis
+   * @returns {number} A ação escolhida
+   * @throws {Error} Se não houver ações válidas disponíveis
+   */
+  escolherAcao(estado, acoesValidas) {
+    if (!acoesValidas || acoesValidas.length === 0) {
+      throw new Error("Não há ações válidas para escolher.");
+    }
+    return this.sortear(acoesValidas);
+  }
+}
+
+/**
+ * Um jogador que olha só uma jogada à frente.
+ *
+ * É como um monstro com um truque só: se pode vencer agora, vence; se o
+ * adversário vence na próxima jogada, bloqueia; senão, joga ao acaso.
+ * Não cai em armadilhas de uma jogada, mas não enxerga os garfos (duas
+ * ameaças ao mesmo tempo).
+ *
+ * As jogadas são simuladas em uma cópia do ambiente, então as regras de
+ * "k em linha" e de gravidade são respeitadas.
+ *
+ * @property {string} rotulo - Nome do adversário nos relatórios
+ * @property {AmbienteJogoDaVelha} simulador - Cópia do ambiente usada nas simulações
+ */
+export class AgenteHeuristico extends AdversarioFixo {
+  rotulo = 'heuristico';
+
+  /**
+   * @param {Object} config - Objeto de configuração
+   * @param {AmbienteJogoDaVelha} [config.ambiente] - Ambiente cujas regras serão usadas (padrão 3x3)
+   * @param {number} [config.jogador=1] - Identificador do jogador (1 para X, 2 para O)
+   * @param {function(): number} [config.aleatorio=Math.random] - Gerador de números em [0, 1)
+   */
+  constructor({ ambiente = new AmbienteJogoDaVelha(3), ...config } = {}) {
+    super(config);
+    this.simulador = ambiente.clonar();
+  }
+
+  /**
+   * Procura as ações que dão a vitória imediata a um jogador.
+   *
+   * @private
+   * @param {Array<number>} tabuleiro - O tabuleiro atual
+   * @param {Array<number>} acoesValidas - Ações disponíveis
+   * @param {number} jogador - Quem faria a jogada (1 ou 2)
+   * @returns {Array<number>} As ações que vencem na hora
+   */
+  #obterJogadasVencedoras(tabuleiro, acoesValidas, jogador) {
+    return acoesValidas.filter(acao => {
+      this.simulador.definirEstado(tabuleiro, jogador);
+      this.simulador.executarJogada(acao);
+      return this.simulador.vencedor === jogador;
+    });
+  }
+
+  /**
+   * Vence se puder; senão, bloqueia a vitória do adversário; senão, sorteia.
+   *
+   * @param {string} estado - O estado atual do tabuleiro (JSON)
+   * @param {Array<number>} acoesValidas - Lista de ações disponíveis
+   * @returns {number} A ação escolhida
+   * @throws {Error} Se não houver ações válidas disponíveis
+   */
+  escolherAcao(estado, acoesValidas) {
+    if (!acoesValidas || acoesValidas.length === 0) {
+      throw new Error("Não há ações válidas para escolher.");
+    }
+
+    const tabuleiro = JSON.parse(estado);
+    const vencedoras = this.#obterJogadasVencedoras(tabuleiro, acoesValidas, this.jogador);
+    if (vencedoras.length > 0) return this.sortear(vencedoras);
+
+    const bloqueios = this.#obterJogadasVencedoras(tabuleiro, acoesValidas, this.jogador === 1 ? 2 : 1);
+    if (bloqueios.length > 0) return this.sortear(bloqueios);
+
+    return this.sortear(acoesValidas);
+  }
+}
+
+/**
+ * Uma cópia congelada de um `AgenteQLearning`: joga sempre a melhor ação
+ * que conhecia no momento do congelamento e não aprende mais nada.
+ *
+ * É como o "fantasma" de um recorde antigo em um jogo de corrida: o
+ * aprendiz pode revisitar o seu eu do passado e garantir que não esqueceu
+ * como vencê-lo.
+ *
+ * @property {string} rotulo - Nome do adversário nos relatórios
+ * @property {AgenteQLearning} agente - A cópia usada para escolher as jogadas
+ */
+export class AdversarioCongelado extends AdversarioFixo {
+  /**
+   * Copia a Tabela Q do agente (as mudanças futuras do original não afetam a cópia).
+   *
+   * @param {AgenteQLearning} agente - O agente a congelar
+   * @param {Object} [config] - Objeto de configuração
+   * @param {string} [config.rotulo] - Nome nos relatórios (padrão: símbolo e partidas treinadas)
+   * @param {function(): number} [config.aleatorio=Math.random] - Gerador usado nos desempates
+   */
+  constructor(agente, { rotulo, aleatorio = Math.random } = {}) {
+    super({ jogador: agente.jogador, aleatorio });
+    this.rotulo = rotulo ?? `congelado ${agente.simbolo}@${agente.partidasTreinadas}`;
+
+    // As mesmas regras de consulta (simetrias, valor inicial) com uma Tabela Q própria
+    const { hiperparametros } = agente.obterCabecalho();
+    this.agente = new AgenteQLearning({ ...hiperparametros, jogador: agente.jogador, epsilon: 0, aleatorio });
+    this.agente.tabelaQ = structuredClone(agente.tabelaQ);
+  }
+
+  /**
+   * Joga a melhor ação conhecida pela cópia (sem explorar).
+   *
+   * @param {string} estado - O estado atual do tabuleiro (JSON)
+   * @param {Array<number>} acoesValidas - Lista de ações disponíveis
+   * @returns {number} A ação escolhida
+   * @throws {Error} Se não houver ações válidas disponíveis
+   */
+  escolherAcao(estado, acoesValidas) {
+    return this.agente.escolherAcao(estado, acoesValidas, false);
+  }
+}
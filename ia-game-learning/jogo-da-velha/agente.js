@@ -9,6 +9,123 @@
 
 import fs from 'fs';
 import path from 'path';
+import { canonizarTabuleiro, traduzirAcaoParaCanonica } from './simetria.js';
+import { criarEstrategiaDeExploracao } from './exploracao.js';
+import { criarCronograma } from './cronogramas.js';
+
+/**
+ * Versão atual do formato dos arquivos de modelo.
+ *
+ * Arquivos antigos, que guardam apenas a Tabela Q "pura" (sem cabeçalho),
+ * são lidos como versão 0.
+ */
+export const VERSAO_FORMATO_MODELO = 1;
+
+/**
+ * Regras de atualização da Tabela Q aceitas pelo Agente.
+ *
+ * - 'q-learning': off-policy; no fim da partida, propaga a recompensa final
+ *   para trás (comportamento original do Agente)
+ * - 'sarsa': on-policy; a cada jogada, usa o valor da ação que o Agente
+ *   realmente escolheu no próximo turno
+ * - 'sarsa-esperado': on-policy; a cada jogada, usa a média dos valores das
+ *   ações do próximo turno, ponderada pela política epsilon-greedy
+ */
+export const REGRAS_DE_ATUALIZACAO = ['q-learning', 'sarsa', 'sarsa-esperado'];
+
+/**
+ * Lê um valor de uma Tabela Q sem modificá-la.
+ *
+ * @param {Object} tabela - A Tabela Q
+ * @param {string} estado - O estado (chave da tabela)
+ * @param {number|string} acao - A ação
+ * @param {number} [valorInicial=0.0] - Valor dos estados e ações desconhecidos
+ * @returns {number} O valor Q, ou o valor inicial se ainda não existir
+ */
+function lerValorQ(tabela, estado, acao, valorInicial = 0.0) {
+  return tabela[estado]?.[acao] ?? valorInicial;
+}
+
+/**
+ * Grava um valor em uma Tabela Q, criando a entrada do estado se necessário.
+ *
+ * @param {Object} tabela - A Tabela Q
+ * @param {string} estado - O estado (chave da tabela)
+ * @param {number|string} acao - A ação
+ * @param {number} valor - O novo valor Q
+ * @returns {void}
+ */
+function gravarValorQ(tabela, estado, acao, valor) {
+  if (!(estado in tabela)) {
+    tabela[estado] = {};
+  }
+  tabela[estado][acao] = valor;
+}
+
+/**
+ * Lê um arquivo de modelo, em qualquer versão do formato.
+ *
+ * É como um "leitor de save" que entende tanto os saves novos (com a ficha
+ * completa do personagem) quanto os antigos (só com o inventário).
+ *
+ * @param {string} caminho - Caminho do arquivo JSON do modelo
+ * @returns {{versaoFormato: number, cabecalho: Object|null, tabelaQ: Object, tabelasQDuplas: Object|null,
+ *   visitas: Object|null}} A versão do formato, o cabeçalho (null nos arquivos antigos), a Tabela Q,
+ *   nos modelos com Double Q-Learning as duas tabelas internas (`{ tabelaQA, tabelaQB }`) e as
+ *   contagens de visitas N(s,a) (null nos modelos salvos antes delas)
+ * @throws {Error} Se o arquivo for de uma versão mais nova que a suportada
+ */
+export function lerArquivoModelo(caminho) {
+  const dados = JSON.parse(fs.readFileSync(path.resolve(caminho), 'utf-8'));
+
+  // Formato antigo: o arquivo inteiro é a Tabela Q
+  if (!('versaoFormato' in dados)) {
+    return { versaoFormato: 0, cabecalho: null, tabelaQ: dados, tabelasQDuplas: null, visitas: null };
+  }
+
+  if (dados.versaoFormato > VERSAO_FORMATO_MODELO) {
+    throw new Error(
+      `Formato de modelo v${dados.versaoFormato} não suportado (máximo: v${VERSAO_FORMATO_MODELO}).`
+    );
+  }
+
+  return {
+    versaoFormato: dados.versaoFormato,
+    cabecalho: dados.cabecalho,
+    tabelaQ: dados.tabelaQ,
+    tabelasQDuplas: dados.tabelasQDuplas ?? null,
+    visitas: dados.visitas ?? null
+  };
+}
+
+/**
+ * Escreve um arquivo de modelo no formato atual.
+ *
+ * O diretório é criado automaticamente se não existir. As tabelas do Double
+ * Q-Learning e as visitas são campos opcionais: leitores que não os conhecem
+ * continuam usando só a `tabelaQ`.
+ *
+ * @param {string} caminho - Caminho onde salvar o arquivo JSON
+ * @param {Object} modelo - Conteúdo do modelo
+ * @param {Object} modelo.cabecalho - Metadados do modelo (hiperparâmetros, estatísticas, etc.)
+ * @param {Object} modelo.tabelaQ - A Tabela Q
+ * @param {Object} [modelo.tabelasQDuplas] - As duas tabelas do Double Q-Learning (`{ tabelaQA, tabelaQB }`)
+ * @param {Object} [modelo.visitas] - Contagens de visitas N(s,a), com as mesmas chaves da Tabela Q
+ * @returns {void}
+ */
+export function escreverArquivoModelo(caminho, { cabecalho, tabelaQ, tabelasQDuplas, visitas }) {
+  const caminhoCompleto = path.resolve(caminho);
+  const diretorio = path.dirname(caminhoCompleto);
+
+  if (!fs.existsSync(diretorio)) {
+    fs.mkdirSync(diretorio, { recursive: true });
+  }
+
+  fs.writeFileSync(
+    caminhoCompleto,
+    JSON.stringify({ versaoFormato: VERSAO_FORMATO_MODELO, cabecalho, tabelaQ, tabelasQDuplas, visitas }, null, 2)
+  );
+}
 
 /**
  * Um Agente que aprende a jogar Jogo da Velha usando Q-Learning.
@@ -31,22 +148,80 @@ import path from 'path';
  *   - A chance do jogador tentar uma tática nova e desconhecida
  *   - Valor alto = aventureiro, adora explorar o mapa
  *   - Valor baixo = conservador, prefere usar a tática que já sabe que funciona
+ *
+ * A regra de atualização (`regraDeAtualizacao`) define como o valor futuro é
+ * estimado: pela melhor ação (Q-Learning), pela ação que o Agente realmente
+ * escolheu (SARSA) ou pela média esperada da política (Expected SARSA).
+ *
+ * Com `usarDuploQ`, o Agente mantém duas memórias independentes (Double
+ * Q-Learning): a cada atualização, sorteia qual delas aprende, e a outra
+ * avalia a jogada futura. Assim, um valor superestimado por sorte em uma
+ * tabela não se propaga sozinho. A `tabelaQ` passa a ser a média das duas
+ * e é ela que decide as jogadas. Isso só faz sentido quando o Agente aprende
+ * a cada jogada (TD): no Monte Carlo, o alvo é a recompensa final, sem um
+ * valor futuro estimado que possa estar superestimado, e o Double Q é recusado.
+ *
+ * Para partidas longas, em que a recompensa final fica muitas jogadas
+ * distante, o Agente pode distribuir o crédito mais longe a cada passo:
+ * - `n` > 1 (n-step): cada jogada aprende com o que aconteceu nas `n`
+ *   jogadas seguintes, e não só na próxima
+ * - `lambda` (Watkins Q(λ)): cada atualização também alcança as jogadas
+ *   anteriores, com peso (γλ)^k, até a última jogada exploratória
+ * Os dois usam o `historicoPartida` como registro da trajetória.
+ *
+ * A forma de explorar durante o treino é uma estratégia plugável
+ * (`exploracao`, veja `exploracao.js`): epsilon-greedy (padrão), Boltzmann,
+ * UCB1 ou valores iniciais otimistas.
+ *
+ * O epsilon e o alpha podem seguir cronogramas (`cronogramaEpsilon` e
+ * `cronogramaAlpha`, veja `cronogramas.js`): linear, exponencial, em degraus,
+ * cosseno ou, para o alpha, 1/N(s,a). Sem cronograma, o epsilon decai pela
+ * `taxaDecaimentoEpsilon` e o alpha fica constante.
+ *
+ * Ao lado da Tabela Q, o Agente conta as visitas N(s,a): quantas vezes
+ * jogou cada ação em cada estado durante o treino. É a "confiança" de cada
+ * valor: um valor visto uma vez vale menos que um visto 100.000 vezes. As
+ * visitas são salvas com o modelo e usadas pelo UCB1 e pelo alpha 1/N(s,a).
  * 
  * @property {number} alpha - Taxa de aprendizado (0 a 1)
  * @property {number} gamma - Fator de desconto (0 a 1)
  * @property {number} epsilon - Taxa de exploração (0 a 1)
  * @property {number} epsilonMinimo - Valor mínimo que epsilon pode atingir
  * @property {number} taxaDecaimentoEpsilon - Multiplicador de decaimento do epsilon
+ * @property {boolean} usarSimetrias - Se true, guarda cada posição uma única vez (forma canônica)
+ * @property {string} regraDeAtualizacao - 'q-learning', 'sarsa' ou 'sarsa-esperado'
+ * @property {boolean} usarDuploQ - Se true, aprende com duas tabelas (Double Q-Learning)
+ * @property {number} n - Quantas jogadas à frente cada atualização considera (n-step; 1 = TD comum)
+ * @property {number|null} lambda - Decaimento dos rastros de elegibilidade do Q(λ) (null = sem rastros)
+ * @property {Object} exploracao - Estratégia de exploração usada no treino (veja `exploracao.js`)
+ * @property {Object|null} cronogramaEpsilon - Cronograma do epsilon, consultado a cada partida
+ *   (null = decaimento pela `taxaDecaimentoEpsilon`)
+ * @property {Object|null} cronogramaAlpha - Cronograma do alpha, consultado a cada atualização
+ *   (null = alpha constante)
+ * @property {boolean} aprenderACadaJogada - Se true, aprende após cada jogada (TD) em vez de
+ *   esperar o fim da partida (Monte Carlo); definido pelo Treinador conforme o modo de treino
+ * @property {function(): number} aleatorio - Gerador de números em [0, 1) usado nos sorteios
  * @property {number} jogador - Identificador do jogador (1 ou 2)
  * @property {string} simbolo - Símbolo visual ('X' ou 'O')
- * @property {Object} tabelaQ - Memória do agente (Q-Table)
+ * @property {Object} tabelaQ - Memória do agente (Q-Table); no Double Q-Learning, a média de A e B
+ * @property {Object|null} tabelaQA - Primeira tabela do Double Q-Learning (null fora desse modo)
+ * @property {Object|null} tabelaQB - Segunda tabela do Double Q-Learning (null fora desse modo)
+ * @property {Object<string, Object<number, number>>} visitas - N(s,a), com as mesmas chaves da Tabela Q
  * @property {number} partidasTreinadas - Contador de partidas de treino
  * @property {number} vitorias - Contador de vitórias
  * @property {number} derrotas - Contador de derrotas
  * @property {number} empates - Contador de empates
  * @property {Array<Array>} historicoPartida - Memória de curto prazo da partida atual
+ * @property {string|null} idTreino - Identificador da execução de treino que gerou o modelo
+ * @property {Object|null} dimensao - Tabuleiro do modelo ({linhas, colunas, sequenciaParaVencer, comGravidade})
+ * @property {number|null} semente - Semente do gerador aleatório usada no treino (null se não reproduzível)
  */
 export class AgenteQLearning {
+  #ultimaCanonizacao = null;
+  #inicioDosRastros = 0;
+  #somaDasVariacoesQ = 0;
+  #atualizacoesQ = 0;
+
   /**
    * Inicializa os atributos e a memória do Agente.
    * 
@@ -60,6 +235,29 @@ export class AgenteQLearning {
    * @param {number} [config.epsilonMinimo=0.001] - Valor mínimo que epsilon pode atingir
    * @param {number} [config.taxaDecaimentoEpsilon=0.99999] - Multiplicador de decaimento do epsilon
    * @param {number} [config.jogador=1] - Identificador do jogador (1 para X, 2 para O)
+   * @param {boolean} [config.usarSimetrias=false] - Se true, estados e ações são levados à forma
+   *   canônica (rotações/reflexões) antes de consultar a Tabela Q. Só vale para tabuleiros N x N
+   *   sem gravidade
+   * @param {function(): number} [config.aleatorio=Math.random] - Gerador de números em [0, 1).
+   *   Use um gerador com semente (veja `aleatorio.js`) para treinos reproduzíveis
+   * @param {string} [config.regraDeAtualizacao='q-learning'] - Regra de atualização da Tabela Q
+   *   (uma das `REGRAS_DE_ATUALIZACAO`)
+   * @param {boolean} [config.usarDuploQ=false] - Se true, usa duas tabelas para reduzir a
+   *   superestimação dos valores (Double Q-Learning). Só vale com aprendizado a cada jogada (TD)
+   * @param {number} [config.n=1] - Jogadas à frente usadas em cada atualização (n-step Q-Learning)
+   * @param {number|null} [config.lambda=null] - Entre 0 e 1: ativa o Watkins Q(λ) com rastros de
+   *   elegibilidade (só com a regra 'q-learning', `n` = 1 e sem Double Q)
+   * @param {string|Object} [config.exploracao='epsilon-greedy'] - Estratégia de exploração: o tipo
+   *   ('epsilon-greedy', 'boltzmann', 'ucb1', 'otimista'), sua configuração (`{ tipo, ...parâmetros }`)
+   *   ou uma estratégia já criada
+   * @param {number|string|Object|null} [config.cronogramaEpsilon=null] - Cronograma do epsilon (veja
+   *   `criarCronograma`); quando definido, substitui o epsilon inicial e o decaimento
+   * @param {number|string|Object|null} [config.cronogramaAlpha=null] - Cronograma do alpha (veja
+   *   `criarCronograma`); quando definido, substitui o alpha fixo
+   * @param {boolean} [config.aprenderACadaJogada=false] - Se true, cada jogada é atualizada
+   *   assim que o Agente volta a jogar (TD), e não só no fim da partida (Monte Carlo)
+   * @throws {Error} Se a regra de atualização for desconhecida, `n`/`lambda` forem inválidos
+   *   ou o cronograma do epsilon for o 1/N(s,a)
    */
   constructor({
     alpha = 0.5,
@@ -67,14 +265,55 @@ export class AgenteQLearning {
     epsilon = 1.0,
     epsilonMinimo = 0.001,
     taxaDecaimentoEpsilon = 0.99999,
-    jogador = 1
+    jogador = 1,
+    usarSimetrias = false,
+    aleatorio = Math.random,
+    regraDeAtualizacao = 'q-learning',
+    usarDuploQ = false,
+    n = 1,
+    lambda = null,
+    exploracao = 'epsilon-greedy',
+    cronogramaEpsilon = null,
+    cronogramaAlpha = null,
+    aprenderACadaJogada = false
   } = {}) {
+    if (!REGRAS_DE_ATUALIZACAO.includes(regraDeAtualizacao)) {
+      throw new Error(
+        `Regra de atualização '${regraDeAtualizacao}' desconhecida. Use: ${REGRAS_DE_ATUALIZACAO.join(', ')}.`
+      );
+    }
+    if (!Number.isInteger(n) || n < 1) {
+      throw new Error(`O número de passos (n) deve ser um inteiro maior ou igual a 1, mas é ${n}.`);
+    }
+    if (lambda !== null) {
+      if (!(lambda >= 0 && lambda <= 1)) {
+        throw new Error(`O lambda deve estar entre 0 e 1, mas é ${lambda}.`);
+      }
+      if (regraDeAtualizacao !== 'q-learning' || n !== 1 || usarDuploQ) {
+        throw new Error("O Watkins Q(λ) só funciona com a regra 'q-learning', n = 1 e sem Double Q.");
+      }
+    }
+    if (cronogramaEpsilon !== null && criarCronograma(cronogramaEpsilon).tipo === 'inverso-visitas') {
+      throw new Error("O cronograma 'inverso-visitas' (1/N) só vale para o alpha.");
+    }
+
     // --- HIPERPARÂMETROS (Atributos do Agente) ---
     this.alpha = alpha;
     this.gamma = gamma;
     this.epsilon = epsilon;
     this.epsilonMinimo = epsilonMinimo;
     this.taxaDecaimentoEpsilon = taxaDecaimentoEpsilon;
+    this.regraDeAtualizacao = regraDeAtualizacao;
+    this.n = n;
+    this.lambda = lambda;
+    this.exploracao = criarEstrategiaDeExploracao(exploracao);
+    this.cronogramaEpsilon = cronogramaEpsilon === null ? null : criarCronograma(cronogramaEpsilon);
+    this.cronogramaAlpha = cronogramaAlpha === null ? null : criarCronograma(cronogramaAlpha);
+    if (this.cronogramaEpsilon) {
+      this.epsilon = this.cronogramaEpsilon.consultar(0);
+    }
+    this.aprenderACadaJogada = aprenderACadaJogada;
+    this.aleatorio = aleatorio;
 
     // --- IDENTIDADE ---
     this.jogador = jogador;
@@ -82,6 +321,11 @@ export class AgenteQLearning {
 
     // --- MEMÓRIA (A "Enciclopédia de Monstros" do Jogador) ---
     this.tabelaQ = {};
+    this.usarSimetrias = usarSimetrias;
+    this.usarDuploQ = usarDuploQ;
+    this.tabelaQA = usarDuploQ ? {} : null;
+    this.tabelaQB = usarDuploQ ? {} : null;
+    this.visitas = {};
 
     // --- ESTATÍSTICAS DE TREINO ---
     this.partidasTreinadas = 0;
@@ -91,6 +335,11 @@ export class AgenteQLearning {
 
     // --- MEMÓRIA DE CURTO PRAZO (para a partida atual) ---
     this.historicoPartida = [];
+
+    // --- ORIGEM DO MODELO (preenchida pelo Treinador ou ao carregar) ---
+    this.idTreino = null;
+    this.dimensao = null;
+    this.semente = null;
   }
 
   /**
@@ -98,20 +347,33 @@ export class AgenteQLearning {
    * 
    * Se o Agente nunca viu essa situação antes, ele assume que o valor é 0,
    * como um jogador que nunca enfrentou aquele tipo de monstro e não sabe
-   * se a estratégia será boa ou ruim.
+   * se a estratégia será boa ou ruim. (Com a exploração otimista, o valor
+   * assumido é o `valorInicialQ` da estratégia.)
+   * 
+   * A consulta só lê a Tabela Q: o valor assumido não é gravado, então a
+   * tabela salva guarda apenas o que o Agente aprendeu (o `valorInicialQ`
+   * fica no cabeçalho, junto da configuração da exploração).
    * 
    * @param {string} estado - O estado atual do jogo (representação do tabuleiro)
    * @param {number} acao - A ação (posição de 0 a 8) que o agente quer avaliar
    * @returns {number} O valor Q da ação naquele estado (recompensa esperada)
    */
   obterValorQ(estado, acao) {
-    if (!(estado in this.tabelaQ)) {
-      this.tabelaQ[estado] = {};
-    }
-    if (!(acao in this.tabelaQ[estado])) {
-      this.tabelaQ[estado][acao] = 0.0;
-    }
-    return this.tabelaQ[estado][acao];
+    return this.#lerValorQ(this.tabelaQ, estado, acao);
+  }
+
+  /**
+   * Consulta o valor Q de uma ação no estado real do tabuleiro, levando o
+   * par à forma canônica quando o Agente usa simetrias. Como `obterValorQ`,
+   * não grava nada na Tabela Q; é a leitura usada pelas estratégias de
+   * exploração.
+   * 
+   * @param {string} estado - O estado do tabuleiro real (JSON)
+   * @param {number} acao - A ação
+   * @returns {number} O valor Q da ação (ou o valor inicial, se ainda não aprendida)
+   */
+  consultarValorQ(estado, acao) {
+    return this.obterValorQ(...this.#traduzirParaTabelaQ(estado, acao));
   }
 
   /**
@@ -127,49 +389,301 @@ export class AgenteQLearning {
    * Novo Valor Q = Opinião Antiga + Taxa de Aprendizado × (Surpresa)
    * Onde Surpresa = Valor Real - Opinião Antiga
    * 
+   * O "valor futuro" dentro do Valor Real depende da `regraDeAtualizacao`:
+   * - Q-Learning: o maior valor Q entre as `acoesValidasProximas`
+   * - SARSA: o valor Q da próxima ação escolhida (`proximaAcao`)
+   * - Expected SARSA: a média dos valores Q das `acoesValidasProximas`,
+   *   ponderada pela chance de cada uma ser escolhida (epsilon-greedy)
+   * 
+   * No Double Q-Learning, só uma das duas tabelas (sorteada) aprende; a outra
+   * dá o valor do futuro, e a `tabelaQ` é atualizada com a média das duas.
+   * 
    * @param {string} estado - O estado do tabuleiro antes da jogada
    * @param {number} acao - A ação (posição 0-8) que foi tomada
    * @param {number} recompensa - A recompensa recebida (+1, -1 ou 0)
    * @param {string} proximoEstado - O estado do tabuleiro após a jogada
    * @param {boolean} finalizado - Se true, não considera valores futuros (jogo acabou)
+   * @param {number} [proximaAcao] - A ação escolhida no próximo estado (necessária no SARSA)
+   * @param {Array<number>} [acoesValidasProximas] - Ações válidas do próximo estado (necessárias no
+   *   Q-Learning e no Expected SARSA)
    * @returns {void}
+   * @throws {Error} Se a partida não terminou e a regra exigir uma informação que não foi fornecida
    */
-  aprender(estado, acao, recompensa, proximoEstado, finalizado) {
-    const opiniaoAntiga = this.obterValorQ(estado, acao);
-    
+  aprender(estado, acao, recompensa, proximoEstado, finalizado, proximaAcao, acoesValidasProximas) {
     // Se o jogo finalizou, não há valor futuro a considerar
-    const melhorValorFuturo = finalizado ? 0.0 : this.#obterMelhorValorQDoEstado(proximoEstado);
+    const proximaJogada = finalizado ? null : [proximoEstado, proximaAcao, acoesValidasProximas];
+    this.#atualizarValorQ(estado, acao, recompensa, 1, proximaJogada);
+  }
+
+  /**
+   * Aplica a Equação de Bellman com um retorno de um ou mais passos.
+   * 
+   * O Valor Real da jogada é o retorno já observado somado ao valor futuro
+   * descontado pelos `passos` que separam as duas jogadas (γ^passos).
+   * 
+   * @private
+   * @param {string} estado - O estado do tabuleiro antes da jogada
+   * @param {number} acao - A ação que foi tomada
+   * @param {number} retorno - Recompensas observadas até a próxima jogada, já descontadas
+   * @param {number} passos - Quantas jogadas separam esta da próxima jogada
+   * @param {Array|null} proximaJogada - `[estado, acao, acoesValidas]` de onde o valor futuro
+   *   é estimado, ou null se a partida terminou
+   * @returns {void}
+   */
+  #atualizarValorQ(estado, acao, retorno, passos, proximaJogada) {
+    [estado, acao] = this.#traduzirParaTabelaQ(estado, acao);
+    const [tabelaQueAprende, tabelaQueAvalia] = this.#sortearTabelas();
+    const opiniaoAntiga = this.#lerValorQ(tabelaQueAprende, estado, acao);
+    
+    const valorFuturo = proximaJogada
+      ? this.#estimarValorFuturo(tabelaQueAprende, tabelaQueAvalia, ...proximaJogada)
+      : 0.0;
     
-    const valorRealDaJogada = recompensa + this.gamma * melhorValorFuturo;
+    const valorRealDaJogada = retorno + Math.pow(this.gamma, passos) * valorFuturo;
     const surpresa = valorRealDaJogada - opiniaoAntiga;
-    const novoValorQ = opiniaoAntiga + this.alpha * surpresa;
+    const novoValorQ = opiniaoAntiga + this.#obterAlpha(estado, acao) * surpresa;
+
+    gravarValorQ(tabelaQueAprende, estado, acao, novoValorQ);
+    this.#registrarVariacaoQ(novoValorQ - opiniaoAntiga);
+    if (this.usarDuploQ) {
+      const media = (this.#lerValorQ(this.tabelaQA, estado, acao) + this.#lerValorQ(this.tabelaQB, estado, acao)) / 2;
+      gravarValorQ(this.tabelaQ, estado, acao, media);
+    }
+  }
+
+  /**
+   * Acumula o tamanho de uma atualização da Tabela Q (veja `coletarVariacaoMediaQ`).
+   * 
+   * @private
+   * @param {number} variacao - Quanto o valor Q mudou
+   * @returns {void}
+   */
+  #registrarVariacaoQ(variacao) {
+    this.#somaDasVariacoesQ += Math.abs(variacao);
+    this.#atualizacoesQ++;
+  }
+
+  /**
+   * Devolve a média de |ΔQ| das atualizações feitas desde a última coleta
+   * e recomeça a contagem.
+   * 
+   * É o "termômetro" do aprendizado: no começo do treino cada lição muda
+   * muito a opinião do Agente; quando os valores convergem, as mudanças
+   * ficam cada vez menores.
+   * 
+   * @returns {number|null} A média de |ΔQ|, ou null se não houve atualizações
+   */
+  coletarVariacaoMediaQ() {
+    const media = this.#atualizacoesQ > 0 ? this.#somaDasVariacoesQ / this.#atualizacoesQ : null;
+    this.#somaDasVariacoesQ = 0;
+    this.#atualizacoesQ = 0;
+    return media;
+  }
+
+  /**
+   * Consulta o alpha de uma atualização do par (estado, ação).
+   * 
+   * Sem cronograma, é o alpha fixo. Com cronograma, o valor consultado
+   * também fica em `this.alpha`, para o Treinador exibir o alpha atual.
+   * 
+   * @private
+   * @param {string} estado - O estado do par, já como na Tabela Q
+   * @param {number} acao - A ação do par, já como na Tabela Q
+   * @returns {number} A taxa de aprendizado desta atualização
+   */
+  #obterAlpha(estado, acao) {
+    if (this.cronogramaAlpha) {
+      // Uma atualização sem jogada registrada (chamada direta de `aprender`) conta como a primeira
+      const visitas = Math.max(1, lerValorQ(this.visitas, estado, acao));
+      this.alpha = this.cronogramaAlpha.consultar(this.partidasTreinadas, visitas);
+    }
+    return this.alpha;
+  }
+
+  /**
+   * Atualiza a jogada de `n` passos atrás (n-step), agora que se sabe como
+   * a partida seguiu durante essas `n` jogadas.
+   * 
+   * Como as recompensas intermediárias são 0, o retorno observado é 0 e só
+   * o valor da jogada atual, descontado por γ^n, chega até lá.
+   * 
+   * @private
+   * @param {Array} proximaJogada - `[estado, acao, acoesValidas]` da jogada atual
+   * @returns {void}
+   */
+  #aprenderNPassos(proximaJogada) {
+    const indice = this.historicoPartida.length - this.n;
+    if (indice < 0) return;
+
+    const [estado, acao] = this.historicoPartida[indice];
+    this.#atualizarValorQ(estado, acao, 0, this.n, proximaJogada);
+  }
+
+  /**
+   * Um passo do Watkins Q(λ): a surpresa da última jogada é distribuída para
+   * todas as jogadas desde a última exploração, com peso (γλ)^k para a
+   * jogada k passos atrás (o "rastro de elegibilidade").
+   * 
+   * É como repartir a EXP de um chefe com todo o grupo que ajudou a chegar
+   * até ele, dando mais para quem bateu por último. Mas quem saiu do plano
+   * (uma jogada exploratória) corta a corrente: o Q-Learning aprende sobre a
+   * política gulosa, e as jogadas antes do desvio não levaram até ali por ela.
+   * 
+   * @private
+   * @param {number} recompensa - Recompensa recebida (0 durante a partida, a final no fim)
+   * @param {Array|null} proximaJogada - `[estado, acao, acoesValidas]` da jogada atual,
+   *   ou null se a partida terminou
+   * @returns {void}
+   * @throws {Error} Se as ações válidas da próxima jogada não forem informadas
+   */
+  #aprenderComRastros(recompensa, proximaJogada) {
+    let proximaFoiExploratoria = false;
+    if (proximaJogada) {
+      const [proximoEstado, proximaAcao, acoesValidasProximas] = proximaJogada;
+      if (!acoesValidasProximas || acoesValidasProximas.length === 0) {
+        throw new Error("O Q(λ) precisa das ações válidas de cada jogada para aprender.");
+      }
+      proximaFoiExploratoria = !this.obterMelhoresAcoes(proximoEstado, acoesValidasProximas).includes(proximaAcao);
+    }
+
+    const ultimo = this.historicoPartida.length - 1;
+    const [estado, acao] = this.#traduzirParaTabelaQ(...this.historicoPartida[ultimo].slice(0, 2));
+    const valorFuturo = proximaJogada ? this.#estimarValorFuturo(this.tabelaQ, this.tabelaQ, ...proximaJogada) : 0.0;
+    const surpresa = recompensa + this.gamma * valorFuturo - this.#lerValorQ(this.tabelaQ, estado, acao);
+
+    let elegibilidade = 1;
+    for (let i = ultimo; i >= this.#inicioDosRastros; i--) {
+      const [estadoRastro, acaoRastro] = this.#traduzirParaTabelaQ(...this.historicoPartida[i].slice(0, 2));
+      const valorAtual = this.#lerValorQ(this.tabelaQ, estadoRastro, acaoRastro);
+      const alpha = this.#obterAlpha(estadoRastro, acaoRastro);
+      gravarValorQ(this.tabelaQ, estadoRastro, acaoRastro, valorAtual + alpha * surpresa * elegibilidade);
+      this.#registrarVariacaoQ(alpha * surpresa * elegibilidade);
+      elegibilidade *= this.gamma * this.lambda;
+    }
+
+    // A jogada atual ainda vai entrar no histórico: os rastros recomeçam nela
+    if (proximaFoiExploratoria) {
+      this.#inicioDosRastros = this.historicoPartida.length;
+    }
+  }
+
+  /**
+   * Decide qual tabela aprende nesta atualização e qual avalia o futuro.
+   * 
+   * Fora do Double Q-Learning, a `tabelaQ` faz os dois papéis. No Double
+   * Q-Learning, uma "moeda" decide: é como ter dois mentores na guilda, e a
+   * cada lição um deles anota o aprendizado enquanto o outro dá a segunda
+   * opinião sobre o que vem depois.
+   * 
+   * @private
+   * @returns {[Object, Object]} Tupla com [tabela que aprende, tabela que avalia]
+   */
+  #sortearTabelas() {
+    if (!this.usarDuploQ) {
+      return [this.tabelaQ, this.tabelaQ];
+    }
+    return this.aleatorio() < 0.5
+      ? [this.tabelaQA, this.tabelaQB]
+      : [this.tabelaQB, this.tabelaQA];
+  }
 
-    if (!(estado in this.tabelaQ)) {
-      this.tabelaQ[estado] = {};
+  /**
+   * Estima o valor do próximo estado de acordo com a regra de atualização.
+   * 
+   * É a diferença entre três "estilos" de jogador de Ragnarok planejando a
+   * próxima luta: o otimista conta com a melhor tática (Q-Learning), o
+   * realista conta com a tática que de fato vai usar (SARSA), e o
+   * estatístico faz a média, lembrando que às vezes ele mesmo vai
+   * improvisar (Expected SARSA).
+   * 
+   * No Q-Learning, a melhor das `acoesValidasProximas` é escolhida pela tabela
+   * que aprende e avaliada pela outra; fora do Double Q-Learning as duas são a
+   * mesma, e isso equivale ao maior valor Q do estado. As ações que a tabela
+   * ainda não conhece entram na disputa com o `valorInicialQ` da estratégia
+   * de exploração, como na hora de escolher a jogada.
+   * 
+   * @private
+   * @param {Object} tabelaQueAprende - Tabela que está sendo atualizada
+   * @param {Object} tabelaQueAvalia - Tabela que dá o valor das jogadas futuras
+   * @param {string} proximoEstado - O estado do tabuleiro real (JSON)
+   * @param {number} [proximaAcao] - A ação escolhida no próximo estado
+   * @param {Array<number>} [acoesValidasProximas] - Ações válidas do próximo estado
+   * @returns {number} O valor futuro estimado
+   * @throws {Error} Se a regra exigir uma informação que não foi fornecida
+   */
+  #estimarValorFuturo(tabelaQueAprende, tabelaQueAvalia, proximoEstado, proximaAcao, acoesValidasProximas) {
+    if (this.regraDeAtualizacao === 'sarsa') {
+      if (proximaAcao === undefined) {
+        throw new Error("O SARSA precisa da próxima ação escolhida para aprender.");
+      }
+      return this.#lerValorQ(tabelaQueAvalia, ...this.#traduzirParaTabelaQ(proximoEstado, proximaAcao));
     }
-    this.tabelaQ[estado][acao] = novoValorQ;
+
+    if (this.regraDeAtualizacao === 'sarsa-esperado') {
+      if (!acoesValidasProximas || acoesValidasProximas.length === 0) {
+        throw new Error("O Expected SARSA precisa das ações válidas do próximo estado para aprender.");
+      }
+
+      // A chance de cada ação vem da estratégia de exploração (no epsilon-greedy:
+      // toda ação tem ε/n de chance e as melhores dividem o restante)
+      const probabilidades = this.exploracao.obterProbabilidades(this, proximoEstado, acoesValidasProximas);
+
+      let valorEsperado = 0;
+      for (const acao of acoesValidasProximas) {
+        valorEsperado += probabilidades[acao] * this.#lerValorQ(tabelaQueAvalia, ...this.#traduzirParaTabelaQ(proximoEstado, acao));
+      }
+      return valorEsperado;
+    }
+
+    if (!acoesValidasProximas || acoesValidasProximas.length === 0) {
+      throw new Error("O Q-Learning precisa das ações válidas do próximo estado para aprender.");
+    }
+
+    const [chave, melhorAcao] = this.#obterMelhorAcaoValida(tabelaQueAprende, proximoEstado, acoesValidasProximas);
+    return this.#lerValorQ(tabelaQueAvalia, chave, melhorAcao);
+  }
+
+  /**
+   * Lê um valor de uma das tabelas do Agente sem modificá-la, usando o valor
+   * inicial da estratégia de exploração para o que ainda é desconhecido.
+   * 
+   * @private
+   * @param {Object} tabela - A tabela consultada
+   * @param {string} estado - O estado (já traduzido)
+   * @param {number|string} acao - A ação (já traduzida)
+   * @returns {number} O valor Q
+   */
+  #lerValorQ(tabela, estado, acao) {
+    return lerValorQ(tabela, estado, acao, this.exploracao.valorInicialQ);
   }
 
   /**
    * Verifica na "memória" qual é a melhor jogada possível a partir de um estado.
    * 
-   * É como se o Agente olhasse todas as táticas que ele já testou naquela
-   * situação e escolhesse aquela que teve o melhor resultado no passado.
-   * Se ele nunca viu aquela situação antes, retorna 0 (neutro).
+   * É como se o Agente olhasse todas as táticas disponíveis naquela situação
+   * e escolhesse aquela que teve o melhor resultado no passado; as que ele
+   * nunca testou valem o `valorInicialQ` da estratégia de exploração.
    * 
    * @private
-   * @param {string} estado - O estado do tabuleiro que queremos avaliar
-   * @returns {number} O maior valor Q encontrado para aquele estado (melhor recompensa esperada)
+   * @param {Object} tabela - A tabela consultada
+   * @param {string} estado - O estado do tabuleiro real (JSON)
+   * @param {Array<number>} acoesValidas - Ações disponíveis no estado (no tabuleiro real)
+   * @returns {[string, number]} O estado e a melhor ação, já como guardados na tabela
    */
-  #obterMelhorValorQDoEstado(estado) {
-    if (!(estado in this.tabelaQ) || Object.keys(this.tabelaQ[estado]).length === 0) {
-      return 0.0;
+  #obterMelhorAcaoValida(tabela, estado, acoesValidas) {
+    let melhor = null;
+    for (const acao of acoesValidas) {
+      const [chave, acaoNaTabela] = this.#traduzirParaTabelaQ(estado, acao);
+      const valor = this.#lerValorQ(tabela, chave, acaoNaTabela);
+      if (melhor === null || valor > melhor.valor) {
+        melhor = { chave, acao: acaoNaTabela, valor };
+      }
     }
-    return Math.max(...Object.values(this.tabelaQ[estado]));
+    return [melhor.chave, melhor.acao];
   }
 
   /**
-   * Decide qual jogada fazer usando a estratégia Epsilon-Greedy.
+   * Decide qual jogada fazer usando a estratégia de exploração (Epsilon-Greedy por padrão).
    * 
    * É a estratégia que equilibra "Aventura" (exploração) e "Farm" (exploração).
    * Como um jogador de Ragnarok que às vezes sai do caminho conhecido para
@@ -177,13 +691,14 @@ export class AgenteQLearning {
    * farmando o que já sabe que funciona.
    * 
    * A estratégia funciona assim:
-   * - Durante o treinamento: com probabilidade epsilon (ε), escolhe ação aleatória
-   *   (exploração). Caso contrário, escolhe a melhor ação conhecida (exploração).
+   * - Durante o treinamento: a estratégia de exploração decide. No Epsilon-Greedy,
+   *   com probabilidade epsilon (ε), escolhe ação aleatória (exploração). Caso
+   *   contrário, escolhe a melhor ação conhecida (exploração).
    * - Fora do treinamento: sempre escolhe a melhor ação conhecida.
    * 
    * @param {string} estado - O estado atual do tabuleiro
    * @param {Array<number>} acoesValidas - Lista de posições disponíveis para jogar (0-8)
-   * @param {boolean} [emTreinamento=true] - Se true, usa epsilon-greedy. Se false, sempre escolhe a melhor ação
+   * @param {boolean} [emTreinamento=true] - Se true, usa a estratégia de exploração. Se false, sempre escolhe a melhor ação
    * @returns {number} A ação escolhida (posição de 0 a 8 no tabuleiro)
    * @throws {Error} Se não houver ações válidas disponíveis
    */
@@ -196,13 +711,7 @@ export class AgenteQLearning {
       return this.#escolherMelhorAcao(estado, acoesValidas);
     }
 
-    if (Math.random() < this.epsilon) {
-      // "Modo Aventura": explora
-      return acoesValidas[Math.floor(Math.random() * acoesValidas.length)];
-    } else {
-      // "Modo Farm": usa melhor tática
-      return this.#escolherMelhorAcao(estado, acoesValidas);
-    }
+    return this.exploracao.escolherAcao(this, estado, acoesValidas);
   }
 
   /**
@@ -213,28 +722,156 @@ export class AgenteQLearning {
    * boas), escolhe aleatoriamente entre elas para evitar sempre fazer o mesmo
    * padrão de jogadas.
    * 
+   * @private
+   * @param {string} estado - O estado atual do tabuleiro
+   * @param {Array<number>} acoesValidas - Lista de posições disponíveis para jogar (0-8)
+   * @returns {number} A melhor ação escolhida (posição de 0 a 8 no tabuleiro)
+   */
+  #escolherMelhorAcao(estado, acoesValidas) {
+    const melhoresAcoes = this.obterMelhoresAcoes(estado, acoesValidas);
+    return melhoresAcoes[Math.floor(this.aleatorio() * melhoresAcoes.length)];
+  }
+
+  /**
+   * Lista todas as ações empatadas com o maior valor Q (a política "gulosa").
+   * 
+   * É a lista de táticas que o jogador consideraria igualmente boas. Útil
+   * para auditorias, que precisam saber todas as jogadas que o agente
+   * poderia fazer, e não apenas uma sorteada.
+   * 
    * Processo:
    * 1. Avalia o valor Q de todas as ações válidas
    * 2. Encontra o maior valor Q
-   * 3. Se houver empate, escolhe aleatoriamente entre as melhores
+   * 3. Retorna todas as ações com esse valor
    * 
-   * @private
    * @param {string} estado - O estado atual do tabuleiro
    * @param {Array<number>} acoesValidas - Lista de posições disponíveis para jogar (0-8)
-   * @returns {number} A melhor ação escolhida (posição de 0 a 8 no tabuleiro)
+   * @returns {Array<number>} As ações com o maior valor Q
    */
-  #escolherMelhorAcao(estado, acoesValidas) {
+  obterMelhoresAcoes(estado, acoesValidas) {
     const valoresQDasAcoes = {};
     for (const acao of acoesValidas) {
-      valoresQDasAcoes[acao] = this.obterValorQ(estado, acao);
+      valoresQDasAcoes[acao] = this.consultarValorQ(estado, acao);
     }
 
     const valorMaximoQ = Math.max(...Object.values(valoresQDasAcoes));
-    const melhoresAcoes = Object.entries(valoresQDasAcoes)
+    return Object.entries(valoresQDasAcoes)
       .filter(([_, valor]) => valor === valorMaximoQ)
       .map(([acao]) => parseInt(acao));
+  }
+
+  /**
+   * Verifica se o agente já tem alguma experiência registrada em um estado.
+   * 
+   * @param {string} estado - O estado do tabuleiro real (JSON)
+   * @returns {boolean} True se o estado existe na Tabela Q com ao menos uma ação
+   */
+  conheceEstado(estado) {
+    const [chave] = this.#traduzirParaTabelaQ(estado);
+    return chave in this.tabelaQ && Object.keys(this.tabelaQ[chave]).length > 0;
+  }
+
+  /**
+   * Conta uma visita ao par (estado, ação): mais uma vez que o Agente jogou
+   * essa ação nesse estado durante o treino.
+   * 
+   * É como o contador de "monstros abatidos" do Ragnarok: quanto maior,
+   * mais o jogador conhece aquele monstro (e mais confia na sua opinião).
+   * 
+   * @param {string} estado - O estado do tabuleiro real (JSON)
+   * @param {number} acao - A ação jogada
+   * @returns {void}
+   */
+  registrarVisita(estado, acao) {
+    [estado, acao] = this.#traduzirParaTabelaQ(estado, acao);
+    gravarValorQ(this.visitas, estado, acao, lerValorQ(this.visitas, estado, acao) + 1);
+  }
+
+  /**
+   * Quantas vezes o Agente jogou a ação no estado durante o treino, N(s,a).
+   * 
+   * @param {string} estado - O estado do tabuleiro real (JSON)
+   * @param {number} acao - A ação
+   * @returns {number} O número de visitas (0 se nunca jogada)
+   */
+  obterVisitas(estado, acao) {
+    [estado, acao] = this.#traduzirParaTabelaQ(estado, acao);
+    return lerValorQ(this.visitas, estado, acao);
+  }
+
+  /**
+   * Resume a cobertura da Tabela Q pelas visitas N(s,a).
+   * 
+   * É como o "Bestiário" do jogador: mostra quantos monstros ele enfrentou
+   * muitas vezes, quantos viu só de passagem e quais mal conhece.
+   * 
+   * @param {number} [quantidadeDeEstados=5] - Quantos estados menos visitados listar
+   * @returns {{faixas: Array<{rotulo: string, pares: number}>, paresSemVisitas: number,
+   *   estadosMenosVisitados: Array<{estado: string, visitas: number}>}} Pares (estado, ação) da
+   *   Tabela Q por faixa de visitas, pares nunca jogados e os estados visitados menos vezes
+   */
+  obterCobertura(quantidadeDeEstados = 5) {
+    const faixas = [
+      { rotulo: '1', minimo: 1, pares: 0 },
+      { rotulo: '2-9', minimo: 2, pares: 0 },
+      { rotulo: '10-99', minimo: 10, pares: 0 },
+      { rotulo: '100-999', minimo: 100, pares: 0 },
+      { rotulo: '1.000+', minimo: 1000, pares: 0 }
+    ];
+    let paresSemVisitas = 0;
+    const visitasPorEstado = [];
+
+    for (const [estado, acoes] of Object.entries(this.tabelaQ)) {
+      let visitasDoEstado = 0;
+      for (const acao of Object.keys(acoes)) {
+        const visitas = lerValorQ(this.visitas, estado, acao);
+        visitasDoEstado += visitas;
+        if (visitas === 0) {
+          paresSemVisitas++;
+        } else {
+          faixas.findLast(faixa => visitas >= faixa.minimo).pares++;
+        }
+      }
+      if (visitasDoEstado > 0) {
+        visitasPorEstado.push({ estado, visitas: visitasDoEstado });
+      }
+    }
+
+    visitasPorEstado.sort((a, b) => a.visitas - b.visitas);
+    return {
+      faixas: faixas.map(({ rotulo, pares }) => ({ rotulo, pares })),
+      paresSemVisitas,
+      estadosMenosVisitados: visitasPorEstado.slice(0, quantidadeDeEstados)
+    };
+  }
 
-    return melhoresAcoes[Math.floor(Math.random() * melhoresAcoes.length)];
+  /**
+   * Traduz um par (estado, ação) do tabuleiro real para a chave usada na Tabela Q.
+   * 
+   * Com `usarSimetrias` desligado, nada muda. Ligado, o estado vira o seu
+   * representante canônico e a ação é girada/espelhada junto com ele, como
+   * reconhecer o mesmo monstro mesmo que ele apareça de costas no mapa.
+   * 
+   * A última canonização fica guardada, pois o mesmo estado costuma ser
+   * consultado várias vezes seguidas (escolha, registro e aprendizado).
+   * 
+   * @private
+   * @param {string} estado - O estado do tabuleiro real (JSON)
+   * @param {number} [acao] - A ação no tabuleiro real
+   * @returns {[string, number]} O estado e a ação como guardados na Tabela Q
+   */
+  #traduzirParaTabelaQ(estado, acao) {
+    if (!this.usarSimetrias) {
+      return [estado, acao];
+    }
+
+    if (this.#ultimaCanonizacao?.estadoReal !== estado) {
+      this.#ultimaCanonizacao = { estadoReal: estado, ...canonizarTabuleiro(JSON.parse(estado)) };
+    }
+
+    const { estado: estadoCanonico, simetrias } = this.#ultimaCanonizacao;
+    const acaoCanonica = acao === undefined ? undefined : traduzirAcaoParaCanonica(Number(acao), simetrias);
+    return [estadoCanonico, acaoCanonica];
   }
 
   // --- MÉTODOS PARA O CICLO DE TREINAMENTO (GERENCIADOS PELO TREINADOR) ---
@@ -249,6 +886,7 @@ export class AgenteQLearning {
    */
   iniciarNovaPartida() {
     this.historicoPartida = [];
+    this.#inicioDosRastros = 0;
   }
 
   /**
@@ -257,12 +895,32 @@ export class AgenteQLearning {
    * É como anotar no "diário de bordo" cada movimento que você fez na quest,
    * para depois analisar o que deu certo e o que deu errado.
    * 
+   * Nas regras on-policy (SARSA e Expected SARSA) e no aprendizado a cada
+   * jogada (TD), é aqui que a jogada anterior é atualizada: só agora o Agente
+   * sabe como o adversário respondeu e qual ação ele mesmo escolheu em
+   * seguida (no n-step, a jogada atualizada é a de `n` passos atrás; no
+   * Q(λ), todas as jogadas no rastro). A recompensa intermediária é 0; a
+   * final chega em `aprenderComFimDePartida`.
+   * 
+   * A jogada também conta como uma visita ao par (estado, ação), N(s,a).
+   * 
    * @param {string} estado - O estado do tabuleiro no momento da jogada
    * @param {number} acao - A ação (posição) escolhida
+   * @param {Array<number>} [acoesValidas] - Ações que estavam disponíveis (usadas pelo Expected SARSA)
    * @returns {void}
    */
-  registrarJogada(estado, acao) {
-    this.historicoPartida.push([estado, acao]);
+  registrarJogada(estado, acao, acoesValidas) {
+    this.registrarVisita(estado, acao);
+
+    if (this.aprendePorJogada() && this.historicoPartida.length > 0) {
+      if (this.lambda !== null) {
+        this.#aprenderComRastros(0, [estado, acao, acoesValidas]);
+      } else {
+        this.#aprenderNPassos([estado, acao, acoesValidas]);
+      }
+    }
+
+    this.historicoPartida.push([estado, acao, acoesValidas]);
   }
 
   /**
@@ -270,24 +928,52 @@ export class AgenteQLearning {
    * 
    * É como ganhar EXP no Ragnarok: depois da batalha, você revisa tudo que fez
    * (do fim para o começo) e aprende quais movimentos foram bons ou ruins.
-   * O Agente também fica menos curioso (epsilon decay) à medida que ganha experiência.
+   * O Agente também fica menos curioso (epsilon decay, ou o cronograma da
+   * estratégia de exploração) à medida que ganha experiência.
    * 
    * O aprendizado acontece de trás pra frente porque:
    * - A última jogada teve impacto direto no resultado
    * - Jogadas anteriores tiveram impacto mais indireto (multiplicado por gamma)
    * 
+   * Nas regras on-policy, no aprendizado a cada jogada (TD), no n-step e no
+   * Q(λ), as jogadas anteriores já foram atualizadas em `registrarJogada`;
+   * aqui só faltam as últimas, que recebem a recompensa final.
+   * 
    * Este método é chamado pelo Treinador ao final de cada jogo.
    * 
    * @param {number} recompensaFinal - Recompensa final da partida (+1 vitória, -1 derrota, 0 empate)
    * @returns {void}
+   * @throws {Error} Se o Agente usa Double Q e aprende só no fim da partida (Monte Carlo)
    */
   aprenderComFimDePartida(recompensaFinal) {
+    if (this.usarDuploQ && !this.aprendePorJogada()) {
+      throw new Error(
+        "O Double Q só funciona aprendendo a cada jogada (modo 'td', SARSA, n-step ou Q(λ)): " +
+        "no Monte Carlo não há valor futuro estimado para corrigir."
+      );
+    }
+
     this.partidasTreinadas += 1;
     
     if (recompensaFinal > 0) this.vitorias++;
     else if (recompensaFinal < 0) this.derrotas++;
     else this.empates++;
 
+    if (this.aprendePorJogada()) {
+      const totalDeJogadas = this.historicoPartida.length;
+      if (totalDeJogadas > 0 && this.lambda !== null) {
+        this.#aprenderComRastros(recompensaFinal, null);
+      } else {
+        // As últimas n jogadas ainda não foram atualizadas: o retorno delas é a recompensa final descontada
+        for (let i = Math.max(0, totalDeJogadas - this.n); i < totalDeJogadas; i++) {
+          const [estado, acao] = this.historicoPartida[i];
+          this.#atualizarValorQ(estado, acao, recompensaFinal * Math.pow(this.gamma, totalDeJogadas - 1 - i), 0, null);
+        }
+      }
+      this.exploracao.aoFimDaPartida(this);
+      return;
+    }
+
     // Propaga a recompensa final para trás, valorizando as jogadas
     // que levaram a este resultado. Reutiliza o método 'aprender' para
     // manter a lógica centralizada.
@@ -298,7 +984,20 @@ export class AgenteQLearning {
       recompensaFinal *= this.gamma;
     }
 
-    this.reduzirEpsilon();
+    this.exploracao.aoFimDaPartida(this);
+  }
+
+  /**
+   * Indica se o Agente atualiza cada jogada durante a partida (TD) em vez
+   * de propagar a recompensa só no fim (Monte Carlo).
+   * 
+   * As regras on-policy, o n-step e o Q(λ) sempre aprendem assim, pois
+   * dependem das jogadas seguintes.
+   * 
+   * @returns {boolean} true se o aprendizado acontece jogada a jogada
+   */
+  aprendePorJogada() {
+    return this.aprenderACadaJogada || this.regraDeAtualizacao !== 'q-learning' || this.n > 1 || this.lambda !== null;
   }
 
   /**
@@ -310,9 +1009,16 @@ export class AgenteQLearning {
    * 
    * Fórmula: epsilon = max(epsilon_minimo, epsilon × taxa_decaimento)
    * 
+   * Com `cronogramaEpsilon`, o epsilon passa a ser o valor do cronograma
+   * no número atual de partidas treinadas.
+   * 
    * @returns {void}
    */
   reduzirEpsilon() {
+    if (this.cronogramaEpsilon) {
+      this.epsilon = this.cronogramaEpsilon.consultar(this.partidasTreinadas);
+      return;
+    }
     this.epsilon = Math.max(
       this.epsilonMinimo,
       this.epsilon * this.taxaDecaimentoEpsilon
@@ -320,32 +1026,82 @@ export class AgenteQLearning {
   }
 
   /**
-   * Salva o conhecimento do Agente (a Tabela Q) em um arquivo JSON.
+   * Monta o cabeçalho do arquivo de modelo com a "ficha" completa do Agente.
+   * 
+   * É a "Character Info" que vai junto com o save: atributos (hiperparâmetros),
+   * histórico de batalhas (estatísticas) e de qual treino o personagem veio.
+   * 
+   * Com semente, a data de criação fica de fora (null): assim dois treinos com a
+   * mesma semente geram arquivos idênticos byte a byte.
+   *
+   * @returns {Object} Cabeçalho com data de criação, treino, semente, tabuleiro,
+   *   identidade, hiperparâmetros e estatísticas
+   */
+  obterCabecalho() {
+    return {
+      criadoEm: this.semente === null ? new Date().toISOString() : null,
+      idTreino: this.idTreino,
+      semente: this.semente,
+      dimensao: this.dimensao,
+      jogador: this.jogador,
+      hiperparametros: {
+        alpha: this.alpha,
+        gamma: this.gamma,
+        epsilon: this.epsilon,
+        epsilonMinimo: this.epsilonMinimo,
+        taxaDecaimentoEpsilon: this.taxaDecaimentoEpsilon,
+        usarSimetrias: this.usarSimetrias,
+        regraDeAtualizacao: this.regraDeAtualizacao,
+        usarDuploQ: this.usarDuploQ,
+        n: this.n,
+        lambda: this.lambda,
+        exploracao: this.exploracao.obterConfiguracao(),
+        cronogramaEpsilon: this.cronogramaEpsilon?.obterConfiguracao() ?? null,
+        cronogramaAlpha: this.cronogramaAlpha?.obterConfiguracao() ?? null
+      },
+      estatisticas: {
+        partidasTreinadas: this.partidasTreinadas,
+        vitorias: this.vitorias,
+        derrotas: this.derrotas,
+        empates: this.empates
+      }
+    };
+  }
+
+  /**
+   * Salva o conhecimento do Agente (a Tabela Q) e sua ficha em um arquivo JSON.
    * 
    * É como salvar o "save game" no Ragnarok: toda a experiência e conhecimento
    * adquirido é preservado para ser usado depois. O diretório é criado
    * automaticamente se não existir.
    * 
+   * O arquivo segue o formato versionado (`VERSAO_FORMATO_MODELO`):
+   * `{ versaoFormato, cabecalho, tabelaQ, visitas }`. No Double Q-Learning,
+   * as duas tabelas também são salvas, em `tabelasQDuplas`.
+   * 
    * Nota: O salvamento é silencioso para não poluir o console durante
    * treinamentos em massa com muitos checkpoints.
    * 
    * @param {string} caminho - Caminho onde salvar o arquivo JSON
+   * @param {Object} [metadados] - Origem do modelo, informada pelo Treinador
+   * @param {string} [metadados.idTreino] - Identificador da execução de treino
+   * @param {Object} [metadados.dimensao] - Tabuleiro ({linhas, colunas, sequenciaParaVencer, comGravidade})
+   * @param {number|null} [metadados.semente] - Semente do gerador aleatório usada no treino
    * @returns {void}
    * @throws {Error} Se houver problema ao salvar o arquivo
    */
-  salvarMemoria(caminho) {
-    const caminhoCompleto = path.resolve(caminho);
-    const diretorio = path.dirname(caminhoCompleto);
-
-    if (!fs.existsSync(diretorio)) {
-      fs.mkdirSync(diretorio, { recursive: true });
-    }
+  salvarMemoria(caminho, { idTreino, dimensao, semente } = {}) {
+    if (idTreino !== undefined) this.idTreino = idTreino;
+    if (dimensao !== undefined) this.dimensao = dimensao;
+    if (semente !== undefined) this.semente = semente;
 
     try {
-      fs.writeFileSync(
-        caminhoCompleto,
-        JSON.stringify(this.tabelaQ, null, 2)
-      );
+      escreverArquivoModelo(caminho, {
+        cabecalho: this.obterCabecalho(),
+        tabelaQ: this.tabelaQ,
+        tabelasQDuplas: this.usarDuploQ ? { tabelaQA: this.tabelaQA, tabelaQB: this.tabelaQB } : undefined,
+        visitas: this.visitas
+      });
     } catch (err) {
       throw new Error(`Erro ao salvar memória: ${err.message}`);
     }
@@ -358,27 +1114,71 @@ export class AgenteQLearning {
    * a experiência e conhecimento que tinha antes. Se o arquivo não existir,
    * o Agente começa do zero (tabela Q vazia).
    * 
-   * Permite sobrescrever hiperparâmetros no momento do carregamento.
+   * Nos arquivos com cabeçalho, hiperparâmetros, jogador e estatísticas são
+   * restaurados exatamente como foram salvos. Arquivos antigos (apenas a
+   * Tabela Q) continuam sendo lidos, com os valores padrão para o resto.
+   * 
+   * Permite sobrescrever hiperparâmetros no momento do carregamento
+   * (por exemplo, `epsilon: 0` para jogar sem explorar).
    * 
    * @static
-   * @param {string} caminho - Caminho do arquivo JSON contendo a tabela Q
-   * @param {Object} kwargs - Hiperparâmetros customizados (alpha, gamma, etc.)
+   * @param {string} caminho - Caminho do arquivo JSON do modelo
+   * @param {Object} kwargs - Hiperparâmetros customizados (alpha, gamma, etc.), que têm prioridade sobre os salvos
    * @returns {AgenteQLearning} Nova instância do agente com memória carregada
+   * @throws {Error} Se o arquivo for de uma versão de formato não suportada, ou se `usarSimetrias`
+   *   for pedido para um modelo treinado com gravidade
    */
   static carregar(caminho, kwargs = {}) {
-    // Cria um novo agente, passando quaisquer hiperparâmetros customizados
-    const agente = new AgenteQLearning(kwargs);
-
     const caminhoCompleto = path.resolve(caminho);
 
-    if (fs.existsSync(caminhoCompleto)) {
-      const dados = fs.readFileSync(caminhoCompleto, 'utf-8');
-      agente.tabelaQ = JSON.parse(dados);
+    if (!fs.existsSync(caminhoCompleto)) {
+      const agente = new AgenteQLearning(kwargs);
+      console.log(`⚠️  Aviso: Nenhum arquivo de memória encontrado em ${caminho}. O Agente (${agente.simbolo}) começará do zero.`);
+      return agente;
+    }
+
+    const { versaoFormato, cabecalho, tabelaQ, tabelasQDuplas, visitas } = lerArquivoModelo(caminhoCompleto);
+
+    // Os valores salvos servem de base; os passados em kwargs têm prioridade
+    const configSalva = cabecalho ? { ...cabecalho.hiperparametros } : {};
+    if (cabecalho?.jogador) configSalva.jogador = cabecalho.jogador;
+
+    const agente = new AgenteQLearning({ ...configSalva, ...kwargs });
+    if (agente.usarSimetrias && cabecalho?.dimensao?.comGravidade) {
+      throw new Error("A canonização por simetria não é suportada em modelos treinados com gravidade.");
+    }
+    agente.tabelaQ = tabelaQ;
+    // Modelos salvos antes das visitas começam sem contagens
+    agente.visitas = visitas ?? {};
+
+    if (agente.usarDuploQ) {
+      // Um modelo comum vira o ponto de partida das duas tabelas
+      agente.tabelaQA = tabelasQDuplas ? tabelasQDuplas.tabelaQA : structuredClone(tabelaQ);
+      agente.tabelaQB = tabelasQDuplas ? tabelasQDuplas.tabelaQB : structuredClone(tabelaQ);
+    }
+
+    if (cabecalho) {
+      agente.partidasTreinadas = cabecalho.estatisticas.partidasTreinadas;
+      agente.vitorias = cabecalho.estatisticas.vitorias;
+      agente.derrotas = cabecalho.estatisticas.derrotas;
+      agente.empates = cabecalho.estatisticas.empates;
+      agente.idTreino = cabecalho.idTreino;
+      agente.dimensao = cabecalho.dimensao;
+      agente.semente = cabecalho.semente ?? null;
+    }
+
+    // O cronograma recomeçou do zero no construtor: volta ao ponto do treino salvo
+    // (ou ao epsilon pedido em kwargs, como `epsilon: 0` para jogar sem explorar)
+    if (agente.cronogramaEpsilon) {
+      agente.epsilon = 'epsilon' in kwargs ? kwargs.epsilon : agente.cronogramaEpsilon.consultar(agente.partidasTreinadas);
+    }
 
-      console.log(`✅ Memória do Agente (${agente.simbolo}) carregada de: ${caminhoCompleto}`);
-      console.log(`   - O Agente conhece ${Object.keys(agente.tabelaQ).length.toLocaleString('pt-BR')} situações de jogo.`);
+    console.log(`✅ Memória do Agente (${agente.simbolo}) carregada de: ${caminhoCompleto}`);
+    console.log(`   - O Agente conhece ${Object.keys(agente.tabelaQ).length.toLocaleString('pt-BR')} situações de jogo.`);
+    if (versaoFormato === 0) {
+      console.log(`   - Arquivo no formato antigo (sem cabeçalho): hiperparâmetros e estatísticas não foram restaurados.`);
     } else {
-      console.log(`⚠️  Aviso: Nenhum arquivo de memória encontrado em ${caminho}. O Agente (${agente.simbolo}) começará do zero.`);
+      console.log(`   - Treinado por ${agente.partidasTreinadas.toLocaleString('pt-BR')} partidas (treino: ${agente.idTreino ?? 'desconhecido'}).`);
     }
 
     return agente;
@@ -411,11 +1211,41 @@ export class AgenteQLearning {
     console.log(`${'='.repeat(50)}`);
     console.log(`Partidas treinadas:   ${this.partidasTreinadas.toLocaleString('pt-BR')}`);
     console.log(`Estados conhecidos:   ${Object.keys(this.tabelaQ).length.toLocaleString('pt-BR')}`);
-    console.log(`Curiosidade (Epsilon):${this.epsilon.toFixed(4)}`);
+    console.log(`Curiosidade (Epsilon):${this.epsilon.toFixed(4)}${this.cronogramaEpsilon ? ` (${this.cronogramaEpsilon.tipo})` : ''}`);
+    console.log(`Aprendizado (Alpha):  ${this.alpha.toFixed(4)}${this.cronogramaAlpha ? ` (${this.cronogramaAlpha.tipo})` : ''}`);
+    console.log(`Exploração:           ${this.exploracao.tipo}`);
+    console.log(`Regra de atualização: ${this.regraDeAtualizacao}${this.usarDuploQ ? ' (Double Q)' : ''}`);
+    if (this.n > 1) console.log(`Passos por atualização (n): ${this.n}`);
+    if (this.lambda !== null) console.log(`Rastros de elegibilidade (λ): ${this.lambda}`);
+    this.#imprimirCobertura();
     console.log(`\n--- Desempenho ---`);
     console.log(`Vitórias:   ${String(this.vitorias).padStart(6)} (${(taxaVitoria * 100).toFixed(1).padStart(5)}%)`);
     console.log(`Empates:    ${String(this.empates).padStart(6)} (${(taxaEmpate * 100).toFixed(1).padStart(5)}%)`);
     console.log(`Derrotas:   ${String(this.derrotas).padStart(6)} (${(taxaDerrota * 100).toFixed(1).padStart(5)}%)`);
     console.log(`${'='.repeat(50)}\n`);
   }
+
+  /**
+   * Imprime o histograma de visitas e os estados menos visitados.
+   * 
+   * @private
+   * @returns {void}
+   */
+  #imprimirCobertura() {
+    const { faixas, paresSemVisitas, estadosMenosVisitados } = this.obterCobertura();
+    const maiorFaixa = Math.max(1, ...faixas.map(faixa => faixa.pares));
+
+    console.log(`\n--- Cobertura (visitas por jogada) ---`);
+    for (const { rotulo, pares } of faixas) {
+      const barra = '█'.repeat(Math.round((pares / maiorFaixa) * 30));
+      console.log(`${rotulo.padStart(7)} visitas: ${barra} ${pares.toLocaleString('pt-BR')}`);
+    }
+    console.log(`Jogadas sem visitas: ${paresSemVisitas.toLocaleString('pt-BR')}`);
+    if (estadosMenosVisitados.length > 0) {
+      console.log(`Estados menos visitados:`);
+      for (const { estado, visitas } of estadosMenosVisitados) {
+        console.log(`   ${estado}: ${visitas.toLocaleString('pt-BR')} visita(s)`);
+      }
+    }
+  }
 }
@@ -0,0 +1,61 @@
+/**
+ * @Modulo 🎲 jogo-da-velha/aleatorio.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Este módulo define um gerador de números aleatórios com semente (seed).
+ *
+ * `Math.random()` não aceita semente, então duas execuções nunca sorteiam
+ * os mesmos números. Com um gerador semeado, o mesmo treino pode ser
+ * repetido exatamente, o que é essencial para depurar e comparar resultados.
+ *
+ * Os geradores seguem a mesma interface de `Math.random`: uma função sem
+ * argumentos que devolve um número em [0, 1). Assim, qualquer classe que
+ * aceite `aleatorio` funciona tanto com `Math.random` quanto com um gerador semeado.
+ */
+
+/**
+ * Cria um gerador de números aleatórios determinístico (algoritmo Mulberry32).
+ *
+ * É como o "RNG" de um servidor privado de Ragnarok com a semente fixa:
+ * quem souber a semente consegue prever todos os drops, na mesma ordem.
+ *
+ * O estado interno (um inteiro de 32 bits) pode ser lido com `obterEstado()`
+ * e restaurado com `definirEstado(estado)`, para que um treino retomado de um
+ * checkpoint continue a mesma sequência, como se nunca tivesse parado.
+ *
+ * @param {number} semente - Número inteiro que define a sequência sorteada
+ * @returns {{(): number, obterEstado: function(): number, definirEstado: function(number): void}}
+ *   Função que devolve um número em [0, 1) a cada chamada
+ */
+export function criarGeradorAleatorio(semente) {
+  let estado = semente >>> 0;
+
+  function aleatorio() {
+    estado = (estado + 0x6D2B79F5) >>> 0;
+    let t = estado;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  aleatorio.obterEstado = () => estado;
+  aleatorio.definirEstado = novoEstado => {
+    estado = novoEstado >>> 0;
+  };
+
+  return aleatorio;
+}
+
+/**
+ * Deriva uma nova semente a partir de uma semente base e de um índice.
+ *
+ * Útil para dar a cada participante (por exemplo, cada worker de um treino
+ * paralelo) a sua própria sequência, sem que elas fiquem parecidas entre si.
+ *
+ * @param {number} semente - Semente base
+ * @param {number} indice - Índice do participante (0, 1, 2, ...)
+ * @returns {number} Uma nova semente inteira de 32 bits
+ */
+export function derivarSemente(semente, indice) {
+  return (Math.imul((semente >>> 0) ^ Math.imul(indice + 1, 0x9E3779B9), 0x85EBCA6B) ^ indice) >>> 0;
+}
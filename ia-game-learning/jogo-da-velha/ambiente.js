@@ -13,9 +13,64 @@
  * - Fornecer recompensas com base no resultado da partida.
  */
 
+import { canonizarTabuleiro } from './simetria.js';
+
+/**
+ * Gera todas as combinações vencedoras para um tabuleiro de `linhas` x `colunas`.
+ * 
+ * Condição para vitória: Alinhar `sequenciaParaVencer` casas consecutivas
+ * em uma linha, uma coluna ou em qualquer diagonal (não só as principais).
+ * É como mapear todas as "rotas de vitória" possíveis no tabuleiro: uma
+ * "janela" de tamanho k desliza por todas as posições em cada direção.
+ * 
+ * Fica fora da classe para que variantes (como o ambiente com gravidade)
+ * possam reaproveitá-la com tabuleiros retangulares.
+ * 
+ * @param {number} linhas - Quantidade de linhas do tabuleiro
+ * @param {number} colunas - Quantidade de colunas do tabuleiro
+ * @param {number} sequenciaParaVencer - Quantas casas consecutivas (k) vencem a partida
+ * @returns {Array<Array<number>>} Uma lista de listas com todas as combinações de vitória
+ */
+export function gerarCombinacoesDeVitoria(linhas, colunas, sequenciaParaVencer) {
+  const combinacoes = [];
+  const k = sequenciaParaVencer;
+
+  // Cada direção é um deslocamento [linha, coluna]:
+  // → horizontal, ↓ vertical, ↘ diagonal e ↙ antidiagonal
+  const direcoes = [
+    [0, 1],
+    [1, 0],
+    [1, 1],
+    [1, -1]
+  ];
+
+  for (const [deltaLinha, deltaColuna] of direcoes) {
+    for (let linha = 0; linha < linhas; linha++) {
+      for (let coluna = 0; coluna < colunas; coluna++) {
+        const linhaFinal = linha + deltaLinha * (k - 1);
+        const colunaFinal = coluna + deltaColuna * (k - 1);
+
+        // Descarta janelas que sairiam do tabuleiro
+        if (linhaFinal >= linhas || colunaFinal < 0 || colunaFinal >= colunas) {
+          continue;
+        }
+
+        const combinacao = [];
+        for (let passo = 0; passo < k; passo++) {
+          combinacao.push((linha + deltaLinha * passo) * colunas + (coluna + deltaColuna * passo));
+        }
+        combinacoes.push(combinacao);
+      }
+    }
+  }
+
+  return combinacoes;
+}
+
 /**
  * Representa o ambiente completo do Jogo da Velha, com suporte a tabuleiros
- * de tamanho N x N (Mínimo de 3x3 até 9x9).
+ * de tamanho N x N (Mínimo de 3x3 até 9x9) e vitória por "k em linha"
+ * (estilo Gomoku), onde k pode ser menor que N.
  * 
  * É como a "arena" ou "mapa" no Ragnarok onde as batalhas acontecem.
  * O ambiente mantém as regras do jogo e garante que tudo funcione corretamente.
@@ -25,14 +80,19 @@
  * - 1 representa o jogador 'X'
  * - 2 representa o jogador 'O'
  * 
- * @property {number} dimensao - Tamanho do tabuleiro (NxN)
+ * @property {number|null} dimensao - Tamanho do tabuleiro quadrado (NxN), ou null se ele for retangular.
+ *   Para percorrer o tabuleiro, use sempre `linhas` e `colunas`
+ * @property {number} linhas - Quantidade de linhas do tabuleiro (igual à dimensão)
+ * @property {number} colunas - Quantidade de colunas do tabuleiro (igual à dimensão)
+ * @property {number} sequenciaParaVencer - Quantas casas consecutivas (k) são necessárias para vencer
  * @property {number} numeroDeCasas - Total de casas no tabuleiro
- * @property {number} jogadorInicial - Jogador que inicia (sempre 1/'X')
+ * @property {number} jogadorInicial - Jogador 'X' (1); quem abre cada partida é sorteado em reiniciarPartida, salvo se informado
  * @property {Array<Array<number>>} combinacoesDeVitoria - Todas as combinações vencedoras possíveis
  * @property {Array<number>} tabuleiro - Estado atual do tabuleiro
  * @property {number} jogadorAtual - Jogador da vez (1 ou 2)
  * @property {boolean} partidaFinalizada - Indica se a partida terminou
  * @property {number|null} vencedor - Vencedor da partida (1, 2 ou 0 para empate)
+ * @property {function(): number} aleatorio - Gerador de números em [0, 1) usado no sorteio de quem começa
  */
 export class AmbienteJogoDaVelha {
   /**
@@ -41,80 +101,46 @@ export class AmbienteJogoDaVelha {
    * É como criar uma nova "sala de batalha" no Ragnarok com um mapa específico.
    * 
    * @param {number} [dimensao=3] - Tamanho do tabuleiro (entre 3 e 9). Padrão é 3
-   * @throws {Error} Se o tamanho for fora dos limites permitidos
+   * @param {number} [sequenciaParaVencer=dimensao] - Quantas casas consecutivas (k) vencem a partida.
+   *   Padrão é a dimensão inteira, como no Jogo da Velha clássico
+   * @param {function(): number} [aleatorio=Math.random] - Gerador de números em [0, 1).
+   *   Use um gerador com semente (veja `aleatorio.js`) para partidas reproduzíveis
+   * @throws {Error} Se o tamanho ou a sequência forem fora dos limites permitidos
    */
-  constructor(dimensao = 3) {
+  constructor(dimensao = 3, sequenciaParaVencer = dimensao, aleatorio = Math.random) {
     if (dimensao < 3 || dimensao > 9) {
       throw new Error("O tamanho do tabuleiro deve estar entre 3 e 9.");
     }
+    if (sequenciaParaVencer < 3 || sequenciaParaVencer > dimensao) {
+      throw new Error(`A sequência para vencer deve estar entre 3 e ${dimensao}.`);
+    }
 
     this.dimensao = dimensao;
+    this.linhas = dimensao;
+    this.colunas = dimensao;
+    this.sequenciaParaVencer = sequenciaParaVencer;
     this.numeroDeCasas = dimensao * dimensao;
-    this.jogadorInicial = 1; // Significa que o jogador 'X' sempre inicia
+    this.jogadorInicial = 1; // Padrão 'X'; sem jogador informado, reiniciarPartida sorteia quem começa
+    this.aleatorio = aleatorio;
 
-    this.combinacoesDeVitoria = this.#gerarCombinacoesDeVitoria();
+    this.combinacoesDeVitoria = gerarCombinacoesDeVitoria(this.linhas, this.colunas, this.sequenciaParaVencer);
 
     this.reiniciarPartida();
   }
 
-  /**
-   * Gera todas as combinações vencedoras para o tabuleiro atual.
-   * 
-   * Condição para vitória: Completar uma linha, uma coluna ou uma diagonal.
-   * É como mapear todas as "rotas de vitória" possíveis no tabuleiro.
-   * 
-   * @private
-   * @returns {Array<Array<number>>} Uma lista de listas com todas as combinações de vitória
-   */
-  #gerarCombinacoesDeVitoria() {
-    const combinacoes = [];
-
-    // 1️⃣ Linhas (horizontais)
-    for (let i = 0; i < this.numeroDeCasas; i += this.dimensao) {
-      const linha = [];
-      for (let j = 0; j < this.dimensao; j++) {
-        linha.push(i + j);
-      }
-      combinacoes.push(linha);
-    }
-
-    // 2️⃣ Colunas (verticais)
-    for (let i = 0; i < this.dimensao; i++) {
-      const coluna = [];
-      for (let j = 0; j < this.dimensao; j++) {
-        coluna.push(i + j * this.dimensao);
-      }
-      combinacoes.push(coluna);
-    }
-
-    // 3️⃣ Diagonal principal (↘)
-    const diagonalPrincipal = [];
-    for (let i = 0; i < this.dimensao; i++) {
-      diagonalPrincipal.push(i * (this.dimensao + 1));
-    }
-    combinacoes.push(diagonalPrincipal);
-
-    // 4️⃣ Diagonal secundária (↙)
-    const diagonalSecundaria = [];
-    for (let i = 0; i < this.dimensao; i++) {
-      diagonalSecundaria.push((i + 1) * (this.dimensao - 1));
-    }
-    combinacoes.push(diagonalSecundaria);
-
-    return combinacoes;
-  }
-
   /**
    * Reinicia o jogo, limpando o tabuleiro e resetando as variáveis internas.
    * 
    * É como iniciar uma nova partida no Ragnarok: tudo volta ao estado inicial.
-   * O jogador inicial é escolhido aleatoriamente entre X e O.
+   * O jogador inicial é escolhido aleatoriamente entre X e O, a menos que
+   * seja informado (como na avaliação, que testa as duas ordens).
    * 
+   * @param {number|null} [jogadorInicial=null] - Quem começa (1 ou 2), ou null para sortear
    * @returns {Array<number>} O estado inicial do tabuleiro (vetor de zeros)
    */
-  reiniciarPartida() {
+  reiniciarPartida(jogadorInicial = null) {
     this.tabuleiro = new Array(this.numeroDeCasas).fill(0);
-    this.jogadorAtual = Math.random() < 0.5 ? 1 : 2;
+    this.jogadorAtual = jogadorInicial ?? (this.aleatorio() < 0.5 ? 1 : 2);
     this.partidaFinalizada = false;
     this.vencedor = null;
     return this.obterEstado();
@@ -132,6 +158,63 @@ export class AmbienteJogoDaVelha {
     return [...this.tabuleiro];
   }
 
+  /**
+   * Posiciona o ambiente em um estado arbitrário do tabuleiro.
+   *
+   * É como carregar um "replay" no meio da partida no Ragnarok: o tabuleiro
+   * é restaurado exatamente como estava e o ambiente recalcula se a partida
+   * já terminou e quem venceu. Útil para quem recebe o tabuleiro de fora,
+   * como a API web.
+   *
+   * @param {Array<number>} tabuleiro - Vetor com N² casas (0 vazio, 1 'X', 2 'O')
+   * @param {number} jogadorAtual - Jogador da vez (1 ou 2)
+   * @returns {Array<number>} O estado carregado
+   * @throws {Error} Se o tabuleiro ou o jogador forem inválidos
+   */
+  definirEstado(tabuleiro, jogadorAtual) {
+    if (!Array.isArray(tabuleiro) || tabuleiro.length !== this.numeroDeCasas) {
+      throw new Error(`O tabuleiro deve ter ${this.numeroDeCasas} casas.`);
+    }
+    if (!tabuleiro.every(casa => casa === 0 || casa === 1 || casa === 2)) {
+      throw new Error("As casas do tabuleiro devem conter apenas 0, 1 ou 2.");
+    }
+    if (jogadorAtual !== 1 && jogadorAtual !== 2) {
+      throw new Error("O jogador atual deve ser 1 ('X') ou 2 ('O').");
+    }
+
+    this.tabuleiro = [...tabuleiro];
+    this.jogadorAtual = jogadorAtual;
+    this.partidaFinalizada = false;
+    this.vencedor = null;
+
+    if (this.#verificarVitoria(1)) {
+      this.partidaFinalizada = true;
+      this.vencedor = 1;
+    } else if (this.#verificarVitoria(2)) {
+      this.partidaFinalizada = true;
+      this.vencedor = 2;
+    } else if (this.obterAcoesValidas().length === 0) {
+      this.partidaFinalizada = true;
+      this.vencedor = 0;
+    }
+
+    return this.obterEstado();
+  }
+
+  /**
+   * Cria uma cópia independente do ambiente, com as mesmas regras e o mesmo estado.
+   * 
+   * É como abrir uma "sala de treino" idêntica à arena real: dá para simular
+   * jogadas à vontade (como faz o oráculo Minimax) sem bagunçar a partida de verdade.
+   * 
+   * @returns {AmbienteJogoDaVelha} Uma nova instância com o tabuleiro copiado
+   */
+  clonar() {
+    const copia = new AmbienteJogoDaVelha(this.dimensao, this.sequenciaParaVencer, this.aleatorio);
+    copia.definirEstado(this.tabuleiro, this.jogadorAtual);
+    return copia;
+  }
+
   /**
    * Retorna uma lista de índices de todas as jogadas possíveis.
    * 
@@ -158,6 +241,19 @@ export class AmbienteJogoDaVelha {
     return JSON.stringify(this.tabuleiro);
   }
 
+  /**
+   * Retorna o estado na sua forma canônica, ignorando rotações e reflexões.
+   * 
+   * É como reconhecer que duas arenas espelhadas no Ragnarok são, na prática,
+   * o mesmo mapa: as 8 orientações de um tabuleiro N x N geram a mesma chave.
+   * As simetrias devolvidas permitem traduzir as ações (veja `simetria.js`).
+   * 
+   * @returns {{estado: string, simetrias: Array<Object>}} Chave canônica e simetrias que a produzem
+   */
+  obterEstadoCanonico() {
+    return canonizarTabuleiro(this.tabuleiro);
+  }
+
   /**
    * Executa uma jogada no ambiente.
    * 
@@ -236,17 +332,17 @@ export class AmbienteJogoDaVelha {
     
     console.log();
     
-    for (let i = 0; i < this.dimensao; i++) {
-      const inicio = i * this.dimensao;
-      const fim = inicio + this.dimensao;
+    for (let i = 0; i < this.linhas; i++) {
+      const inicio = i * this.colunas;
+      const fim = inicio + this.colunas;
       const linha = this.tabuleiro
         .slice(inicio, fim)
         .map(casa => simbolos[casa]);
       
       console.log(" " + linha.join(" │ "));
       
-      if (i < this.dimensao - 1) {
-        console.log("───" + "┼───".repeat(this.dimensao - 1));
+      if (i < this.linhas - 1) {
+        console.log("───" + "┼───".repeat(this.colunas - 1));
       }
     }
     
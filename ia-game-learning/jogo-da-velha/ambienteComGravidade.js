@@ -0,0 +1,209 @@
+/**
+ * @Modulo 🧲 jogo-da-velha/ambienteComGravidade.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Este módulo define uma variante do ambiente com "gravidade", no estilo
+ * do clássico Lig 4 (Connect Four).
+ *
+ * A classe `AmbienteComGravidade` herda as regras de `AmbienteJogoDaVelha`
+ * e muda apenas o que é diferente:
+ * - As ações são colunas, e não casas.
+ * - A peça "cai" até a casa vazia mais baixa da coluna escolhida.
+ * - O tabuleiro pode ser retangular (linhas x colunas).
+ *
+ * Como o contrato público (`reiniciarPartida`, `obterAcoesValidas`,
+ * `executarJogada`, `obterEstadoComoTupla`) é o mesmo, o `Treinador` e o
+ * `AgenteQLearning` treinam nesta variante sem nenhuma alteração.
+ */
+
+import { AmbienteJogoDaVelha, gerarCombinacoesDeVitoria } from './ambiente.js';
+
+/**
+ * Ambiente de tabuleiro com gravidade (Lig 4).
+ *
+ * É como uma arena de Ragnarok com o chão "puxando" tudo para baixo:
+ * você escolhe apenas a coluna, e a gravidade decide em qual linha
+ * a sua peça vai parar.
+ *
+ * O tabuleiro continua sendo um vetor de `linhas * colunas` casas,
+ * lido linha a linha de cima para baixo (a linha 0 é o topo).
+ *
+ * @property {number} linhas - Quantidade de linhas do tabuleiro
+ * @property {number} colunas - Quantidade de colunas (e de ações possíveis)
+ * @property {number|null} dimensao - Igual às linhas e colunas se o tabuleiro for quadrado; null se não for
+ * @extends AmbienteJogoDaVelha
+ */
+export class AmbienteComGravidade extends AmbienteJogoDaVelha {
+  /**
+   * Inicializa o ambiente com gravidade.
+   *
+   * É como montar o "painel vertical" do Lig 4 antes da partida começar.
+   *
+   * @param {Object} config - Objeto de configuração do tabuleiro
+   * @param {number} [config.linhas=6] - Quantidade de linhas (entre 3 e 9)
+   * @param {number} [config.colunas=7] - Quantidade de colunas (entre 3 e 9)
+   * @param {number} [config.sequenciaParaVencer=4] - Quantas peças consecutivas (k) vencem a partida
+   * @param {function(): number} [config.aleatorio=Math.random] - Gerador de números em [0, 1)
+   * @throws {Error} Se as dimensões ou a sequência forem fora dos limites permitidos
+   */
+  constructor({ linhas = 6, colunas = 7, sequenciaParaVencer = 4, aleatorio = Math.random } = {}) {
+    if (linhas < 3 || linhas > 9 || colunas < 3 || colunas > 9) {
+      throw new Error("As linhas e colunas do tabuleiro devem estar entre 3 e 9.");
+    }
+
+    // A classe base valida a sequência contra o maior lado do tabuleiro
+    super(Math.max(linhas, colunas), sequenciaParaVencer, aleatorio);
+
+    // Um tabuleiro retangular não tem uma "dimensão" N, só linhas e colunas
+    this.dimensao = linhas === colunas ? linhas : null;
+    this.linhas = linhas;
+    this.colunas = colunas;
+    this.numeroDeCasas = linhas * colunas;
+    this.combinacoesDeVitoria = gerarCombinacoesDeVitoria(linhas, colunas, sequenciaParaVencer);
+
+    this.reiniciarPartida();
+  }
+
+  /**
+   * Retorna as colunas que ainda aceitam peças.
+   *
+   * Uma coluna só está cheia quando a casa do topo (linha 0) está ocupada.
+   *
+   * @returns {Array<number>} Lista de colunas disponíveis (0 a colunas-1)
+   */
+  obterAcoesValidas() {
+    const acoes = [];
+    for (let coluna = 0; coluna < this.colunas; coluna++) {
+      if (this.tabuleiro[coluna] === 0) {
+        acoes.push(coluna);
+      }
+    }
+    return acoes;
+  }
+
+  /**
+   * Solta uma peça na coluna escolhida.
+   *
+   * A peça cai até a casa vazia mais baixa da coluna; a partir daí, as regras
+   * de vitória, empate e troca de turno são as mesmas da classe base.
+   *
+   * @param {number} acao - Índice da coluna (0 a colunas-1)
+   * @returns {[Array<number>, number, boolean]} Tupla com [próximo_estado, recompensa, partida_finalizada]
+   * @throws {Error} Se a coluna não existir, estiver cheia ou a partida já terminou
+   */
+  executarJogada(acao) {
+    if (!Number.isInteger(acao) || acao < 0 || acao >= this.colunas) {
+      throw new Error(`Ação inválida: coluna ${acao} não existe.`);
+    }
+    if (this.partidaFinalizada) {
+      throw new Error("Partida finalizada.");
+    }
+
+    const casa = this.#obterCasaMaisBaixaLivre(acao);
+    if (casa === -1) {
+      throw new Error(`Ação inválida: coluna ${acao} cheia.`);
+    }
+
+    return super.executarJogada(casa);
+  }
+
+  /**
+   * Encontra a casa vazia mais baixa de uma coluna.
+   *
+   * @private
+   * @param {number} coluna - Índice da coluna
+   * @returns {number} Índice da casa no tabuleiro, ou -1 se a coluna estiver cheia
+   */
+  #obterCasaMaisBaixaLivre(coluna) {
+    for (let linha = this.linhas - 1; linha >= 0; linha--) {
+      const casa = linha * this.colunas + coluna;
+      if (this.tabuleiro[casa] === 0) {
+        return casa;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Cria uma cópia independente do ambiente com gravidade, no mesmo estado.
+   *
+   * @returns {AmbienteComGravidade} Uma nova instância com o tabuleiro copiado
+   */
+  clonar() {
+    const copia = new AmbienteComGravidade({
+      linhas: this.linhas,
+      colunas: this.colunas,
+      sequenciaParaVencer: this.sequenciaParaVencer,
+      aleatorio: this.aleatorio
+    });
+    copia.definirEstado(this.tabuleiro, this.jogadorAtual);
+    return copia;
+  }
+
+  /**
+   * A gravidade quebra as rotações do tabuleiro (as peças sempre caem para
+   * baixo), então a canonização por simetria não se aplica a esta variante.
+   *
+   * @throws {Error} Sempre
+   */
+  obterEstadoCanonico() {
+    throw new Error("A canonização por simetria não é suportada no ambiente com gravidade.");
+  }
+
+  /**
+   * Exibe o tabuleiro no console, com a numeração das colunas embaixo.
+   *
+   * Diferente do Jogo da Velha, aqui o jogador escolhe colunas, então o
+   * painel é desenhado fechado nas laterais e com o índice de cada coluna.
+   *
+   * @returns {void}
+   */
+  exibirTabuleiro() {
+    const simbolos = { 0: " ", 1: "X", 2: "O" };
+
+    console.log();
+
+    for (let i = 0; i < this.linhas; i++) {
+      const inicio = i * this.colunas;
+      const linha = this.tabuleiro
+        .slice(inicio, inicio + this.colunas)
+        .map(casa => simbolos[casa]);
+
+      console.log("│ " + linha.join(" │ ") + " │");
+    }
+
+    console.log("└───" + "┴───".repeat(this.colunas - 1) + "┘");
+
+    const indices = Array.from({ length: this.colunas }, (_, coluna) => String(coluna));
+    console.log("  " + indices.join("   "));
+
+    console.log();
+  }
+}
+
+/**
+ * Cria o ambiente descrito pelo tabuleiro de um modelo (o campo `dimensao` do
+ * cabeçalho salvo pelo Treinador): com ou sem gravidade, com as mesmas linhas,
+ * colunas e sequência para vencer do treino.
+ *
+ * É como abrir o mapa certo antes de rever um replay: avaliar um modelo em
+ * outra arena julgaria as jogadas pelas regras erradas.
+ *
+ * @param {Object} tabuleiro - Descrição do tabuleiro
+ * @param {number} tabuleiro.linhas - Quantidade de linhas
+ * @param {number} tabuleiro.colunas - Quantidade de colunas
+ * @param {number} tabuleiro.sequenciaParaVencer - Quantas peças consecutivas (k) vencem a partida
+ * @param {boolean} [tabuleiro.comGravidade=false] - Se as peças caem até o fundo da coluna (Lig 4)
+ * @param {function(): number} [aleatorio=Math.random] - Gerador de números em [0, 1)
+ * @returns {AmbienteJogoDaVelha} O ambiente com as regras do modelo
+ * @throws {Error} Se o tabuleiro sem gravidade não for quadrado
+ */
+export function criarAmbiente({ linhas, colunas, sequenciaParaVencer, comGravidade = false }, aleatorio = Math.random) {
+  if (comGravidade) {
+    return new AmbienteComGravidade({ linhas, colunas, sequenciaParaVencer, aleatorio });
+  }
+  if (linhas !== colunas) {
+    throw new Error(`O tabuleiro sem gravidade deve ser quadrado, mas tem ${linhas}x${colunas}.`);
+  }
+  return new AmbienteJogoDaVelha(linhas, sequenciaParaVencer, aleatorio);
+}
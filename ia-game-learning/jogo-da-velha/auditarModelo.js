@@ -0,0 +1,313 @@
+/**
+ * @Modulo 🔍 jogo-da-velha/auditarModelo.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Esta é uma ferramenta para auditar a política de um modelo salvo
+ * (Q-Table) contra o Oráculo Minimax.
+ *
+ * É como chamar um "GM" do Ragnarok para revisar o replay de todas as
+ * batalhas possíveis: para cada posição alcançável, ele compara a jogada
+ * que o agente faria com as jogadas perfeitas e aponta cada erro.
+ *
+ * O relatório mostra:
+ * 1. Quantas posições o agente joga de forma subótima
+ * 2. Quantos erros transformam um empate em derrota (os "vacilos")
+ * 3. Quantas vitórias garantidas são desperdiçadas
+ * 4. Os tabuleiros exatos onde cada erro acontece
+ *
+ * Uso:
+ *   node auditarModelo.js [caminhoDoModelo] [--jogador X|O] [--simetrias] [--limite 20] [--saida relatorio.json]
+ *
+ * O tabuleiro (linhas, colunas, sequência para vencer e gravidade) vem do
+ * cabeçalho do modelo; arquivos antigos, sem cabeçalho, são auditados no 3x3 clássico.
+ * As simetrias também vêm do cabeçalho; `--simetrias` só serve para forçá-las.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AmbienteComGravidade, criarAmbiente } from './ambienteComGravidade.js';
+import { AgenteQLearning, lerArquivoModelo } from './agente.js';
+import { OraculoMinimax } from './minimax.js';
+
+// Obtém o diretório atual (equivalente ao __dirname do CommonJS)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SIMBOLOS = { 1: 'X', 2: 'O' };
+
+// Modelos antigos (sem cabeçalho) não dizem o tabuleiro: são do Jogo da Velha clássico
+const TABULEIRO_PADRAO = { linhas: 3, colunas: 3, sequenciaParaVencer: 3, comGravidade: false };
+
+/**
+ * Enumera todas as posições alcançáveis e não finalizadas do ambiente.
+ *
+ * Como o jogador inicial é sorteado a cada partida, as posições são
+ * exploradas a partir do tabuleiro vazio com X e com O começando.
+ *
+ * @param {AmbienteJogoDaVelha} ambiente - Ambiente cujas regras serão usadas
+ * @returns {Array<{tabuleiro: Array<number>, jogadorAtual: number}>} Posições em que alguém precisa jogar
+ */
+function enumerarPosicoesAlcancaveis(ambiente) {
+  const simulador = ambiente.clonar();
+  const visitadas = new Set();
+  const posicoes = [];
+  const tabuleiroVazio = new Array(ambiente.numeroDeCasas).fill(0);
+
+  const pilha = [
+    { tabuleiro: tabuleiroVazio, jogadorAtual: 1 },
+    { tabuleiro: tabuleiroVazio, jogadorAtual: 2 }
+  ];
+
+  while (pilha.length > 0) {
+    const { tabuleiro, jogadorAtual } = pilha.pop();
+    const chave = `${JSON.stringify(tabuleiro)}|${jogadorAtual}`;
+    if (visitadas.has(chave)) continue;
+    visitadas.add(chave);
+
+    simulador.definirEstado(tabuleiro, jogadorAtual);
+    if (simulador.partidaFinalizada) continue;
+
+    posicoes.push({ tabuleiro, jogadorAtual });
+
+    for (const acao of simulador.obterAcoesValidas()) {
+      simulador.definirEstado(tabuleiro, jogadorAtual);
+      simulador.executarJogada(acao);
+      pilha.push({ tabuleiro: simulador.obterEstado(), jogadorAtual: simulador.jogadorAtual });
+    }
+  }
+
+  return posicoes;
+}
+
+/**
+ * Compara a política gulosa de um agente com as jogadas ótimas do Oráculo.
+ *
+ * Em cada posição, a política gulosa é o conjunto de ações empatadas com o
+ * maior valor Q (o agente sorteia entre elas). A posição é considerada
+ * subótima se qualquer uma dessas ações não estiver entre as jogadas ótimas.
+ *
+ * @param {AgenteQLearning} agente - O agente a ser auditado
+ * @param {AmbienteJogoDaVelha} ambiente - Ambiente cujas regras serão usadas
+ * @param {Object} [opcoes] - Opções da auditoria
+ * @param {Array<number>} [opcoes.jogadores=[1, 2]] - De quais jogadores auditar as posições
+ * @returns {Object} Relatório com contadores e a lista de erros encontrados
+ */
+function auditarPolitica(agente, ambiente, { jogadores = [1, 2] } = {}) {
+  const oraculo = new OraculoMinimax(ambiente);
+  const simulador = ambiente.clonar();
+  const posicoes = enumerarPosicoesAlcancaveis(ambiente)
+    .filter(({ jogadorAtual }) => jogadores.includes(jogadorAtual));
+
+  const relatorio = {
+    posicoesAuditadas: posicoes.length,
+    posicoesDesconhecidas: 0,
+    posicoesSubotimas: 0,
+    empatesViradosDerrota: 0,
+    vitoriasDesperdicadas: 0,
+    erros: []
+  };
+
+  for (const { tabuleiro, jogadorAtual } of posicoes) {
+    const estado = JSON.stringify(tabuleiro);
+    // As ações são casas no Jogo da Velha e colunas no Lig 4: quem sabe é o ambiente
+    simulador.definirEstado(tabuleiro, jogadorAtual);
+    const acoesValidas = simulador.obterAcoesValidas();
+
+    if (!agente.conheceEstado(estado)) {
+      relatorio.posicoesDesconhecidas++;
+    }
+
+    const acoesGulosas = agente.obterMelhoresAcoes(estado, acoesValidas);
+    const { valor, jogadasOtimas, valoresPorJogada } = oraculo.obterJogadasOtimas(tabuleiro, jogadorAtual);
+    const acoesErradas = acoesGulosas.filter(acao => !jogadasOtimas.includes(acao));
+
+    if (acoesErradas.length === 0) continue;
+
+    // Com valores teóricos -1/0/+1, uma jogada fora do conjunto ótimo sempre
+    // piora o resultado: ou desperdiça uma vitória, ou transforma o empate em derrota
+    let gravidade;
+    if (valor === 1) {
+      gravidade = 'vitoria-desperdicada';
+      relatorio.vitoriasDesperdicadas++;
+    } else {
+      gravidade = 'empate-virou-derrota';
+      relatorio.empatesViradosDerrota++;
+    }
+
+    relatorio.posicoesSubotimas++;
+    relatorio.erros.push({
+      tabuleiro,
+      jogadorAtual,
+      valorTeorico: valor,
+      acoesGulosas,
+      acoesErradas,
+      jogadasOtimas,
+      valoresDasAcoesErradas: Object.fromEntries(acoesErradas.map(acao => [acao, valoresPorJogada[acao]])),
+      gravidade
+    });
+  }
+
+  // Os erros mais graves (que perdem o jogo) aparecem primeiro
+  const ordem = { 'empate-virou-derrota': 0, 'vitoria-desperdicada': 1 };
+  relatorio.erros.sort((a, b) => ordem[a.gravidade] - ordem[b.gravidade]);
+
+  return relatorio;
+}
+
+/**
+ * Desenha um tabuleiro com as jogadas erradas (!) e ótimas (*) marcadas.
+ *
+ * No tabuleiro com gravidade as ações são colunas, então as marcas ficam
+ * em uma linha abaixo do tabuleiro, uma por coluna.
+ *
+ * @param {Object} erro - Um item de `relatorio.erros`
+ * @param {AmbienteJogoDaVelha} ambiente - Ambiente auditado (linhas, colunas e tipo das ações)
+ * @returns {void}
+ */
+function exibirErro(erro, ambiente) {
+  const descricao = {
+    'empate-virou-derrota': '💥 Empate virou derrota',
+    'vitoria-desperdicada': '🎯 Vitória desperdiçada'
+  };
+
+  console.log(`\n${descricao[erro.gravidade]} — vez de '${SIMBOLOS[erro.jogadorAtual]}'`);
+  console.log(`   Agente joga: ${erro.acoesGulosas.join(', ')} | Ótimas: ${erro.jogadasOtimas.join(', ')}`);
+
+  const acoesSaoColunas = ambiente instanceof AmbienteComGravidade;
+  const marcar = acao => erro.acoesErradas.includes(acao) ? '!' : erro.jogadasOtimas.includes(acao) ? '*' : ' ';
+
+  for (let linha = 0; linha < ambiente.linhas; linha++) {
+    const casas = [];
+    for (let coluna = 0; coluna < ambiente.colunas; coluna++) {
+      const indice = linha * ambiente.colunas + coluna;
+      const valor = erro.tabuleiro[indice];
+      casas.push(valor !== 0 ? SIMBOLOS[valor] : acoesSaoColunas ? ' ' : marcar(indice));
+    }
+    console.log("   " + casas.join(" │ "));
+  }
+
+  if (acoesSaoColunas) {
+    console.log("   " + Array.from({ length: ambiente.colunas }, (_, coluna) => marcar(coluna)).join("   "));
+  }
+}
+
+/**
+ * Imprime o relatório da auditoria no console.
+ *
+ * @param {Object} relatorio - Resultado de `auditarPolitica`
+ * @param {AmbienteJogoDaVelha} ambiente - Ambiente auditado
+ * @param {number} [limite=20] - Quantos tabuleiros com erro exibir
+ * @returns {void}
+ */
+function exibirRelatorio(relatorio, ambiente, limite = 20) {
+  const percentual = valor => ((valor / (relatorio.posicoesAuditadas || 1)) * 100).toFixed(1);
+
+  console.log("\n--- RESULTADO DA AUDITORIA ---");
+  console.log(`Posições auditadas:        ${relatorio.posicoesAuditadas.toLocaleString('pt-BR')}`);
+  console.log(`Posições desconhecidas:    ${relatorio.posicoesDesconhecidas.toLocaleString('pt-BR')} (${percentual(relatorio.posicoesDesconhecidas)}%)`);
+  console.log(`Posições subótimas:        ${relatorio.posicoesSubotimas.toLocaleString('pt-BR')} (${percentual(relatorio.posicoesSubotimas)}%)`);
+  console.log(`Empates que viram derrota: ${relatorio.empatesViradosDerrota.toLocaleString('pt-BR')}`);
+  console.log(`Vitórias desperdiçadas:    ${relatorio.vitoriasDesperdicadas.toLocaleString('pt-BR')}`);
+
+  if (relatorio.erros.length > 0) {
+    console.log(`\nLegenda: '!' jogada do agente que não é ótima | '*' jogada ótima`);
+    relatorio.erros.slice(0, limite).forEach(erro => exibirErro(erro, ambiente));
+    if (relatorio.erros.length > limite) {
+      console.log(`\n... e mais ${(relatorio.erros.length - limite).toLocaleString('pt-BR')} posição(ões). Use --saida para o relatório completo.`);
+    }
+  }
+
+  console.log("\n" + "=".repeat(50));
+  if (relatorio.posicoesSubotimas === 0) {
+    console.log("✅ VEREDITO: Política ótima em todas as posições alcançáveis.");
+  } else if (relatorio.empatesViradosDerrota === 0) {
+    console.log("🟡 VEREDITO: Nunca perde um empate garantido, mas desperdiça vitórias.");
+  } else {
+    console.log("❌ VEREDITO: O modelo comete erros que perdem partidas.");
+  }
+  console.log("=".repeat(50) + "\n");
+}
+
+/**
+ * Carrega o modelo a ser auditado, jogando sem explorar.
+ *
+ * A canonização por simetria só é forçada quando pedida (`--simetrias`); sem
+ * isso, vale o que o cabeçalho do modelo registrou. Auditar um modelo canônico
+ * sem as simetrias seria como procurar um item no armazém pelo nome errado:
+ * quase todas as posições pareceriam desconhecidas.
+ *
+ * @param {string} caminhoModelo - Caminho do arquivo do modelo
+ * @param {boolean} [usarSimetrias=false] - Se true, força a canonização por simetria
+ * @returns {AgenteQLearning} O agente pronto para a auditoria
+ */
+function carregarModeloAuditado(caminhoModelo, usarSimetrias = false) {
+  return AgenteQLearning.carregar(caminhoModelo, { epsilon: 0, ...(usarSimetrias ? { usarSimetrias } : {}) });
+}
+
+/**
+ * Lê os argumentos da linha de comando.
+ *
+ * @param {Array<string>} argumentos - Normalmente `process.argv.slice(2)`
+ * @returns {Object} Opções da auditoria
+ */
+function lerArgumentos(argumentos) {
+  const opcoes = {
+    caminhoModelo: path.join(__dirname, 'modelos_treinados', 'superagente_final_3x3.json'),
+    jogadores: [1, 2],
+    usarSimetrias: false,
+    limite: 20,
+    caminhoSaida: null
+  };
+
+  for (let i = 0; i < argumentos.length; i++) {
+    const argumento = argumentos[i];
+    if (argumento === '--jogador') {
+      const simbolo = (argumentos[++i] || '').toUpperCase();
+      opcoes.jogadores = simbolo === 'X' ? [1] : simbolo === 'O' ? [2] : [1, 2];
+    } else if (argumento === '--simetrias') {
+      opcoes.usarSimetrias = true;
+    } else if (argumento === '--limite') {
+      opcoes.limite = parseInt(argumentos[++i]);
+    } else if (argumento === '--saida') {
+      opcoes.caminhoSaida = path.resolve(argumentos[++i]);
+    } else {
+      opcoes.caminhoModelo = path.resolve(argumento);
+    }
+  }
+
+  return opcoes;
+}
+
+// --- Bloco de Execução Principal ---
+// Este bloco permite que o arquivo seja executado como um script.
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const opcoes = lerArgumentos(process.argv.slice(2));
+
+  console.log("\n" + "=".repeat(50));
+  console.log("🔍 AUDITORIA DA POLÍTICA CONTRA O ORÁCULO MINIMAX 🔍");
+  console.log("=".repeat(50));
+
+  if (!fs.existsSync(opcoes.caminhoModelo)) {
+    console.log(`❌ ERRO: Modelo '${opcoes.caminhoModelo}' não encontrado.`);
+    process.exit(1);
+  }
+
+  // O modelo é auditado nas regras em que foi treinado (tamanho, sequência e gravidade)
+  const tabuleiro = { ...TABULEIRO_PADRAO, ...lerArquivoModelo(opcoes.caminhoModelo).cabecalho?.dimensao };
+  const ambiente = criarAmbiente(tabuleiro);
+  console.log(`Tabuleiro: ${tabuleiro.linhas}x${tabuleiro.colunas} (${tabuleiro.sequenciaParaVencer} em linha${tabuleiro.comGravidade ? ', com gravidade' : ''})`);
+
+  const agente = carregarModeloAuditado(opcoes.caminhoModelo, opcoes.usarSimetrias);
+  const relatorio = auditarPolitica(agente, ambiente, { jogadores: opcoes.jogadores });
+
+  exibirRelatorio(relatorio, ambiente, opcoes.limite);
+
+  if (opcoes.caminhoSaida) {
+    fs.writeFileSync(opcoes.caminhoSaida, JSON.stringify(relatorio, null, 2));
+    console.log(`💾 Relatório completo salvo em: ${opcoes.caminhoSaida}\n`);
+  }
+}
+
+// Exporta as funções para uso em outros módulos
+export { enumerarPosicoesAlcancaveis, auditarPolitica, exibirRelatorio, carregarModeloAuditado };
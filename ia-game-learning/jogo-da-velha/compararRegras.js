@@ -0,0 +1,179 @@
+/**
+ * @Modulo ⚖️ jogo-da-velha/compararRegras.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Esta é uma ferramenta para comparar as regras de atualização do Agente
+ * (Q-Learning, SARSA e Expected SARSA) e as estratégias de exploração
+ * (epsilon-greedy, Boltzmann, UCB1 e otimista) nos tabuleiros 3x3 e 4x4.
+ *
+ * É como colocar três classes de Ragnarok para upar no mesmo mapa, pelo
+ * mesmo tempo e com a mesma sorte (semente): no final, vemos quem evoluiu
+ * mais e quem aprendeu a jogar sem vacilar.
+ *
+ * Para cada combinação de regra, exploração e tabuleiro, a ferramenta:
+ * 1. Treina um par de agentes (X e O) com a mesma semente e número de partidas
+ * 2. Coloca os dois para jogar sem explorar e mede a taxa de empates
+ *    (com jogo perfeito, o Jogo da Velha sempre empata)
+ * 3. No 3x3, audita a política contra o Oráculo Minimax
+ *
+ * Uso:
+ *   node compararRegras.js [--partidas 50000] [--semente 42] [--tabuleiros 3,4]
+ *                          [--regras q-learning,sarsa] [--exploracoes epsilon-greedy,boltzmann]
+ */
+
+import { AmbienteJogoDaVelha } from './ambiente.js';
+import { AgenteQLearning, REGRAS_DE_ATUALIZACAO } from './agente.js';
+import { TIPOS_DE_EXPLORACAO } from './exploracao.js';
+import { Treinador, disputarPartidas } from './treinador.js';
+import { auditarPolitica } from './auditarModelo.js';
+
+/**
+ * Coloca os dois agentes para jogar sem explorar e conta os resultados.
+ *
+ * @param {AgenteQLearning} agenteX - Agente que joga com X
+ * @param {AgenteQLearning} agenteO - Agente que joga com O
+ * @param {AmbienteJogoDaVelha} ambiente - Ambiente das partidas
+ * @param {number} numeroDePartidas - Quantas partidas jogar
+ * @returns {{vitoriasX: number, vitoriasO: number, empates: number}} Placar das partidas
+ */
+function jogarSemExplorar(agenteX, agenteO, ambiente, numeroDePartidas) {
+  return disputarPartidas(agenteX, agenteO, ambiente, numeroDePartidas);
+}
+
+/**
+ * Treina e avalia um par de agentes com uma regra de atualização e uma
+ * estratégia de exploração.
+ *
+ * Os cronogramas (decaimento do epsilon e da temperatura) são ajustados ao
+ * número de partidas, para que a exploração chegue ao mínimo perto de 80%
+ * do treino em qualquer tamanho.
+ *
+ * @param {string} regraDeAtualizacao - Uma das `REGRAS_DE_ATUALIZACAO`
+ * @param {number} dimensao - Tamanho do tabuleiro (3 ou 4)
+ * @param {number} numeroDePartidas - Partidas de treino
+ * @param {number} semente - Semente do gerador aleatório
+ * @param {string} [tipoDeExploracao='epsilon-greedy'] - Um dos `TIPOS_DE_EXPLORACAO`
+ * @returns {Object} Resultado da combinação neste tabuleiro
+ */
+function compararRegra(regraDeAtualizacao, dimensao, numeroDePartidas, semente, tipoDeExploracao = 'epsilon-greedy') {
+  const epsilonMinimo = 0.001;
+  const taxaDecaimentoEpsilon = Math.pow(epsilonMinimo, 1 / (0.8 * numeroDePartidas));
+  const temperaturaMinima = 0.01;
+  const taxaDecaimentoTemperatura = Math.pow(temperaturaMinima, 1 / (0.8 * numeroDePartidas));
+  const exploracao = tipoDeExploracao === 'boltzmann'
+    ? { tipo: tipoDeExploracao, temperaturaMinima, taxaDecaimentoTemperatura }
+    : tipoDeExploracao;
+  const configuracao = { regraDeAtualizacao, epsilonMinimo, taxaDecaimentoEpsilon };
+
+  const ambiente = new AmbienteJogoDaVelha(dimensao);
+  // Cada agente precisa da sua própria estratégia (o estado dela não é compartilhado)
+  const agenteX = new AgenteQLearning({ ...configuracao, exploracao, jogador: 1 });
+  const agenteO = new AgenteQLearning({ ...configuracao, exploracao, jogador: 2 });
+  const treinador = new Treinador(agenteX, agenteO, ambiente, { semente });
+  // Só o placar interessa: sem modelos finais nem arquivo de métricas
+  treinador.desconectar(treinador.ouvintesPadrao.modelosFinais);
+  treinador.desconectar(treinador.ouvintesPadrao.metricas);
+
+  const tempoInicio = Date.now();
+  treinador.treinar(numeroDePartidas, Math.max(1, Math.floor(numeroDePartidas / 10)), Infinity);
+  const tempoSegundos = (Date.now() - tempoInicio) / 1000;
+
+  const placar = jogarSemExplorar(agenteX, agenteO, ambiente, 1000);
+  const resultado = {
+    regraDeAtualizacao,
+    tipoDeExploracao,
+    dimensao,
+    tempoSegundos,
+    estadosConhecidos: Object.keys(agenteX.tabelaQ).length + Object.keys(agenteO.tabelaQ).length,
+    taxaDeEmpates: placar.empates / 1000,
+    errosAuditoria: null,
+    vaciloes: null
+  };
+
+  // O Oráculo só resolve o 3x3 completo em tempo razoável
+  if (dimensao === 3) {
+    const auditoriaX = auditarPolitica(agenteX, ambiente, { jogadores: [1] });
+    const auditoriaO = auditarPolitica(agenteO, ambiente, { jogadores: [2] });
+    resultado.errosAuditoria = auditoriaX.posicoesSubotimas + auditoriaO.posicoesSubotimas;
+    resultado.vaciloes = auditoriaX.empatesViradosDerrota + auditoriaO.empatesViradosDerrota;
+  }
+
+  return resultado;
+}
+
+/**
+ * Exibe os resultados em uma tabela no console.
+ *
+ * @param {Array<Object>} resultados - Resultados de `compararRegra`
+ * @returns {void}
+ */
+function exibirComparacao(resultados) {
+  console.log("\n" + "=".repeat(50));
+  console.log("⚖️ COMPARAÇÃO DAS REGRAS DE ATUALIZAÇÃO E EXPLORAÇÃO");
+  console.log("=".repeat(50));
+  console.table(resultados.map(resultado => ({
+    'Tabuleiro': `${resultado.dimensao}x${resultado.dimensao}`,
+    'Regra': resultado.regraDeAtualizacao,
+    'Exploração': resultado.tipoDeExploracao,
+    'Empates sem explorar': `${(resultado.taxaDeEmpates * 100).toFixed(1)}%`,
+    'Estados conhecidos': resultado.estadosConhecidos.toLocaleString('pt-BR'),
+    'Erros (auditoria)': resultado.errosAuditoria ?? '—',
+    'Empates → derrota': resultado.vaciloes ?? '—',
+    'Tempo (s)': resultado.tempoSegundos.toFixed(1)
+  })));
+}
+
+/**
+ * Lê os argumentos da linha de comando.
+ *
+ * @param {Array<string>} argumentos - Normalmente `process.argv.slice(2)`
+ * @returns {{numeroDePartidas: number, semente: number, dimensoes: Array<number>,
+ *   regras: Array<string>, exploracoes: Array<string>}} Opções da comparação
+ */
+function lerArgumentos(argumentos) {
+  const opcoes = {
+    numeroDePartidas: 50000,
+    semente: 42,
+    dimensoes: [3, 4],
+    regras: REGRAS_DE_ATUALIZACAO,
+    exploracoes: ['epsilon-greedy']
+  };
+
+  for (let i = 0; i < argumentos.length; i++) {
+    const argumento = argumentos[i];
+    if (argumento === '--partidas') {
+      opcoes.numeroDePartidas = parseInt(argumentos[++i]);
+    } else if (argumento === '--semente') {
+      opcoes.semente = parseInt(argumentos[++i]);
+    } else if (argumento === '--tabuleiros') {
+      opcoes.dimensoes = argumentos[++i].split(',').map(Number);
+    } else if (argumento === '--regras') {
+      opcoes.regras = argumentos[++i].split(',');
+    } else if (argumento === '--exploracoes') {
+      const lista = argumentos[++i];
+      opcoes.exploracoes = lista === 'todas' ? TIPOS_DE_EXPLORACAO : lista.split(',');
+    }
+  }
+
+  return opcoes;
+}
+
+// --- Bloco de Execução Principal ---
+// Este bloco permite que o arquivo seja executado como um script.
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { numeroDePartidas, semente, dimensoes, regras, exploracoes } = lerArgumentos(process.argv.slice(2));
+
+  const resultados = [];
+  for (const dimensao of dimensoes) {
+    for (const regra of regras) {
+      for (const exploracao of exploracoes) {
+        resultados.push(compararRegra(regra, dimensao, numeroDePartidas, semente, exploracao));
+      }
+    }
+  }
+
+  exibirComparacao(resultados);
+}
+
+// Exporta as funções para uso em outros módulos
+export { compararRegra, jogarSemExplorar };
@@ -0,0 +1,291 @@
+/**
+ * @Modulo 📅 jogo-da-velha/cronogramas.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Este módulo define os cronogramas de hiperparâmetros do `AgenteQLearning`:
+ * como o epsilon e o alpha mudam ao longo do treino.
+ *
+ * É como o calendário de eventos de um servidor de Ragnarok: a taxa de EXP
+ * começa alta no lançamento e vai baixando com o tempo, seguindo uma regra
+ * conhecida por todos.
+ *
+ * Todos os cronogramas seguem a mesma interface:
+ * - `consultar(passo, visitas)`: o valor do hiperparâmetro agora. O `passo`
+ *   é o número de partidas treinadas pelo Agente; `visitas` é o N(s,a) do par
+ *   que está sendo atualizado (usado só pelo alpha 1/N)
+ * - `obterConfiguracao()`: dados para salvar junto com o modelo
+ *
+ * Cronogramas disponíveis (veja `TIPOS_DE_CRONOGRAMA`):
+ * - 'constante': o mesmo valor sempre
+ * - 'linear': do valor inicial ao final em linha reta, ao longo de `duracao` partidas
+ * - 'exponencial': multiplica o valor por `taxa` a cada partida, até o final
+ * - 'degraus': multiplica o valor por `fator` a cada `intervalo` partidas, até o final
+ * - 'cosseno': do inicial ao final em meia onda de cosseno, ao longo de `duracao` partidas
+ * - 'inverso-visitas': 1/N(s,a), com as visitas contadas pelo Agente (só para o alpha)
+ */
+
+export const TIPOS_DE_CRONOGRAMA = ['constante', 'linear', 'exponencial', 'degraus', 'cosseno', 'inverso-visitas'];
+
+/**
+ * Fração do caminho já percorrida, limitada a [0, 1].
+ *
+ * @param {number} passo - Partidas treinadas
+ * @param {number} duracao - Partidas até chegar ao valor final
+ * @returns {number} Progresso entre 0 e 1
+ */
+function calcularProgresso(passo, duracao) {
+  return Math.min(1, passo / duracao);
+}
+
+/**
+ * Cronograma constante: o valor não muda com o treino.
+ *
+ * @property {number} valor - O valor do hiperparâmetro
+ */
+export class CronogramaConstante {
+  tipo = 'constante';
+
+  /**
+   * @param {Object} [config] - Objeto de configuração
+   * @param {number} [config.valor=0.5] - O valor do hiperparâmetro
+   */
+  constructor({ valor = 0.5 } = {}) {
+    this.valor = valor;
+  }
+
+  /** @returns {number} O valor configurado */
+  consultar() {
+    return this.valor;
+  }
+
+  /** @returns {{tipo: string, valor: number}} */
+  obterConfiguracao() {
+    return { tipo: this.tipo, valor: this.valor };
+  }
+}
+
+/**
+ * Cronograma linear: desce em linha reta do valor inicial ao final.
+ *
+ * @property {number} inicial - Valor na partida 0
+ * @property {number} final - Valor a partir da partida `duracao`
+ * @property {number} duracao - Partidas até chegar ao valor final
+ */
+export class CronogramaLinear {
+  tipo = 'linear';
+
+  /**
+   * @param {Object} [config] - Objeto de configuração
+   * @param {number} [config.inicial=1.0] - Valor na partida 0
+   * @param {number} [config.final=0.001] - Valor a partir da partida `duracao`
+   * @param {number} [config.duracao=320000] - Partidas até chegar ao valor final
+   */
+  constructor({ inicial = 1.0, final = 0.001, duracao = 320000 } = {}) {
+    this.inicial = inicial;
+    this.final = final;
+    this.duracao = duracao;
+  }
+
+  /**
+   * @param {number} passo - Partidas treinadas
+   * @returns {number} inicial + (final - inicial) × progresso
+   */
+  consultar(passo) {
+    return this.inicial + (this.final - this.inicial) * calcularProgresso(passo, this.duracao);
+  }
+
+  /** @returns {Object} Tipo e parâmetros */
+  obterConfiguracao() {
+    return { tipo: this.tipo, inicial: this.inicial, final: this.final, duracao: this.duracao };
+  }
+}
+
+/**
+ * Cronograma exponencial: multiplica o valor por `taxa` a cada partida,
+ * sem passar do valor final. É o decaimento clássico do epsilon.
+ *
+ * @property {number} inicial - Valor na partida 0
+ * @property {number} final - Valor mínimo
+ * @property {number} taxa - Multiplicador por partida
+ */
+export class CronogramaExponencial {
+  tipo = 'exponencial';
+
+  /**
+   * @param {Object} [config] - Objeto de configuração
+   * @param {number} [config.inicial=1.0] - Valor na partida 0
+   * @param {number} [config.final=0.001] - Valor mínimo
+   * @param {number} [config.taxa=0.99999] - Multiplicador por partida
+   */
+  constructor({ inicial = 1.0, final = 0.001, taxa = 0.99999 } = {}) {
+    this.inicial = inicial;
+    this.final = final;
+    this.taxa = taxa;
+  }
+
+  /**
+   * @param {number} passo - Partidas treinadas
+   * @returns {number} max(final, inicial × taxa^passo)
+   */
+  consultar(passo) {
+    return Math.max(this.final, this.inicial * Math.pow(this.taxa, passo));
+  }
+
+  /** @returns {Object} Tipo e parâmetros */
+  obterConfiguracao() {
+    return { tipo: this.tipo, inicial: this.inicial, final: this.final, taxa: this.taxa };
+  }
+}
+
+/**
+ * Cronograma em degraus: o valor fica parado por `intervalo` partidas e
+ * então é multiplicado por `fator`, sem passar do valor final.
+ *
+ * @property {number} inicial - Valor na partida 0
+ * @property {number} final - Valor mínimo
+ * @property {number} fator - Multiplicador a cada degrau
+ * @property {number} intervalo - Partidas em cada degrau
+ */
+export class CronogramaEmDegraus {
+  tipo = 'degraus';
+
+  /**
+   * @param {Object} [config] - Objeto de configuração
+   * @param {number} [config.inicial=1.0] - Valor na partida 0
+   * @param {number} [config.final=0.001] - Valor mínimo
+   * @param {number} [config.fator=0.5] - Multiplicador a cada degrau
+   * @param {number} [config.intervalo=40000] - Partidas em cada degrau
+   */
+  constructor({ inicial = 1.0, final = 0.001, fator = 0.5, intervalo = 40000 } = {}) {
+    this.inicial = inicial;
+    this.final = final;
+    this.fator = fator;
+    this.intervalo = intervalo;
+  }
+
+  /**
+   * @param {number} passo - Partidas treinadas
+   * @returns {number} max(final, inicial × fator^⌊passo / intervalo⌋)
+   */
+  consultar(passo) {
+    return Math.max(this.final, this.inicial * Math.pow(this.fator, Math.floor(passo / this.intervalo)));
+  }
+
+  /** @returns {Object} Tipo e parâmetros */
+  obterConfiguracao() {
+    return { tipo: this.tipo, inicial: this.inicial, final: this.final, fator: this.fator, intervalo: this.intervalo };
+  }
+}
+
+/**
+ * Cronograma cosseno: desce do valor inicial ao final em meia onda de
+ * cosseno, devagar no começo e no fim e mais rápido no meio.
+ *
+ * @property {number} inicial - Valor na partida 0
+ * @property {number} final - Valor a partir da partida `duracao`
+ * @property {number} duracao - Partidas até chegar ao valor final
+ */
+export class CronogramaCosseno {
+  tipo = 'cosseno';
+
+  /**
+   * @param {Object} [config] - Objeto de configuração
+   * @param {number} [config.inicial=1.0] - Valor na partida 0
+   * @param {number} [config.final=0.001] - Valor a partir da partida `duracao`
+   * @param {number} [config.duracao=320000] - Partidas até chegar ao valor final
+   */
+  constructor({ inicial = 1.0, final = 0.001, duracao = 320000 } = {}) {
+    this.inicial = inicial;
+    this.final = final;
+    this.duracao = duracao;
+  }
+
+  /**
+   * @param {number} passo - Partidas treinadas
+   * @returns {number} final + (inicial - final) × (1 + cos(π × progresso)) / 2
+   */
+  consultar(passo) {
+    const progresso = calcularProgresso(passo, this.duracao);
+    return this.final + (this.inicial - this.final) * (1 + Math.cos(Math.PI * progresso)) / 2;
+  }
+
+  /** @returns {Object} Tipo e parâmetros */
+  obterConfiguracao() {
+    return { tipo: this.tipo, inicial: this.inicial, final: this.final, duracao: this.duracao };
+  }
+}
+
+/**
+ * Alpha pelo inverso das visitas: cada par (estado, ação) aprende com
+ * 1/N(s,a), em que N(s,a) é quantas vezes o Agente já jogou a ação no estado.
+ *
+ * É como a média das batalhas contra um monstro: a primeira define a
+ * opinião inteira, e cada nova batalha pesa um pouco menos que a anterior.
+ * Depende do par atualizado, por isso este cronograma só serve para o alpha.
+ *
+ * @property {number} minimo - Menor alpha possível (para não parar de aprender de vez)
+ */
+export class CronogramaInversoDeVisitas {
+  tipo = 'inverso-visitas';
+
+  /**
+   * @param {Object} [config] - Objeto de configuração
+   * @param {number} [config.minimo=0.01] - Menor alpha possível
+   */
+  constructor({ minimo = 0.01 } = {}) {
+    this.minimo = minimo;
+  }
+
+  /**
+   * @param {number} passo - Partidas treinadas (não usado)
+   * @param {number} visitas - N(s,a) do par atualizado (pelo menos 1)
+   * @returns {number} max(minimo, 1 / N(s,a))
+   */
+  consultar(passo, visitas) {
+    return Math.max(this.minimo, 1 / visitas);
+  }
+
+  /** @returns {{tipo: string, minimo: number}} */
+  obterConfiguracao() {
+    return { tipo: this.tipo, minimo: this.minimo };
+  }
+}
+
+/**
+ * Cria um cronograma a partir da sua configuração.
+ *
+ * Aceita um número (cronograma constante), o nome do tipo ('linear', com os
+ * parâmetros padrão), a configuração completa (`{ tipo: 'linear', inicial: 1,
+ * final: 0.05, duracao: 100000 }`, como salva no modelo) ou um cronograma já
+ * criado, que é devolvido como está.
+ *
+ * @param {number|string|Object} configuracao - Valor, tipo, configuração ou cronograma
+ * @returns {Object} O cronograma
+ * @throws {Error} Se o tipo for desconhecido
+ */
+export function criarCronograma(configuracao) {
+  if (typeof configuracao === 'number') {
+    return new CronogramaConstante({ valor: configuracao });
+  }
+  if (typeof configuracao === 'object' && typeof configuracao.consultar === 'function') {
+    return configuracao;
+  }
+
+  const { tipo, ...parametros } = typeof configuracao === 'string' ? { tipo: configuracao } : configuracao;
+  switch (tipo) {
+    case 'constante':
+      return new CronogramaConstante(parametros);
+    case 'linear':
+      return new CronogramaLinear(parametros);
+    case 'exponencial':
+      return new CronogramaExponencial(parametros);
+    case 'degraus':
+      return new CronogramaEmDegraus(parametros);
+    case 'cosseno':
+      return new CronogramaCosseno(parametros);
+    case 'inverso-visitas':
+      return new CronogramaInversoDeVisitas(parametros);
+    default:
+      throw new Error(`Cronograma '${tipo}' desconhecido. Use: ${TIPOS_DE_CRONOGRAMA.join(', ')}.`);
+  }
+}
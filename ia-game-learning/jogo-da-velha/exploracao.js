@@ -0,0 +1,356 @@
+/**
+ * @Modulo 🧭 jogo-da-velha/exploracao.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Este módulo define as estratégias de exploração do `AgenteQLearning`:
+ * como ele decide, durante o treino, entre usar a melhor jogada conhecida
+ * e testar algo novo.
+ *
+ * Todas as estratégias seguem a mesma interface, então o Agente e o
+ * Treinador funcionam com qualquer uma delas:
+ * - `escolherAcao(agente, estado, acoesValidas)`: sorteia a jogada de treino
+ * - `obterProbabilidades(agente, estado, acoesValidas)`: chance de cada jogada
+ *   (usada pelo Expected SARSA)
+ * - `aoFimDaPartida(agente)`: avança o cronograma da estratégia
+ * - `obterConfiguracao()`: dados para salvar junto com o modelo
+ * - `valorInicialQ`: valor das ações que o Agente ainda não conhece
+ *
+ * Estratégias disponíveis (veja `TIPOS_DE_EXPLORACAO`):
+ * - 'epsilon-greedy': o comportamento original (epsilon do próprio Agente)
+ * - 'boltzmann': softmax dos valores Q, com temperatura que decai por partida
+ * - 'ucb1': prefere jogadas pouco testadas (Upper Confidence Bound)
+ * - 'otimista': valores iniciais otimistas, sempre jogando a melhor ação
+ */
+
+export const TIPOS_DE_EXPLORACAO = ['epsilon-greedy', 'boltzmann', 'ucb1', 'otimista'];
+
+/**
+ * Sorteia uma ação de uma lista.
+ *
+ * @param {Array<number>} acoes - Ações candidatas
+ * @param {function(): number} aleatorio - Gerador de números em [0, 1)
+ * @returns {number} A ação sorteada
+ */
+function sortearAcao(acoes, aleatorio) {
+  return acoes[Math.floor(aleatorio() * acoes.length)];
+}
+
+/**
+ * Divide a probabilidade igualmente entre as ações escolhidas.
+ *
+ * @param {Array<number>} acoesValidas - Todas as ações válidas
+ * @param {Array<number>} escolhidas - Ações que dividem a probabilidade
+ * @returns {Object<number, number>} Probabilidade de cada ação válida
+ */
+function distribuirEntre(acoesValidas, escolhidas) {
+  const probabilidades = {};
+  for (const acao of acoesValidas) {
+    probabilidades[acao] = escolhidas.includes(acao) ? 1 / escolhidas.length : 0;
+  }
+  return probabilidades;
+}
+
+/**
+ * Epsilon-Greedy: com chance epsilon joga ao acaso, senão joga a melhor ação.
+ *
+ * É o "Medidor de Curiosidade" original do Agente. O epsilon, o mínimo e o
+ * decaimento continuam sendo atributos do Agente, para manter compatíveis os
+ * modelos, os checkpoints e a barra de progresso do Treinador.
+ */
+export class ExploracaoEpsilonGreedy {
+  tipo = 'epsilon-greedy';
+  valorInicialQ = 0;
+
+  /**
+   * @param {AgenteQLearning} agente - O Agente que está jogando
+   * @param {string} estado - O estado atual do tabuleiro (JSON)
+   * @param {Array<number>} acoesValidas - Lista de ações disponíveis
+   * @returns {number} A ação escolhida
+   */
+  escolherAcao(agente, estado, acoesValidas) {
+    if (agente.aleatorio() < agente.epsilon) {
+      // "Modo Aventura": explora
+      return sortearAcao(acoesValidas, agente.aleatorio);
+    }
+    // "Modo Farm": usa melhor tática
+    return sortearAcao(agente.obterMelhoresAcoes(estado, acoesValidas), agente.aleatorio);
+  }
+
+  /**
+   * Toda ação tem ε/n de chance; as melhores dividem o restante.
+   *
+   * @param {AgenteQLearning} agente - O Agente que está jogando
+   * @param {string} estado - O estado do tabuleiro (JSON)
+   * @param {Array<number>} acoesValidas - Lista de ações disponíveis
+   * @returns {Object<number, number>} Probabilidade de cada ação
+   */
+  obterProbabilidades(agente, estado, acoesValidas) {
+    const melhoresAcoes = agente.obterMelhoresAcoes(estado, acoesValidas);
+    const probabilidades = distribuirEntre(acoesValidas, melhoresAcoes);
+    for (const acao of acoesValidas) {
+      probabilidades[acao] = agente.epsilon / acoesValidas.length + (1 - agente.epsilon) * probabilidades[acao];
+    }
+    return probabilidades;
+  }
+
+  /**
+   * @param {AgenteQLearning} agente - O Agente que terminou a partida
+   * @returns {void}
+   */
+  aoFimDaPartida(agente) {
+    agente.reduzirEpsilon();
+  }
+
+  /** @returns {{tipo: string}} */
+  obterConfiguracao() {
+    return { tipo: this.tipo };
+  }
+}
+
+/**
+ * Boltzmann (softmax): a chance de cada jogada cresce com o seu valor Q.
+ *
+ * É como um jogador que testa mais as táticas promissoras e quase nunca as
+ * ruins, em vez de sortear qualquer uma por igual. A temperatura controla
+ * o quanto ele arrisca: quente, joga quase ao acaso; fria, quase sempre a
+ * melhor. Ela esfria a cada partida, com cronograma próprio (independente
+ * do epsilon).
+ *
+ * @property {number} temperatura - Temperatura atual
+ * @property {number} temperaturaMinima - Valor mínimo que a temperatura pode atingir
+ * @property {number} taxaDecaimentoTemperatura - Multiplicador aplicado a cada partida
+ */
+export class ExploracaoBoltzmann {
+  tipo = 'boltzmann';
+  valorInicialQ = 0;
+
+  /**
+   * @param {Object} [config] - Objeto de configuração
+   * @param {number} [config.temperatura=1.0] - Temperatura inicial
+   * @param {number} [config.temperaturaMinima=0.01] - Temperatura mínima
+   * @param {number} [config.taxaDecaimentoTemperatura=0.99995] - Multiplicador por partida
+   * @throws {Error} Se as temperaturas não forem positivas
+   */
+  constructor({ temperatura = 1.0, temperaturaMinima = 0.01, taxaDecaimentoTemperatura = 0.99995 } = {}) {
+    if (!(temperatura > 0) || !(temperaturaMinima > 0)) {
+      throw new Error("As temperaturas da exploração Boltzmann devem ser positivas.");
+    }
+    this.temperatura = temperatura;
+    this.temperaturaMinima = temperaturaMinima;
+    this.taxaDecaimentoTemperatura = taxaDecaimentoTemperatura;
+  }
+
+  /**
+   * @param {AgenteQLearning} agente - O Agente que está jogando
+   * @param {string} estado - O estado atual do tabuleiro (JSON)
+   * @param {Array<number>} acoesValidas - Lista de ações disponíveis
+   * @returns {number} A ação sorteada
+   */
+  escolherAcao(agente, estado, acoesValidas) {
+    const probabilidades = this.obterProbabilidades(agente, estado, acoesValidas);
+    let sorteio = agente.aleatorio();
+    for (const acao of acoesValidas) {
+      sorteio -= probabilidades[acao];
+      if (sorteio < 0) return acao;
+    }
+    return acoesValidas[acoesValidas.length - 1];
+  }
+
+  /**
+   * Softmax dos valores Q divididos pela temperatura.
+   *
+   * @param {AgenteQLearning} agente - O Agente que está jogando
+   * @param {string} estado - O estado do tabuleiro (JSON)
+   * @param {Array<number>} acoesValidas - Lista de ações disponíveis
+   * @returns {Object<number, number>} Probabilidade de cada ação
+   */
+  obterProbabilidades(agente, estado, acoesValidas) {
+    const valores = acoesValidas.map(acao => agente.consultarValorQ(estado, acao) / this.temperatura);
+    // Subtrair o maior valor não muda o resultado e evita overflow no exp
+    const maiorValor = Math.max(...valores);
+    const pesos = valores.map(valor => Math.exp(valor - maiorValor));
+    const soma = pesos.reduce((total, peso) => total + peso, 0);
+
+    const probabilidades = {};
+    acoesValidas.forEach((acao, indice) => {
+      probabilidades[acao] = pesos[indice] / soma;
+    });
+    return probabilidades;
+  }
+
+  /** @returns {void} */
+  aoFimDaPartida() {
+    this.temperatura = Math.max(this.temperaturaMinima, this.temperatura * this.taxaDecaimentoTemperatura);
+  }
+
+  /** @returns {Object} Tipo, temperatura atual e cronograma */
+  obterConfiguracao() {
+    return {
+      tipo: this.tipo,
+      temperatura: this.temperatura,
+      temperaturaMinima: this.temperaturaMinima,
+      taxaDecaimentoTemperatura: this.taxaDecaimentoTemperatura
+    };
+  }
+}
+
+/**
+ * UCB1 (Upper Confidence Bound): joga a ação com o maior "valor + bônus de
+ * incerteza", em que o bônus é maior para as jogadas pouco testadas.
+ *
+ * É como um caçador de MVP que volta mais vezes aos mapas que visitou pouco:
+ * enquanto não tiver certeza de que um mapa é ruim, ele ainda merece uma
+ * chance. Ações nunca testadas em um estado são sempre jogadas primeiro.
+ *
+ * Bônus: c × √(ln N(s) / N(s,a)), em que N(s,a) são as visitas contadas
+ * pelo Agente (quantas vezes a ação foi jogada no estado, no treino) e N(s)
+ * é a soma de N(s,a) do estado.
+ *
+ * @property {number} c - Peso do bônus de incerteza
+ */
+export class ExploracaoUCB1 {
+  tipo = 'ucb1';
+  valorInicialQ = 0;
+
+  /**
+   * @param {Object} [config] - Objeto de configuração
+   * @param {number} [config.c=Math.SQRT2] - Peso do bônus de incerteza
+   */
+  constructor({ c = Math.SQRT2 } = {}) {
+    this.c = c;
+  }
+
+  /**
+   * @param {AgenteQLearning} agente - O Agente que está jogando
+   * @param {string} estado - O estado atual do tabuleiro (JSON)
+   * @param {Array<number>} acoesValidas - Lista de ações disponíveis
+   * @returns {number} A ação escolhida
+   */
+  escolherAcao(agente, estado, acoesValidas) {
+    return sortearAcao(this.#obterMelhoresAcoesUCB(agente, estado, acoesValidas), agente.aleatorio);
+  }
+
+  /**
+   * A escolha é determinística: as ações empatadas com o maior UCB dividem a chance.
+   *
+   * @param {AgenteQLearning} agente - O Agente que está jogando
+   * @param {string} estado - O estado do tabuleiro (JSON)
+   * @param {Array<number>} acoesValidas - Lista de ações disponíveis
+   * @returns {Object<number, number>} Probabilidade de cada ação
+   */
+  obterProbabilidades(agente, estado, acoesValidas) {
+    return distribuirEntre(acoesValidas, this.#obterMelhoresAcoesUCB(agente, estado, acoesValidas));
+  }
+
+  /** @returns {void} */
+  aoFimDaPartida() {}
+
+  /** @returns {{tipo: string, c: number}} */
+  obterConfiguracao() {
+    return { tipo: this.tipo, c: this.c };
+  }
+
+  /**
+   * Ações com o maior valor UCB (ou as nunca testadas, se houver).
+   *
+   * @private
+   * @param {AgenteQLearning} agente - O Agente que está jogando
+   * @param {string} estado - O estado do tabuleiro (JSON)
+   * @param {Array<number>} acoesValidas - Lista de ações disponíveis
+   * @returns {Array<number>} As ações candidatas
+   */
+  #obterMelhoresAcoesUCB(agente, estado, acoesValidas) {
+    const visitas = acoesValidas.map(acao => agente.obterVisitas(estado, acao));
+    const naoTestadas = acoesValidas.filter((_, indice) => visitas[indice] === 0);
+    if (naoTestadas.length > 0) return naoTestadas;
+
+    const totalDeVisitas = visitas.reduce((total, visitasDaAcao) => total + visitasDaAcao, 0);
+    const valores = acoesValidas.map((acao, indice) =>
+      agente.consultarValorQ(estado, acao) + this.c * Math.sqrt(Math.log(totalDeVisitas) / visitas[indice])
+    );
+    const maiorValor = Math.max(...valores);
+    return acoesValidas.filter((_, indice) => valores[indice] === maiorValor);
+  }
+}
+
+/**
+ * Valores iniciais otimistas: toda ação desconhecida começa valendo
+ * `valorInicialQ` (acima de qualquer recompensa real), e o Agente sempre
+ * joga a melhor ação.
+ *
+ * É como um novato que acha que todo mapa novo esconde um MVP: ele visita
+ * cada um até a decepção baixar o valor, e aí passa para o próximo. A
+ * exploração vem da própria Tabela Q, sem sorteios nem cronograma.
+ *
+ * @property {number} valorInicialQ - Valor assumido para ações ainda não aprendidas
+ */
+export class ExploracaoOtimista {
+  tipo = 'otimista';
+
+  /**
+   * @param {Object} [config] - Objeto de configuração
+   * @param {number} [config.valorInicialQ=1.0] - Valor inicial das ações desconhecidas
+   */
+  constructor({ valorInicialQ = 1.0 } = {}) {
+    this.valorInicialQ = valorInicialQ;
+  }
+
+  /**
+   * @param {AgenteQLearning} agente - O Agente que está jogando
+   * @param {string} estado - O estado atual do tabuleiro (JSON)
+   * @param {Array<number>} acoesValidas - Lista de ações disponíveis
+   * @returns {number} Uma das melhores ações
+   */
+  escolherAcao(agente, estado, acoesValidas) {
+    return sortearAcao(agente.obterMelhoresAcoes(estado, acoesValidas), agente.aleatorio);
+  }
+
+  /**
+   * @param {AgenteQLearning} agente - O Agente que está jogando
+   * @param {string} estado - O estado do tabuleiro (JSON)
+   * @param {Array<number>} acoesValidas - Lista de ações disponíveis
+   * @returns {Object<number, number>} Probabilidade de cada ação
+   */
+  obterProbabilidades(agente, estado, acoesValidas) {
+    return distribuirEntre(acoesValidas, agente.obterMelhoresAcoes(estado, acoesValidas));
+  }
+
+  /** @returns {void} */
+  aoFimDaPartida() {}
+
+  /** @returns {{tipo: string, valorInicialQ: number}} */
+  obterConfiguracao() {
+    return { tipo: this.tipo, valorInicialQ: this.valorInicialQ };
+  }
+}
+
+/**
+ * Cria uma estratégia de exploração a partir da sua configuração.
+ *
+ * Aceita o nome do tipo ('boltzmann'), a configuração completa
+ * (`{ tipo: 'boltzmann', temperatura: 0.5 }`, como salva no modelo) ou uma
+ * estratégia já criada, que é devolvida como está.
+ *
+ * @param {string|Object} [configuracao='epsilon-greedy'] - Tipo, configuração ou estratégia
+ * @returns {Object} A estratégia de exploração
+ * @throws {Error} Se o tipo for desconhecido
+ */
+export function criarEstrategiaDeExploracao(configuracao = 'epsilon-greedy') {
+  if (typeof configuracao === 'object' && typeof configuracao.escolherAcao === 'function') {
+    return configuracao;
+  }
+
+  const { tipo, ...parametros } = typeof configuracao === 'string' ? { tipo: configuracao } : configuracao;
+  switch (tipo) {
+    case 'epsilon-greedy':
+      return new ExploracaoEpsilonGreedy();
+    case 'boltzmann':
+      return new ExploracaoBoltzmann(parametros);
+    case 'ucb1':
+      return new ExploracaoUCB1(parametros);
+    case 'otimista':
+      return new ExploracaoOtimista(parametros);
+    default:
+      throw new Error(`Exploração '${tipo}' desconhecida. Use: ${TIPOS_DE_EXPLORACAO.join(', ')}.`);
+  }
+}
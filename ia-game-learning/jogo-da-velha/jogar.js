@@ -14,6 +14,7 @@ import { fileURLToPath } from 'url';
 import readlineSync from 'readline-sync';
 import { AmbienteJogoDaVelha } from './ambiente.js';
 import { AgenteQLearning } from './agente.js';
+import { criarGeradorAleatorio } from './aleatorio.js';
 
 // Obtém o diretório atual
 const __filename = fileURLToPath(import.meta.url);
@@ -62,9 +63,9 @@ function obterJogadaHumano(ambiente) {
   console.log("\n--- Tabuleiro com Posições Livres ---");
   const simbolos = { 0: ' ', 1: 'X', 2: 'O' };
   
-  for (let i = 0; i < ambiente.dimensao; i++) {
-    const inicio = i * ambiente.dimensao;
-    const fim = inicio + ambiente.dimensao;
+  for (let i = 0; i < ambiente.linhas; i++) {
+    const inicio = i * ambiente.colunas;
+    const fim = inicio + ambiente.colunas;
     const linha = [];
     
     for (let idx = inicio; idx < fim; idx++) {
@@ -76,8 +77,8 @@ function obterJogadaHumano(ambiente) {
     }
     
     console.log(" " + linha.join(" | "));
-    if (i < ambiente.dimensao - 1) {
-      console.log("---" + "+---".repeat(ambiente.dimensao - 1));
+    if (i < ambiente.linhas - 1) {
+      console.log("---" + "+---".repeat(ambiente.colunas - 1));
     }
   }
   console.log("------------------------------------");
@@ -109,14 +110,15 @@ function obterJogadaHumano(ambiente) {
  * 
  * @param {number} resultadoAnterior - O vencedor da partida anterior (-1 se primeira partida)
  * @param {number} jogadorHumano - O ID do jogador humano (1 ou 2)
+ * @param {function(): number} [aleatorio=Math.random] - Gerador de números em [0, 1) usado no sorteio
  * @returns {number} O jogador que começará a próxima partida (1 ou 2)
  */
-function determinarJogadorInicial(resultadoAnterior, jogadorHumano) {
+function determinarJogadorInicial(resultadoAnterior, jogadorHumano, aleatorio = Math.random) {
   const jogadorIA = jogadorHumano === 1 ? 2 : 1;
   
   if (resultadoAnterior === -1 || resultadoAnterior === 0) {
     console.log("\n🎲 Resultado anterior foi empate ou é a primeira partida. Sorteando quem começa...");
-    return Math.random() < 0.5 ? 1 : 2;
+    return aleatorio() < 0.5 ? 1 : 2;
   } else if (resultadoAnterior === jogadorIA) {
     console.log("\n🤖 Você perdeu a última partida. A IA começa como punição!");
     return jogadorIA;
@@ -168,15 +170,16 @@ function exibirRegrasIniciais() {
  * @param {AgenteQLearning} agenteIA - O agente treinado que será o oponente
  * @param {number} [resultadoAnterior=-1] - Vencedor da partida anterior (-1 se primeira)
  * @param {number|null} [jogadorHumanoDefinido=null] - ID do jogador humano ou null
+ * @param {function(): number} [aleatorio=Math.random] - Gerador de números em [0, 1) usado nos sorteios
  * @returns {Array<number>} Tupla [vencedor, jogadorHumano]
  */
-async function iniciarPartidaHumanoVsIA(agenteIA, resultadoAnterior = -1, jogadorHumanoDefinido = null) {
+async function iniciarPartidaHumanoVsIA(agenteIA, resultadoAnterior = -1, jogadorHumanoDefinido = null, aleatorio = Math.random) {
   limparTela();
   console.log("\n" + "=".repeat(50));
   console.log("⚔️ NOVA PARTIDA ⚔️");
   console.log("=".repeat(50));
 
-  const ambiente = new AmbienteJogoDaVelha(3);
+  const ambiente = new AmbienteJogoDaVelha(3, 3, aleatorio);
   
   let jogadorHumano = jogadorHumanoDefinido;
   
@@ -199,7 +202,7 @@ async function iniciarPartidaHumanoVsIA(agenteIA, resultadoAnterior = -1, jogado
   const simboloHumano = jogadorHumano === 1 ? 'X' : 'O';
   console.log(`\nVocê joga como '${simboloHumano}'. A IA jogará como '${agenteIA.simbolo}'.`);
   
-  ambiente.jogadorAtual = determinarJogadorInicial(resultadoAnterior, jogadorHumano);
+  ambiente.jogadorAtual = determinarJogadorInicial(resultadoAnterior, jogadorHumano, aleatorio);
   const simboloInicio = ambiente.jogadorAtual === 1 ? 'X' : 'O';
   console.log(`O jogador '${simboloInicio}' começa a partida!`);
   
@@ -277,8 +280,13 @@ async function main() {
     process.exit(1);
   }
   
+  // Com `--semente N`, os sorteios (quem começa e desempates da IA) se repetem a cada execução
+  const indiceSemente = process.argv.indexOf('--semente');
+  const semente = indiceSemente !== -1 ? parseInt(process.argv[indiceSemente + 1]) : NaN;
+  const aleatorio = Number.isNaN(semente) ? Math.random : criarGeradorAleatorio(semente);
+
   // Carrega o agente com epsilon=0 (sem exploração, apenas exploração)
-  const agenteIA = AgenteQLearning.carregar(caminhoModelo, { jogador: 0, epsilon: 0 });
+  const agenteIA = AgenteQLearning.carregar(caminhoModelo, { jogador: 0, epsilon: 0, aleatorio });
 
   let jogarNovamente = true;
   let resultadoAnterior = -1;
@@ -288,7 +296,8 @@ async function main() {
     const [resultadoAtual, jogadorHumanoAtual] = await iniciarPartidaHumanoVsIA(
       agenteIA, 
       resultadoAnterior, 
-      jogadorHumano
+      jogadorHumano,
+      aleatorio
     );
     
     resultadoAnterior = resultadoAtual;
@@ -0,0 +1,251 @@
+/**
+ * @Modulo 🏟️ jogo-da-velha/liga.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Este módulo define a Liga: o grupo de adversários que os agentes enfrentam
+ * no treino em liga (`Treinador.treinarEmLiga`).
+ *
+ * No self-play puro, X e O só jogam um contra o outro e podem se acostumar
+ * às manias do parceiro, deixando pontos cegos que nenhum dos dois explora.
+ * Na Liga, cada aprendiz também enfrenta versões congeladas do passado, um
+ * jogador aleatório, um heurístico e o Oráculo Minimax.
+ *
+ * É como a arena de PvP de Ragnarok com fila aleatória: ninguém escolhe o
+ * adversário, e quem só sabe vencer o colega de guilda logo descobre.
+ *
+ * Tipos de adversário (veja `TIPOS_DE_ADVERSARIO`):
+ * - 'atual': o outro aprendiz, como no self-play (os dois aprendem)
+ * - 'congelado': uma cópia congelada do outro aprendiz em um ponto do treino
+ * - 'aleatorio': `AgenteAleatorio`
+ * - 'heuristico': `AgenteHeuristico` (vence ou bloqueia em uma jogada)
+ * - 'minimax': `AgenteMinimax` (perfeito, mas lento fora do 3x3)
+ */
+
+import path from 'path';
+import { AmbienteJogoDaVelha } from './ambiente.js';
+import { AgenteQLearning, lerArquivoModelo } from './agente.js';
+import { AgenteMinimax, OraculoMinimax } from './minimax.js';
+import { AgenteAleatorio, AgenteHeuristico, AdversarioCongelado } from './adversarios.js';
+
+export const TIPOS_DE_ADVERSARIO = ['atual', 'congelado', 'aleatorio', 'heuristico', 'minimax'];
+
+/**
+ * Pesos padrão do sorteio de adversários.
+ */
+export const PESOS_PADRAO_DA_LIGA = { atual: 0.2, congelado: 0.4, aleatorio: 0.1, heuristico: 0.1, minimax: 0.2 };
+
+/**
+ * Descobre o lado de um modelo pelo nome do arquivo salvo pelo Treinador
+ * (`agente_x_...` ou `agente_o_...`), para os modelos antigos sem cabeçalho.
+ *
+ * @param {string} caminho - Caminho do arquivo do modelo
+ * @returns {number|null} O jogador (1 ou 2), ou null se o nome não disser o lado
+ */
+function lerJogadorDoNomeDoArquivo(caminho) {
+  const lado = /^agente_([xo])_/i.exec(path.basename(caminho))?.[1].toLowerCase();
+  return lado === 'x' ? 1 : lado === 'o' ? 2 : null;
+}
+
+/**
+ * O grupo de adversários da Liga, o sorteio e o placar de cada confronto.
+ *
+ * Os adversários são separados pelo lado em que jogam: o aprendiz X enfrenta
+ * adversários que jogam de O, e vice-versa. As cópias congeladas vêm do
+ * aprendiz do outro lado (`congelar`) ou de arquivos (`carregarCongelado`).
+ *
+ * @property {Object<string, number>} pesos - Peso de cada tipo de adversário no sorteio
+ * @property {number} tamanhoMaximoCongelados - Quantas cópias congeladas guardar por lado
+ * @property {AmbienteJogoDaVelha} ambiente - Ambiente cujas regras os adversários usam
+ * @property {function(): number} aleatorio - Gerador de números em [0, 1) do sorteio e dos adversários
+ * @property {Object<number, Array<AdversarioCongelado>>} congelados - Cópias congeladas por lado (1 ou 2)
+ * @property {Object<string, {vitorias: number, derrotas: number, empates: number}>} resultados - Placar de
+ *   cada confronto na janela atual, do ponto de vista do aprendiz
+ * @property {Array<{numeroPartida: number, resultados: Object}>} historico - Placar de cada janela já encerrada
+ */
+export class Liga {
+  #adversariosFixos = { 1: {}, 2: {} };
+  #oraculo = null;
+
+  /**
+   * Cria a Liga.
+   *
+   * @param {Object} [config] - Objeto de configuração
+   * @param {Object<string, number>} [config.pesos=PESOS_PADRAO_DA_LIGA] - Peso de cada tipo de adversário
+   *   (tipos ausentes valem 0)
+   * @param {number} [config.tamanhoMaximoCongelados=10] - Quantas cópias congeladas guardar por lado
+   *   (as mais antigas saem primeiro)
+   * @param {AmbienteJogoDaVelha} [config.ambiente] - Ambiente cujas regras os adversários usam (padrão 3x3)
+   * @param {function(): number} [config.aleatorio=Math.random] - Gerador de números em [0, 1)
+   * @throws {Error} Se houver um tipo desconhecido, um peso negativo ou todos os pesos forem 0
+   */
+  constructor({
+    pesos = PESOS_PADRAO_DA_LIGA,
+    tamanhoMaximoCongelados = 10,
+    ambiente = new AmbienteJogoDaVelha(3),
+    aleatorio = Math.random
+  } = {}) {
+    for (const [tipo, peso] of Object.entries(pesos)) {
+      if (!TIPOS_DE_ADVERSARIO.includes(tipo)) {
+        throw new Error(`Adversário '${tipo}' desconhecido. Use: ${TIPOS_DE_ADVERSARIO.join(', ')}.`);
+      }
+      if (!(peso >= 0)) {
+        throw new Error(`O peso do adversário '${tipo}' deve ser maior ou igual a 0, mas é ${peso}.`);
+      }
+    }
+    if (!Object.values(pesos).some(peso => peso > 0)) {
+      throw new Error("Pelo menos um adversário da Liga precisa de peso maior que 0.");
+    }
+
+    this.pesos = Object.fromEntries(TIPOS_DE_ADVERSARIO.map(tipo => [tipo, pesos[tipo] ?? 0]));
+    this.tamanhoMaximoCongelados = tamanhoMaximoCongelados;
+    this.ambiente = ambiente;
+    this.aleatorio = aleatorio;
+    this.congelados = { 1: [], 2: [] };
+    this.resultados = {};
+    this.historico = [];
+  }
+
+  /**
+   * Guarda uma cópia congelada do agente no grupo do lado dele.
+   *
+   * @param {AgenteQLearning} agente - O aprendiz a congelar
+   * @param {string} [rotulo] - Nome nos relatórios (padrão: símbolo e partidas treinadas)
+   * @returns {AdversarioCongelado} A cópia guardada
+   */
+  congelar(agente, rotulo) {
+    const congelado = new AdversarioCongelado(agente, { rotulo, aleatorio: this.aleatorio });
+    const grupo = this.congelados[agente.jogador];
+    grupo.push(congelado);
+    if (grupo.length > this.tamanhoMaximoCongelados) grupo.shift();
+    return congelado;
+  }
+
+  /**
+   * Carrega um modelo salvo (como um checkpoint antigo) e o guarda congelado.
+   *
+   * O lado vem do cabeçalho do modelo; nos arquivos antigos, sem cabeçalho,
+   * vem do nome do arquivo (`agente_x_...` ou `agente_o_...`). Uma cópia no
+   * lado errado jogaria com uma Tabela Q aprendida para o outro jogador.
+   *
+   * @param {string} caminho - Caminho do arquivo do modelo
+   * @returns {AdversarioCongelado} A cópia guardada
+   * @throws {Error} Se o arquivo não disser de que lado o modelo joga
+   */
+  carregarCongelado(caminho) {
+    const { cabecalho } = lerArquivoModelo(caminho);
+    const jogador = cabecalho?.jogador ?? lerJogadorDoNomeDoArquivo(caminho);
+    if (jogador === null) {
+      throw new Error(
+        `O modelo ${path.basename(caminho)} não tem cabeçalho nem diz o lado no nome ` +
+        "(agente_x_... ou agente_o_...); renomeie o arquivo ou salve-o de novo pelo Treinador."
+      );
+    }
+
+    const agente = AgenteQLearning.carregar(caminho, { epsilon: 0, jogador });
+    return this.congelar(agente, `congelado ${path.basename(caminho, '.json')}`);
+  }
+
+  /**
+   * Devolve (criando na primeira vez) o adversário fixo de um tipo e de um lado.
+   *
+   * @private
+   * @param {string} tipo - 'aleatorio', 'heuristico' ou 'minimax'
+   * @param {number} jogador - Lado em que o adversário joga (1 ou 2)
+   * @returns {AgenteAleatorio|AgenteHeuristico|AgenteMinimax} O adversário
+   */
+  #obterAdversarioFixo(tipo, jogador) {
+    const adversarios = this.#adversariosFixos[jogador];
+    if (!adversarios[tipo]) {
+      const config = { jogador, aleatorio: this.aleatorio };
+      if (tipo === 'aleatorio') {
+        adversarios[tipo] = new AgenteAleatorio(config);
+      } else if (tipo === 'heuristico') {
+        adversarios[tipo] = new AgenteHeuristico({ ...config, ambiente: this.ambiente });
+      } else {
+        // Os dois lados compartilham o Oráculo (e as posições já resolvidas)
+        this.#oraculo ??= new OraculoMinimax(this.ambiente);
+        adversarios[tipo] = new AgenteMinimax({ ...config, oraculo: this.#oraculo });
+      }
+    }
+    return adversarios[tipo];
+  }
+
+  /**
+   * Sorteia o adversário de uma partida, de acordo com os pesos.
+   *
+   * Enquanto não houver cópias congeladas do lado pedido, o tipo
+   * 'congelado' fica fora do sorteio. Entre as cópias, todas têm a mesma chance.
+   *
+   * @param {number} jogador - Lado em que o adversário vai jogar (1 ou 2)
+   * @returns {{tipo: string, rotulo: string, agente: Object|null}} O adversário sorteado
+   *   (`agente` é null no tipo 'atual': quem joga é o outro aprendiz)
+   */
+  sortearAdversario(jogador) {
+    const disponiveis = TIPOS_DE_ADVERSARIO.filter(tipo =>
+      this.pesos[tipo] > 0 && (tipo !== 'congelado' || this.congelados[jogador].length > 0)
+    );
+    // Só com cópias congeladas no peso e nenhuma guardada ainda, vale o self-play
+    if (disponiveis.length === 0) return { tipo: 'atual', rotulo: 'atual', agente: null };
+
+    const pesoTotal = disponiveis.reduce((total, tipo) => total + this.pesos[tipo], 0);
+    let sorteio = this.aleatorio() * pesoTotal;
+    let tipo = disponiveis[disponiveis.length - 1];
+    for (const candidato of disponiveis) {
+      sorteio -= this.pesos[candidato];
+      if (sorteio < 0) {
+        tipo = candidato;
+        break;
+      }
+    }
+
+    if (tipo === 'atual') return { tipo, rotulo: 'atual', agente: null };
+    if (tipo === 'congelado') {
+      const grupo = this.congelados[jogador];
+      const agente = grupo[Math.floor(this.aleatorio() * grupo.length)];
+      return { tipo, rotulo: agente.rotulo, agente };
+    }
+    return { tipo, rotulo: tipo, agente: this.#obterAdversarioFixo(tipo, jogador) };
+  }
+
+  /**
+   * Registra o resultado de um confronto no placar da janela.
+   *
+   * @param {AgenteQLearning} aprendiz - O aprendiz que jogou
+   * @param {string} rotulo - Rótulo do adversário (veja `sortearAdversario`)
+   * @param {number} vencedor - O jogador vencedor (1, 2 ou 0 para empate)
+   * @returns {void}
+   */
+  registrarResultado(aprendiz, rotulo, vencedor) {
+    const chave = `${aprendiz.simbolo} × ${rotulo}`;
+    const placar = this.resultados[chave] ??= { vitorias: 0, derrotas: 0, empates: 0 };
+    if (vencedor === 0) placar.empates++;
+    else if (vencedor === aprendiz.jogador) placar.vitorias++;
+    else placar.derrotas++;
+  }
+
+  /**
+   * Exibe o placar de cada confronto na janela, guarda-o no histórico e o
+   * zera para a próxima janela.
+   *
+   * @param {number} numeroPartida - Partida em que a janela terminou
+   * @returns {void}
+   */
+  exibirResultados(numeroPartida) {
+    const confrontos = Object.entries(this.resultados);
+    if (confrontos.length === 0) return;
+    this.historico.push({ numeroPartida, resultados: this.resultados });
+
+    console.log(`\n🏟️  Liga — janela até a partida ${numeroPartida.toLocaleString('pt-BR')}`);
+    console.table(Object.fromEntries(confrontos.sort(([a], [b]) => a.localeCompare(b)).map(([chave, placar]) => {
+      const total = placar.vitorias + placar.derrotas + placar.empates;
+      return [chave, {
+        'Partidas': total,
+        'Vitórias': `${((placar.vitorias / total) * 100).toFixed(1)}%`,
+        'Empates': `${((placar.empates / total) * 100).toFixed(1)}%`,
+        'Derrotas': `${((placar.derrotas / total) * 100).toFixed(1)}%`
+      }];
+    })));
+
+    this.resultados = {};
+  }
+}
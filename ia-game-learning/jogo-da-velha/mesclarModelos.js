@@ -2,69 +2,286 @@
  * @Modulo 💎 jogo-da-velha/mesclarModelos.js
  * @Projeto 📘 AI Game Learning
  *
- * Esta é uma ferramenta para criar um "Superagente" a partir de dois agentes
- * previamente treinados (X e O).
+ * Esta é uma ferramenta para criar um "Superagente" a partir de agentes
+ * previamente treinados (normalmente X e O, mas vale qualquer número de
+ * modelos, como vários checkpoints do mesmo treino).
  * 
  * É como fazer uma "fusão" no Ragnarok: pega o conhecimento de dois personagens
  * experientes e cria um único personagem com o melhor conhecimento de ambos.
  * 
  * O processo funciona assim:
- * 1. Carrega as memórias (Q-Tables) dos dois agentes
- * 2. Mescla o conhecimento, mantendo sempre os melhores valores Q
- * 3. Salva o "Superagente" resultante
+ * 1. Carrega as memórias (Q-Tables) dos agentes (formato novo ou antigo)
+ * 2. Mescla o conhecimento com a estratégia escolhida (veja `ESTRATEGIAS_DE_MESCLAGEM`)
+ * 3. Mostra quantas ações gulosas cada estratégia mudaria em cada agente
+ * 4. Salva o "Superagente" resultante (a menos que seja só uma simulação)
+ *
+ * Uso:
+ *   node mesclarModelos.js [modelo1.json modelo2.json ...] [--saida superagente.json] [--dimensao 3]
+ *                          [--estrategia ponderada-por-visitas|media|maximo|minimo|preferir-dono] [--simulacao]
+ *
+ * Sem modelos, usa `agente_x_final_NxN.json` e `agente_o_final_NxN.json` da
+ * pasta `modelos_treinados` (N vem de `--dimensao`, 3 por padrão) e salva em
+ * `superagente_final_NxN.json`. Com `--simulacao`, só mostra as estatísticas.
  */
 
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { lerArquivoModelo, escreverArquivoModelo } from './agente.js';
 
 // Obtém o diretório atual (equivalente ao __dirname do CommonJS)
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /**
- * Carrega, mescla e salva as Tabelas Q de dois agentes.
+ * Estratégias para resolver os conflitos (a mesma ação, no mesmo estado,
+ * conhecida por mais de um modelo):
+ *
+ * - 'ponderada-por-visitas': média ponderada pelas visitas N(s,a) de cada
+ *   modelo (sem visitas salvas, vira a média simples)
+ * - 'media': média simples dos valores
+ * - 'maximo': o maior valor (otimista; o comportamento original da fusão)
+ * - 'minimo': o menor valor (pessimista)
+ * - 'preferir-dono': usa o modelo do jogador da vez no estado (X nos estados
+ *   em que X joga, O nos estados em que O joga). Quando as peças empatam,
+ *   qualquer um pode ser o da vez (quem começa é sorteado), e vale a média
+ *   ponderada por visitas
+ */
+const ESTRATEGIAS_DE_MESCLAGEM = ['ponderada-por-visitas', 'media', 'maximo', 'minimo', 'preferir-dono'];
+
+/**
+ * Descobre de quem é a vez em um estado pelo número de peças no tabuleiro.
+ *
+ * Quem tem menos peças joga. Com o mesmo número de peças, não dá para saber
+ * (depende de quem começou a partida).
+ *
+ * @param {string} estado - O estado do tabuleiro (JSON)
+ * @returns {number|null} O jogador da vez (1 ou 2), ou null se não der para saber
+ */
+function obterJogadorDaVez(estado) {
+  const tabuleiro = JSON.parse(estado);
+  const pecasX = tabuleiro.filter(casa => casa === 1).length;
+  const pecasO = tabuleiro.filter(casa => casa === 2).length;
+  if (pecasX === pecasO) return null;
+  return pecasX < pecasO ? 1 : 2;
+}
+
+/**
+ * Média dos valores ponderada pelas visitas (média simples se ninguém tiver visitas).
+ *
+ * @param {Array<{valor: number, visitas: number}>} opinioes - Valores e visitas de cada modelo
+ * @returns {number} A média ponderada
+ */
+function calcularMediaPonderada(opinioes) {
+  const totalDeVisitas = opinioes.reduce((total, { visitas }) => total + visitas, 0);
+  if (totalDeVisitas === 0) {
+    return opinioes.reduce((total, { valor }) => total + valor, 0) / opinioes.length;
+  }
+  return opinioes.reduce((total, { valor, visitas }) => total + valor * visitas, 0) / totalDeVisitas;
+}
+
+/**
+ * Combina as opiniões dos modelos sobre uma mesma ação em um único valor Q.
+ *
+ * @param {Array<{valor: number, visitas: number, jogador: number|null}>} opinioes - Uma por modelo
+ *   que conhece a ação
+ * @param {string} estrategia - Uma das `ESTRATEGIAS_DE_MESCLAGEM`
+ * @param {number|null} jogadorDaVez - De quem é a vez no estado (null se não der para saber)
+ * @returns {number} O valor Q mesclado
+ */
+function mesclarOpinioes(opinioes, estrategia, jogadorDaVez) {
+  switch (estrategia) {
+    case 'ponderada-por-visitas':
+      return calcularMediaPonderada(opinioes);
+    case 'media':
+      return opinioes.reduce((total, { valor }) => total + valor, 0) / opinioes.length;
+    case 'maximo':
+      return Math.max(...opinioes.map(({ valor }) => valor));
+    case 'minimo':
+      return Math.min(...opinioes.map(({ valor }) => valor));
+    case 'preferir-dono': {
+      const doDono = opinioes.filter(({ jogador }) => jogador === jogadorDaVez);
+      return calcularMediaPonderada(doDono.length > 0 ? doDono : opinioes);
+    }
+  }
+}
+
+/**
+ * As ações de maior valor Q em um estado, como texto para comparar.
+ *
+ * @param {Object<string, number>} acoes - Valores Q de cada ação do estado
+ * @returns {string} As melhores ações, em ordem, separadas por vírgula
+ */
+function obterAcoesGulosas(acoes) {
+  const maiorValor = Math.max(...Object.values(acoes));
+  return Object.keys(acoes).filter(acao => acoes[acao] === maiorValor).sort().join(',');
+}
+
+/**
+ * Mescla os modelos já carregados em uma única Tabela Q.
+ *
+ * Estados e ações que só um modelo conhece entram como estão. Os conflitos
+ * são resolvidos pela `estrategia`. As visitas N(s,a) dos modelos são somadas.
+ *
+ * Além disso, para cada estratégia (e não só a escolhida), conta em quantos
+ * estados a ação gulosa (a melhor) deixaria de ser a que cada modelo jogaria.
+ *
+ * @param {Array<{tabelaQ: Object, visitas: Object|null, jogador: number|null}>} modelos - Os modelos
+ *   a mesclar; o primeiro serve de base para as estatísticas
+ * @param {string} [estrategia='maximo'] - Uma das `ESTRATEGIAS_DE_MESCLAGEM`
+ * @returns {{tabelaQ: Object, visitas: Object, estatisticas: {estadosNovos: number, acoesNovas: number,
+ *   conflitos: number}, acoesGulosasAlteradas: Object<string, Array<number>>}} A Tabela Q e as visitas
+ *   mescladas, as estatísticas da fusão e, por estratégia, as ações gulosas alteradas em cada modelo
+ * @throws {Error} Se a estratégia for desconhecida
+ */
+function combinarModelos(modelos, estrategia = 'maximo') {
+  if (!ESTRATEGIAS_DE_MESCLAGEM.includes(estrategia)) {
+    throw new Error(`Estratégia de mesclagem '${estrategia}' desconhecida. Use: ${ESTRATEGIAS_DE_MESCLAGEM.join(', ')}.`);
+  }
+
+  const [modeloBase] = modelos;
+  const tabelaQ = {};
+  const visitas = {};
+  const estatisticas = { estadosNovos: 0, acoesNovas: 0, conflitos: 0 };
+  const acoesGulosasAlteradas = Object.fromEntries(ESTRATEGIAS_DE_MESCLAGEM.map(nome => [nome, modelos.map(() => 0)]));
+  const estados = new Set(modelos.flatMap(modelo => Object.keys(modelo.tabelaQ)));
+
+  for (const estado of estados) {
+    const jogadorDaVez = obterJogadorDaVez(estado);
+    const acoesDeCadaModelo = modelos.map(modelo => modelo.tabelaQ[estado] ?? {});
+    const acoes = new Set(acoesDeCadaModelo.flatMap(acoesDoModelo => Object.keys(acoesDoModelo)));
+    if (!(estado in modeloBase.tabelaQ)) estatisticas.estadosNovos++;
+
+    // As opiniões de cada modelo que conhece a ação
+    const opinioesPorAcao = {};
+    for (const acao of acoes) {
+      opinioesPorAcao[acao] = modelos
+        .filter((_, indice) => acao in acoesDeCadaModelo[indice])
+        .map(modelo => ({
+          valor: modelo.tabelaQ[estado][acao],
+          visitas: modelo.visitas?.[estado]?.[acao] ?? 0,
+          jogador: modelo.jogador
+        }));
+
+      const opinioes = opinioesPorAcao[acao];
+      if (estado in modeloBase.tabelaQ && !(acao in modeloBase.tabelaQ[estado])) estatisticas.acoesNovas++;
+      if (new Set(opinioes.map(({ valor }) => valor)).size > 1) estatisticas.conflitos++;
+
+      const totalDeVisitas = opinioes.reduce((total, opiniao) => total + opiniao.visitas, 0);
+      if (totalDeVisitas > 0) {
+        visitas[estado] ??= {};
+        visitas[estado][acao] = totalDeVisitas;
+      }
+    }
+
+    for (const nome of ESTRATEGIAS_DE_MESCLAGEM) {
+      const acoesMescladas = {};
+      for (const acao of acoes) {
+        acoesMescladas[acao] = mesclarOpinioes(opinioesPorAcao[acao], nome, jogadorDaVez);
+      }
+      if (nome === estrategia) tabelaQ[estado] = acoesMescladas;
+
+      if (acoes.size === 0) continue;
+      const gulosasMescladas = obterAcoesGulosas(acoesMescladas);
+      acoesDeCadaModelo.forEach((acoesDoModelo, indice) => {
+        if (Object.keys(acoesDoModelo).length > 0 && obterAcoesGulosas(acoesDoModelo) !== gulosasMescladas) {
+          acoesGulosasAlteradas[nome][indice]++;
+        }
+      });
+    }
+  }
+
+  return { tabelaQ, visitas, estatisticas, acoesGulosasAlteradas };
+}
+
+/**
+ * Monta o cabeçalho do Superagente a partir dos cabeçalhos de origem.
+ *
+ * O Superagente joga pelos dois lados, então não tem um jogador fixo.
+ * Os hiperparâmetros e o tabuleiro vêm do primeiro modelo que os tiver
+ * (arquivos antigos não têm cabeçalho), e as estatísticas são somadas.
+ *
+ * @param {Array<Object|null>} cabecalhosOrigem - Cabeçalhos dos modelos mesclados
+ * @param {Array<string>} caminhosOrigem - Arquivos que deram origem à fusão
+ * @param {string} estrategia - Estratégia usada nos conflitos
+ * @returns {Object} Cabeçalho do modelo mesclado
+ */
+function criarCabecalhoMesclado(cabecalhosOrigem, caminhosOrigem, estrategia) {
+  const cabecalhos = cabecalhosOrigem.filter(Boolean);
+  const somar = campo => cabecalhos.reduce((total, cabecalho) => total + cabecalho.estatisticas[campo], 0);
+
+  return {
+    criadoEm: new Date().toISOString(),
+    idTreino: cabecalhos[0]?.idTreino ?? null,
+    dimensao: cabecalhos[0]?.dimensao ?? null,
+    jogador: null,
+    hiperparametros: cabecalhos[0]?.hiperparametros ?? {},
+    estatisticas: {
+      partidasTreinadas: somar('partidasTreinadas'),
+      vitorias: somar('vitorias'),
+      derrotas: somar('derrotas'),
+      empates: somar('empates')
+    },
+    mescladoDe: caminhosOrigem.map(caminho => path.basename(caminho)),
+    estrategiaDeMesclagem: estrategia
+  };
+}
+
+/**
+ * Procura modelos treinados em tabuleiros diferentes.
+ *
+ * Misturar um 3x3 com um 4x4 seria como juntar o bestiário de dois jogos
+ * diferentes: os estados não têm nada em comum.
+ *
+ * @param {Array<Object|null>} cabecalhos - Cabeçalhos dos modelos (null nos arquivos antigos)
+ * @returns {string|null} Descrição do conflito, ou null se os tabuleiros batem
+ */
+function verificarDimensoes(cabecalhos) {
+  const dimensoes = new Set(cabecalhos
+    .filter(cabecalho => cabecalho?.dimensao)
+    .map(({ dimensao }) => `${dimensao.linhas}x${dimensao.colunas}`));
+  return dimensoes.size > 1 ? `Os modelos foram treinados em tabuleiros diferentes: ${[...dimensoes].join(', ')}.` : null;
+}
+
+/**
+ * Carrega, mescla e salva as Tabelas Q de vários agentes.
  * 
- * É como combinar duas "Enciclopédias de Monstros" no Ragnarok: cada jogador
+ * É como combinar várias "Enciclopédias de Monstros" no Ragnarok: cada jogador
  * conhece monstros diferentes ou tem estratégias diferentes para os mesmos monstros.
- * O Superagente fica com o melhor conhecimento de ambos.
+ * O Superagente fica com o conhecimento de todos.
  * 
  * Estratégia de fusão:
  * - Situações que só um agente conhece: adiciona ao Superagente
- * - Situações conhecidas por ambos: mantém a melhor avaliação (maior valor Q)
+ * - Situações conhecidas por vários: resolve pela `estrategia` (veja `ESTRATEGIAS_DE_MESCLAGEM`)
  * - Ações novas em situações compartilhadas: adiciona ao repertório
+ *
+ * O dono de cada modelo (usado pela estratégia 'preferir-dono') vem do
+ * cabeçalho. Arquivos antigos não têm cabeçalho: com dois modelos, vale a
+ * ordem (X, depois O).
  * 
- * @param {string} caminhoAgenteX - Caminho do arquivo JSON do Agente X
- * @param {string} caminhoAgenteO - Caminho do arquivo JSON do Agente O
+ * @param {Array<string>} caminhosModelos - Caminhos dos arquivos JSON dos agentes
  * @param {string} caminhoSaida - Caminho onde salvar o Superagente mesclado
- * @returns {void}
+ * @param {Object} [opcoes] - Opções da fusão
+ * @param {string} [opcoes.estrategia='maximo'] - Uma das `ESTRATEGIAS_DE_MESCLAGEM`
+ * @param {boolean} [opcoes.simulacao=false] - Se true, só mostra as estatísticas (não salva nada)
+ * @returns {{estatisticas: Object, acoesGulosasAlteradas: Object, totalDeEstados: number}|null} O resumo
+ *   da fusão, ou null se algum modelo não pôde ser carregado
+ * @throws {Error} Se a estratégia for desconhecida
  */
-function mesclarTabelasQ(caminhoAgenteX, caminhoAgenteO, caminhoSaida) {
+function mesclarModelos(caminhosModelos, caminhoSaida, { estrategia = 'maximo', simulacao = false } = {}) {
   console.log("\n" + "=".repeat(50));
   console.log("💎 INICIANDO A FUSÃO DE CONHECIMENTO DOS AGENTES 💎");
   console.log("=".repeat(50));
 
   // --- 1. Carregar as Memórias (Tabelas Q) ---
-  let tabelaQX, tabelaQO;
+  const modelos = [];
 
   try {
-    const dadosX = fs.readFileSync(caminhoAgenteX, 'utf-8');
-    const objetoX = JSON.parse(dadosX);
-    
-    // Verifica se os dados estão dentro de um "contêiner" (objeto)
-    // Se for um objeto e tiver a chave 'q_table' ou 'tabelaQ', pegue-a. Senão, use os dados diretamente.
-    tabelaQX = objetoX.q_table || objetoX.tabelaQ || objetoX;
-    
-    console.log(`✅ Memória do Agente X carregada: ${Object.keys(tabelaQX).length.toLocaleString()} estados conhecidos.`);
-
-    const dadosO = fs.readFileSync(caminhoAgenteO, 'utf-8');
-    const objetoO = JSON.parse(dadosO);
-    
-    // Faz a mesma verificação para o agente O
-    tabelaQO = objetoO.q_table || objetoO.tabelaQ || objetoO;
-    
-    console.log(`✅ Memória do Agente O carregada: ${Object.keys(tabelaQO).length.toLocaleString()} estados conhecidos.`);
-
+    // O leitor entende tanto o formato versionado quanto as Tabelas Q "puras" antigas
+    for (const caminho of caminhosModelos) {
+      const modelo = lerArquivoModelo(caminho);
+      modelos.push(modelo);
+      console.log(`✅ Memória de ${path.basename(caminho)} carregada: ${Object.keys(modelo.tabelaQ).length.toLocaleString()} estados conhecidos.`);
+    }
   } catch (error) {
     if (error.code === 'ENOENT') {
       console.log(`❌ ERRO: Arquivo de modelo não encontrado: ${error.path}`);
@@ -72,89 +289,137 @@ function mesclarTabelasQ(caminhoAgenteX, caminhoAgenteO, caminhoSaida) {
       console.log(`❌ ERRO: O formato dos arquivos JSON é inesperado. Verifique como os dados foram salvos.`);
       console.log(`Detalhes: ${error.message}`);
     }
-    return;
+    return null;
   }
 
-  // --- 2. Iniciar a Fusão ---
-  console.log("\nIniciando o processo de mesclagem...");
-  
-  // Cria uma cópia profunda da tabela Q de X como base
-  const tabelaQMesclada = JSON.parse(JSON.stringify(tabelaQX));
-  
-  let conflitosResolvidos = 0;
-  let estadosNovosAdicionados = 0;
-  let acoesNovasAdicionadas = 0;
-
-  // Percorre todos os estados conhecidos pelo Agente O
-  for (const [estadoO, acoesO] of Object.entries(tabelaQO)) {
-    if (!(estadoO in tabelaQMesclada)) {
-      // Estado completamente novo: o Agente X não conhecia esta situação
-      tabelaQMesclada[estadoO] = acoesO;
-      estadosNovosAdicionados++;
-    } else {
-      // Estado já existe: verifica ação por ação
-      for (const [acaoO, valorQO] of Object.entries(acoesO)) {
-        if (!(acaoO in tabelaQMesclada[estadoO])) {
-          // Ação nova neste estado: o Agente X nunca tentou esta jogada aqui
-          tabelaQMesclada[estadoO][acaoO] = valorQO;
-          acoesNovasAdicionadas++;
-        } else {
-          // Conflito: ambos conhecem esta ação neste estado
-          const valorQExistente = tabelaQMesclada[estadoO][acaoO];
-          if (valorQO > valorQExistente) {
-            // O Agente O tem uma avaliação melhor: usa a dele
-            tabelaQMesclada[estadoO][acaoO] = valorQO;
-            conflitosResolvidos++;
-          }
-          // Se o valor de X for melhor ou igual, mantém o atual
-        }
-      }
-    }
+  const conflitoDeDimensoes = verificarDimensoes(modelos.map(modelo => modelo.cabecalho));
+  if (conflitoDeDimensoes) {
+    console.log(`❌ ERRO: ${conflitoDeDimensoes}`);
+    return null;
   }
-  
+
+  // --- 2. Iniciar a Fusão ---
+  console.log(`\nIniciando o processo de mesclagem (estratégia: ${estrategia})...`);
+
+  const { tabelaQ: tabelaQMesclada, visitas, estatisticas, acoesGulosasAlteradas } = combinarModelos(
+    modelos.map((modelo, indice) => ({
+      tabelaQ: modelo.tabelaQ,
+      visitas: modelo.visitas,
+      jogador: modelo.cabecalho?.jogador ?? (modelos.length === 2 ? indice + 1 : null)
+    })),
+    estrategia
+  );
+
   console.log("Fusão concluída!");
 
   // --- 3. Exibir Estatísticas da Fusão ---
+  const nomes = caminhosModelos.map(caminho => path.basename(caminho));
   console.log("\n--- ESTATÍSTICAS DA FUSÃO ---");
-  console.log(`Estados únicos no Agente X: ${Object.keys(tabelaQX).length.toLocaleString()}`);
-  console.log(`Estados únicos no Agente O: ${Object.keys(tabelaQO).length.toLocaleString()}`);
+  modelos.forEach((modelo, indice) => {
+    console.log(`Estados únicos em ${nomes[indice]}: ${Object.keys(modelo.tabelaQ).length.toLocaleString()}`);
+  });
   console.log("-".repeat(30));
-  console.log(`Estados que só o Agente O conhecia: ${estadosNovosAdicionados.toLocaleString()}`);
-  console.log(`Ações novas aprendidas em estados compartilhados: ${acoesNovasAdicionadas.toLocaleString()}`);
-  console.log(`Conflitos de opinião resolvidos (mantendo a melhor nota): ${conflitosResolvidos.toLocaleString()}`);
+  console.log(`Estados que ${nomes[0]} não conhecia: ${estatisticas.estadosNovos.toLocaleString()}`);
+  console.log(`Ações novas aprendidas em estados compartilhados: ${estatisticas.acoesNovas.toLocaleString()}`);
+  console.log(`Conflitos de opinião resolvidos (${estrategia}): ${estatisticas.conflitos.toLocaleString()}`);
   console.log("-".repeat(30));
   console.log(`Total de estados no Superagente final: ${Object.keys(tabelaQMesclada).length.toLocaleString()}`);
 
-  // --- 4. Salvar o Novo Modelo ---
-  const caminhoArquivoSaida = path.resolve(caminhoSaida);
-  const diretorio = path.dirname(caminhoArquivoSaida);
+  // Quantas jogadas de cada agente cada estratégia mudaria
+  console.log("\n--- AÇÕES GULOSAS ALTERADAS POR ESTRATÉGIA ---");
+  console.table(ESTRATEGIAS_DE_MESCLAGEM.map(nome => ({
+    'Estratégia': nome + (nome === estrategia ? ' (usada)' : ''),
+    // Numerados, para que dois arquivos com o mesmo nome não virem uma coluna só
+    ...Object.fromEntries(nomes.map((nomeModelo, indice) => [`${indice + 1}. ${nomeModelo}`, acoesGulosasAlteradas[nome][indice]]))
+  })));
+
+  const resumo = { estatisticas, acoesGulosasAlteradas, totalDeEstados: Object.keys(tabelaQMesclada).length };
 
-  // Cria o diretório se não existir
-  if (!fs.existsSync(diretorio)) {
-    fs.mkdirSync(diretorio, { recursive: true });
+  if (simulacao) {
+    console.log("\n🔍 Simulação: nenhum arquivo foi salvo.");
+    console.log("=".repeat(50) + "\n");
+    return resumo;
   }
 
-  fs.writeFileSync(
-    caminhoArquivoSaida,
-    JSON.stringify(tabelaQMesclada, null, 2)
-  );
+  // --- 4. Salvar o Novo Modelo ---
+  const caminhoArquivoSaida = path.resolve(caminhoSaida);
+  escreverArquivoModelo(caminhoArquivoSaida, {
+    cabecalho: criarCabecalhoMesclado(modelos.map(modelo => modelo.cabecalho), caminhosModelos, estrategia),
+    tabelaQ: tabelaQMesclada,
+    visitas
+  });
 
   console.log(`\n💾 Superagente salvo com sucesso em: ${caminhoArquivoSaida}`);
   console.log("=".repeat(50) + "\n");
+  return resumo;
+}
+
+/**
+ * Carrega, mescla e salva as Tabelas Q do Agente X e do Agente O.
+ *
+ * @param {string} caminhoAgenteX - Caminho do arquivo JSON do Agente X
+ * @param {string} caminhoAgenteO - Caminho do arquivo JSON do Agente O
+ * @param {string} caminhoSaida - Caminho onde salvar o Superagente mesclado
+ * @param {string} [estrategia='maximo'] - Uma das `ESTRATEGIAS_DE_MESCLAGEM`
+ * @returns {Object|null} O resumo da fusão (veja `mesclarModelos`)
+ */
+function mesclarTabelasQ(caminhoAgenteX, caminhoAgenteO, caminhoSaida, estrategia = 'maximo') {
+  return mesclarModelos([caminhoAgenteX, caminhoAgenteO], caminhoSaida, { estrategia });
+}
+
+/**
+ * Lê os argumentos da linha de comando.
+ *
+ * Os argumentos soltos são os modelos a mesclar. Sem nenhum, valem os
+ * modelos finais do X e do O na dimensão escolhida.
+ *
+ * @param {Array<string>} argumentos - Normalmente `process.argv.slice(2)`
+ * @returns {{caminhosModelos: Array<string>, caminhoSaida: string, estrategia: string,
+ *   simulacao: boolean}} Opções da fusão
+ */
+function lerArgumentos(argumentos) {
+  const pastaModelos = path.resolve(__dirname, 'modelos_treinados');
+  const caminhosModelos = [];
+  let caminhoSaida = null;
+  let dimensao = 3;
+  let estrategia = 'maximo';
+  let simulacao = false;
+
+  for (let i = 0; i < argumentos.length; i++) {
+    const argumento = argumentos[i];
+    if (argumento === '--saida') {
+      caminhoSaida = path.resolve(argumentos[++i]);
+    } else if (argumento === '--dimensao') {
+      dimensao = parseInt(argumentos[++i]);
+    } else if (argumento === '--estrategia') {
+      estrategia = argumentos[++i];
+    } else if (argumento === '--simulacao') {
+      simulacao = true;
+    } else {
+      caminhosModelos.push(path.resolve(argumento));
+    }
+  }
+
+  if (caminhosModelos.length === 0) {
+    caminhosModelos.push(
+      path.join(pastaModelos, `agente_x_final_${dimensao}x${dimensao}.json`),
+      path.join(pastaModelos, `agente_o_final_${dimensao}x${dimensao}.json`)
+    );
+  }
+  caminhoSaida ??= path.join(pastaModelos, `superagente_final_${dimensao}x${dimensao}.json`);
+
+  return { caminhosModelos, caminhoSaida, estrategia, simulacao };
 }
 
 // --- Bloco de Execução Principal ---
 // Este bloco permite que o arquivo seja executado como um script.
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const pastaModelos = path.resolve(__dirname, 'modelos_treinados');
-  const dimensao = 3;
-  
-  const caminhoX = path.join(pastaModelos, `agente_x_final_${dimensao}x${dimensao}.json`);
-  const caminhoO = path.join(pastaModelos, `agente_o_final_${dimensao}x${dimensao}.json`);
-  const caminhoFinal = path.join(pastaModelos, `superagente_final_${dimensao}x${dimensao}.json`);
-  
-  mesclarTabelasQ(caminhoX, caminhoO, caminhoFinal);
+  const { caminhosModelos, caminhoSaida, estrategia, simulacao } = lerArgumentos(process.argv.slice(2));
+
+  if (!mesclarModelos(caminhosModelos, caminhoSaida, { estrategia, simulacao })) {
+    process.exitCode = 1;
+  }
 }
 
-// Exporta a função para uso em outros módulos
-export { mesclarTabelasQ };
+// Exporta as funções para uso em outros módulos
+export { mesclarModelos, mesclarTabelasQ, combinarModelos, ESTRATEGIAS_DE_MESCLAGEM };
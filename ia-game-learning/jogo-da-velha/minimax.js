@@ -0,0 +1,262 @@
+/**
+ * @Modulo ♟️ jogo-da-velha/minimax.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Este módulo define o "Oráculo": um jogador perfeito baseado em Minimax
+ * (na variante Negamax) com poda Alfa-Beta e tabela de transposição.
+ *
+ * Diferente do Agente Q-Learning, o Oráculo não aprende nada: ele calcula,
+ * por força bruta inteligente, o valor teórico de cada posição. Por isso ele
+ * serve como "gabarito" para dizer se um agente treinado joga de forma ótima.
+ *
+ * Responsabilidades:
+ * - `OraculoMinimax`: resolve posições, devolvendo o valor teórico e o
+ *   conjunto de jogadas ótimas de cada estado.
+ * - `AgenteMinimax`: adapta o Oráculo à mesma interface do `AgenteQLearning`,
+ *   para ser usado como adversário no `Treinador`.
+ */
+
+import { AmbienteJogoDaVelha } from './ambiente.js';
+
+/**
+ * Resolve posições de um ambiente de tabuleiro com Negamax + Alfa-Beta.
+ *
+ * É como um "Sábio de Juno" no Ragnarok que já leu todos os livros: antes de
+ * responder, ele imagina todas as continuações possíveis da partida e sabe
+ * exatamente qual é o melhor resultado que cada jogada pode garantir.
+ *
+ * Os valores são sempre do ponto de vista de quem vai jogar:
+ * - +1: vitória garantida com jogo perfeito
+ * -  0: empate com jogo perfeito
+ * - -1: derrota garantida contra um adversário perfeito
+ *
+ * O Oráculo simula as jogadas em uma cópia do ambiente (`clonar`), então
+ * funciona com qualquer variante que respeite o contrato do ambiente
+ * (incluindo "k em linha" e gravidade). Tabuleiros grandes, porém, podem
+ * ser lentos demais para uma solução completa.
+ *
+ * @property {AmbienteJogoDaVelha} simulador - Cópia do ambiente usada nas simulações
+ * @property {Map<string, Object>} tabelaDeTransposicao - Posições já resolvidas
+ * @property {number} posicoesAvaliadas - Quantidade de nós visitados (para diagnóstico)
+ */
+export class OraculoMinimax {
+  /**
+   * Cria um Oráculo para as regras de um ambiente.
+   *
+   * @param {AmbienteJogoDaVelha} [ambiente=new AmbienteJogoDaVelha(3)] - Ambiente cujas regras serão usadas
+   */
+  constructor(ambiente = new AmbienteJogoDaVelha(3)) {
+    this.simulador = ambiente.clonar();
+    this.tabelaDeTransposicao = new Map();
+    this.posicoesAvaliadas = 0;
+  }
+
+  /**
+   * Calcula o valor teórico de uma posição para quem vai jogar.
+   *
+   * @param {Array<number>} tabuleiro - O tabuleiro a ser avaliado
+   * @param {number} jogadorAtual - Quem joga a seguir (1 ou 2)
+   * @returns {number} +1 (vitória), 0 (empate) ou -1 (derrota)
+   */
+  avaliar(tabuleiro, jogadorAtual) {
+    this.simulador.definirEstado(tabuleiro, jogadorAtual);
+    return this.#negamax(-1, 1);
+  }
+
+  /**
+   * Calcula o valor de cada jogada possível e o conjunto de jogadas ótimas.
+   *
+   * É o "gabarito" completo de uma posição: cada jogada é resolvida com a
+   * janela cheia, para que o valor de todas seja exato (e não apenas um limite).
+   *
+   * @param {Array<number>} tabuleiro - O tabuleiro a ser avaliado
+   * @param {number} jogadorAtual - Quem joga a seguir (1 ou 2)
+   * @returns {{valor: number, jogadasOtimas: Array<number>, valoresPorJogada: Object<number, number>}}
+   *   Valor da posição, jogadas que o garantem e o valor de cada jogada
+   */
+  obterJogadasOtimas(tabuleiro, jogadorAtual) {
+    this.simulador.definirEstado(tabuleiro, jogadorAtual);
+
+    const valoresPorJogada = {};
+    for (const acao of this.simulador.obterAcoesValidas()) {
+      this.simulador.executarJogada(acao);
+      valoresPorJogada[acao] = -this.#negamax(-1, 1);
+      this.simulador.definirEstado(tabuleiro, jogadorAtual);
+    }
+
+    const valores = Object.values(valoresPorJogada);
+    const valor = valores.length > 0 ? Math.max(...valores) : this.#valorTerminal();
+    const jogadasOtimas = Object.entries(valoresPorJogada)
+      .filter(([_, valorJogada]) => valorJogada === valor)
+      .map(([acao]) => parseInt(acao));
+
+    return { valor, jogadasOtimas, valoresPorJogada };
+  }
+
+  /**
+   * Esvazia a tabela de transposição, liberando memória.
+   *
+   * @returns {void}
+   */
+  limparMemoria() {
+    this.tabelaDeTransposicao.clear();
+    this.posicoesAvaliadas = 0;
+  }
+
+  /**
+   * Valor de uma posição já finalizada, para quem seria o próximo a jogar.
+   *
+   * @private
+   * @returns {number} 0 em caso de empate, +1 se quem joga venceu, -1 caso contrário
+   */
+  #valorTerminal() {
+    const { vencedor, jogadorAtual } = this.simulador;
+    if (vencedor === 0) return 0;
+    return vencedor === jogadorAtual ? 1 : -1;
+  }
+
+  /**
+   * Negamax com poda Alfa-Beta e tabela de transposição.
+   *
+   * Como o jogo é de soma zero, o valor de uma posição para um jogador é o
+   * negativo do valor para o outro: basta uma única função recursiva.
+   * A poda Alfa-Beta descarta ramos que não podem mudar a decisão, e a tabela
+   * de transposição evita recalcular posições alcançadas por ordens diferentes.
+   *
+   * @private
+   * @param {number} alfa - Melhor valor já garantido para quem joga
+   * @param {number} beta - Melhor valor já garantido para o adversário (negado)
+   * @returns {number} Valor da posição atual do simulador para quem joga
+   */
+  #negamax(alfa, beta) {
+    this.posicoesAvaliadas++;
+
+    if (this.simulador.partidaFinalizada) {
+      return this.#valorTerminal();
+    }
+
+    const chave = `${this.simulador.obterEstadoComoTupla()}|${this.simulador.jogadorAtual}`;
+    const registro = this.tabelaDeTransposicao.get(chave);
+    if (registro) {
+      if (registro.tipo === 'exato') return registro.valor;
+      if (registro.tipo === 'inferior') alfa = Math.max(alfa, registro.valor);
+      if (registro.tipo === 'superior') beta = Math.min(beta, registro.valor);
+      if (alfa >= beta) return registro.valor;
+    }
+
+    const alfaOriginal = alfa;
+    const tabuleiro = this.simulador.obterEstado();
+    const jogadorAtual = this.simulador.jogadorAtual;
+    let melhorValor = -Infinity;
+
+    for (const acao of this.simulador.obterAcoesValidas()) {
+      this.simulador.executarJogada(acao);
+      const valor = -this.#negamax(-beta, -alfa);
+      this.simulador.definirEstado(tabuleiro, jogadorAtual);
+
+      melhorValor = Math.max(melhorValor, valor);
+      alfa = Math.max(alfa, valor);
+      if (alfa >= beta) break; // Poda: o adversário nunca deixaria chegar aqui
+    }
+
+    let tipo = 'exato';
+    if (melhorValor <= alfaOriginal) tipo = 'superior';
+    else if (melhorValor >= beta) tipo = 'inferior';
+    this.tabelaDeTransposicao.set(chave, { valor: melhorValor, tipo });
+
+    return melhorValor;
+  }
+}
+
+/**
+ * Um jogador perfeito com a mesma interface do `AgenteQLearning`.
+ *
+ * É como contratar um "MVP" de Ragnarok para treinar a guilda: ele não
+ * evolui, mas também nunca erra. Pode ser usado no lugar de um dos agentes
+ * no `Treinador` (como adversário) ou em avaliações.
+ *
+ * Os métodos de aprendizado existem apenas para cumprir o contrato e
+ * contabilizar o resultado das partidas.
+ *
+ * @property {OraculoMinimax} oraculo - O solucionador usado para escolher as jogadas
+ * @property {number} jogador - Identificador do jogador (1 ou 2)
+ * @property {string} simbolo - Símbolo visual ('X' ou 'O')
+ * @property {number} epsilon - Sempre 0 (nunca explora)
+ * @property {number} alpha - Sempre 0 (nunca aprende)
+ * @property {function(): number} aleatorio - Gerador de números em [0, 1) usado nos desempates
+ */
+export class AgenteMinimax {
+  /**
+   * Cria um jogador perfeito.
+   *
+   * @param {Object} config - Objeto de configuração
+   * @param {AmbienteJogoDaVelha} [config.ambiente] - Ambiente cujas regras serão usadas (padrão 3x3)
+   * @param {number} [config.jogador=1] - Identificador do jogador (1 para X, 2 para O)
+   * @param {OraculoMinimax} [config.oraculo] - Oráculo já existente, para compartilhar a memória
+   * @param {function(): number} [config.aleatorio=Math.random] - Gerador de números em [0, 1) usado nos desempates
+   */
+  constructor({ ambiente = new AmbienteJogoDaVelha(3), jogador = 1, oraculo = null, aleatorio = Math.random } = {}) {
+    this.oraculo = oraculo || new OraculoMinimax(ambiente);
+    this.aleatorio = aleatorio;
+    this.jogador = jogador;
+    this.simbolo = jogador === 1 ? 'X' : 'O';
+    this.epsilon = 0;
+    this.alpha = 0;
+
+    this.partidasTreinadas = 0;
+    this.vitorias = 0;
+    this.derrotas = 0;
+    this.empates = 0;
+  }
+
+  /**
+   * Escolhe uma das jogadas ótimas (sorteada entre as empatadas).
+   *
+   * @param {string} estado - O estado atual do tabuleiro (JSON)
+   * @param {Array<number>} acoesValidas - Lista de ações disponíveis
+   * @returns {number} A ação escolhida
+   * @throws {Error} Se não houver ações válidas disponíveis
+   */
+  escolherAcao(estado, acoesValidas) {
+    if (!acoesValidas || acoesValidas.length === 0) {
+      throw new Error("Não há ações válidas para escolher.");
+    }
+
+    const { jogadasOtimas } = this.oraculo.obterJogadasOtimas(JSON.parse(estado), this.jogador);
+    return jogadasOtimas[Math.floor(this.aleatorio() * jogadasOtimas.length)];
+  }
+
+  /** @returns {void} */
+  iniciarNovaPartida() {}
+
+  /** @returns {void} */
+  registrarJogada() {}
+
+  /**
+   * Apenas contabiliza o resultado da partida (o Oráculo não aprende).
+   *
+   * @param {number} recompensaFinal - Recompensa final da partida (+1, -1 ou 0)
+   * @returns {void}
+   */
+  aprenderComFimDePartida(recompensaFinal) {
+    this.partidasTreinadas += 1;
+    if (recompensaFinal > 0) this.vitorias++;
+    else if (recompensaFinal < 0) this.derrotas++;
+    else this.empates++;
+  }
+
+  /**
+   * Imprime o placar do jogador perfeito.
+   *
+   * @returns {void}
+   */
+  imprimirEstatisticas() {
+    console.log(`\n${'='.repeat(50)}`);
+    console.log(`♟️ ESTATÍSTICAS DO ORÁCULO MINIMAX (${this.simbolo})`);
+    console.log(`${'='.repeat(50)}`);
+    console.log(`Partidas jogadas:     ${this.partidasTreinadas.toLocaleString('pt-BR')}`);
+    console.log(`Posições resolvidas:  ${this.oraculo.tabelaDeTransposicao.size.toLocaleString('pt-BR')}`);
+    console.log(`Vitórias: ${this.vitorias} | Empates: ${this.empates} | Derrotas: ${this.derrotas}`);
+    console.log(`${'='.repeat(50)}\n`);
+  }
+}
@@ -0,0 +1,343 @@
+/**
+ * @Modulo 📣 jogo-da-velha/ouvintesDoTreino.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Este módulo reúne os "ouvintes" padrão do treino: tudo o que o Treinador
+ * fazia além de jogar as partidas (barra de progresso, resumos no console,
+ * checkpoints, modelos finais e o arquivo de métricas) e agora acontece em resposta aos eventos
+ * do treino (veja `EVENTOS_DO_TREINO` em treinador.js).
+ *
+ * É como o sistema de mensagens de uma guilda em Ragnarok: o Mestre da
+ * Guilda só anuncia o que aconteceu ("começou a WoE", "caiu o Emperium"),
+ * e cada membro reage do seu jeito; quem não quer ouvir sai do canal.
+ *
+ * Cada ouvinte é um objeto com uma função para cada evento que ele ouve,
+ * ligado com `treinador.conectar(ouvinte)` e desligado com
+ * `treinador.desconectar(ouvinte)`. Todos os eventos trazem o `treinador`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import cliProgress from 'cli-progress';
+import colors from 'ansi-colors';
+import { AgenteQLearning } from './agente.js';
+
+/**
+ * Formatos aceitos para o arquivo de métricas do treino (`metricas_treino.<formato>`).
+ */
+export const FORMATOS_DE_METRICAS = ['jsonl', 'csv'];
+
+/**
+ * Campos de cada registro de métricas, na ordem das colunas do CSV.
+ *
+ * - partida: número da partida em que a janela terminou
+ * - taxaVitoriasX, taxaVitoriasO, taxaEmpates: resultados da janela (entre 0 e 1)
+ * - epsilonX, epsilonO: exploração no fim da janela
+ * - estadosX, estadosO: tamanho das Tabelas Q (estados conhecidos)
+ * - variacaoMediaQX, variacaoMediaQO: média de |ΔQ| das atualizações da janela
+ * - partidasPorSegundo: velocidade do treino na janela
+ */
+export const COLUNAS_DAS_METRICAS = [
+  'partida', 'taxaVitoriasX', 'taxaVitoriasO', 'taxaEmpates', 'epsilonX', 'epsilonO',
+  'estadosX', 'estadosO', 'variacaoMediaQX', 'variacaoMediaQO', 'partidasPorSegundo'
+];
+
+/**
+ * Cria o ouvinte que exibe o cabeçalho no início do treino e o resumo
+ * final (tempo, velocidade e estatísticas dos agentes) no fim.
+ *
+ * @returns {{inicioTreino: function(Object): void, fimTreino: function(Object): void}} O ouvinte
+ */
+export function criarResumoDoTreino() {
+  return {
+    inicioTreino({ treinador, titulo, numeroDePartidas, detalhes }) {
+      const { ambiente, semente, modoDeTreino } = treinador;
+      console.log("\n" + "=".repeat(50));
+      console.log(titulo);
+      console.log("=".repeat(50));
+      console.log(`Total de Partidas: ${numeroDePartidas.toLocaleString('pt-BR')}`);
+      console.log(`Ambiente: Tabuleiro ${ambiente.linhas}x${ambiente.colunas} (${ambiente.sequenciaParaVencer} em linha)`);
+      console.log(`Semente: ${semente === null ? 'nenhuma (não reproduzível)' : semente}`);
+      console.log(`Modo de treino: ${modoDeTreino === 'td' ? 'TD (a cada jogada)' : 'Monte Carlo (fim da partida)'}`);
+      console.log("=".repeat(50) + "\n");
+      detalhes.forEach(detalhe => console.log(`${detalhe}\n`));
+    },
+
+    fimTreino({ treinador, tempoTotalSegundos, partidasJogadas, detalheVelocidade }) {
+      const tempoTotal = tempoTotalSegundos > 0 ? tempoTotalSegundos.toFixed(2) : '0.00';
+      const pps = tempoTotalSegundos > 0 ? (partidasJogadas / tempoTotalSegundos).toFixed(2) : '—';
+
+      // Informações finais do treinamento
+      console.log("\n" + "=".repeat(50));
+      console.log("✅ TREINAMENTO CONCLUÍDO!");
+      console.log("=".repeat(50));
+      console.log(`⏱️  Tempo total: ${tempoTotal}s`);
+      console.log(`📊 Partidas por segundo: ${pps}${detalheVelocidade ? ` (${detalheVelocidade})` : ''}`);
+      console.log("=".repeat(50) + "\n");
+
+      // Exibe estatísticas finais dos agentes
+      treinador.agenteX.imprimirEstatisticas();
+      treinador.agenteO.imprimirEstatisticas();
+    }
+  };
+}
+
+/**
+ * Cria o ouvinte que desenha a barra de progresso do treino, com epsilon,
+ * alpha e a taxa de empates da janela atual.
+ *
+ * A barra esconde o cursor do terminal enquanto desenha; ela é parada no
+ * 'fimTreino' (antes dos resumos) e, se o treino lançar um erro, no
+ * 'encerramentoTreino', para que o cursor sempre volte.
+ *
+ * @returns {{inicioTreino: function(Object): void, fimPartida: function(Object): void,
+ *   fimTreino: function(): void, encerramentoTreino: function(): void}} O ouvinte
+ */
+export function criarBarraDeProgresso() {
+  let barraProgresso = null;
+  const parar = () => {
+    barraProgresso?.stop();
+    barraProgresso = null;
+  };
+  const obterValores = ({ agenteX, agenteO }) => ({
+    epsilonX: agenteX.epsilon.toFixed(4),
+    epsilonO: agenteO.epsilon.toFixed(4),
+    alphaX: agenteX.alpha.toFixed(4),
+    alphaO: agenteO.alpha.toFixed(4)
+  });
+
+  return {
+    inicioTreino({ treinador, numeroDePartidas, partidaInicial }) {
+      // Cria barra de progresso com formato personalizado
+      barraProgresso = new cliProgress.SingleBar({
+        format: colors.cyan('{bar}') + ' | {percentage}% | {value}/{total} | ETA: {eta}s | ' +
+          colors.green('εX: {epsilonX}') + ' | ' + colors.yellow('εO: {epsilonO}') + ' | ' +
+          colors.magenta('α: {alphaX}/{alphaO}') + ' | ' +
+          colors.blue('Empates: {taxaEmpate}%'),
+        barCompleteChar: '\u2588',
+        barIncompleteChar: '\u2591',
+        hideCursor: true,
+        clearOnComplete: false,
+        stopOnComplete: true
+      });
+
+      barraProgresso.start(numeroDePartidas, partidaInicial, { ...obterValores(treinador), taxaEmpate: '0.0' });
+    },
+
+    fimPartida({ treinador, numeroPartida, janela }) {
+      // Calcula taxa de empate da janela atual
+      const totalJanela = janela.vitoriasX + janela.vitoriasO + janela.empates || 1;
+      const taxaEmpate = ((janela.empates / totalJanela) * 100).toFixed(1);
+      barraProgresso.update(numeroPartida, { ...obterValores(treinador), taxaEmpate });
+    },
+
+    fimTreino: parar,
+    encerramentoTreino: parar
+  };
+}
+
+/**
+ * Cria o ouvinte que salva os checkpoints e, no fim do treino, exibe o
+ * resumo dos checkpoints salvos.
+ *
+ * Em cada checkpoint, salva os modelos dos agentes e o arquivo
+ * `treino_checkpoint_N.json` com o progresso do treino (contador de
+ * partidas, parâmetros do loop e contadores da janela), usado por
+ * `Treinador.retomarTreinamento`.
+ *
+ * @returns {{checkpoints: Array<Object>, inicioTreino: function(): void, checkpoint: function(Object): void,
+ *   fimTreino: function(): void}} O ouvinte (`checkpoints` guarda os checkpoints do treino atual)
+ */
+export function criarOuvinteDeCheckpoints() {
+  const checkpoints = [];
+
+  return {
+    checkpoints,
+
+    inicioTreino() {
+      checkpoints.length = 0;
+    },
+
+    checkpoint({ treinador, numeroPartida, progresso }) {
+      const { agenteX, agenteO, pastaModelos } = treinador;
+      const caminhoX = path.join(pastaModelos, `agente_x_checkpoint_${numeroPartida}.json`);
+      const caminhoO = path.join(pastaModelos, `agente_o_checkpoint_${numeroPartida}.json`);
+
+      try {
+        fs.mkdirSync(pastaModelos, { recursive: true });
+        // Adversários fixos (como o Oráculo Minimax) não têm Tabela Q para salvar
+        if (agenteX instanceof AgenteQLearning) {
+          agenteX.salvarMemoria(caminhoX, treinador.obterMetadadosDoModelo());
+        }
+        if (agenteO instanceof AgenteQLearning) {
+          agenteO.salvarMemoria(caminhoO, treinador.obterMetadadosDoModelo());
+        }
+
+        // O progresso é salvo por último: um checkpoint só é retomável se os modelos já estão no disco
+        const estadoDoTreino = {
+          ...treinador.obterMetadadosDoModelo(),
+          modoDeTreino: treinador.modoDeTreino,
+          partidasConcluidas: numeroPartida,
+          ...progresso,
+          arquivos: {
+            agenteX: agenteX instanceof AgenteQLearning ? path.basename(caminhoX) : null,
+            agenteO: agenteO instanceof AgenteQLearning ? path.basename(caminhoO) : null
+          }
+        };
+        fs.writeFileSync(
+          path.join(pastaModelos, `treino_checkpoint_${numeroPartida}.json`),
+          JSON.stringify(estadoDoTreino, null, 2)
+        );
+
+        checkpoints.push({ numeroPartida, timestamp: Date.now(), pasta: pastaModelos, sucesso: true });
+      } catch (err) {
+        checkpoints.push({ numeroPartida, timestamp: Date.now(), erro: err.message, sucesso: false });
+      }
+    },
+
+    fimTreino() {
+      exibirResumoDosCheckpoints(checkpoints);
+    }
+  };
+}
+
+/**
+ * Exibe um resumo limpo e organizado dos checkpoints salvos durante o treinamento.
+ *
+ * É como mostrar o "log de expedições" no Ragnarok: lista todas as vezes que
+ * o progresso foi salvo, com data, hora e número da partida.
+ *
+ * @param {Array<Object>} checkpoints - Checkpoints salvos (ou com erro) no treino
+ * @returns {void}
+ */
+function exibirResumoDosCheckpoints(checkpoints) {
+  if (checkpoints.length === 0) {
+    console.log('\n⚠️  Nenhum checkpoint foi salvo.\n');
+    return;
+  }
+
+  const checkpointsSucesso = checkpoints.filter(cp => cp.sucesso);
+
+  console.log('\n' + '━'.repeat(80));
+  console.log('💾 CHECKPOINTS SALVOS');
+  console.log('━'.repeat(80) + '\n');
+
+  if (checkpointsSucesso.length > 0) {
+    console.log(`✅ ${checkpointsSucesso.length} checkpoint(s) criado(s) com sucesso\n`);
+    console.log(`📁 Pasta: ${checkpointsSucesso[0].pasta}\n`);
+
+    checkpointsSucesso.forEach(cp => {
+      const data = new Date(cp.timestamp);
+      const dataFormatada = data.toLocaleDateString('pt-BR', {
+        day: '2-digit',
+        month: '2-digit',
+        year: 'numeric'
+      });
+      const horaFormatada = data.toLocaleTimeString('pt-BR', {
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+
+      const partidaFormatada = cp.numeroPartida.toLocaleString('pt-BR');
+      console.log(`  🎯 Partida ${partidaFormatada} — ${dataFormatada} às ${horaFormatada}`);
+    });
+  }
+
+  // Exibe erros se houver
+  const checkpointsErro = checkpoints.filter(cp => !cp.sucesso);
+  if (checkpointsErro.length > 0) {
+    console.log(`\n❌ ${checkpointsErro.length} checkpoint(s) com erro:\n`);
+    checkpointsErro.forEach(cp => {
+      const partidaFormatada = cp.numeroPartida.toLocaleString('pt-BR');
+      console.log(`  ⚠️  Partida ${partidaFormatada} — ${cp.erro}`);
+    });
+  }
+
+  console.log('\n' + '━'.repeat(80) + '\n');
+}
+
+/**
+ * Cria o ouvinte que salva os modelos finais dos agentes no fim do treino
+ * (`agente_x_final_NxN.json` e `agente_o_final_NxN.json`).
+ *
+ * É como fazer o "save game final" no Ragnarok: todo o conhecimento e
+ * experiência acumulados durante o treinamento são preservados permanentemente.
+ *
+ * @returns {{fimTreino: function(Object): void}} O ouvinte
+ * @throws {Error} No evento, se houver problema ao salvar os arquivos
+ */
+export function criarOuvinteDeModelosFinais() {
+  return {
+    fimTreino({ treinador }) {
+      const { agenteX, agenteO, ambiente, pastaModelos } = treinador;
+      const caminhoX = path.join(pastaModelos, `agente_x_final_${ambiente.linhas}x${ambiente.colunas}.json`);
+      const caminhoO = path.join(pastaModelos, `agente_o_final_${ambiente.linhas}x${ambiente.colunas}.json`);
+
+      try {
+        fs.mkdirSync(pastaModelos, { recursive: true });
+        if (agenteX instanceof AgenteQLearning) agenteX.salvarMemoria(caminhoX, treinador.obterMetadadosDoModelo());
+        if (agenteO instanceof AgenteQLearning) agenteO.salvarMemoria(caminhoO, treinador.obterMetadadosDoModelo());
+      } catch (err) {
+        console.error(`❌ Erro ao salvar modelos finais: ${err.message}`);
+        throw err;
+      }
+    }
+  };
+}
+
+/**
+ * Cria o ouvinte que grava as métricas de cada janela (as curvas de
+ * aprendizado) em `metricas_treino.<formato>`, na pasta dos modelos.
+ *
+ * É como o "diário de caça" de um jogador de Ragnarok: a cada janela, uma
+ * linha com o que aconteceu, para depois desenhar a evolução do personagem.
+ *
+ * Ao retomar um treino, o arquivo mantém os registros até a partida do
+ * checkpoint; os seguintes são descartados, porque as partidas serão jogadas de novo.
+ *
+ * @param {string} [formato='jsonl'] - 'jsonl' ou 'csv' (veja `FORMATOS_DE_METRICAS`)
+ * @returns {{formato: string, caminho: string|null, inicioTreino: function(Object): void,
+ *   intervaloLog: function(Object): void, fimTreino: function(): void}} O ouvinte
+ *   (`caminho` é o arquivo do treino atual)
+ * @throws {Error} Se o formato for desconhecido
+ */
+export function criarOuvinteDeMetricas(formato = 'jsonl') {
+  if (!FORMATOS_DE_METRICAS.includes(formato)) {
+    throw new Error(`Formato de métricas '${formato}' desconhecido. Use: ${FORMATOS_DE_METRICAS.join(', ')}.`);
+  }
+  const csv = formato === 'csv';
+
+  // O EventEmitter chama cada função com o Treinador como `this`: o caminho fica no próprio ouvinte
+  const ouvinte = {
+    formato,
+    caminho: null,
+
+    inicioTreino({ treinador, partidaInicial }) {
+      const { pastaModelos } = treinador;
+      ouvinte.caminho = path.join(pastaModelos, `metricas_treino.${formato}`);
+
+      let linhas = [];
+      if (partidaInicial > 0 && fs.existsSync(ouvinte.caminho)) {
+        linhas = fs.readFileSync(ouvinte.caminho, 'utf-8').split('\n').filter(Boolean).filter((linha, indice) =>
+          csv ? indice === 0 || parseInt(linha) <= partidaInicial : JSON.parse(linha).partida <= partidaInicial
+        );
+      }
+      if (csv && linhas.length === 0) linhas = [COLUNAS_DAS_METRICAS.join(',')];
+
+      fs.mkdirSync(pastaModelos, { recursive: true });
+      fs.writeFileSync(ouvinte.caminho, linhas.map(linha => linha + '\n').join(''));
+    },
+
+    intervaloLog({ metricas }) {
+      const linha = csv
+        ? COLUNAS_DAS_METRICAS.map(coluna => metricas[coluna] ?? '').join(',')
+        : JSON.stringify(metricas);
+      fs.appendFileSync(ouvinte.caminho, linha + '\n');
+    },
+
+    fimTreino() {
+      console.log(`📈 Métricas salvas em: ${ouvinte.caminho}\n`);
+    }
+  };
+  return ouvinte;
+}
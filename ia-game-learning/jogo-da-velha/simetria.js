@@ -0,0 +1,138 @@
+/**
+ * @Modulo 🪞 jogo-da-velha/simetria.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Este módulo cuida das simetrias do tabuleiro N x N.
+ *
+ * Um tabuleiro quadrado tem 8 simetrias (4 rotações e 4 reflexões), e todas
+ * as orientações de uma mesma posição têm o mesmo valor no jogo. Aqui cada
+ * tabuleiro é levado a um "representante canônico", para que a Q-Table
+ * aprenda cada posição uma única vez em vez de até 8 vezes.
+ *
+ * Responsabilidades:
+ * - Gerar as 8 permutações de casas de um tabuleiro N x N.
+ * - Encontrar a forma canônica de um tabuleiro.
+ * - Traduzir ações entre o tabuleiro real e o canônico.
+ */
+
+// As permutações só dependem da dimensão, então são calculadas uma única vez.
+const simetriasPorDimensao = new Map();
+
+/**
+ * Gera as 8 simetrias (grupo diedral) de um tabuleiro N x N.
+ *
+ * É como olhar a arena de Ragnarok por todos os lados: girando o mapa
+ * ou vendo-o no espelho, a batalha continua sendo a mesma.
+ *
+ * Cada simetria é um par de vetores:
+ * - `permutacao[i]`: de qual casa do tabuleiro real vem a casa `i` do tabuleiro transformado.
+ * - `inversa[casa]`: para qual casa do tabuleiro transformado vai a `casa` real.
+ *
+ * A identidade é sempre a primeira, para que um tabuleiro já canônico
+ * seja mantido exatamente como está.
+ *
+ * @param {number} dimensao - Tamanho do tabuleiro (N)
+ * @returns {Array<{permutacao: Array<number>, inversa: Array<number>}>} As 8 simetrias
+ */
+export function gerarSimetrias(dimensao) {
+  if (simetriasPorDimensao.has(dimensao)) {
+    return simetriasPorDimensao.get(dimensao);
+  }
+
+  const ultimo = dimensao - 1;
+  const transformacoes = [
+    (linha, coluna) => [linha, coluna], // identidade
+    (linha, coluna) => [coluna, ultimo - linha], // rotação 90°
+    (linha, coluna) => [ultimo - linha, ultimo - coluna], // rotação 180°
+    (linha, coluna) => [ultimo - coluna, linha], // rotação 270°
+    (linha, coluna) => [linha, ultimo - coluna], // espelho horizontal
+    (linha, coluna) => [ultimo - linha, coluna], // espelho vertical
+    (linha, coluna) => [coluna, linha], // diagonal principal
+    (linha, coluna) => [ultimo - coluna, ultimo - linha] // diagonal secundária
+  ];
+
+  const simetrias = transformacoes.map(transformar => {
+    const permutacao = [];
+    const inversa = [];
+
+    for (let linha = 0; linha < dimensao; linha++) {
+      for (let coluna = 0; coluna < dimensao; coluna++) {
+        const [linhaOrigem, colunaOrigem] = transformar(linha, coluna);
+        const casaDestino = linha * dimensao + coluna;
+        const casaOrigem = linhaOrigem * dimensao + colunaOrigem;
+        permutacao[casaDestino] = casaOrigem;
+        inversa[casaOrigem] = casaDestino;
+      }
+    }
+
+    return { permutacao, inversa };
+  });
+
+  simetriasPorDimensao.set(dimensao, simetrias);
+  return simetrias;
+}
+
+/**
+ * Compara dois tabuleiros em ordem lexicográfica.
+ *
+ * @param {Array<number>} a - Primeiro tabuleiro
+ * @param {Array<number>} b - Segundo tabuleiro
+ * @returns {number} Negativo se a < b, positivo se a > b, 0 se iguais
+ */
+function compararTabuleiros(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+/**
+ * Encontra o representante canônico de um tabuleiro N x N.
+ *
+ * Entre as 8 orientações possíveis, a canônica é a "menor" em ordem
+ * lexicográfica. Todas as simetrias que levam a ela são devolvidas, pois
+ * tabuleiros simétricos (como o vazio) têm casas equivalentes entre si.
+ *
+ * @param {Array<number>} tabuleiro - Vetor com N² casas
+ * @returns {{estado: string, simetrias: Array<{permutacao: Array<number>, inversa: Array<number>}>}}
+ *   A chave canônica (JSON) e as simetrias que a produzem
+ * @throws {Error} Se o tabuleiro não for quadrado
+ */
+export function canonizarTabuleiro(tabuleiro) {
+  const dimensao = Math.sqrt(tabuleiro.length);
+  if (!Number.isInteger(dimensao)) {
+    throw new Error("A canonização por simetria só é suportada em tabuleiros quadrados (N x N).");
+  }
+
+  let melhorTabuleiro = null;
+  let melhoresSimetrias = [];
+
+  for (const simetria of gerarSimetrias(dimensao)) {
+    const transformado = simetria.permutacao.map(casa => tabuleiro[casa]);
+    const comparacao = melhorTabuleiro === null ? -1 : compararTabuleiros(transformado, melhorTabuleiro);
+
+    if (comparacao < 0) {
+      melhorTabuleiro = transformado;
+      melhoresSimetrias = [simetria];
+    } else if (comparacao === 0) {
+      melhoresSimetrias.push(simetria);
+    }
+  }
+
+  return { estado: JSON.stringify(melhorTabuleiro), simetrias: melhoresSimetrias };
+}
+
+/**
+ * Traduz uma ação do tabuleiro real para o tabuleiro canônico.
+ *
+ * Quando mais de uma simetria leva à forma canônica, casas equivalentes
+ * (por exemplo, os quatro cantos do tabuleiro vazio) são levadas à mesma
+ * ação canônica: a de menor índice.
+ *
+ * @param {number} acao - Casa no tabuleiro real
+ * @param {Array<{inversa: Array<number>}>} simetrias - Simetrias devolvidas por `canonizarTabuleiro`
+ * @returns {number} Casa correspondente no tabuleiro canônico
+ */
+export function traduzirAcaoParaCanonica(acao, simetrias) {
+  return Math.min(...simetrias.map(simetria => simetria.inversa[acao]));
+}
@@ -9,7 +9,10 @@
  * node test_agente.js
  */
 
-import { AgenteQLearning } from '../agente.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AgenteQLearning, lerArquivoModelo, VERSAO_FORMATO_MODELO } from '../agente.js';
 
 /**
  * Verifica se o Agente é criado com os atributos corretos.
@@ -70,7 +73,7 @@ function testarAtualizacaoQValor() {
   const valorAntigo = agente.obterValorQ(estadoInicial, acao);
   console.log(`Opinião antiga sobre jogar no centro: ${valorAntigo}`);
   
-  agente.atualizarValorQ(estadoInicial, acao, recompensa, proximoEstado);
+  agente.aprender(estadoInicial, acao, recompensa, proximoEstado, false, undefined, [0, 1, 2, 3, 5, 6, 7, 8]);
   
   const valorNovo = agente.obterValorQ(estadoInicial, acao);
   // Cálculo esperado: 0 + 0.5 * (0 + 0.9 * 0.8 - 0) = 0.36
@@ -131,6 +134,352 @@ function testarEscolhaDeAcao() {
   console.log("--- TESTE 3 FINALIZADO ---\n");
 }
 
+/**
+ * Verifica se salvar e carregar um modelo restaura o Agente exatamente.
+ * 
+ * É como salvar o jogo no Ragnarok, fechar o cliente e entrar de novo:
+ * o personagem precisa voltar com os mesmos atributos, nível e inventário.
+ * 
+ * Validações:
+ * - O arquivo salvo tem versão de formato e cabeçalho
+ * - Hiperparâmetros, jogador e estatísticas são restaurados
+ * - Hiperparâmetros passados ao carregar têm prioridade sobre os salvos
+ * - Arquivos antigos (apenas a Tabela Q) continuam sendo lidos
+ * 
+ * @returns {void}
+ */
+function testarSalvarECarregar() {
+  console.log("--- INICIANDO TESTE 4: SALVAR E CARREGAR MODELO ---");
+  const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'agente-'));
+  const caminho = path.join(pasta, 'modelo.json');
+
+  const original = new AgenteQLearning({ jogador: 2, alpha: 0.3, gamma: 0.8, epsilon: 0.25, usarSimetrias: true });
+  original.tabelaQ = { "[0,0,0,0,0,0,0,0,0]": { 4: 0.7 } };
+  original.partidasTreinadas = 12;
+  original.vitorias = 5;
+  original.derrotas = 3;
+  original.empates = 4;
+  original.salvarMemoria(caminho, { idTreino: 'treino-teste', dimensao: { linhas: 3, colunas: 3, sequenciaParaVencer: 3 } });
+
+  const { versaoFormato, cabecalho } = lerArquivoModelo(caminho);
+  console.assert(versaoFormato === VERSAO_FORMATO_MODELO, "❌ O arquivo deveria estar no formato atual");
+  console.assert(cabecalho.idTreino === 'treino-teste', "❌ O cabeçalho deveria guardar o id do treino");
+  console.assert(cabecalho.dimensao.linhas === 3, "❌ O cabeçalho deveria guardar o tabuleiro");
+  console.assert(!isNaN(Date.parse(cabecalho.criadoEm)), "❌ O cabeçalho deveria guardar a data de criação");
+
+  const restaurado = AgenteQLearning.carregar(caminho);
+  console.assert(restaurado.jogador === 2 && restaurado.simbolo === 'O', "❌ O jogador deveria ser restaurado");
+  console.assert(restaurado.alpha === 0.3 && restaurado.gamma === 0.8, "❌ Alpha e gamma deveriam ser restaurados");
+  console.assert(restaurado.epsilon === 0.25, "❌ O epsilon deveria ser restaurado");
+  console.assert(restaurado.usarSimetrias === true, "❌ O uso de simetrias deveria ser restaurado");
+  console.assert(restaurado.partidasTreinadas === 12 && restaurado.vitorias === 5, "❌ As estatísticas deveriam ser restauradas");
+  console.assert(restaurado.derrotas === 3 && restaurado.empates === 4, "❌ As estatísticas deveriam ser restauradas");
+  console.assert(restaurado.tabelaQ["[0,0,0,0,0,0,0,0,0]"][4] === 0.7, "❌ A Tabela Q deveria ser restaurada");
+
+  const paraJogar = AgenteQLearning.carregar(caminho, { epsilon: 0 });
+  console.assert(paraJogar.epsilon === 0 && paraJogar.alpha === 0.3, "❌ Os kwargs deveriam ter prioridade sobre os valores salvos");
+
+  // Formato antigo: o arquivo inteiro é a Tabela Q
+  const caminhoAntigo = path.join(pasta, 'modelo_antigo.json');
+  fs.writeFileSync(caminhoAntigo, JSON.stringify({ "[1,0,0,0,0,0,0,0,0]": { 4: 0.5 } }));
+  const antigo = AgenteQLearning.carregar(caminhoAntigo, { jogador: 2 });
+  console.assert(antigo.tabelaQ["[1,0,0,0,0,0,0,0,0]"][4] === 0.5, "❌ A Tabela Q antiga deveria ser lida");
+  console.assert(antigo.jogador === 2 && antigo.partidasTreinadas === 0, "❌ O resto deveria vir dos kwargs e padrões");
+
+  fs.rmSync(pasta, { recursive: true, force: true });
+
+  console.log("✅ O Agente foi restaurado exatamente como foi salvo.");
+  console.log("--- TESTE 4 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica as regras on-policy de atualização: SARSA e Expected SARSA.
+ * 
+ * É como comparar dois estilos de jogador de Ragnarok: um que planeja a
+ * próxima luta contando com a tática que realmente vai usar (SARSA) e outro
+ * que faz a média, sabendo que às vezes vai improvisar (Expected SARSA).
+ * 
+ * Validações:
+ * - SARSA usa o valor Q da próxima ação escolhida (0.225 esperado)
+ * - Expected SARSA usa a média epsilon-greedy dos valores Q (0.324 esperado)
+ * - Em uma partida, a jogada anterior aprende quando a próxima é registrada
+ * - A regra é salva e restaurada junto com o modelo
+ * - Uma regra desconhecida gera erro
+ * 
+ * @returns {void}
+ */
+function testarRegrasOnPolicy() {
+  console.log("--- INICIANDO TESTE 5: SARSA E EXPECTED SARSA ---");
+  const estadoInicial = JSON.stringify([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  const proximoEstado = JSON.stringify([2, 0, 0, 0, 1, 0, 0, 0, 0]);
+  const valoresFuturos = { 1: 0.5, 2: 0.8, 3: 0.3 };
+
+  // SARSA: 0 + 0.5 * (0 + 0.9 * Q(s', 1) - 0) = 0.5 * 0.9 * 0.5 = 0.225
+  const agenteSarsa = new AgenteQLearning({ alpha: 0.5, gamma: 0.9, regraDeAtualizacao: 'sarsa' });
+  agenteSarsa.tabelaQ[proximoEstado] = { ...valoresFuturos };
+  agenteSarsa.aprender(estadoInicial, 4, 0, proximoEstado, false, 1);
+  const valorSarsa = agenteSarsa.obterValorQ(estadoInicial, 4);
+  console.assert(Math.abs(valorSarsa - 0.225) < 1e-9, `❌ SARSA deveria dar 0.225, mas deu ${valorSarsa}`);
+
+  // Expected SARSA com ε=0.3 e 3 ações: cada uma tem 0.1 de chance, e a melhor (2) ganha mais 0.7
+  // Valor esperado = 0.1 × 0.5 + 0.8 × 0.8 + 0.1 × 0.3 = 0.72 → 0.5 × 0.9 × 0.72 = 0.324
+  const agenteEsperado = new AgenteQLearning({ alpha: 0.5, gamma: 0.9, epsilon: 0.3, regraDeAtualizacao: 'sarsa-esperado' });
+  agenteEsperado.tabelaQ[proximoEstado] = { ...valoresFuturos };
+  agenteEsperado.aprender(estadoInicial, 4, 0, proximoEstado, false, undefined, [1, 2, 3]);
+  const valorEsperado = agenteEsperado.obterValorQ(estadoInicial, 4);
+  console.assert(Math.abs(valorEsperado - 0.324) < 1e-9, `❌ Expected SARSA deveria dar 0.324, mas deu ${valorEsperado}`);
+
+  // Em uma partida: a jogada final recebe a recompensa, e a anterior só aprende na partida seguinte
+  const agente = new AgenteQLearning({ alpha: 0.5, gamma: 0.9, epsilon: 0, regraDeAtualizacao: 'sarsa' });
+  for (let partida = 0; partida < 2; partida++) {
+    agente.iniciarNovaPartida();
+    agente.registrarJogada(estadoInicial, 4, [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+    agente.registrarJogada(proximoEstado, 1, [1, 2, 3, 5, 6, 7, 8]);
+    agente.aprenderComFimDePartida(1);
+    if (partida === 0) {
+      console.assert(agente.obterValorQ(estadoInicial, 4) === 0, "❌ Sem varredura Monte Carlo, a primeira jogada ainda não aprendeu");
+    }
+  }
+  console.assert(agente.obterValorQ(proximoEstado, 1) === 0.75, "❌ A última jogada deveria receber a recompensa final");
+  console.assert(Math.abs(agente.obterValorQ(estadoInicial, 4) - 0.225) < 1e-9, "❌ A primeira jogada deveria aprender com a seguinte");
+
+  const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'agente-'));
+  const caminho = path.join(pasta, 'modelo.json');
+  agenteEsperado.salvarMemoria(caminho);
+  const restaurado = AgenteQLearning.carregar(caminho);
+  console.assert(restaurado.regraDeAtualizacao === 'sarsa-esperado', "❌ A regra de atualização deveria ser restaurada");
+  fs.rmSync(pasta, { recursive: true, force: true });
+
+  let lancouErro = false;
+  try {
+    new AgenteQLearning({ regraDeAtualizacao: 'monte-carlo' });
+  } catch (erro) {
+    lancouErro = true;
+  }
+  console.assert(lancouErro, "❌ Uma regra desconhecida deveria gerar erro");
+
+  console.log("✅ SARSA e Expected SARSA calculam os alvos esperados.");
+  console.log("--- TESTE 5 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica o modo Double Q-Learning.
+ * 
+ * É como ter dois mentores na guilda: a cada lição só um deles anota o
+ * aprendizado, e o outro dá a segunda opinião sobre o que vem depois.
+ * 
+ * Validações:
+ * - Só a tabela sorteada aprende, e a `tabelaQ` guarda a média das duas
+ * - A melhor ação futura é escolhida por uma tabela e avaliada pela outra
+ * - As duas tabelas são salvas e restauradas junto com o modelo
+ * 
+ * @returns {void}
+ */
+function testarDuploQ() {
+  console.log("--- INICIANDO TESTE 6: DOUBLE Q-LEARNING ---");
+  const estadoInicial = JSON.stringify([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  const proximoEstado = JSON.stringify([2, 0, 0, 0, 1, 0, 0, 0, 0]);
+
+  // Um "sorteio" sempre abaixo de 0.5 faz a tabela A aprender
+  const agente = new AgenteQLearning({ alpha: 0.5, gamma: 0.9, usarDuploQ: true, aleatorio: () => 0.1 });
+  agente.aprender(estadoInicial, 4, 1, estadoInicial, true);
+  console.assert(agente.tabelaQA[estadoInicial][4] === 0.5, "❌ A tabela A deveria ter aprendido 0.5");
+  console.assert(!(estadoInicial in agente.tabelaQB), "❌ A tabela B não deveria ter sido tocada");
+  console.assert(agente.obterValorQ(estadoInicial, 4) === 0.25, "❌ A Tabela Q deveria ser a média (0.25)");
+
+  // A escolhe a ação 1 como a melhor, mas quem dá o valor é B: 0.5 × 0.9 × 0.1 = 0.045
+  agente.tabelaQA[proximoEstado] = { 1: 0.8, 2: 0.3 };
+  agente.tabelaQB[proximoEstado] = { 1: 0.1, 2: 0.9 };
+  agente.aprender(estadoInicial, 0, 0, proximoEstado, false, undefined, [1, 2, 3, 5, 6, 7, 8]);
+  const valorA = agente.tabelaQA[estadoInicial][0];
+  console.assert(Math.abs(valorA - 0.045) < 1e-9, `❌ A tabela A deveria ter 0.045, mas tem ${valorA}`);
+
+  const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'agente-'));
+  const caminho = path.join(pasta, 'modelo.json');
+  agente.salvarMemoria(caminho);
+  const restaurado = AgenteQLearning.carregar(caminho);
+  console.assert(restaurado.usarDuploQ === true, "❌ O modo Double Q deveria ser restaurado");
+  console.assert(restaurado.tabelaQA[proximoEstado][1] === 0.8, "❌ A tabela A deveria ser restaurada");
+  console.assert(restaurado.tabelaQB[proximoEstado][2] === 0.9, "❌ A tabela B deveria ser restaurada");
+  console.assert(restaurado.obterValorQ(estadoInicial, 4) === 0.25, "❌ A Tabela Q (média) deveria ser restaurada");
+  fs.rmSync(pasta, { recursive: true, force: true });
+
+  console.log("✅ As duas tabelas aprendem em separado e são salvas juntas.");
+  console.log("--- TESTE 6 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica o n-step Q-Learning e o Watkins Q(λ).
+ * 
+ * É como decidir quem do grupo leva a EXP do chefe: só quem bateu por
+ * último (TD comum), quem esteve nas últimas `n` rodadas (n-step) ou todo
+ * mundo, com uma fatia menor para quem bateu há mais tempo (Q(λ)).
+ * 
+ * Validações:
+ * - n-step: a jogada de n passos atrás aprende com γ^n × o valor da atual
+ * - n-step: no fim, as últimas n jogadas recebem a recompensa descontada
+ * - Q(λ): a recompensa final chega à jogada anterior com peso γλ
+ * - Q(λ): uma jogada exploratória corta o rastro
+ * - Combinações inválidas geram erro
+ * 
+ * @returns {void}
+ */
+function testarNPassosERastros() {
+  console.log("--- INICIANDO TESTE 7: N-STEP E Q(λ) ---");
+  const estado1 = JSON.stringify([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  const estado2 = JSON.stringify([1, 2, 0, 0, 0, 0, 0, 0, 0]);
+  const estado3 = JSON.stringify([1, 2, 1, 2, 0, 0, 0, 0, 0]);
+  const acoes2 = [2, 3, 4, 5, 6, 7, 8];
+  const acoes3 = [4, 5, 6, 7, 8];
+
+  // n = 2: a primeira jogada só aprende na terceira: 0.5 × 0.9² × 0.8 = 0.324
+  const agenteN = new AgenteQLearning({ alpha: 0.5, gamma: 0.9, n: 2 });
+  agenteN.tabelaQ[estado3] = { 5: 0.8 };
+  agenteN.iniciarNovaPartida();
+  agenteN.registrarJogada(estado1, 0, [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+  agenteN.registrarJogada(estado2, 2, acoes2);
+  console.assert(agenteN.obterValorQ(estado1, 0) === 0, "❌ Com n = 2, a primeira jogada ainda não deveria ter aprendido");
+  agenteN.registrarJogada(estado3, 4, acoes3);
+  const valorN = agenteN.obterValorQ(estado1, 0);
+  console.assert(Math.abs(valorN - 0.324) < 1e-9, `❌ A primeira jogada deveria valer 0.324, mas vale ${valorN}`);
+
+  // No fim, as duas últimas recebem 1 × 0.9 e 1, com alpha 0.5
+  agenteN.aprenderComFimDePartida(1);
+  console.assert(Math.abs(agenteN.obterValorQ(estado2, 2) - 0.45) < 1e-9, "❌ A penúltima jogada deveria valer 0.45");
+  console.assert(agenteN.obterValorQ(estado3, 4) === 0.5, "❌ A última jogada deveria valer 0.5");
+  console.assert(Math.abs(agenteN.obterValorQ(estado1, 0) - 0.324) < 1e-9, "❌ A primeira jogada não deveria mudar no fim");
+
+  // Q(λ) com λ = 0.5: a recompensa final chega à jogada anterior com peso 0.9 × 0.5
+  const agenteLambda = new AgenteQLearning({ alpha: 0.5, gamma: 0.9, epsilon: 0, lambda: 0.5 });
+  agenteLambda.iniciarNovaPartida();
+  agenteLambda.registrarJogada(estado1, 0, [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+  agenteLambda.registrarJogada(estado2, 2, acoes2);
+  agenteLambda.aprenderComFimDePartida(1);
+  console.assert(agenteLambda.obterValorQ(estado2, 2) === 0.5, "❌ A última jogada deveria valer 0.5");
+  const valorRastro = agenteLambda.obterValorQ(estado1, 0);
+  console.assert(Math.abs(valorRastro - 0.225) < 1e-9, `❌ A jogada anterior deveria valer 0.225, mas vale ${valorRastro}`);
+
+  // Jogar a casa 2 quando a 5 é a melhor é exploração: o rastro é cortado antes da recompensa
+  const agenteCorte = new AgenteQLearning({ alpha: 0.5, gamma: 0.9, epsilon: 0, lambda: 0.5 });
+  agenteCorte.tabelaQ[estado2] = { 5: 0.3 };
+  agenteCorte.iniciarNovaPartida();
+  agenteCorte.registrarJogada(estado1, 0, [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+  agenteCorte.registrarJogada(estado2, 2, acoes2);
+  agenteCorte.aprenderComFimDePartida(1);
+  const valorCortado = agenteCorte.obterValorQ(estado1, 0);
+  console.assert(Math.abs(valorCortado - 0.135) < 1e-9, `❌ Só o passo TD (0.135) deveria chegar, mas vale ${valorCortado}`);
+
+  const configuracoesInvalidas = [{ n: 0 }, { n: 1.5 }, { lambda: 2 }, { lambda: 0.5, regraDeAtualizacao: 'sarsa' }, { lambda: 0.5, n: 3 }];
+  for (const configuracao of configuracoesInvalidas) {
+    let lancouErro = false;
+    try {
+      new AgenteQLearning(configuracao);
+    } catch (erro) {
+      lancouErro = true;
+    }
+    console.assert(lancouErro, `❌ A configuração ${JSON.stringify(configuracao)} deveria gerar erro`);
+  }
+
+  console.log("✅ O crédito chega às jogadas certas no n-step e no Q(λ).");
+  console.log("--- TESTE 7 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica a contagem de visitas N(s,a) e o resumo de cobertura.
+ * 
+ * Validações:
+ * - Cada jogada registrada conta uma visita ao par (estado, ação)
+ * - Com simetrias, posições equivalentes dividem a mesma contagem
+ * - As visitas são salvas e restauradas com o modelo
+ * - A cobertura separa os pares por faixa de visitas e lista os estados menos visitados
+ * 
+ * @returns {void}
+ */
+function testarVisitas() {
+  console.log("--- INICIANDO TESTE 8: VISITAS N(s,a) ---");
+
+  const agente = new AgenteQLearning({ usarSimetrias: true });
+  const cantoSuperior = JSON.stringify([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  const comX = JSON.stringify([1, 0, 0, 0, 0, 0, 0, 0, 0]);
+
+  // Jogar no canto 0 ou no canto 8 do tabuleiro vazio é a mesma jogada (rotação)
+  agente.registrarJogada(cantoSuperior, 0, [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+  agente.registrarJogada(cantoSuperior, 8, [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+  agente.registrarJogada(comX, 4, [1, 2, 3, 4, 5, 6, 7, 8]);
+  console.assert(agente.obterVisitas(cantoSuperior, 2) === 2, "❌ Os quatro cantos deveriam dividir a mesma contagem");
+  console.assert(agente.obterVisitas(cantoSuperior, 4) === 0, "❌ O centro nunca foi jogado");
+  agente.aprenderComFimDePartida(1);
+
+  const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'agente-'));
+  const caminho = path.join(pasta, 'agente_visitas.json');
+  agente.salvarMemoria(caminho);
+  const restaurado = AgenteQLearning.carregar(caminho);
+  console.assert(restaurado.obterVisitas(cantoSuperior, 0) === 2, "❌ As visitas deveriam ser restauradas");
+  console.assert(restaurado.obterVisitas(comX, 4) === 1, "❌ As visitas deveriam ser restauradas");
+  fs.rmSync(pasta, { recursive: true, force: true });
+
+  const { faixas, paresSemVisitas, estadosMenosVisitados } = restaurado.obterCobertura();
+  const pares = Object.fromEntries(faixas.map(({ rotulo, pares }) => [rotulo, pares]));
+  console.assert(pares['1'] === 1 && pares['2-9'] === 1, `❌ Deveria haver um par com 1 visita e um com 2, mas há ${JSON.stringify(pares)}`);
+  console.assert(paresSemVisitas === 0, "❌ Todas as jogadas aprendidas foram visitadas");
+  console.assert(estadosMenosVisitados[0].visitas === 1, "❌ O estado menos visitado tem 1 visita");
+
+  console.log("✅ As visitas são contadas, salvas e resumidas.");
+  console.log("--- TESTE 8 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica o valor futuro do Q-Learning quando o próximo estado é só
+ * parcialmente conhecido.
+ * 
+ * É como planejar a próxima caçada olhando todos os mapas abertos, e não só
+ * os que você já visitou: um mapa novo vale o que a sua estratégia supõe.
+ * 
+ * Validações:
+ * - O máximo cobre todas as ações válidas, e as desconhecidas valem 0
+ * - Com valores otimistas, as desconhecidas valem o `valorInicialQ`
+ * - No Double Q, uma tabela escolhe a ação (incluindo as desconhecidas) e a outra a avalia
+ * - Sem as ações válidas do próximo estado, o Q-Learning não aprende
+ * 
+ * @returns {void}
+ */
+function testarValorFuturoParcial() {
+  console.log("--- INICIANDO TESTE 9: VALOR FUTURO COM ESTADO PARCIAL ---");
+  const estado = JSON.stringify([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  const proximoEstado = JSON.stringify([1, 2, 0, 0, 0, 0, 0, 0, 0]);
+  const acoesProximas = [2, 3, 4, 5, 6, 7, 8];
+
+  // A única ação conhecida é ruim, mas as outras seis ainda valem 0
+  const agente = new AgenteQLearning({ alpha: 1, gamma: 1 });
+  agente.tabelaQ[proximoEstado] = { 2: -0.5 };
+  agente.aprender(estado, 0, 0, proximoEstado, false, undefined, acoesProximas);
+  console.assert(agente.obterValorQ(estado, 0) === 0, `❌ Q(s,0) deveria ser 0, mas é ${agente.obterValorQ(estado, 0)}`);
+
+  // Com valores otimistas, as ações desconhecidas valem 1.0
+  const otimista = new AgenteQLearning({ alpha: 1, gamma: 1, exploracao: 'otimista' });
+  otimista.tabelaQ[proximoEstado] = { 2: 0.2 };
+  otimista.aprender(estado, 0, 0, proximoEstado, false, undefined, acoesProximas);
+  console.assert(otimista.obterValorQ(estado, 0) === 1, `❌ Q(s,0) deveria ser 1.0, mas é ${otimista.obterValorQ(estado, 0)}`);
+
+  // A escolhe a ação 3 (desconhecida, 0 > -0.5), e quem dá o valor é B: 0.7
+  const duploQ = new AgenteQLearning({ alpha: 1, gamma: 1, usarDuploQ: true, aleatorio: () => 0.1 });
+  duploQ.tabelaQA[proximoEstado] = { 2: -0.5 };
+  duploQ.tabelaQB[proximoEstado] = { 2: 0.9, 3: 0.7 };
+  duploQ.aprender(estado, 0, 0, proximoEstado, false, undefined, [2, 3]);
+  console.assert(duploQ.tabelaQA[estado][0] === 0.7, `❌ A tabela A deveria ter 0.7, mas tem ${duploQ.tabelaQA[estado][0]}`);
+
+  let erro = null;
+  try {
+    agente.aprender(estado, 0, 0, proximoEstado, false);
+  } catch (e) {
+    erro = e;
+  }
+  console.assert(erro !== null, "❌ Sem as ações válidas do próximo estado, o Q-Learning deveria lançar erro");
+
+  console.log("✅ O valor futuro considera todas as ações válidas.");
+  console.log("--- TESTE 9 FINALIZADO ---\n");
+}
+
 /**
  * Função principal para rodar toda a suíte de testes do Agente.
  * 
@@ -147,6 +496,12 @@ export function executarTodosTestes() {
   testarInicializacao();
   testarAtualizacaoQValor();
   testarEscolhaDeAcao();
+  testarSalvarECarregar();
+  testarRegrasOnPolicy();
+  testarDuploQ();
+  testarNPassosERastros();
+  testarVisitas();
+  testarValorFuturoParcial();
   
   console.log("=".repeat(50));
   console.log("✅ TODOS OS TESTES DO AGENTE CONCLUÍDOS COM SUCESSO!");
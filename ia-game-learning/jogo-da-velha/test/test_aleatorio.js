@@ -0,0 +1,94 @@
+/**
+ * @Modulo 🧪 jogo-da-velha/test/test_aleatorio.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Este arquivo contém os testes do gerador de números aleatórios com semente.
+ *
+ * Para executar, use o comando no terminal:
+ * node test_aleatorio.js
+ */
+
+import { criarGeradorAleatorio, derivarSemente } from '../aleatorio.js';
+import { AmbienteJogoDaVelha } from '../ambiente.js';
+import { AgenteQLearning } from '../agente.js';
+
+/**
+ * Verifica se a mesma semente sempre gera a mesma sequência.
+ *
+ * @returns {void}
+ */
+function testarSequenciaReproduzivel() {
+  console.log("--- INICIANDO TESTE 1: SEQUÊNCIA REPRODUZÍVEL ---");
+  const sortear = aleatorio => Array.from({ length: 100 }, () => aleatorio());
+
+  const primeira = sortear(criarGeradorAleatorio(123));
+  const segunda = sortear(criarGeradorAleatorio(123));
+  const outra = sortear(criarGeradorAleatorio(124));
+
+  console.assert(JSON.stringify(primeira) === JSON.stringify(segunda), "❌ A mesma semente deveria gerar a mesma sequência");
+  console.assert(JSON.stringify(primeira) !== JSON.stringify(outra), "❌ Sementes diferentes deveriam gerar sequências diferentes");
+  console.assert(primeira.every(numero => numero >= 0 && numero < 1), "❌ Os números deveriam estar em [0, 1)");
+  console.assert(derivarSemente(123, 0) !== derivarSemente(123, 1), "❌ Índices diferentes deveriam gerar sementes diferentes");
+
+  // Restaurar o estado continua a sequência do ponto em que ela estava
+  const gerador = criarGeradorAleatorio(123);
+  sortear(gerador);
+  const estadoSalvo = gerador.obterEstado();
+  const continuacao = sortear(gerador);
+  const restaurado = criarGeradorAleatorio(999);
+  restaurado.definirEstado(estadoSalvo);
+  console.assert(JSON.stringify(sortear(restaurado)) === JSON.stringify(continuacao), "❌ O estado restaurado deveria continuar a sequência");
+
+  console.log("✅ A sequência é reproduzível.");
+  console.log("--- TESTE 1 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se ambiente e agente com o mesmo gerador jogam sempre igual.
+ *
+ * @returns {void}
+ */
+function testarPartidaReproduzivel() {
+  console.log("--- INICIANDO TESTE 2: PARTIDA REPRODUZÍVEL ---");
+
+  const jogarPartida = semente => {
+    const aleatorio = criarGeradorAleatorio(semente);
+    const ambiente = new AmbienteJogoDaVelha(3, 3, aleatorio);
+    const agente = new AgenteQLearning({ epsilon: 1.0, aleatorio });
+    const jogadas = [ambiente.jogadorAtual];
+    while (!ambiente.partidaFinalizada) {
+      const acao = agente.escolherAcao(ambiente.obterEstadoComoTupla(), ambiente.obterAcoesValidas());
+      jogadas.push(acao);
+      ambiente.executarJogada(acao);
+    }
+    return JSON.stringify(jogadas);
+  };
+
+  console.assert(jogarPartida(7) === jogarPartida(7), "❌ A mesma semente deveria repetir a partida");
+
+  console.log("✅ A partida foi repetida jogada a jogada.");
+  console.log("--- TESTE 2 FINALIZADO ---\n");
+}
+
+/**
+ * Função principal para rodar toda a suíte de testes do gerador.
+ *
+ * @returns {void}
+ */
+export function executarTodosTestes() {
+  console.log("\n" + "=".repeat(50));
+  console.log("🧪 INICIANDO BATERIA DE TESTES DO GERADOR ALEATÓRIO 🧪");
+  console.log("=".repeat(50) + "\n");
+
+  testarSequenciaReproduzivel();
+  testarPartidaReproduzivel();
+
+  console.log("=".repeat(50));
+  console.log("✅ TODOS OS TESTES DO GERADOR ALEATÓRIO CONCLUÍDOS COM SUCESSO!");
+  console.log("=".repeat(50) + "\n");
+}
+
+// Executa os testes se o arquivo for chamado diretamente
+if (import.meta.url === `file://${process.argv[1]}`) {
+  executarTodosTestes();
+}
@@ -61,6 +61,43 @@ function simularPartida(jogo, titulo, jogadas) {
   console.log("⚠️  A sequência de jogadas terminou antes do fim da partida.\n");
 }
 
+/**
+ * Verifica se o ambiente consegue ser posicionado em um tabuleiro arbitrário.
+ * 
+ * É como carregar um "replay" no meio da batalha: o ambiente precisa
+ * reconhecer sozinho se a partida já acabou e quem venceu.
+ * 
+ * @returns {void}
+ */
+function testarDefinirEstado() {
+  console.log("=".repeat(50));
+  console.log("➡️  Cenário: Definir estado arbitrário do tabuleiro");
+  console.log("=".repeat(50));
+
+  const jogo = new AmbienteJogoDaVelha(3);
+
+  jogo.definirEstado([1, 1, 0, 2, 2, 0, 0, 0, 0], 1);
+  console.assert(!jogo.partidaFinalizada, "❌ A partida não deveria estar finalizada");
+  console.assert(jogo.jogadorAtual === 1, "❌ Deveria ser a vez do jogador 'X'");
+  console.assert(jogo.obterAcoesValidas().length === 5, "❌ Deveriam existir 5 casas livres");
+
+  jogo.definirEstado([2, 1, 1, 2, 1, 0, 2, 0, 0], 1);
+  console.assert(jogo.partidaFinalizada && jogo.vencedor === 2, "❌ 'O' deveria ter vencido na primeira coluna");
+
+  let erroLancado = false;
+  try {
+    jogo.definirEstado([0, 0, 0], 1);
+  } catch (error) {
+    erroLancado = true;
+  }
+  console.assert(erroLancado, "❌ Um tabuleiro de tamanho errado deveria lançar erro");
+
+  jogo.reiniciarPartida(2);
+  console.assert(jogo.jogadorAtual === 2 && !jogo.partidaFinalizada, "❌ O jogador 'O' deveria começar a partida");
+
+  console.log("✅ Estado definido e resultado recalculado corretamente.\n");
+}
+
 /**
  * Executa toda a bateria de testes do ambiente do Jogo da Velha.
  * 
@@ -71,6 +108,7 @@ function simularPartida(jogo, titulo, jogadas) {
  * Cenários testados:
  * - Tabuleiro 3x3: vitória linha, empate, vitória coluna
  * - Tabuleiro 4x4: vitória diagonal
+ * - Tabuleiros maiores com "k em linha": diagonais secundárias e linhas parciais
  * 
  * @returns {void}
  */
@@ -91,6 +129,22 @@ function executarTodosTestes() {
   console.log("\n✅ Jogo 4x4 criado com sucesso!");
   simularPartida(jogo4x4, "X vence na diagonal principal (4x4)", [0, 1, 5, 2, 10, 3, 15]);
 
+  // Testes de "k em linha" (estilo Gomoku)
+  const jogo5x5k3 = new AmbienteJogoDaVelha(5, 3);
+  console.log("\n✅ Jogo 5x5 (3 em linha) criado com sucesso!");
+  console.assert(
+    jogo5x5k3.combinacoesDeVitoria.length === 48,
+    `❌ Deveriam existir 48 combinações de vitória, mas existem ${jogo5x5k3.combinacoesDeVitoria.length}`
+  );
+  simularPartida(jogo5x5k3, "X vence em diagonal fora da principal (5x5, k=3)", [1, 0, 7, 4, 13]);
+  simularPartida(jogo5x5k3, "X vence na antidiagonal (5x5, k=3)", [9, 0, 13, 1, 17]);
+
+  const jogo7x7k4 = new AmbienteJogoDaVelha(7, 4);
+  console.log("\n✅ Jogo 7x7 (4 em linha) criado com sucesso!");
+  simularPartida(jogo7x7k4, "X vence no meio da linha (7x7, k=4)", [23, 0, 24, 1, 25, 2, 26]);
+
+  testarDefinirEstado();
+
   console.log("\n" + "=".repeat(50));
   console.log("✅ BATERIA DE TESTES CONCLUÍDA!");
   console.log("=".repeat(50) + "\n");
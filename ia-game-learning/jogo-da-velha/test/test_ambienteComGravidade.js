@@ -0,0 +1,131 @@
+/**
+ * @Modulo 🧪 jogo-da-velha/test/test_ambienteComGravidade.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Este arquivo contém os testes para a classe AmbienteComGravidade (Lig 4),
+ * verificando se as peças "caem" corretamente e se o Treinador consegue
+ * usar a variante sem nenhuma alteração.
+ *
+ * Para executar, use o comando no terminal:
+ * node test_ambienteComGravidade.js
+ */
+
+import { AmbienteComGravidade } from '../ambienteComGravidade.js';
+import { AgenteQLearning } from '../agente.js';
+import { Treinador } from '../treinador.js';
+import { simularPartida } from './test_ambiente.js';
+
+/**
+ * Verifica se as peças caem até a casa vazia mais baixa da coluna.
+ *
+ * É como testar a "física" da arena: soltar três peças na mesma coluna
+ * deve empilhá-las de baixo para cima.
+ *
+ * @returns {void}
+ */
+function testarGravidade() {
+  console.log("--- INICIANDO TESTE 1: GRAVIDADE ---");
+  const jogo = new AmbienteComGravidade({ linhas: 6, colunas: 7 });
+
+  console.assert(jogo.obterAcoesValidas().length === 7, "❌ Todas as 7 colunas deveriam estar livres");
+  console.assert(jogo.linhas === 6 && jogo.colunas === 7 && jogo.numeroDeCasas === 42, "❌ O tabuleiro deveria ter 6 linhas e 7 colunas");
+  console.assert(jogo.dimensao === null, "❌ Um tabuleiro retangular não deveria ter uma dimensão N");
+
+  const primeiro = jogo.jogadorAtual;
+  const segundo = primeiro === 1 ? 2 : 1;
+  jogo.executarJogada(3);
+  jogo.executarJogada(3);
+  jogo.executarJogada(3);
+
+  console.assert(jogo.tabuleiro[5 * 7 + 3] === primeiro, "❌ A primeira peça deveria estar no fundo da coluna 3");
+  console.assert(jogo.tabuleiro[4 * 7 + 3] === segundo, "❌ A segunda peça deveria estar logo acima");
+  console.assert(jogo.tabuleiro[3 * 7 + 3] === primeiro, "❌ A terceira peça deveria estar acima da segunda");
+
+  jogo.exibirTabuleiro();
+  console.log("✅ As peças estão caindo corretamente.");
+  console.log("--- TESTE 1 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se uma coluna cheia deixa de ser uma ação válida.
+ *
+ * @returns {void}
+ */
+function testarColunaCheia() {
+  console.log("--- INICIANDO TESTE 2: COLUNA CHEIA ---");
+  const jogo = new AmbienteComGravidade({ linhas: 3, colunas: 4, sequenciaParaVencer: 3 });
+
+  jogo.executarJogada(0);
+  jogo.executarJogada(0);
+  jogo.executarJogada(0);
+
+  console.assert(!jogo.obterAcoesValidas().includes(0), "❌ A coluna 0 não deveria estar disponível");
+
+  let erroLancado = false;
+  try {
+    jogo.executarJogada(0);
+  } catch (error) {
+    erroLancado = true;
+    console.log(`Erro esperado: ${error.message}`);
+  }
+  console.assert(erroLancado, "❌ Jogar em uma coluna cheia deveria lançar erro");
+
+  console.log("✅ Colunas cheias são bloqueadas.");
+  console.log("--- TESTE 2 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se o Treinador e o Agente funcionam na variante com gravidade
+ * sem nenhuma adaptação.
+ *
+ * @returns {void}
+ */
+function testarTreinamentoComGravidade() {
+  console.log("--- INICIANDO TESTE 3: TREINAMENTO NO LIG 4 ---");
+  const ambiente = new AmbienteComGravidade({ linhas: 4, colunas: 5, sequenciaParaVencer: 3 });
+  const agenteX = new AgenteQLearning({ jogador: 1 });
+  const agenteO = new AgenteQLearning({ jogador: 2 });
+  const treinador = new Treinador(agenteX, agenteO, ambiente);
+  Object.values(treinador.ouvintesPadrao).forEach(ouvinte => treinador.desconectar(ouvinte));
+
+  treinador.treinar(50, 25, 999999);
+
+  console.assert(Object.keys(agenteX.tabelaQ).length > 0, "❌ A Tabela Q do Agente X não deveria estar vazia");
+  console.assert(
+    Object.values(agenteX.tabelaQ).every(acoes => Object.keys(acoes).every(acao => Number(acao) < 5)),
+    "❌ As ações aprendidas deveriam ser colunas (0 a 4)"
+  );
+
+  console.log("✅ O Treinador funcionou com o ambiente com gravidade.");
+  console.log("--- TESTE 3 FINALIZADO ---\n");
+}
+
+/**
+ * Função principal para rodar toda a suíte de testes do ambiente com gravidade.
+ *
+ * @returns {void}
+ */
+export function executarTodosTestes() {
+  console.log("\n" + "=".repeat(50));
+  console.log("🧪 INICIANDO BATERIA DE TESTES DO AMBIENTE COM GRAVIDADE 🧪");
+  console.log("=".repeat(50) + "\n");
+
+  testarGravidade();
+  testarColunaCheia();
+
+  const jogo = new AmbienteComGravidade();
+  simularPartida(jogo, "Vitória vertical na coluna 0", [0, 1, 0, 1, 0, 1, 0]);
+  simularPartida(jogo, "Vitória horizontal na base", [0, 0, 1, 1, 2, 2, 3]);
+  simularPartida(jogo, "Vitória na diagonal ↗", [0, 1, 1, 2, 2, 3, 2, 3, 3, 6, 3]);
+
+  testarTreinamentoComGravidade();
+
+  console.log("=".repeat(50));
+  console.log("✅ TODOS OS TESTES DO AMBIENTE COM GRAVIDADE CONCLUÍDOS COM SUCESSO!");
+  console.log("=".repeat(50) + "\n");
+}
+
+// Executa os testes se o arquivo for chamado diretamente
+if (import.meta.url === `file://${process.argv[1]}`) {
+  executarTodosTestes();
+}
@@ -0,0 +1,167 @@
+/**
+ * @Modulo 🧪 jogo-da-velha/test/test_auditarModelo.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Este arquivo contém os testes da auditoria de política, verificando se
+ * os erros de um agente são encontrados e classificados corretamente.
+ *
+ * Para executar, use o comando no terminal:
+ * node test_auditarModelo.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AmbienteJogoDaVelha } from '../ambiente.js';
+import { criarAmbiente } from '../ambienteComGravidade.js';
+import { AgenteQLearning } from '../agente.js';
+import { enumerarPosicoesAlcancaveis, auditarPolitica, carregarModeloAuditado } from '../auditarModelo.js';
+
+/**
+ * Verifica a quantidade de posições alcançáveis do Jogo da Velha 3x3.
+ *
+ * @returns {void}
+ */
+function testarEnumeracao() {
+  console.log("--- INICIANDO TESTE 1: POSIÇÕES ALCANÇÁVEIS ---");
+  const posicoes = enumerarPosicoesAlcancaveis(new AmbienteJogoDaVelha(3));
+  const doX = posicoes.filter(({ jogadorAtual }) => jogadorAtual === 1);
+
+  // Cada ordem de início gera 4.520 posições não finalizadas; por simetria entre X e O,
+  // metade do total é vez de X
+  console.assert(posicoes.length === 9040, `❌ Deveriam existir 9.040 posições, mas foram ${posicoes.length}`);
+  console.assert(doX.length === 4520, `❌ Metade das posições deveria ser de X, mas foram ${doX.length}`);
+
+  console.log("✅ Todas as posições alcançáveis foram enumeradas.");
+  console.log("--- TESTE 1 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se um erro plantado na Q-Table é classificado corretamente.
+ *
+ * @returns {void}
+ */
+function testarErroPlantado() {
+  console.log("--- INICIANDO TESTE 2: ERRO PLANTADO ---");
+  const agente = new AgenteQLearning({ jogador: 1, epsilon: 0 });
+
+  // X pode vencer na casa 2, mas a Q-Table prefere a casa 8
+  const estado = JSON.stringify([1, 1, 0, 2, 2, 0, 0, 0, 0]);
+  agente.tabelaQ[estado] = { 2: 0.1, 8: 0.9 };
+
+  const relatorio = auditarPolitica(agente, new AmbienteJogoDaVelha(3), { jogadores: [1] });
+  const erro = relatorio.erros.find(item => JSON.stringify(item.tabuleiro) === estado && item.jogadorAtual === 1);
+
+  console.assert(erro, "❌ O erro plantado deveria aparecer no relatório");
+  console.assert(erro && erro.gravidade === 'vitoria-desperdicada', "❌ O erro deveria ser uma vitória desperdiçada");
+  console.assert(erro && erro.valorTeorico === 1, "❌ A posição deveria ser vitória garantida");
+  console.assert(erro && erro.acoesErradas.includes(8), "❌ A casa 8 deveria ser marcada como errada");
+  console.assert(relatorio.posicoesDesconhecidas === relatorio.posicoesAuditadas - 1, "❌ Só uma posição deveria ser conhecida");
+
+  console.log("✅ O erro plantado foi encontrado e classificado.");
+  console.log("--- TESTE 2 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se um agente que conhece as jogadas ótimas passa sem erros.
+ *
+ * @returns {void}
+ */
+function testarPoliticaCorreta() {
+  console.log("--- INICIANDO TESTE 3: POLÍTICA CORRETA ---");
+  const agente = new AgenteQLearning({ jogador: 1, epsilon: 0 });
+
+  const estado = JSON.stringify([1, 1, 0, 2, 2, 0, 0, 0, 0]);
+  agente.tabelaQ[estado] = { 2: 1.0, 8: -1.0 };
+
+  const relatorio = auditarPolitica(agente, new AmbienteJogoDaVelha(3), { jogadores: [1] });
+  const erro = relatorio.erros.find(item => JSON.stringify(item.tabuleiro) === estado && item.jogadorAtual === 1);
+
+  console.assert(!erro, "❌ A jogada vencedora não deveria ser apontada como erro");
+
+  console.log("✅ A jogada ótima passou pela auditoria.");
+  console.log("--- TESTE 3 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica a auditoria no tabuleiro com gravidade, em que as ações são colunas.
+ *
+ * @returns {void}
+ */
+function testarAuditoriaComGravidade() {
+  console.log("--- INICIANDO TESTE 4: AUDITORIA COM GRAVIDADE ---");
+  const ambiente = criarAmbiente({ linhas: 3, colunas: 3, sequenciaParaVencer: 3, comGravidade: true });
+  const agente = new AgenteQLearning({ jogador: 1, epsilon: 0 });
+
+  // X vence soltando a peça na coluna 2 (ela cai na casa 8), mas a Q-Table prefere a coluna 0
+  const estado = JSON.stringify([0, 0, 0, 2, 2, 0, 1, 1, 0]);
+  agente.tabelaQ[estado] = { 2: 0.1, 0: 0.9 };
+
+  const relatorio = auditarPolitica(agente, ambiente, { jogadores: [1] });
+  const erro = relatorio.erros.find(item => JSON.stringify(item.tabuleiro) === estado && item.jogadorAtual === 1);
+
+  console.assert(erro && erro.gravidade === 'vitoria-desperdicada', "❌ O erro deveria ser uma vitória desperdiçada");
+  console.assert(erro && erro.acoesErradas.includes(0) && erro.jogadasOtimas.includes(2), "❌ As ações deveriam ser colunas");
+  console.assert(
+    relatorio.erros.every(item => item.acoesGulosas.every(acao => acao < ambiente.colunas)),
+    "❌ O agente só deveria ser consultado sobre colunas"
+  );
+
+  console.log("✅ A auditoria usa as colunas como ações no Lig 4.");
+  console.log("--- TESTE 4 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se o modelo salvo com simetrias é auditado com elas, mesmo sem `--simetrias`.
+ *
+ * @returns {void}
+ */
+function testarModeloComSimetrias() {
+  console.log("--- INICIANDO TESTE 5: MODELO COM SIMETRIAS ---");
+  const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'auditoria-'));
+  const caminho = path.join(pasta, 'agente_x_simetrias.json');
+
+  // X vence na casa 2; com simetrias, o tabuleiro girado cai na mesma entrada
+  const modelo = new AgenteQLearning({ jogador: 1, usarSimetrias: true });
+  modelo.aprender(JSON.stringify([1, 1, 0, 2, 2, 0, 0, 0, 0]), 2, 1.0, null, true);
+  modelo.salvarMemoria(caminho);
+
+  const agente = carregarModeloAuditado(caminho);
+  const semSimetrias = AgenteQLearning.carregar(caminho, { epsilon: 0, usarSimetrias: false });
+  fs.rmSync(pasta, { recursive: true, force: true });
+
+  console.assert(agente.usarSimetrias && agente.epsilon === 0, "❌ O modelo deveria ser carregado com as simetrias do cabeçalho");
+  const conhecidas = relatorio => relatorio.posicoesAuditadas - relatorio.posicoesDesconhecidas;
+  const comCabecalho = conhecidas(auditarPolitica(agente, new AmbienteJogoDaVelha(3), { jogadores: [1] }));
+  const forcado = conhecidas(auditarPolitica(semSimetrias, new AmbienteJogoDaVelha(3), { jogadores: [1] }));
+  console.assert(comCabecalho > forcado, `❌ As orientações giradas deveriam ser conhecidas (${comCabecalho} contra ${forcado})`);
+
+  console.log("✅ O modelo foi auditado com as simetrias em que treinou.");
+  console.log("--- TESTE 5 FINALIZADO ---\n");
+}
+
+/**
+ * Função principal para rodar toda a suíte de testes da auditoria.
+ *
+ * @returns {void}
+ */
+export function executarTodosTestes() {
+  console.log("\n" + "=".repeat(50));
+  console.log("🧪 INICIANDO BATERIA DE TESTES DA AUDITORIA 🧪");
+  console.log("=".repeat(50) + "\n");
+
+  testarEnumeracao();
+  testarErroPlantado();
+  testarPoliticaCorreta();
+  testarAuditoriaComGravidade();
+  testarModeloComSimetrias();
+
+  console.log("=".repeat(50));
+  console.log("✅ TODOS OS TESTES DA AUDITORIA CONCLUÍDOS COM SUCESSO!");
+  console.log("=".repeat(50) + "\n");
+}
+
+// Executa os testes se o arquivo for chamado diretamente
+if (import.meta.url === `file://${process.argv[1]}`) {
+  executarTodosTestes();
+}
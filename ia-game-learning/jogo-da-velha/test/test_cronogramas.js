@@ -0,0 +1,223 @@
+/**
+ * @Modulo 🧪 jogo-da-velha/test/test_cronogramas.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Este arquivo contém os testes dos cronogramas de epsilon e alpha.
+ *
+ * Para executar, use o comando no terminal:
+ * node test_cronogramas.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AmbienteJogoDaVelha } from '../ambiente.js';
+import { AgenteQLearning } from '../agente.js';
+import { Treinador } from '../treinador.js';
+import { criarCronograma } from '../cronogramas.js';
+
+/**
+ * Compara dois números com uma pequena tolerância.
+ *
+ * @param {number} obtido - Valor calculado
+ * @param {number} esperado - Valor esperado
+ * @returns {boolean} true se forem iguais (a menos de 1e-9)
+ */
+function quaseIgual(obtido, esperado) {
+  return Math.abs(obtido - esperado) < 1e-9;
+}
+
+/**
+ * Verifica os valores de cada cronograma em alguns passos.
+ *
+ * @returns {void}
+ */
+function testarValoresDosCronogramas() {
+  console.log("--- INICIANDO TESTE 1: VALORES DOS CRONOGRAMAS ---");
+
+  const constante = criarCronograma(0.3);
+  console.assert(constante.consultar(0) === 0.3 && constante.consultar(1000) === 0.3, "❌ O constante não deveria mudar");
+
+  const linear = criarCronograma({ tipo: 'linear', inicial: 1.0, final: 0.2, duracao: 100 });
+  console.assert(quaseIgual(linear.consultar(0), 1.0), "❌ O linear deveria começar em 1.0");
+  console.assert(quaseIgual(linear.consultar(50), 0.6), `❌ O linear deveria valer 0.6 na metade, mas vale ${linear.consultar(50)}`);
+  console.assert(quaseIgual(linear.consultar(500), 0.2), "❌ O linear deveria parar no valor final");
+
+  const exponencial = criarCronograma({ tipo: 'exponencial', inicial: 1.0, final: 0.1, taxa: 0.5 });
+  console.assert(quaseIgual(exponencial.consultar(2), 0.25), "❌ O exponencial deveria valer 0.25 no passo 2");
+  console.assert(quaseIgual(exponencial.consultar(10), 0.1), "❌ O exponencial deveria parar no valor final");
+
+  const degraus = criarCronograma({ tipo: 'degraus', inicial: 0.8, final: 0.1, fator: 0.5, intervalo: 10 });
+  console.assert(quaseIgual(degraus.consultar(9), 0.8), "❌ O primeiro degrau deveria valer 0.8");
+  console.assert(quaseIgual(degraus.consultar(10), 0.4), "❌ O segundo degrau deveria valer 0.4");
+  console.assert(quaseIgual(degraus.consultar(1000), 0.1), "❌ Os degraus deveriam parar no valor final");
+
+  const cosseno = criarCronograma({ tipo: 'cosseno', inicial: 1.0, final: 0.0, duracao: 100 });
+  console.assert(quaseIgual(cosseno.consultar(0), 1.0), "❌ O cosseno deveria começar em 1.0");
+  console.assert(quaseIgual(cosseno.consultar(50), 0.5), "❌ O cosseno deveria valer 0.5 na metade");
+  console.assert(quaseIgual(cosseno.consultar(100), 0.0), "❌ O cosseno deveria terminar em 0.0");
+
+  let erro = null;
+  try {
+    criarCronograma('sobe-e-desce');
+  } catch (e) {
+    erro = e;
+  }
+  console.assert(erro !== null, "❌ Um tipo desconhecido deveria lançar um erro");
+
+  console.log("✅ Todos os cronogramas calculam os valores esperados.");
+  console.log("--- TESTE 1 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica o alpha 1/N(s,a): cada visita ao mesmo par pesa menos, de modo
+ * que o valor Q vira a média das recompensas recebidas.
+ *
+ * Com recompensas +1 e -1 no fim da partida, Q(s,a) = (1 + (-1)) / 2 = 0.
+ *
+ * @returns {void}
+ */
+function testarAlphaInversoDasVisitas() {
+  console.log("--- INICIANDO TESTE 2: ALPHA 1/N(s,a) ---");
+
+  const agente = new AgenteQLearning({ cronogramaAlpha: 'inverso-visitas' });
+  const estado = JSON.stringify([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+
+  agente.registrarVisita(estado, 4);
+  agente.aprender(estado, 4, 1, null, true);
+  console.assert(agente.alpha === 1 && quaseIgual(agente.obterValorQ(estado, 4), 1), "❌ A primeira atualização deveria usar alpha 1");
+
+  agente.registrarVisita(estado, 4);
+  agente.aprender(estado, 4, -1, null, true);
+  console.assert(agente.alpha === 0.5, `❌ A segunda atualização deveria usar alpha 0.5, mas usou ${agente.alpha}`);
+  console.assert(quaseIgual(agente.obterValorQ(estado, 4), 0), "❌ Q(s,4) deveria ser a média das recompensas (0)");
+
+  // Outro par tem a sua própria contagem
+  agente.registrarVisita(estado, 5);
+  agente.aprender(estado, 5, -1, null, true);
+  console.assert(agente.alpha === 1, "❌ Um par novo deveria começar com alpha 1");
+
+  let erro = null;
+  try {
+    new AgenteQLearning({ cronogramaEpsilon: 'inverso-visitas' });
+  } catch (e) {
+    erro = e;
+  }
+  console.assert(erro !== null, "❌ O 1/N(s,a) não deveria ser aceito para o epsilon");
+
+  console.log("✅ O alpha 1/N(s,a) transforma o valor Q em uma média.");
+  console.log("--- TESTE 2 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se o epsilon segue o cronograma a cada partida e se o ponto do
+ * cronograma é restaurado ao carregar o modelo.
+ *
+ * @returns {void}
+ */
+function testarCronogramaDoEpsilon() {
+  console.log("--- INICIANDO TESTE 3: CRONOGRAMA DO EPSILON ---");
+
+  const cronogramaEpsilon = { tipo: 'linear', inicial: 0.9, final: 0.1, duracao: 8 };
+  const agente = new AgenteQLearning({ cronogramaEpsilon });
+  console.assert(quaseIgual(agente.epsilon, 0.9), "❌ O epsilon deveria começar no valor inicial do cronograma");
+
+  for (let i = 0; i < 4; i++) {
+    agente.aprenderComFimDePartida(0);
+  }
+  console.assert(quaseIgual(agente.epsilon, 0.5), `❌ O epsilon deveria ser 0.5 após 4 partidas, mas é ${agente.epsilon}`);
+
+  const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'cronogramas-'));
+  const caminho = path.join(pasta, 'agente.json');
+  agente.salvarMemoria(caminho);
+
+  const restaurado = AgenteQLearning.carregar(caminho);
+  console.assert(restaurado.cronogramaEpsilon.tipo === 'linear', "❌ O cronograma do epsilon deveria ser restaurado");
+  console.assert(quaseIgual(restaurado.epsilon, 0.5), "❌ O epsilon restaurado deveria seguir as partidas treinadas");
+  restaurado.aprenderComFimDePartida(0);
+  console.assert(quaseIgual(restaurado.epsilon, 0.4), "❌ O cronograma deveria continuar de onde parou");
+
+  const paraJogar = AgenteQLearning.carregar(caminho, { epsilon: 0 });
+  console.assert(paraJogar.epsilon === 0, "❌ O epsilon passado ao carregar deveria ter prioridade");
+
+  fs.rmSync(pasta, { recursive: true, force: true });
+
+  console.log("✅ O epsilon segue o cronograma e sobrevive ao salvar/carregar.");
+  console.log("--- TESTE 3 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se os cronogramas valem igual nos treinos sequencial e paralelo.
+ *
+ * @returns {Promise<void>}
+ */
+async function testarCronogramasNoTreinador() {
+  console.log("--- INICIANDO TESTE 4: CRONOGRAMAS NO TREINADOR ---");
+
+  const cronogramaEpsilon = { tipo: 'cosseno', inicial: 1.0, final: 0.05, duracao: 300 };
+  const cronogramaAlphaO = { tipo: 'degraus', inicial: 0.5, intervalo: 100 };
+  const criarTreinador = () => {
+    const treinador = new Treinador(
+      new AgenteQLearning({ jogador: 1, cronogramaEpsilon, cronogramaAlpha: 'inverso-visitas' }),
+      new AgenteQLearning({ jogador: 2, cronogramaEpsilon, cronogramaAlpha: cronogramaAlphaO }),
+      new AmbienteJogoDaVelha(3),
+      { semente: 5 }
+    );
+    Object.values(treinador.ouvintesPadrao).forEach(ouvinte => treinador.desconectar(ouvinte));
+    return treinador;
+  };
+
+  const sequencial = criarTreinador();
+  sequencial.treinar(200, 100, 999999);
+
+  const paralelo = criarTreinador();
+  await paralelo.treinarEmParalelo(200, {
+    numeroDeTrabalhadores: 2,
+    partidasPorRodada: 100,
+    intervaloLog: 100,
+    intervaloCheckpoint: 999999
+  });
+
+  // A última partida é aprendida com 200 partidas já contadas
+  const epsilonEsperado = criarCronograma(cronogramaEpsilon).consultar(200);
+  const alphaEsperado = criarCronograma(cronogramaAlphaO).consultar(200);
+  for (const treinador of [sequencial, paralelo]) {
+    if (!quaseIgual(treinador.agenteX.epsilon, epsilonEsperado)) {
+      throw new Error(`❌ O epsilon deveria ser ${epsilonEsperado}, mas é ${treinador.agenteX.epsilon}`);
+    }
+    if (!quaseIgual(treinador.agenteO.alpha, alphaEsperado)) {
+      throw new Error(`❌ O alpha em degraus deveria ser ${alphaEsperado}, mas é ${treinador.agenteO.alpha}`);
+    }
+    if (!(treinador.agenteX.alpha < 1)) {
+      throw new Error("❌ O alpha 1/N(s,a) deveria ter caído com as visitas");
+    }
+  }
+
+  console.log("✅ Os cronogramas valem igual nos modos sequencial e paralelo.");
+  console.log("--- TESTE 4 FINALIZADO ---\n");
+}
+
+/**
+ * Função principal para rodar toda a suíte de testes dos cronogramas.
+ *
+ * @returns {Promise<void>}
+ */
+export async function executarTodosTestes() {
+  console.log("\n" + "=".repeat(50));
+  console.log("🧪 INICIANDO BATERIA DE TESTES DOS CRONOGRAMAS 🧪");
+  console.log("=".repeat(50) + "\n");
+
+  testarValoresDosCronogramas();
+  testarAlphaInversoDasVisitas();
+  testarCronogramaDoEpsilon();
+  await testarCronogramasNoTreinador();
+
+  console.log("=".repeat(50));
+  console.log("✅ TODOS OS TESTES DOS CRONOGRAMAS CONCLUÍDOS COM SUCESSO!");
+  console.log("=".repeat(50) + "\n");
+}
+
+// Executa os testes se o arquivo for chamado diretamente
+if (import.meta.url === `file://${process.argv[1]}`) {
+  await executarTodosTestes();
+}
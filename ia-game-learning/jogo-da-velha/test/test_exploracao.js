@@ -0,0 +1,302 @@
+/**
+ * @Modulo 🧪 jogo-da-velha/test/test_exploracao.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Este arquivo contém os testes das estratégias de exploração
+ * (epsilon-greedy, Boltzmann, UCB1 e valores iniciais otimistas).
+ *
+ * Para executar, use o comando no terminal:
+ * node test_exploracao.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AmbienteJogoDaVelha } from '../ambiente.js';
+import { AgenteQLearning } from '../agente.js';
+import { Treinador } from '../treinador.js';
+import { TIPOS_DE_EXPLORACAO, ExploracaoBoltzmann, criarEstrategiaDeExploracao } from '../exploracao.js';
+
+/**
+ * Verifica as probabilidades e o cronograma de temperatura do Boltzmann.
+ *
+ * Com Q = {0: 1, 1: 0} e temperatura 1, a chance da ação 0 é
+ * e¹ / (e¹ + e⁰) ≈ 0,731.
+ *
+ * @returns {void}
+ */
+function testarBoltzmann() {
+  console.log("--- INICIANDO TESTE 1: EXPLORAÇÃO BOLTZMANN ---");
+
+  const agente = new AgenteQLearning({
+    exploracao: { tipo: 'boltzmann', temperatura: 1.0, temperaturaMinima: 0.5, taxaDecaimentoTemperatura: 0.5 }
+  });
+  const estado = JSON.stringify([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  agente.tabelaQ[estado] = { 0: 1.0, 1: 0.0 };
+
+  const probabilidades = agente.exploracao.obterProbabilidades(agente, estado, [0, 1]);
+  const esperado = Math.E / (Math.E + 1);
+  console.assert(Math.abs(probabilidades[0] - esperado) < 1e-9, `❌ P(0) deveria ser ${esperado.toFixed(3)}, mas é ${probabilidades[0]}`);
+  console.assert(Math.abs(probabilidades[0] + probabilidades[1] - 1) < 1e-9, "❌ As probabilidades deveriam somar 1");
+
+  // Consultar ações desconhecidas não deveria gravar nada na Tabela Q
+  const estadoNovo = JSON.stringify([1, 2, 0, 0, 0, 0, 0, 0, 0]);
+  agente.escolherAcao(estadoNovo, [2, 3, 4]);
+  console.assert(!(estadoNovo in agente.tabelaQ), "❌ O Boltzmann não deveria gravar valores padrão na Tabela Q");
+
+  // A temperatura esfria a cada partida, mas não passa do mínimo
+  agente.aprenderComFimDePartida(0);
+  console.assert(agente.exploracao.temperatura === 0.5, `❌ A temperatura deveria cair para 0.5, mas é ${agente.exploracao.temperatura}`);
+  agente.aprenderComFimDePartida(0);
+  console.assert(agente.exploracao.temperatura === 0.5, "❌ A temperatura não deveria ficar abaixo do mínimo");
+
+  // O epsilon não faz parte do cronograma do Boltzmann
+  console.assert(agente.epsilon === 1.0, "❌ O epsilon não deveria decair com a exploração Boltzmann");
+
+  let erroTemperatura = null;
+  try {
+    new ExploracaoBoltzmann({ temperatura: 0 });
+  } catch (erro) {
+    erroTemperatura = erro;
+  }
+  console.assert(erroTemperatura !== null, "❌ Uma temperatura zero deveria ser rejeitada");
+
+  console.log("✅ As probabilidades e a temperatura do Boltzmann estão corretas.");
+  console.log("--- TESTE 1 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica a escolha do UCB1: primeiro as ações nunca testadas, depois o
+ * maior valor Q somado ao bônus de incerteza.
+ *
+ * Com N(s,0) = 10, N(s,1) = 1, Q(s,0) = 0,5 e Q(s,1) = 0:
+ * - UCB(0) = 0,5 + √2 × √(ln 11 / 10) ≈ 1,18
+ * - UCB(1) = 0   + √2 × √(ln 11 / 1)  ≈ 2,19
+ *
+ * @returns {void}
+ */
+function testarUCB1() {
+  console.log("--- INICIANDO TESTE 2: EXPLORAÇÃO UCB1 ---");
+
+  const agente = new AgenteQLearning({ exploracao: 'ucb1' });
+  const estado = JSON.stringify([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+
+  // Nenhuma visita: todas as ações são candidatas
+  agente.registrarJogada(estado, 0, [0, 1]);
+  console.assert(agente.obterVisitas(estado, 0) === 1, "❌ A jogada deveria ser contada como visita");
+  console.assert(agente.escolherAcao(estado, [0, 1]) === 1, "❌ A ação nunca testada deveria ser jogada primeiro");
+
+  // Com todas as ações testadas, o UCB1 lê os valores Q sem gravar os padrões
+  const estadoNovo = JSON.stringify([1, 2, 0, 0, 0, 0, 0, 0, 0]);
+  agente.visitas[estadoNovo] = { 2: 1, 3: 1 };
+  agente.escolherAcao(estadoNovo, [2, 3]);
+  console.assert(!(estadoNovo in agente.tabelaQ), "❌ O UCB1 não deveria gravar valores padrão na Tabela Q");
+
+  agente.visitas[estado] = { 0: 10, 1: 1 };
+  agente.tabelaQ[estado] = { 0: 0.5, 1: 0.0 };
+  console.assert(agente.escolherAcao(estado, [0, 1]) === 1, "❌ O bônus de incerteza deveria favorecer a ação 1");
+
+  const probabilidades = agente.exploracao.obterProbabilidades(agente, estado, [0, 1]);
+  console.assert(probabilidades[1] === 1 && probabilidades[0] === 0, "❌ O UCB1 deveria ser determinístico");
+
+  // Fora do treino, o Agente joga a melhor ação, sem bônus
+  console.assert(agente.escolherAcao(estado, [0, 1], false) === 0, "❌ Fora do treino o Agente deveria jogar a melhor ação");
+
+  console.log("✅ O UCB1 testa as ações novas e aplica o bônus de incerteza.");
+  console.log("--- TESTE 2 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica os valores iniciais otimistas: as ações desconhecidas começam
+ * valendo 1 e o Agente sempre joga a melhor ação.
+ *
+ * @returns {void}
+ */
+function testarValoresOtimistas() {
+  console.log("--- INICIANDO TESTE 3: VALORES INICIAIS OTIMISTAS ---");
+
+  const agente = new AgenteQLearning({ exploracao: 'otimista', alpha: 0.5, gamma: 0.9 });
+  const estado = JSON.stringify([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+
+  console.assert(agente.obterValorQ(estado, 4) === 1.0, "❌ Uma ação desconhecida deveria valer 1");
+
+  // Após uma decepção (derrota), a ação perde para as ainda não testadas
+  agente.aprender(estado, 4, -1, null, true);
+  console.assert(Math.abs(agente.obterValorQ(estado, 4) - 0.0) < 1e-9, "❌ Q(s,4) deveria cair para 0.0");
+  for (let i = 0; i < 20; i++) {
+    console.assert(agente.escolherAcao(estado, [3, 4, 5]) !== 4, "❌ O Agente deveria trocar a ação que decepcionou");
+  }
+
+  // Só o que foi aprendido vai para o arquivo; o valor otimista vem do cabeçalho
+  console.assert(Object.keys(agente.tabelaQ[estado]).join() === '4', "❌ Os valores otimistas não deveriam ser gravados na Tabela Q");
+  const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'exploracao-'));
+  agente.salvarMemoria(path.join(pasta, 'otimista.json'));
+  const restaurado = AgenteQLearning.carregar(path.join(pasta, 'otimista.json'));
+  console.assert(restaurado.obterValorQ(estado, 3) === 1.0, "❌ O modelo restaurado deveria manter o valor inicial otimista");
+  console.assert(Math.abs(restaurado.obterValorQ(estado, 4)) < 1e-9, "❌ O valor aprendido deveria ser restaurado");
+  fs.rmSync(pasta, { recursive: true, force: true });
+
+  console.log("✅ Os valores otimistas levam o Agente a testar cada ação.");
+  console.log("--- TESTE 3 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se a estratégia de exploração e o seu estado são salvos com o
+ * modelo e restaurados ao carregar.
+ *
+ * @returns {void}
+ */
+function testarPersistenciaDaExploracao() {
+  console.log("--- INICIANDO TESTE 4: EXPLORAÇÃO SALVA COM O MODELO ---");
+
+  const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'exploracao-'));
+  const estado = JSON.stringify([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+
+  const boltzmann = new AgenteQLearning({ exploracao: { tipo: 'boltzmann', temperatura: 0.25 } });
+  boltzmann.salvarMemoria(path.join(pasta, 'boltzmann.json'));
+  const boltzmannRestaurado = AgenteQLearning.carregar(path.join(pasta, 'boltzmann.json'));
+  console.assert(boltzmannRestaurado.exploracao.tipo === 'boltzmann', "❌ O tipo Boltzmann deveria ser restaurado");
+  console.assert(boltzmannRestaurado.exploracao.temperatura === 0.25, "❌ A temperatura deveria ser restaurada");
+
+  const ucb = new AgenteQLearning({ exploracao: 'ucb1' });
+  ucb.registrarJogada(estado, 4, [4]);
+  ucb.salvarMemoria(path.join(pasta, 'ucb.json'));
+  const ucbRestaurado = AgenteQLearning.carregar(path.join(pasta, 'ucb.json'));
+  console.assert(ucbRestaurado.exploracao.tipo === 'ucb1', "❌ O tipo UCB1 deveria ser restaurado");
+  console.assert(ucbRestaurado.obterVisitas(estado, 4) === 1, "❌ As visitas usadas pelo UCB1 deveriam ser restauradas");
+
+  // Passar a exploração ao carregar troca a estratégia salva
+  const trocado = AgenteQLearning.carregar(path.join(pasta, 'ucb.json'), { exploracao: 'epsilon-greedy' });
+  console.assert(trocado.exploracao.tipo === 'epsilon-greedy', "❌ A exploração passada ao carregar deveria ter prioridade");
+
+  fs.rmSync(pasta, { recursive: true, force: true });
+
+  console.log("✅ A exploração é salva e restaurada junto com o modelo.");
+  console.log("--- TESTE 4 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se o Expected SARSA usa as probabilidades da estratégia.
+ *
+ * Com Boltzmann a temperatura 1 e Q(s',0) = 1, Q(s',1) = 0:
+ * E[Q(s',·)] = 0,731 × 1 + 0,269 × 0 = 0,731.
+ * Alvo = 0 + 0,9 × 0,731 = 0,658, e Q(s,a) = 0,5 × 0,658 ≈ 0,329.
+ *
+ * @returns {void}
+ */
+function testarSarsaEsperadoComBoltzmann() {
+  console.log("--- INICIANDO TESTE 5: EXPECTED SARSA COM BOLTZMANN ---");
+
+  const agente = new AgenteQLearning({
+    alpha: 0.5,
+    gamma: 0.9,
+    regraDeAtualizacao: 'sarsa-esperado',
+    exploracao: { tipo: 'boltzmann', temperatura: 1.0 }
+  });
+  const estado = JSON.stringify([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  const proximoEstado = JSON.stringify([1, 2, 0, 0, 0, 0, 0, 0, 0]);
+  agente.tabelaQ[proximoEstado] = { 0: 1.0, 1: 0.0 };
+
+  agente.aprender(estado, 4, 0, proximoEstado, false, null, [0, 1]);
+
+  const esperado = 0.5 * 0.9 * (Math.E / (Math.E + 1));
+  const obtido = agente.obterValorQ(estado, 4);
+  console.assert(Math.abs(obtido - esperado) < 1e-9, `❌ Q(s,4) deveria ser ${esperado.toFixed(3)}, mas é ${obtido}`);
+
+  console.log("✅ O Expected SARSA segue a política da exploração.");
+  console.log("--- TESTE 5 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se um tipo de exploração desconhecido é rejeitado.
+ *
+ * @returns {void}
+ */
+function testarTipoDesconhecido() {
+  console.log("--- INICIANDO TESTE 6: TIPO DESCONHECIDO ---");
+
+  let erro = null;
+  try {
+    criarEstrategiaDeExploracao('curiosidade-infinita');
+  } catch (e) {
+    erro = e;
+  }
+  console.assert(erro !== null, "❌ Um tipo desconhecido deveria lançar um erro");
+
+  console.log("✅ Tipos desconhecidos são rejeitados.");
+  console.log("--- TESTE 6 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se todas as estratégias treinam no mesmo Treinador, nos modos
+ * sequencial e paralelo.
+ *
+ * @returns {Promise<void>}
+ */
+async function testarExploracoesNoTreinador() {
+  console.log("--- INICIANDO TESTE 7: EXPLORAÇÕES NO TREINADOR ---");
+
+  for (const exploracao of TIPOS_DE_EXPLORACAO) {
+    const criarTreinador = () => {
+      const treinador = new Treinador(
+        new AgenteQLearning({ jogador: 1, exploracao }),
+        new AgenteQLearning({ jogador: 2, exploracao }),
+        new AmbienteJogoDaVelha(3),
+        { semente: 11 }
+      );
+      Object.values(treinador.ouvintesPadrao).forEach(ouvinte => treinador.desconectar(ouvinte));
+      return treinador;
+    };
+
+    const sequencial = criarTreinador();
+    sequencial.treinar(200, 100, 999999);
+
+    const paralelo = criarTreinador();
+    await paralelo.treinarEmParalelo(200, {
+      numeroDeTrabalhadores: 2,
+      partidasPorRodada: 100,
+      intervaloLog: 100,
+      intervaloCheckpoint: 999999
+    });
+
+    for (const treinador of [sequencial, paralelo]) {
+      if (treinador.agenteX.partidasTreinadas !== 200 || treinador.agenteO.partidasTreinadas !== 200) {
+        throw new Error(`❌ Os agentes (${exploracao}) deveriam ter 200 partidas`);
+      }
+      if (Object.keys(treinador.agenteX.tabelaQ).length === 0) {
+        throw new Error(`❌ O agente X (${exploracao}) deveria ter aprendido algo`);
+      }
+    }
+  }
+
+  console.log("✅ Todas as explorações treinam nos modos sequencial e paralelo.");
+  console.log("--- TESTE 7 FINALIZADO ---\n");
+}
+
+/**
+ * Função principal para rodar toda a suíte de testes da exploração.
+ *
+ * @returns {Promise<void>}
+ */
+export async function executarTodosTestes() {
+  console.log("\n" + "=".repeat(50));
+  console.log("🧪 INICIANDO BATERIA DE TESTES DA EXPLORAÇÃO 🧪");
+  console.log("=".repeat(50) + "\n");
+
+  testarBoltzmann();
+  testarUCB1();
+  testarValoresOtimistas();
+  testarPersistenciaDaExploracao();
+  testarSarsaEsperadoComBoltzmann();
+  testarTipoDesconhecido();
+  await testarExploracoesNoTreinador();
+
+  console.log("=".repeat(50));
+  console.log("✅ TODOS OS TESTES DA EXPLORAÇÃO CONCLUÍDOS COM SUCESSO!");
+  console.log("=".repeat(50) + "\n");
+}
+
+// Executa os testes se o arquivo for chamado diretamente
+if (import.meta.url === `file://${process.argv[1]}`) {
+  await executarTodosTestes();
+}
@@ -0,0 +1,248 @@
+/**
+ * @Modulo 🧪 jogo-da-velha/test/test_liga.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Este arquivo contém os testes dos adversários fixos, da Liga e do
+ * treino em liga do Treinador.
+ *
+ * Para executar, use o comando no terminal:
+ * node test_liga.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AmbienteJogoDaVelha } from '../ambiente.js';
+import { AgenteQLearning } from '../agente.js';
+import { Treinador } from '../treinador.js';
+import { criarGeradorAleatorio } from '../aleatorio.js';
+import { AgenteAleatorio, AgenteHeuristico, AdversarioCongelado } from '../adversarios.js';
+import { Liga } from '../liga.js';
+
+/**
+ * Verifica os adversários aleatório e heurístico.
+ *
+ * @returns {void}
+ */
+function testarAdversariosFixos() {
+  console.log("--- INICIANDO TESTE 1: ADVERSÁRIOS ALEATÓRIO E HEURÍSTICO ---");
+
+  const aleatorio = new AgenteAleatorio({ jogador: 2, aleatorio: criarGeradorAleatorio(7) });
+  const acoesValidas = [1, 5, 7];
+  for (let i = 0; i < 50; i++) {
+    const acao = aleatorio.escolherAcao(JSON.stringify([1, 0, 2, 1, 2, 0, 1, 0, 2]), acoesValidas);
+    console.assert(acoesValidas.includes(acao), `❌ O aleatório escolheu uma casa ocupada (${acao})`);
+  }
+
+  const ambiente = new AmbienteJogoDaVelha(3);
+  const heuristicoX = new AgenteHeuristico({ ambiente, jogador: 1 });
+  const heuristicoO = new AgenteHeuristico({ ambiente, jogador: 2 });
+
+  // X X _
+  // O O _
+  // _ _ _
+  const tabuleiro = [1, 1, 0, 2, 2, 0, 0, 0, 0];
+  const livres = [2, 5, 6, 7, 8];
+  console.assert(heuristicoX.escolherAcao(JSON.stringify(tabuleiro), livres) === 2, "❌ O heurístico deveria vencer na casa 2");
+  console.assert(heuristicoO.escolherAcao(JSON.stringify(tabuleiro), livres) === 5, "❌ O heurístico deveria preferir vencer (casa 5)");
+
+  // X X _
+  // O _ _
+  // _ _ _
+  const ameaca = [1, 1, 0, 2, 0, 0, 0, 0, 0];
+  console.assert(heuristicoO.escolherAcao(JSON.stringify(ameaca), [2, 4, 5, 6, 7, 8]) === 2, "❌ O heurístico deveria bloquear na casa 2");
+
+  heuristicoO.aprenderComFimDePartida(-1);
+  console.assert(heuristicoO.derrotas === 1 && heuristicoO.partidasTreinadas === 1, "❌ O placar do adversário deveria ser contado");
+
+  console.log("✅ O aleatório joga em casas livres e o heurístico vence ou bloqueia.");
+  console.log("--- TESTE 1 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se a cópia congelada não muda quando o original continua aprendendo.
+ *
+ * @returns {void}
+ */
+function testarAdversarioCongelado() {
+  console.log("--- INICIANDO TESTE 2: ADVERSÁRIO CONGELADO ---");
+
+  const estado = JSON.stringify([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  const acoes = [0, 1, 2, 3, 4, 5, 6, 7, 8];
+  const agente = new AgenteQLearning({ jogador: 2 });
+  agente.tabelaQ[estado] = { 4: 0.9, 0: 0.1 };
+
+  const congelado = new AdversarioCongelado(agente);
+  agente.tabelaQ[estado][0] = 1.0;
+
+  console.assert(congelado.jogador === 2, "❌ A cópia deveria jogar do mesmo lado do original");
+  console.assert(congelado.escolherAcao(estado, acoes) === 4, "❌ A cópia deveria manter a Tabela Q do congelamento");
+  console.assert(agente.escolherAcao(estado, acoes, false) === 0, "❌ O original deveria continuar aprendendo");
+  console.assert(congelado.rotulo === 'congelado O@0', `❌ Rótulo inesperado: ${congelado.rotulo}`);
+
+  console.log("✅ A cópia congelada guarda a política do momento do congelamento.");
+  console.log("--- TESTE 2 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica o sorteio dos adversários, a validação dos pesos e o lado das
+ * cópias congeladas carregadas de arquivos.
+ *
+ * @returns {void}
+ */
+function testarSorteioDaLiga() {
+  console.log("--- INICIANDO TESTE 3: SORTEIO DA LIGA ---");
+
+  const soAleatorio = new Liga({ pesos: { aleatorio: 1 }, aleatorio: criarGeradorAleatorio(1) });
+  for (let i = 0; i < 20; i++) {
+    const { tipo, agente } = soAleatorio.sortearAdversario(2);
+    console.assert(tipo === 'aleatorio' && agente instanceof AgenteAleatorio && agente.jogador === 2,
+      "❌ Com peso só no aleatório, o sorteio deveria ser sempre o aleatório do lado pedido");
+  }
+
+  const liga = new Liga({ pesos: { congelado: 3, heuristico: 1 }, tamanhoMaximoCongelados: 2, aleatorio: criarGeradorAleatorio(2) });
+  console.assert(liga.sortearAdversario(1).tipo === 'heuristico', "❌ Sem cópias congeladas, o tipo 'congelado' deveria ficar de fora");
+
+  for (let i = 0; i < 3; i++) {
+    const agente = new AgenteQLearning({ jogador: 1 });
+    agente.partidasTreinadas = i;
+    liga.congelar(agente);
+  }
+  console.assert(liga.congelados[1].length === 2 && liga.congelados[1][0].rotulo === 'congelado X@1',
+    "❌ Só as cópias mais recentes deveriam ficar guardadas");
+  console.assert(liga.sortearAdversario(2).tipo === 'heuristico', "❌ As cópias do X não deveriam jogar de O");
+
+  const contagem = { congelado: 0, heuristico: 0 };
+  for (let i = 0; i < 4000; i++) contagem[liga.sortearAdversario(1).tipo]++;
+  const proporcao = contagem.congelado / 4000;
+  console.assert(Math.abs(proporcao - 0.75) < 0.03, `❌ As cópias deveriam sair em ~75% dos sorteios, mas saíram em ${proporcao}`);
+
+  for (const pesos of [{ sombra: 1 }, { aleatorio: -1 }, { aleatorio: 0 }]) {
+    let erro = null;
+    try {
+      new Liga({ pesos });
+    } catch (e) {
+      erro = e;
+    }
+    console.assert(erro !== null, `❌ Os pesos ${JSON.stringify(pesos)} deveriam lançar um erro`);
+  }
+
+  // Modelos salvos: o lado vem do cabeçalho ou, nos antigos, do nome do arquivo
+  const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'liga-'));
+  const tabelaAntiga = { [JSON.stringify([1, 0, 0, 0, 0, 0, 0, 0, 0])]: { 4: 0.5 } };
+  fs.writeFileSync(path.join(pasta, 'agente_o_checkpoint_100.json'), JSON.stringify(tabelaAntiga));
+  fs.writeFileSync(path.join(pasta, 'modelo_antigo.json'), JSON.stringify(tabelaAntiga));
+  new AgenteQLearning({ jogador: 2 }).salvarMemoria(path.join(pasta, 'campeao.json'));
+
+  const ligaDeArquivos = new Liga({ pesos: { congelado: 1 } });
+  ligaDeArquivos.carregarCongelado(path.join(pasta, 'agente_o_checkpoint_100.json'));
+  ligaDeArquivos.carregarCongelado(path.join(pasta, 'campeao.json'));
+  console.assert(ligaDeArquivos.congelados[2].length === 2 && ligaDeArquivos.congelados[1].length === 0,
+    "❌ Os modelos do O (pelo nome e pelo cabeçalho) deveriam jogar de O");
+
+  let erroSemLado = null;
+  try {
+    ligaDeArquivos.carregarCongelado(path.join(pasta, 'modelo_antigo.json'));
+  } catch (erro) {
+    erroSemLado = erro;
+  }
+  console.assert(erroSemLado?.message.includes('agente_x_'), "❌ Um modelo antigo sem o lado no nome deveria ser recusado");
+  fs.rmSync(pasta, { recursive: true, force: true });
+
+  console.log("✅ A Liga sorteia os adversários pelos pesos.");
+  console.log("--- TESTE 3 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica o treino em liga: placar por adversário a cada janela, cópias
+ * congeladas e reprodutibilidade com a mesma semente.
+ *
+ * @returns {void}
+ */
+function testarTreinoEmLiga() {
+  console.log("--- INICIANDO TESTE 4: TREINO EM LIGA ---");
+
+  const treinarComSemente = () => {
+    const treinador = new Treinador(
+      new AgenteQLearning({ jogador: 1 }),
+      new AgenteQLearning({ jogador: 2 }),
+      new AmbienteJogoDaVelha(3),
+      { semente: 11 }
+    );
+    Object.values(treinador.ouvintesPadrao).forEach(ouvinte => treinador.desconectar(ouvinte));
+    treinador.treinarEmLiga(400, {
+      liga: { pesos: { atual: 1, congelado: 1, aleatorio: 1, heuristico: 1, minimax: 1 }, tamanhoMaximoCongelados: 3 },
+      intervaloLog: 200,
+      intervaloCheckpoint: 999999,
+      intervaloCongelamento: 100
+    });
+    return treinador;
+  };
+
+  const treinador = treinarComSemente();
+  const { liga } = treinador;
+
+  if (liga.historico.length !== 2) {
+    throw new Error(`❌ Deveria haver o placar de 2 janelas, mas há ${liga.historico.length}`);
+  }
+  const confrontos = new Set(liga.historico.flatMap(({ resultados }) => Object.keys(resultados)));
+  for (const confronto of ['X × minimax', 'O × minimax', 'X × aleatorio', 'O × heuristico', 'X × atual']) {
+    if (!confrontos.has(confronto)) {
+      throw new Error(`❌ O confronto '${confronto}' deveria aparecer no placar (há: ${[...confrontos].join(', ')})`);
+    }
+  }
+  if (![...confrontos].some(confronto => confronto.startsWith('O × congelado X@'))) {
+    throw new Error("❌ O aprendiz O deveria ter enfrentado cópias congeladas do X");
+  }
+
+  // Ninguém vence o Oráculo
+  for (const { resultados } of liga.historico) {
+    for (const [confronto, placar] of Object.entries(resultados)) {
+      if (confronto.endsWith('minimax') && placar.vitorias > 0) {
+        throw new Error(`❌ O aprendiz não deveria vencer o Minimax (${confronto})`);
+      }
+    }
+  }
+
+  const totalDePartidas = liga.historico.reduce((total, { resultados }) =>
+    total + Object.values(resultados).reduce((soma, p) => soma + p.vitorias + p.derrotas + p.empates, 0), 0);
+  if (totalDePartidas !== 400) {
+    throw new Error(`❌ O placar deveria somar 400 partidas, mas soma ${totalDePartidas}`);
+  }
+  if (liga.congelados[1].length !== 3 || liga.congelados[2].length !== 3) {
+    throw new Error("❌ Cada lado deveria guardar as 3 cópias congeladas mais recentes");
+  }
+
+  const repetido = treinarComSemente();
+  if (JSON.stringify(repetido.agenteX.tabelaQ) !== JSON.stringify(treinador.agenteX.tabelaQ)) {
+    throw new Error("❌ A mesma semente deveria reproduzir o treino em liga");
+  }
+
+  console.log("✅ O treino em liga mostra o placar por adversário e é reproduzível.");
+  console.log("--- TESTE 4 FINALIZADO ---\n");
+}
+
+/**
+ * Função principal para rodar toda a suíte de testes da Liga.
+ *
+ * @returns {void}
+ */
+export function executarTodosTestes() {
+  console.log("\n" + "=".repeat(50));
+  console.log("🧪 INICIANDO BATERIA DE TESTES DA LIGA 🧪");
+  console.log("=".repeat(50) + "\n");
+
+  testarAdversariosFixos();
+  testarAdversarioCongelado();
+  testarSorteioDaLiga();
+  testarTreinoEmLiga();
+
+  console.log("=".repeat(50));
+  console.log("✅ TODOS OS TESTES DA LIGA CONCLUÍDOS COM SUCESSO!");
+  console.log("=".repeat(50) + "\n");
+}
+
+// Executa os testes se o arquivo for chamado diretamente
+if (import.meta.url === `file://${process.argv[1]}`) {
+  executarTodosTestes();
+}
@@ -0,0 +1,306 @@
+/**
+ * @Modulo 🧪 jogo-da-velha/test/test_mesclarModelos.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Este arquivo contém os testes das estratégias de mesclagem dos modelos.
+ *
+ * Para executar, use o comando no terminal:
+ * node test_mesclarModelos.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AmbienteJogoDaVelha } from '../ambiente.js';
+import { AgenteQLearning, lerArquivoModelo } from '../agente.js';
+import { Treinador } from '../treinador.js';
+import { mesclarModelos, mesclarTabelasQ, combinarModelos, ESTRATEGIAS_DE_MESCLAGEM } from '../mesclarModelos.js';
+
+// Tabuleiro vazio: X e O com o mesmo número de peças, não dá para saber de quem é a vez
+const ESTADO_VAZIO = JSON.stringify([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+// X já jogou no canto: a vez é do O
+const ESTADO_VEZ_DO_O = JSON.stringify([1, 0, 0, 0, 0, 0, 0, 0, 0]);
+// Estado que só o Agente O conhece
+const ESTADO_SO_DO_O = JSON.stringify([1, 2, 0, 0, 0, 0, 0, 0, 0]);
+
+/**
+ * Cria os dois modelos de exemplo (Agente X e Agente O).
+ *
+ * @returns {Array<{tabelaQ: Object, visitas: Object, jogador: number}>} Os modelos
+ */
+function criarModelos() {
+  return [
+    {
+      jogador: 1,
+      tabelaQ: {
+        [ESTADO_VAZIO]: { 0: 0.2, 4: 0.8 },
+        [ESTADO_VEZ_DO_O]: { 4: 0.1, 8: 0.5 }
+      },
+      visitas: {
+        [ESTADO_VAZIO]: { 0: 1, 4: 3 },
+        [ESTADO_VEZ_DO_O]: { 4: 1, 8: 1 }
+      }
+    },
+    {
+      jogador: 2,
+      tabelaQ: {
+        [ESTADO_VAZIO]: { 4: 0.4, 8: 0.1 },
+        [ESTADO_VEZ_DO_O]: { 4: 0.9, 8: 0.3 },
+        [ESTADO_SO_DO_O]: { 2: 0.7 }
+      },
+      visitas: {
+        [ESTADO_VAZIO]: { 4: 1, 8: 1 },
+        [ESTADO_VEZ_DO_O]: { 4: 3, 8: 1 },
+        [ESTADO_SO_DO_O]: { 2: 2 }
+      }
+    }
+  ];
+}
+
+/**
+ * Compara dois números com uma pequena tolerância.
+ *
+ * @param {number} obtido - Valor calculado
+ * @param {number} esperado - Valor esperado
+ * @returns {boolean} true se forem iguais (a menos de 1e-9)
+ */
+function quaseIgual(obtido, esperado) {
+  return Math.abs(obtido - esperado) < 1e-9;
+}
+
+/**
+ * Salva um modelo de exemplo como um Agente de verdade.
+ *
+ * @param {{tabelaQ: Object, visitas: Object, jogador: number}} modelo - O modelo a salvar
+ * @param {string} caminho - Onde salvar
+ * @param {Object} [metadados] - Metadados do treino (dimensão do tabuleiro etc.)
+ * @returns {string} O caminho do arquivo salvo
+ */
+function salvarModelo(modelo, caminho, metadados) {
+  const agente = new AgenteQLearning({ jogador: modelo.jogador });
+  agente.tabelaQ = modelo.tabelaQ;
+  agente.visitas = modelo.visitas;
+  agente.salvarMemoria(caminho, metadados);
+  return caminho;
+}
+
+/**
+ * Verifica os valores Q resultantes de cada estratégia nos conflitos.
+ *
+ * @returns {void}
+ */
+function testarValoresDasEstrategias() {
+  console.log("--- INICIANDO TESTE 1: VALORES DE CADA ESTRATÉGIA ---");
+
+  // [Q(vazio, 4), Q(vez do O, 4), Q(vez do O, 8)] esperados em cada estratégia
+  const esperados = {
+    'maximo': [0.8, 0.9, 0.5],
+    'minimo': [0.4, 0.1, 0.3],
+    'media': [0.6, 0.5, 0.4],
+    'ponderada-por-visitas': [0.7, 0.7, 0.4],
+    // Sem dono no tabuleiro vazio (vale a ponderada); na vez do O, vale o Agente O
+    'preferir-dono': [0.7, 0.9, 0.3]
+  };
+
+  for (const estrategia of ESTRATEGIAS_DE_MESCLAGEM) {
+    const { tabelaQ } = combinarModelos(criarModelos(), estrategia);
+    const obtidos = [tabelaQ[ESTADO_VAZIO][4], tabelaQ[ESTADO_VEZ_DO_O][4], tabelaQ[ESTADO_VEZ_DO_O][8]];
+    obtidos.forEach((valor, indice) => {
+      console.assert(quaseIgual(valor, esperados[estrategia][indice]),
+        `❌ '${estrategia}': esperado ${esperados[estrategia][indice]}, obtido ${valor}`);
+    });
+
+    // O que só um modelo conhece entra como está
+    console.assert(tabelaQ[ESTADO_VAZIO][0] === 0.2 && tabelaQ[ESTADO_VAZIO][8] === 0.1,
+      `❌ '${estrategia}': ações de um modelo só deveriam ser copiadas`);
+    console.assert(tabelaQ[ESTADO_SO_DO_O][2] === 0.7, `❌ '${estrategia}': estados de um modelo só deveriam ser copiados`);
+  }
+
+  let erro = null;
+  try {
+    combinarModelos(criarModelos(), 'sorteio');
+  } catch (e) {
+    erro = e;
+  }
+  console.assert(erro !== null, "❌ Uma estratégia desconhecida deveria lançar um erro");
+
+  console.log("✅ Cada estratégia resolve os conflitos como esperado.");
+  console.log("--- TESTE 1 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica as estatísticas, a soma das visitas e o relatório de ações
+ * gulosas alteradas.
+ *
+ * @returns {void}
+ */
+function testarRelatorioDaMesclagem() {
+  console.log("--- INICIANDO TESTE 2: ESTATÍSTICAS E AÇÕES GULOSAS ALTERADAS ---");
+
+  const { visitas, estatisticas, acoesGulosasAlteradas } = combinarModelos(criarModelos(), 'maximo');
+
+  console.assert(estatisticas.estadosNovos === 1, `❌ Deveria haver 1 estado novo, mas há ${estatisticas.estadosNovos}`);
+  console.assert(estatisticas.acoesNovas === 1, `❌ Deveria haver 1 ação nova, mas há ${estatisticas.acoesNovas}`);
+  console.assert(estatisticas.conflitos === 3, `❌ Deveria haver 3 conflitos, mas há ${estatisticas.conflitos}`);
+
+  console.assert(visitas[ESTADO_VAZIO][4] === 4 && visitas[ESTADO_VEZ_DO_O][4] === 4, "❌ As visitas deveriam ser somadas");
+  console.assert(visitas[ESTADO_VAZIO][0] === 1 && visitas[ESTADO_SO_DO_O][2] === 2, "❌ As visitas de um modelo só deveriam ser copiadas");
+
+  // Na vez do O, o X jogaria na casa 8 e o O na casa 4
+  const esperados = {
+    'maximo': [1, 0],
+    'minimo': [0, 1],
+    'media': [1, 0],
+    'ponderada-por-visitas': [1, 0],
+    'preferir-dono': [1, 0]
+  };
+  for (const estrategia of ESTRATEGIAS_DE_MESCLAGEM) {
+    const [alteradasX, alteradasO] = acoesGulosasAlteradas[estrategia];
+    console.assert(alteradasX === esperados[estrategia][0] && alteradasO === esperados[estrategia][1],
+      `❌ '${estrategia}': esperado ${esperados[estrategia]}, obtido ${acoesGulosasAlteradas[estrategia]}`);
+  }
+
+  console.log("✅ As estatísticas e o relatório de ações gulosas estão corretos.");
+  console.log("--- TESTE 2 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica a mesclagem de arquivos: o dono de cada modelo vem do cabeçalho,
+ * e o modelo salvo guarda as visitas e a estratégia usada.
+ *
+ * @returns {void}
+ */
+function testarMesclagemDeArquivos() {
+  console.log("--- INICIANDO TESTE 3: MESCLAGEM DE ARQUIVOS ---");
+
+  const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'mesclar-'));
+  const [modeloX, modeloO] = criarModelos();
+  // Salvos fora de ordem: quem define o dono é o cabeçalho, não a posição
+  const caminhos = [modeloO, modeloX].map(modelo => salvarModelo(modelo, path.join(pasta, `agente_${modelo.jogador}.json`)));
+  const caminhoSaida = path.join(pasta, 'superagente.json');
+
+  mesclarTabelasQ(caminhos[0], caminhos[1], caminhoSaida, 'preferir-dono');
+
+  const { cabecalho, tabelaQ, visitas } = lerArquivoModelo(caminhoSaida);
+  console.assert(cabecalho.estrategiaDeMesclagem === 'preferir-dono', "❌ O cabeçalho deveria registrar a estratégia");
+  console.assert(tabelaQ[ESTADO_VEZ_DO_O][4] === 0.9 && tabelaQ[ESTADO_VEZ_DO_O][8] === 0.3,
+    "❌ Na vez do O deveriam valer os valores do Agente O");
+  console.assert(visitas[ESTADO_VEZ_DO_O][4] === 4, "❌ As visitas deveriam ser salvas no modelo mesclado");
+
+  fs.rmSync(pasta, { recursive: true, force: true });
+
+  console.log("✅ Os arquivos são mesclados com a estratégia escolhida.");
+  console.log("--- TESTE 3 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica a mesclagem de vários modelos, a simulação (que não salva nada)
+ * e a recusa de modelos de tabuleiros diferentes.
+ *
+ * @returns {void}
+ */
+function testarVariosModelosESimulacao() {
+  console.log("--- INICIANDO TESTE 4: VÁRIOS MODELOS E SIMULAÇÃO ---");
+
+  const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'mesclar-'));
+  const dimensao3x3 = { dimensao: { linhas: 3, colunas: 3, sequenciaParaVencer: 3 } };
+  const [modeloX, modeloO] = criarModelos();
+  const checkpoint = { jogador: 1, tabelaQ: { [ESTADO_VEZ_DO_O]: { 4: 0.6, 6: 0.2 } }, visitas: {} };
+  const caminhos = [
+    salvarModelo(modeloX, path.join(pasta, 'agente_x.json'), dimensao3x3),
+    salvarModelo(modeloO, path.join(pasta, 'agente_o.json'), dimensao3x3),
+    salvarModelo(checkpoint, path.join(pasta, 'agente_x_checkpoint.json'), dimensao3x3)
+  ];
+  const caminhoSaida = path.join(pasta, 'superagente.json');
+
+  const simulado = mesclarModelos(caminhos, caminhoSaida, { estrategia: 'media', simulacao: true });
+  console.assert(simulado !== null && simulado.totalDeEstados === 3, "❌ A simulação deveria mostrar o resumo da fusão");
+  console.assert(!fs.existsSync(caminhoSaida), "❌ A simulação não deveria salvar o Superagente");
+
+  const resumo = mesclarModelos(caminhos, caminhoSaida, { estrategia: 'media' });
+  const { cabecalho, tabelaQ } = lerArquivoModelo(caminhoSaida);
+  console.assert(quaseIgual(tabelaQ[ESTADO_VEZ_DO_O][4], (0.1 + 0.9 + 0.6) / 3), "❌ A média deveria usar os três modelos");
+  console.assert(tabelaQ[ESTADO_VEZ_DO_O][6] === 0.2, "❌ A ação que só o checkpoint conhece deveria ser copiada");
+  console.assert(cabecalho.mescladoDe.length === 3, "❌ O cabeçalho deveria listar os três modelos");
+  console.assert(resumo.acoesGulosasAlteradas.media.length === 3, "❌ O relatório deveria ter uma coluna por modelo");
+
+  // Um modelo 4x4 não combina com os modelos 3x3
+  const caminho4x4 = salvarModelo(modeloO, path.join(pasta, 'agente_o_4x4.json'), {
+    dimensao: { linhas: 4, colunas: 4, sequenciaParaVencer: 4 }
+  });
+  console.assert(mesclarModelos([caminhos[0], caminho4x4], caminhoSaida) === null,
+    "❌ Modelos de tabuleiros diferentes não deveriam ser mesclados");
+  console.assert(mesclarModelos([caminhos[0], path.join(pasta, 'nao_existe.json')], caminhoSaida) === null,
+    "❌ Um modelo inexistente deveria interromper a fusão");
+
+  fs.rmSync(pasta, { recursive: true, force: true });
+
+  console.log("✅ Vários modelos são mesclados e a simulação não salva nada.");
+  console.log("--- TESTE 4 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se o Treinador mescla os modelos finais mesmo quando o processo
+ * roda em outra pasta.
+ *
+ * @returns {void}
+ */
+function testarMesclagemPeloTreinador() {
+  console.log("--- INICIANDO TESTE 5: MESCLAGEM PELO TREINADOR ---");
+
+  const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'mesclar-'));
+  const [modeloX, modeloO] = criarModelos();
+  salvarModelo(modeloX, path.join(pasta, 'agente_x_final_3x3.json'));
+  salvarModelo(modeloO, path.join(pasta, 'agente_o_final_3x3.json'));
+
+  const treinador = new Treinador(
+    new AgenteQLearning({ jogador: 1 }),
+    new AgenteQLearning({ jogador: 2 }),
+    new AmbienteJogoDaVelha(3),
+    { pastaModelos: pasta }
+  );
+
+  const pastaOriginal = process.cwd();
+  process.chdir(os.tmpdir());
+  try {
+    treinador.mesclarAgentesTrainados('preferir-dono');
+  } finally {
+    process.chdir(pastaOriginal);
+  }
+
+  const caminhoSaida = path.join(pasta, 'superagente_final_3x3.json');
+  console.assert(fs.existsSync(caminhoSaida), "❌ O Treinador deveria salvar o Superagente na pasta de modelos");
+  console.assert(lerArquivoModelo(caminhoSaida).cabecalho.estrategiaDeMesclagem === 'preferir-dono',
+    "❌ O Treinador deveria repassar a estratégia escolhida");
+
+  fs.rmSync(pasta, { recursive: true, force: true });
+
+  console.log("✅ O Treinador mescla os modelos de qualquer pasta.");
+  console.log("--- TESTE 5 FINALIZADO ---\n");
+}
+
+/**
+ * Função principal para rodar toda a suíte de testes da mesclagem.
+ *
+ * @returns {void}
+ */
+export function executarTodosTestes() {
+  console.log("\n" + "=".repeat(50));
+  console.log("🧪 INICIANDO BATERIA DE TESTES DA MESCLAGEM 🧪");
+  console.log("=".repeat(50) + "\n");
+
+  testarValoresDasEstrategias();
+  testarRelatorioDaMesclagem();
+  testarMesclagemDeArquivos();
+  testarVariosModelosESimulacao();
+  testarMesclagemPeloTreinador();
+
+  console.log("=".repeat(50));
+  console.log("✅ TODOS OS TESTES DA MESCLAGEM CONCLUÍDOS COM SUCESSO!");
+  console.log("=".repeat(50) + "\n");
+}
+
+// Executa os testes se o arquivo for chamado diretamente
+if (import.meta.url === `file://${process.argv[1]}`) {
+  executarTodosTestes();
+}
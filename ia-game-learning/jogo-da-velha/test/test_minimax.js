@@ -0,0 +1,139 @@
+/**
+ * @Modulo 🧪 jogo-da-velha/test/test_minimax.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Este arquivo contém os testes do Oráculo Minimax, o "gabarito" usado para
+ * saber se um agente treinado joga de forma ótima.
+ *
+ * Para executar, use o comando no terminal:
+ * node test_minimax.js
+ */
+
+import { AmbienteJogoDaVelha } from '../ambiente.js';
+import { AgenteQLearning } from '../agente.js';
+import { Treinador } from '../treinador.js';
+import { OraculoMinimax, AgenteMinimax } from '../minimax.js';
+
+/**
+ * Verifica os valores teóricos conhecidos do Jogo da Velha 3x3.
+ *
+ * É como conferir o "livro de regras" oficial: com jogo perfeito dos dois
+ * lados, o Jogo da Velha sempre termina empatado.
+ *
+ * @returns {void}
+ */
+function testarValoresConhecidos() {
+  console.log("--- INICIANDO TESTE 1: VALORES TEÓRICOS ---");
+  const oraculo = new OraculoMinimax(new AmbienteJogoDaVelha(3));
+
+  const vazio = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+  const resultadoVazio = oraculo.obterJogadasOtimas(vazio, 1);
+  console.assert(resultadoVazio.valor === 0, "❌ O tabuleiro vazio deveria valer empate (0)");
+  console.assert(resultadoVazio.jogadasOtimas.length === 9, "❌ Todas as 9 aberturas deveriam empatar");
+
+  // X ameaça fechar a primeira linha e é a vez dele
+  const ameaca = [1, 1, 0, 2, 2, 0, 0, 0, 0];
+  const resultadoAmeaca = oraculo.obterJogadasOtimas(ameaca, 1);
+  console.assert(resultadoAmeaca.valor === 1, "❌ X deveria ter vitória garantida");
+  console.assert(resultadoAmeaca.jogadasOtimas.includes(2), "❌ Fechar a linha (casa 2) deveria ser ótimo");
+  console.assert(resultadoAmeaca.valoresPorJogada[8] === -1, "❌ Ignorar a ameaça (casa 8) deveria perder");
+
+  // X no centro e O no canto: com jogo perfeito, a partida empata
+  console.assert(oraculo.avaliar([2, 0, 0, 0, 1, 0, 0, 0, 0], 1) === 0, "❌ Centro x canto deveria empatar");
+
+  console.log(`Posições resolvidas: ${oraculo.tabelaDeTransposicao.size.toLocaleString('pt-BR')}`);
+  console.log("✅ Os valores teóricos conferem.");
+  console.log("--- TESTE 1 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se dois jogadores perfeitos sempre empatam.
+ *
+ * @returns {void}
+ */
+function testarPerfeitoContraPerfeito() {
+  console.log("--- INICIANDO TESTE 2: PERFEITO CONTRA PERFEITO ---");
+  const ambiente = new AmbienteJogoDaVelha(3);
+  const oraculo = new OraculoMinimax(ambiente);
+  const agenteX = new AgenteMinimax({ jogador: 1, oraculo });
+  const agenteO = new AgenteMinimax({ jogador: 2, oraculo });
+
+  for (let i = 0; i < 20; i++) {
+    ambiente.reiniciarPartida();
+    while (!ambiente.partidaFinalizada) {
+      const agenteDaVez = ambiente.jogadorAtual === 1 ? agenteX : agenteO;
+      const acao = agenteDaVez.escolherAcao(ambiente.obterEstadoComoTupla(), ambiente.obterAcoesValidas());
+      ambiente.executarJogada(acao);
+    }
+    console.assert(ambiente.vencedor === 0, `❌ A partida ${i + 1} deveria terminar empatada`);
+  }
+
+  console.log("✅ Jogadores perfeitos sempre empatam.");
+  console.log("--- TESTE 2 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se o Oráculo pode ser usado como adversário no Treinador e
+ * se o agente aprendiz nunca vence um jogador perfeito.
+ *
+ * @returns {void}
+ */
+function testarComoAdversarioNoTreinador() {
+  console.log("--- INICIANDO TESTE 3: ORÁCULO COMO ADVERSÁRIO ---");
+  const ambiente = new AmbienteJogoDaVelha(3);
+  const aprendiz = new AgenteQLearning({ jogador: 1 });
+  const oraculo = new AgenteMinimax({ ambiente, jogador: 2 });
+
+  const treinador = new Treinador(aprendiz, oraculo, ambiente);
+  Object.values(treinador.ouvintesPadrao).forEach(ouvinte => treinador.desconectar(ouvinte));
+  treinador.treinar(200, 100, 999999);
+
+  console.assert(oraculo.derrotas === 0, "❌ O Oráculo nunca deveria perder");
+  console.assert(aprendiz.partidasTreinadas === 200, "❌ O aprendiz deveria ter treinado 200 partidas");
+
+  console.log("✅ O Oráculo funcionou como adversário invicto.");
+  console.log("--- TESTE 3 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se o Oráculo resolve variantes maiores com "k em linha".
+ *
+ * @returns {void}
+ */
+function testarKEmLinha() {
+  console.log("--- INICIANDO TESTE 4: K EM LINHA ---");
+  const oraculo = new OraculoMinimax(new AmbienteJogoDaVelha(4, 3));
+
+  // Em 4x4 com 3 em linha, quem começa tem vitória forçada
+  const valor = oraculo.avaliar(new Array(16).fill(0), 1);
+  console.assert(valor === 1, `❌ Quem começa deveria vencer no 4x4 (k=3), mas o valor é ${valor}`);
+
+  console.log(`Posições resolvidas: ${oraculo.tabelaDeTransposicao.size.toLocaleString('pt-BR')}`);
+  console.log("✅ Variante 4x4 (k=3) resolvida.");
+  console.log("--- TESTE 4 FINALIZADO ---\n");
+}
+
+/**
+ * Função principal para rodar toda a suíte de testes do Oráculo.
+ *
+ * @returns {void}
+ */
+export function executarTodosTestes() {
+  console.log("\n" + "=".repeat(50));
+  console.log("🧪 INICIANDO BATERIA DE TESTES DO ORÁCULO MINIMAX 🧪");
+  console.log("=".repeat(50) + "\n");
+
+  testarValoresConhecidos();
+  testarPerfeitoContraPerfeito();
+  testarComoAdversarioNoTreinador();
+  testarKEmLinha();
+
+  console.log("=".repeat(50));
+  console.log("✅ TODOS OS TESTES DO ORÁCULO CONCLUÍDOS COM SUCESSO!");
+  console.log("=".repeat(50) + "\n");
+}
+
+// Executa os testes se o arquivo for chamado diretamente
+if (import.meta.url === `file://${process.argv[1]}`) {
+  executarTodosTestes();
+}
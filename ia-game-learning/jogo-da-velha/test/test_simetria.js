@@ -0,0 +1,200 @@
+/**
+ * @Modulo 🧪 jogo-da-velha/test/test_simetria.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Este arquivo contém os testes da canonização por simetria, verificando
+ * se todas as orientações de um tabuleiro caem na mesma chave da Q-Table
+ * e se o Agente traduz as ações corretamente.
+ *
+ * Para executar, use o comando no terminal:
+ * node test_simetria.js
+ */
+
+import { gerarSimetrias, canonizarTabuleiro, traduzirAcaoParaCanonica } from '../simetria.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AmbienteJogoDaVelha } from '../ambiente.js';
+import { AmbienteComGravidade } from '../ambienteComGravidade.js';
+import { AgenteQLearning } from '../agente.js';
+import { Treinador } from '../treinador.js';
+
+/**
+ * Verifica se as 8 orientações de um tabuleiro geram a mesma chave canônica.
+ *
+ * É como girar o mapa de Prontera em todas as direções: continua sendo Prontera.
+ *
+ * @returns {void}
+ */
+function testarOrientacoesEquivalentes() {
+  console.log("--- INICIANDO TESTE 1: ORIENTAÇÕES EQUIVALENTES ---");
+
+  for (const dimensao of [3, 4, 5]) {
+    const tabuleiro = new Array(dimensao * dimensao).fill(0);
+    tabuleiro[0] = 1;
+    tabuleiro[1] = 2;
+    tabuleiro[dimensao + 2] = 1;
+
+    const simetrias = gerarSimetrias(dimensao);
+    console.assert(simetrias.length === 8, `❌ Deveriam existir 8 simetrias para ${dimensao}x${dimensao}`);
+
+    const chaves = new Set(
+      simetrias.map(({ permutacao }) => canonizarTabuleiro(permutacao.map(casa => tabuleiro[casa])).estado)
+    );
+    const orientacoes = new Set(simetrias.map(({ permutacao }) => JSON.stringify(permutacao.map(casa => tabuleiro[casa]))));
+
+    console.assert(orientacoes.size === 8, `❌ O tabuleiro de teste deveria ter 8 orientações distintas (${dimensao}x${dimensao})`);
+    console.assert(chaves.size === 1, `❌ Todas as orientações deveriam gerar a mesma chave (${dimensao}x${dimensao})`);
+  }
+
+  console.log("✅ Todas as orientações levam à mesma forma canônica.");
+  console.log("--- TESTE 1 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se casas equivalentes do tabuleiro vazio viram a mesma ação canônica.
+ *
+ * @returns {void}
+ */
+function testarAcoesEquivalentes() {
+  console.log("--- INICIANDO TESTE 2: AÇÕES EQUIVALENTES ---");
+  const ambiente = new AmbienteJogoDaVelha(3);
+  const { simetrias } = ambiente.obterEstadoCanonico();
+
+  const cantos = new Set([0, 2, 6, 8].map(acao => traduzirAcaoParaCanonica(acao, simetrias)));
+  const bordas = new Set([1, 3, 5, 7].map(acao => traduzirAcaoParaCanonica(acao, simetrias)));
+
+  console.assert(cantos.size === 1, "❌ Os quatro cantos deveriam ser a mesma ação canônica");
+  console.assert(bordas.size === 1, "❌ As quatro bordas deveriam ser a mesma ação canônica");
+  console.assert(traduzirAcaoParaCanonica(4, simetrias) === 4, "❌ O centro deveria continuar sendo o centro");
+
+  console.log("✅ Casas equivalentes compartilham a mesma ação canônica.");
+  console.log("--- TESTE 2 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se o Agente aprende em uma orientação e aplica o conhecimento
+ * na orientação girada.
+ *
+ * @returns {void}
+ */
+function testarAgenteComSimetrias() {
+  console.log("--- INICIANDO TESTE 3: AGENTE COM SIMETRIAS ---");
+  const agente = new AgenteQLearning({ epsilon: 0, usarSimetrias: true });
+
+  // X ameaça a primeira linha: a jogada vencedora é a casa 2
+  const estado = JSON.stringify([1, 1, 0, 2, 2, 0, 0, 0, 0]);
+  agente.aprender(estado, 2, 1.0, estado, true);
+
+  // O mesmo tabuleiro girado 90° no sentido horário: a jogada vencedora vira a casa 8
+  const estadoGirado = JSON.stringify([0, 2, 1, 0, 2, 1, 0, 0, 0]);
+  const acao = agente.escolherAcao(estadoGirado, [0, 3, 6, 7, 8], false);
+
+  console.assert(acao === 8, `❌ O agente deveria escolher a casa 8, mas escolheu ${acao}`);
+  console.assert(Object.keys(agente.tabelaQ).length === 1, "❌ As duas orientações deveriam ocupar um único estado");
+
+  console.log("✅ O conhecimento foi reaproveitado na orientação girada.");
+  console.log("--- TESTE 3 FINALIZADO ---\n");
+}
+
+/**
+ * Compara o tamanho da Tabela Q com e sem simetrias em um treino curto.
+ *
+ * @returns {void}
+ */
+function testarTabelaMenor() {
+  console.log("--- INICIANDO TESTE 4: TABELA Q MENOR ---");
+
+  const treinarTamanho = usarSimetrias => {
+    const agenteX = new AgenteQLearning({ jogador: 1, usarSimetrias });
+    const agenteO = new AgenteQLearning({ jogador: 2, usarSimetrias });
+    const treinador = new Treinador(agenteX, agenteO, new AmbienteJogoDaVelha(3));
+    Object.values(treinador.ouvintesPadrao).forEach(ouvinte => treinador.desconectar(ouvinte));
+    treinador.treinar(2000, 1000, 999999);
+    return Object.keys(agenteX.tabelaQ).length;
+  };
+
+  const tamanhoNormal = treinarTamanho(false);
+  const tamanhoCanonico = treinarTamanho(true);
+  console.log(`Estados sem simetrias: ${tamanhoNormal} | com simetrias: ${tamanhoCanonico}`);
+  console.assert(tamanhoCanonico < tamanhoNormal, "❌ A Tabela Q canônica deveria ser menor");
+
+  console.log("✅ A canonização reduziu a Tabela Q.");
+  console.log("--- TESTE 4 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se as simetrias são recusadas no tabuleiro com gravidade, mesmo quadrado.
+ *
+ * Girar um Lig 4 deixaria as peças "flutuando", e as ações são colunas, não casas.
+ *
+ * @returns {void}
+ * @throws {Error} Se o treino ou o carregamento aceitarem simetrias com gravidade
+ */
+function testarSimetriasComGravidade() {
+  console.log("--- INICIANDO TESTE 5: SIMETRIAS COM GRAVIDADE ---");
+
+  const lancaErro = funcao => {
+    try {
+      funcao();
+      return false;
+    } catch (erro) {
+      return true;
+    }
+  };
+
+  const ambiente = new AmbienteComGravidade({ linhas: 4, colunas: 4, sequenciaParaVencer: 3 });
+  const criarTreinador = usarSimetrias => new Treinador(
+    new AgenteQLearning({ jogador: 1, usarSimetrias }),
+    new AgenteQLearning({ jogador: 2 }),
+    ambiente
+  );
+  if (!lancaErro(() => criarTreinador(true))) {
+    throw new Error("❌ O Treinador deveria recusar simetrias no tabuleiro com gravidade");
+  }
+
+  // Um modelo treinado com gravidade não pode ser carregado com simetrias
+  const treinador = criarTreinador(false);
+  Object.values(treinador.ouvintesPadrao).forEach(ouvinte => treinador.desconectar(ouvinte));
+  treinador.treinar(50, 50, 999999);
+  const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'simetria-'));
+  const caminho = path.join(pasta, 'agente_x_gravidade.json');
+  treinador.agenteX.salvarMemoria(caminho, treinador.obterMetadadosDoModelo());
+
+  const recusou = lancaErro(() => AgenteQLearning.carregar(caminho, { usarSimetrias: true }));
+  const carregou = !lancaErro(() => AgenteQLearning.carregar(caminho));
+  fs.rmSync(pasta, { recursive: true, force: true });
+
+  if (!recusou || !carregou) {
+    throw new Error("❌ O modelo com gravidade só deveria ser recusado quando as simetrias são pedidas");
+  }
+
+  console.log("✅ As simetrias são recusadas no tabuleiro com gravidade.");
+  console.log("--- TESTE 5 FINALIZADO ---\n");
+}
+
+/**
+ * Função principal para rodar toda a suíte de testes de simetria.
+ *
+ * @returns {void}
+ */
+export function executarTodosTestes() {
+  console.log("\n" + "=".repeat(50));
+  console.log("🧪 INICIANDO BATERIA DE TESTES DE SIMETRIA 🧪");
+  console.log("=".repeat(50) + "\n");
+
+  testarOrientacoesEquivalentes();
+  testarAcoesEquivalentes();
+  testarAgenteComSimetrias();
+  testarTabelaMenor();
+  testarSimetriasComGravidade();
+
+  console.log("=".repeat(50));
+  console.log("✅ TODOS OS TESTES DE SIMETRIA CONCLUÍDOS COM SUCESSO!");
+  console.log("=".repeat(50) + "\n");
+}
+
+// Executa os testes se o arquivo for chamado diretamente
+if (import.meta.url === `file://${process.argv[1]}`) {
+  executarTodosTestes();
+}
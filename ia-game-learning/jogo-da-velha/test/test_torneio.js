@@ -0,0 +1,190 @@
+/**
+ * @Modulo 🧪 jogo-da-velha/test/test_torneio.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Este arquivo contém os testes do torneio com rating Elo.
+ *
+ * Para executar, use o comando no terminal:
+ * node test_torneio.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AmbienteJogoDaVelha } from '../ambiente.js';
+import { AmbienteComGravidade, criarAmbiente } from '../ambienteComGravidade.js';
+import { AgenteQLearning } from '../agente.js';
+import { criarGeradorAleatorio } from '../aleatorio.js';
+import { AgenteAleatorio, AgenteHeuristico } from '../adversarios.js';
+import { AgenteMinimax, OraculoMinimax } from '../minimax.js';
+import {
+  ELO_INICIAL, calcularPontuacaoEsperada, disputarTorneio, listarModelos, obterTabuleiroDosModelos
+} from '../torneio.js';
+
+/**
+ * Verifica a pontuação esperada do Elo.
+ *
+ * @returns {void}
+ */
+function testarPontuacaoEsperada() {
+  console.log("--- INICIANDO TESTE 1: PONTUAÇÃO ESPERADA ---");
+
+  console.assert(calcularPontuacaoEsperada(1500, 1500) === 0.5, "❌ Ratings iguais deveriam esperar 50%");
+  const favorito = calcularPontuacaoEsperada(1900, 1500);
+  console.assert(Math.abs(favorito - 10 / 11) < 1e-9, `❌ 400 pontos de vantagem deveriam esperar 10/11, mas esperam ${favorito}`);
+  console.assert(Math.abs(favorito + calcularPontuacaoEsperada(1500, 1900) - 1) < 1e-9, "❌ As esperanças dos dois lados deveriam somar 1");
+
+  console.log("✅ A pontuação esperada segue a fórmula do Elo.");
+  console.log("--- TESTE 1 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica a classificação de um torneio entre jogadores de força conhecida.
+ *
+ * @returns {void}
+ */
+function testarClassificacao() {
+  console.log("--- INICIANDO TESTE 2: CLASSIFICAÇÃO ---");
+
+  const aleatorio = criarGeradorAleatorio(5);
+  const ambiente = new AmbienteJogoDaVelha(3, 3, aleatorio);
+  const oraculo = new OraculoMinimax(ambiente);
+  const criarParticipante = (nome, criarAgente) => ({ nome, agenteX: criarAgente(1), agenteO: criarAgente(2) });
+
+  // Um agente sem treino joga sempre a primeira casa livre
+  const novato = new AgenteQLearning({ epsilon: 0, aleatorio });
+  const participantes = [
+    criarParticipante('aleatorio', jogador => new AgenteAleatorio({ jogador, aleatorio })),
+    criarParticipante('minimax', jogador => new AgenteMinimax({ jogador, oraculo, aleatorio })),
+    criarParticipante('heuristico', jogador => new AgenteHeuristico({ jogador, ambiente, aleatorio })),
+    { nome: 'novato', agenteX: novato, agenteO: novato }
+  ];
+
+  const { classificacao, confrontos } = disputarTorneio(participantes, ambiente, { partidasPorConfronto: 60 });
+
+  if (confrontos.length !== 12) {
+    throw new Error(`❌ 4 participantes deveriam ter 12 confrontos (as duas cores), mas têm ${confrontos.length}`);
+  }
+  for (const confronto of confrontos) {
+    if (confronto.vitoriasX + confronto.vitoriasO + confronto.empates !== 60) {
+      throw new Error(`❌ O confronto ${confronto.modeloX} × ${confronto.modeloO} deveria ter 60 partidas`);
+    }
+    if ((confronto.modeloX === 'minimax' && confronto.vitoriasO > 0) || (confronto.modeloO === 'minimax' && confronto.vitoriasX > 0)) {
+      throw new Error(`❌ Ninguém deveria vencer o Minimax (${confronto.modeloX} × ${confronto.modeloO})`);
+    }
+  }
+
+  if (classificacao[0].modelo !== 'minimax') {
+    throw new Error(`❌ O Minimax deveria liderar, mas lidera ${classificacao[0].modelo}`);
+  }
+  const posicao = nome => classificacao.find(linha => linha.modelo === nome).posicao;
+  if (!(posicao('heuristico') < posicao('aleatorio'))) {
+    throw new Error("❌ O heurístico deveria ficar à frente do aleatório");
+  }
+
+  for (const linha of classificacao) {
+    if (linha.partidas !== 360 || linha.vitorias + linha.empates + linha.derrotas !== 360) {
+      throw new Error(`❌ ${linha.modelo} deveria ter 360 partidas (6 confrontos de 60)`);
+    }
+  }
+  const somaDosElos = classificacao.reduce((total, linha) => total + linha.elo, 0);
+  if (Math.abs(somaDosElos - ELO_INICIAL * participantes.length) > 1e-6) {
+    throw new Error(`❌ O Elo só troca de mãos, então a soma deveria continuar ${ELO_INICIAL * participantes.length} (é ${somaDosElos})`);
+  }
+  if (!classificacao.every((linha, indice) => linha.posicao === indice + 1 && (indice === 0 || classificacao[indice - 1].elo >= linha.elo))) {
+    throw new Error("❌ A classificação deveria estar em ordem decrescente de Elo");
+  }
+
+  console.log("✅ O torneio ranqueia os jogadores pela força.");
+  console.log("--- TESTE 2 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica a escolha dos modelos e do tabuleiro do torneio pelo cabeçalho.
+ *
+ * Validações:
+ * - A lista da pasta separa os modelos por linhas, colunas, sequência e gravidade
+ * - Modelos antigos (sem cabeçalho) entram na lista e usam o tabuleiro pedido
+ * - Modelos de tabuleiros diferentes não podem disputar o mesmo torneio
+ *
+ * @returns {void}
+ */
+function testarTabuleiroDosModelos() {
+  console.log("--- INICIANDO TESTE 3: TABULEIRO DOS MODELOS ---");
+
+  const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'torneio-'));
+  const salvar = (arquivo, dimensao) => new AgenteQLearning().salvarMemoria(path.join(pasta, arquivo), { dimensao });
+  const classico = { linhas: 3, colunas: 3, sequenciaParaVencer: 3, comGravidade: false };
+  const lig4 = { linhas: 6, colunas: 7, sequenciaParaVencer: 4, comGravidade: true };
+  salvar('a_classico.json', classico);
+  salvar('b_classico.json', classico);
+  salvar('c_gravidade.json', { ...classico, comGravidade: true });
+  salvar('d_lig4.json', lig4);
+  salvar('e_lig4_k3.json', { ...lig4, sequenciaParaVencer: 3 });
+  fs.writeFileSync(path.join(pasta, 'f_antigo.json'), JSON.stringify({}));
+  fs.writeFileSync(path.join(pasta, 'torneio_3x3.json'), JSON.stringify({ classificacao: [] }));
+
+  const nomes = tabuleiro => listarModelos(pasta, tabuleiro).map(caminho => path.basename(caminho)).join(',');
+  const listaClassico = nomes({ linhas: 3, colunas: 3 });
+  if (listaClassico !== 'a_classico.json,b_classico.json,f_antigo.json') {
+    throw new Error(`❌ O 3x3 clássico deveria listar só os seus modelos e o antigo, mas listou ${listaClassico}`);
+  }
+  const listaLig4 = nomes({ linhas: 6, colunas: 7, comGravidade: true });
+  if (listaLig4 !== 'd_lig4.json,f_antigo.json') {
+    throw new Error(`❌ O Lig 4 (k=4 por padrão) deveria listar só os seus modelos e o antigo, mas listou ${listaLig4}`);
+  }
+
+  const caminho = arquivo => path.join(pasta, arquivo);
+  const tabuleiro = obterTabuleiroDosModelos([caminho('d_lig4.json'), caminho('f_antigo.json')], classico);
+  if (JSON.stringify(tabuleiro) !== JSON.stringify(lig4)) {
+    throw new Error(`❌ O tabuleiro deveria vir do cabeçalho, mas veio ${JSON.stringify(tabuleiro)}`);
+  }
+  const ambiente = criarAmbiente(tabuleiro);
+  if (!(ambiente instanceof AmbienteComGravidade) || ambiente.colunas !== 7 || ambiente.sequenciaParaVencer !== 4) {
+    throw new Error("❌ O ambiente do torneio deveria seguir o tabuleiro dos modelos");
+  }
+
+  const padrao = obterTabuleiroDosModelos([caminho('f_antigo.json')], { linhas: 4, colunas: 4 });
+  if (padrao.sequenciaParaVencer !== 4 || padrao.comGravidade) {
+    throw new Error("❌ Sem cabeçalho, o torneio deveria usar o tabuleiro pedido");
+  }
+
+  let erro = null;
+  try {
+    obterTabuleiroDosModelos([caminho('a_classico.json'), caminho('c_gravidade.json')], classico);
+  } catch (e) {
+    erro = e;
+  }
+  if (!erro?.message.includes('tabuleiros diferentes')) {
+    throw new Error("❌ Modelos com e sem gravidade não deveriam disputar o mesmo torneio");
+  }
+
+  fs.rmSync(pasta, { recursive: true, force: true });
+
+  console.log("✅ O torneio usa o tabuleiro dos modelos e separa os de outros tabuleiros.");
+  console.log("--- TESTE 3 FINALIZADO ---\n");
+}
+
+/**
+ * Função principal para rodar toda a suíte de testes do torneio.
+ *
+ * @returns {void}
+ */
+export function executarTodosTestes() {
+  console.log("\n" + "=".repeat(50));
+  console.log("🧪 INICIANDO BATERIA DE TESTES DO TORNEIO 🧪");
+  console.log("=".repeat(50) + "\n");
+
+  testarPontuacaoEsperada();
+  testarClassificacao();
+  testarTabuleiroDosModelos();
+
+  console.log("=".repeat(50));
+  console.log("✅ TODOS OS TESTES DO TORNEIO CONCLUÍDOS COM SUCESSO!");
+  console.log("=".repeat(50) + "\n");
+}
+
+// Executa os testes se o arquivo for chamado diretamente
+if (import.meta.url === `file://${process.argv[1]}`) {
+  executarTodosTestes();
+}
@@ -10,9 +10,25 @@
  * node test_treinador.js
  */
 
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { AmbienteJogoDaVelha } from '../ambiente.js';
 import { AgenteQLearning } from '../agente.js';
-import { Treinador } from '../treinador.js';
+import { Treinador, calcularIntervaloDeConfianca, EVENTOS_DO_TREINO } from '../treinador.js';
+import { criarOuvinteDeMetricas } from '../ouvintesDoTreino.js';
+
+/**
+ * Desconecta os ouvintes padrão do Treinador (as métricas ficam só em memória),
+ * para que o teste não escreva nada no console nem em `modelos_treinados`.
+ *
+ * @param {Treinador} treinador - O treinador a silenciar
+ * @returns {Treinador} O mesmo treinador
+ */
+function silenciarTreinador(treinador) {
+  Object.values(treinador.ouvintesPadrao).forEach(ouvinte => treinador.desconectar(ouvinte));
+  return treinador;
+}
 
 /**
  * Verifica se o treinador consegue executar um ciclo de treinamento
@@ -45,7 +61,7 @@ function testarCicloDeTreinamentoRapido() {
   const agenteXTeste = new AgenteQLearning({ jogador: 1 });
   const agenteOTeste = new AgenteQLearning({ jogador: 2 });
   
-  const treinadorTeste = new Treinador(agenteXTeste, agenteOTeste, ambienteTeste, true);
+  const treinadorTeste = silenciarTreinador(new Treinador(agenteXTeste, agenteOTeste, ambienteTeste));
   
   const numeroDePartidasTeste = 100;
   
@@ -95,6 +111,707 @@ function testarCicloDeTreinamentoRapido() {
   console.log("--- TESTE 1 FINALIZADO ---\n");
 }
 
+/**
+ * Verifica se um treino interrompido continua a partir de um checkpoint.
+ * 
+ * É como cair do servidor no meio da War of Emperium e voltar pelo
+ * "save point": o progresso até o checkpoint não pode ser perdido.
+ * 
+ * Validações:
+ * - O checkpoint aparece na listagem da pasta de modelos
+ * - O contador de partidas continua de onde parou
+ * - O epsilon continua decaindo a partir do valor salvo
+ * - O treino retomado mantém o mesmo identificador de execução
+ * 
+ * @returns {void}
+ * @throws {Error} Se qualquer validação falhar
+ */
+function testarRetomadaDoCheckpoint() {
+  console.log("--- INICIANDO TESTE 2: RETOMADA DO CHECKPOINT ---");
+  const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'treinador-'));
+
+  // 1. Treino "interrompido": só o checkpoint da partida 100 sobrevive
+  const treinadorOriginal = new Treinador(
+    new AgenteQLearning({ jogador: 1 }),
+    new AgenteQLearning({ jogador: 2 }),
+    new AmbienteJogoDaVelha(3),
+    { pastaModelos: pasta }
+  );
+  treinadorOriginal.treinar(150, 40, 100);
+  const epsilonNoCheckpoint = AgenteQLearning.carregar(path.join(pasta, 'agente_x_checkpoint_100.json')).epsilon;
+
+  // 2. Um Treinador novo, com agentes zerados, retoma do checkpoint
+  const treinadorRetomado = new Treinador(
+    new AgenteQLearning({ jogador: 1 }),
+    new AgenteQLearning({ jogador: 2 }),
+    new AmbienteJogoDaVelha(3),
+    { pastaModelos: pasta }
+  );
+
+  const checkpoints = treinadorRetomado.listarCheckpoints();
+  if (checkpoints.length !== 1 || checkpoints[0] !== 100) {
+    throw new Error(`❌ Deveria existir apenas o checkpoint 100, mas foram encontrados: ${checkpoints}`);
+  }
+
+  treinadorRetomado.retomarTreinamento();
+
+  const agenteX = treinadorRetomado.agenteX;
+  if (agenteX.partidasTreinadas !== 150) {
+    throw new Error(`❌ O Agente X deveria somar 150 partidas, mas tem ${agenteX.partidasTreinadas}`);
+  }
+
+  const epsilonEsperado = epsilonNoCheckpoint * Math.pow(agenteX.taxaDecaimentoEpsilon, 50);
+  if (Math.abs(agenteX.epsilon - epsilonEsperado) > 1e-12) {
+    throw new Error(`❌ O epsilon deveria ser ${epsilonEsperado}, mas é ${agenteX.epsilon}`);
+  }
+
+  if (treinadorRetomado.idTreino !== treinadorOriginal.idTreino) {
+    throw new Error("❌ O treino retomado deveria manter o mesmo identificador de execução");
+  }
+
+  // 3. Checkpoint antigo (só os modelos): o total de partidas precisa ser informado
+  fs.rmSync(path.join(pasta, 'treino_checkpoint_100.json'));
+  const treinadorAntigo = new Treinador(
+    new AgenteQLearning({ jogador: 1 }),
+    new AgenteQLearning({ jogador: 2 }),
+    new AmbienteJogoDaVelha(3),
+    { pastaModelos: pasta }
+  );
+
+  let erroSemTotal = null;
+  try {
+    treinadorAntigo.retomarTreinamento(100);
+  } catch (erro) {
+    erroSemTotal = erro;
+  }
+  if (!erroSemTotal) {
+    throw new Error("❌ Retomar um checkpoint antigo sem o total de partidas deveria lançar erro");
+  }
+
+  treinadorAntigo.retomarTreinamento(100, 180);
+  if (treinadorAntigo.agenteX.partidasTreinadas !== 180) {
+    throw new Error(`❌ O checkpoint antigo deveria continuar até 180 partidas, mas parou em ${treinadorAntigo.agenteX.partidasTreinadas}`);
+  }
+
+  fs.rmSync(pasta, { recursive: true, force: true });
+
+  console.log("✅ O treino continuou exatamente de onde parou.");
+  console.log("--- TESTE 2 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se dois treinos com a mesma semente geram Tabelas Q idênticas,
+ * e se a semente fica registrada nos modelos salvos.
+ * 
+ * Validações:
+ * - Mesma semente: Tabelas Q, placares e arquivos salvos idênticos byte a byte
+ * - Semente diferente: treino diferente
+ * - O cabeçalho do checkpoint guarda a semente usada
+ * - Retomado de um checkpoint, o treino termina igual ao ininterrupto
+ * 
+ * @returns {void}
+ * @throws {Error} Se qualquer validação falhar
+ */
+function testarTreinoComSemente() {
+  console.log("--- INICIANDO TESTE 3: TREINO COM SEMENTE ---");
+  const pastas = [];
+
+  const treinarComSemente = (semente, numeroDePartidas = 300) => {
+    const treinador = new Treinador(
+      new AgenteQLearning({ jogador: 1 }),
+      new AgenteQLearning({ jogador: 2 }),
+      new AmbienteJogoDaVelha(3),
+      { semente, pastaModelos: fs.mkdtempSync(path.join(os.tmpdir(), 'treinador-')) }
+    );
+    pastas.push(treinador.pastaModelos);
+    treinador.treinar(numeroDePartidas, 100, 150);
+    return treinador;
+  };
+  const lerArquivo = (treinador, nome) => fs.readFileSync(path.join(treinador.pastaModelos, nome), 'utf-8');
+
+  const primeiro = treinarComSemente(2024);
+  const segundo = treinarComSemente(2024);
+  const outro = treinarComSemente(2025);
+
+  const tabelas = treinador => JSON.stringify([treinador.agenteX.tabelaQ, treinador.agenteO.tabelaQ]);
+  if (tabelas(primeiro) !== tabelas(segundo)) {
+    throw new Error("❌ A mesma semente deveria gerar Tabelas Q idênticas");
+  }
+  if (primeiro.agenteX.vitorias !== segundo.agenteX.vitorias || primeiro.agenteX.empates !== segundo.agenteX.empates) {
+    throw new Error("❌ A mesma semente deveria gerar o mesmo placar");
+  }
+  if (tabelas(primeiro) === tabelas(outro)) {
+    throw new Error("❌ Sementes diferentes deveriam gerar treinos diferentes");
+  }
+  for (const nome of ['agente_x_checkpoint_300.json', 'agente_o_checkpoint_300.json', 'treino_checkpoint_300.json']) {
+    if (lerArquivo(primeiro, nome) !== lerArquivo(segundo, nome)) {
+      throw new Error(`❌ A mesma semente deveria gerar o arquivo ${nome} idêntico byte a byte`);
+    }
+  }
+
+  const salvo = AgenteQLearning.carregar(path.join(outro.pastaModelos, 'agente_x_checkpoint_300.json'));
+  if (salvo.semente !== 2025) {
+    throw new Error(`❌ O modelo deveria registrar a semente 2025, mas registrou ${salvo.semente}`);
+  }
+
+  // Um treino interrompido na partida 150 e retomado termina igual ao que nunca parou
+  const interrompido = treinarComSemente(2024, 150);
+  const retomado = new Treinador(
+    new AgenteQLearning({ jogador: 1 }),
+    new AgenteQLearning({ jogador: 2 }),
+    new AmbienteJogoDaVelha(3),
+    { pastaModelos: interrompido.pastaModelos }
+  );
+  retomado.retomarTreinamento(150, 300);
+  if (tabelas(retomado) !== tabelas(primeiro) || lerArquivo(retomado, 'agente_x_checkpoint_300.json') !== lerArquivo(primeiro, 'agente_x_checkpoint_300.json')) {
+    throw new Error("❌ O treino retomado com semente deveria terminar igual ao ininterrupto");
+  }
+
+  pastas.forEach(pasta => fs.rmSync(pasta, { recursive: true, force: true }));
+
+  console.log("✅ A mesma semente reproduziu o treino exatamente.");
+  console.log("--- TESTE 3 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se o treino paralelo com semente é reproduzível.
+ * 
+ * É como repetir uma caçada com o mesmo "RNG" fixo: os mesmos drops
+ * precisam cair, na mesma ordem, nas duas vezes.
+ * 
+ * Validações:
+ * - Todas as partidas são aplicadas aos agentes do Treinador
+ * - O epsilon decai como no treino sequencial (uma vez por partida)
+ * - Duas execuções com a mesma semente geram Tabelas Q idênticas
+ * - O resumo compara a velocidade com a de uma calibração sequencial
+ * - A semente passada só ao treino paralelo vale também para os sorteios
+ *   dos agentes do Treinador (a moeda do Double Q)
+ * 
+ * @returns {Promise<void>}
+ * @throws {Error} Se qualquer validação falhar
+ */
+async function testarTreinoParaleloDeterministico() {
+  console.log("--- INICIANDO TESTE 4: TREINO PARALELO COM SEMENTE ---");
+
+  const treinarComSemente = async (usarDuploQ = false) => {
+    const treinador = silenciarTreinador(new Treinador(
+      new AgenteQLearning({ jogador: 1, usarDuploQ }),
+      new AgenteQLearning({ jogador: 2, usarDuploQ }),
+      new AmbienteJogoDaVelha(3),
+      { modoDeTreino: usarDuploQ ? 'td' : 'monte-carlo' }
+    ));
+    treinador.conectar({ fimTreino: ({ detalheVelocidade }) => { treinador.detalheVelocidade = detalheVelocidade; } });
+    await treinador.treinarEmParalelo(600, {
+      numeroDeTrabalhadores: 2,
+      partidasPorRodada: 200,
+      semente: 42,
+      intervaloLog: 100,
+      intervaloCheckpoint: 999999
+    });
+    return treinador;
+  };
+
+  const primeiro = await treinarComSemente();
+  const segundo = await treinarComSemente();
+
+  if (primeiro.agenteX.partidasTreinadas !== 600 || primeiro.agenteO.partidasTreinadas !== 600) {
+    throw new Error(`❌ Os agentes deveriam ter 600 partidas, mas têm ${primeiro.agenteX.partidasTreinadas}`);
+  }
+
+  if (!/^2 workers, \d+\.\d{2}x o sequencial, que fez \d+\.\d{2} partidas\/s na calibração de 600 partidas$/.test(primeiro.detalheVelocidade)) {
+    throw new Error(`❌ O resumo deveria comparar com a calibração sequencial, mas diz: ${primeiro.detalheVelocidade}`);
+  }
+
+  const epsilonEsperado = Math.pow(primeiro.agenteX.taxaDecaimentoEpsilon, 600);
+  if (Math.abs(primeiro.agenteX.epsilon - epsilonEsperado) > 1e-12) {
+    throw new Error(`❌ O epsilon deveria ser ${epsilonEsperado}, mas é ${primeiro.agenteX.epsilon}`);
+  }
+
+  if (JSON.stringify(primeiro.agenteX.tabelaQ) !== JSON.stringify(segundo.agenteX.tabelaQ) ||
+      JSON.stringify(primeiro.agenteO.tabelaQ) !== JSON.stringify(segundo.agenteO.tabelaQ)) {
+    throw new Error("❌ A mesma semente deveria gerar as mesmas Tabelas Q");
+  }
+
+  const [duploA, duploB] = [await treinarComSemente(true), await treinarComSemente(true)];
+  if (duploA.agenteX.aleatorio !== duploA.aleatorio ||
+      JSON.stringify([duploA.agenteX.tabelaQA, duploA.agenteO.tabelaQB]) !==
+      JSON.stringify([duploB.agenteX.tabelaQA, duploB.agenteO.tabelaQB])) {
+    throw new Error("❌ A semente do treino paralelo deveria decidir também qual tabela do Double Q aprende");
+  }
+
+  console.log("✅ O treino paralelo com semente é reproduzível.");
+  console.log("--- TESTE 4 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se as regras on-policy (SARSA e Expected SARSA) treinam no
+ * Treinador, tanto no modo sequencial quanto no paralelo, em que os
+ * episódios dos workers são reproduzidos jogada a jogada.
+ *
+ * @returns {Promise<void>}
+ */
+async function testarRegrasOnPolicyNoTreinador() {
+  console.log("--- INICIANDO TESTE 5: SARSA E EXPECTED SARSA NO TREINADOR ---");
+
+  for (const regraDeAtualizacao of ['sarsa', 'sarsa-esperado']) {
+    const criarTreinador = () => silenciarTreinador(new Treinador(
+      new AgenteQLearning({ jogador: 1, regraDeAtualizacao }),
+      new AgenteQLearning({ jogador: 2, regraDeAtualizacao }),
+      new AmbienteJogoDaVelha(3),
+      { semente: 7 }
+    ));
+
+    const sequencial = criarTreinador();
+    sequencial.treinar(300, 100, 999999);
+
+    const paralelo = criarTreinador();
+    await paralelo.treinarEmParalelo(300, {
+      numeroDeTrabalhadores: 2,
+      partidasPorRodada: 100,
+      intervaloLog: 100,
+      intervaloCheckpoint: 999999
+    });
+
+    for (const treinador of [sequencial, paralelo]) {
+      if (treinador.agenteX.partidasTreinadas !== 300 || treinador.agenteO.partidasTreinadas !== 300) {
+        throw new Error(`❌ Os agentes (${regraDeAtualizacao}) deveriam ter 300 partidas`);
+      }
+      const valores = Object.values(treinador.agenteX.tabelaQ).flatMap(acoes => Object.values(acoes));
+      if (!valores.some(valor => valor !== 0)) {
+        throw new Error(`❌ O agente X (${regraDeAtualizacao}) deveria ter aprendido algum valor`);
+      }
+    }
+  }
+
+  console.log("✅ As regras on-policy treinam nos modos sequencial e paralelo.");
+  console.log("--- TESTE 5 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica o modo de treino TD, em que cada agente aprende a cada jogada.
+ *
+ * É como revisar a estratégia a cada turno da batalha, e não só quando o
+ * chefe cai: a jogada só ganha valor quando o valor chega até ela pelo
+ * próximo estado, e não pela recompensa final propagada para trás.
+ *
+ * Validações:
+ * - Depois de uma única partida, só a última jogada de cada agente tem valor
+ *   (no Monte Carlo, todas as jogadas recebem a recompensa final)
+ * - O modo fica gravado no checkpoint e é restaurado ao retomar o treino
+ * - O Double Q é recusado no Monte Carlo e, no TD, as duas tabelas aprendem
+ *   e a Tabela Q fica com a média delas
+ *
+ * @returns {void}
+ * @throws {Error} Se qualquer validação falhar
+ */
+function testarModoTD() {
+  console.log("--- INICIANDO TESTE 6: MODO DE TREINO TD ---");
+
+  const contarValoresAprendidos = (agente) =>
+    Object.values(agente.tabelaQ).flatMap(acoes => Object.values(acoes)).filter(valor => valor !== 0).length;
+
+  let partidasDecididas = 0;
+  for (let semente = 1; semente <= 20; semente++) {
+    const criarTreinador = (modoDeTreino) => new Treinador(
+      new AgenteQLearning({ jogador: 1 }),
+      new AgenteQLearning({ jogador: 2 }),
+      new AmbienteJogoDaVelha(3),
+      { semente, modoDeTreino }
+    );
+
+    const td = criarTreinador('td');
+    const vencedor = td.executarUmaPartida();
+    if (contarValoresAprendidos(td.agenteX) > 1 || contarValoresAprendidos(td.agenteO) > 1) {
+      throw new Error("❌ No modo TD, uma partida só deveria dar valor à última jogada de cada agente");
+    }
+
+    if (vencedor !== 0) {
+      partidasDecididas++;
+      const monteCarlo = criarTreinador('monte-carlo');
+      monteCarlo.executarUmaPartida();
+      if (contarValoresAprendidos(monteCarlo.agenteX) <= 1) {
+        throw new Error("❌ No Monte Carlo, todas as jogadas deveriam receber a recompensa final");
+      }
+    }
+  }
+  if (partidasDecididas === 0) {
+    throw new Error("❌ Pelo menos uma das partidas sorteadas deveria ter um vencedor");
+  }
+
+  const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'treinador-'));
+  const original = new Treinador(
+    new AgenteQLearning({ jogador: 1 }),
+    new AgenteQLearning({ jogador: 2 }),
+    new AmbienteJogoDaVelha(3),
+    { modoDeTreino: 'td', pastaModelos: pasta }
+  );
+  original.treinar(150, 50, 100);
+
+  const estadoDoTreino = JSON.parse(fs.readFileSync(path.join(pasta, 'treino_checkpoint_100.json'), 'utf-8'));
+  if (estadoDoTreino.modoDeTreino !== 'td') {
+    throw new Error(`❌ O checkpoint deveria gravar o modo 'td', mas gravou '${estadoDoTreino.modoDeTreino}'`);
+  }
+
+  const retomado = new Treinador(
+    new AgenteQLearning({ jogador: 1 }),
+    new AgenteQLearning({ jogador: 2 }),
+    new AmbienteJogoDaVelha(3),
+    { pastaModelos: pasta }
+  );
+  retomado.retomarTreinamento();
+  if (retomado.modoDeTreino !== 'td' || !retomado.agenteX.aprenderACadaJogada) {
+    throw new Error("❌ O treino retomado deveria continuar no modo TD");
+  }
+
+  fs.rmSync(pasta, { recursive: true, force: true });
+
+  const criarTreinadorDuploQ = (modoDeTreino) => new Treinador(
+    new AgenteQLearning({ jogador: 1, usarDuploQ: true }),
+    new AgenteQLearning({ jogador: 2, usarDuploQ: true }),
+    new AmbienteJogoDaVelha(3),
+    { semente: 7, modoDeTreino }
+  );
+  let erroMonteCarlo = null;
+  try {
+    criarTreinadorDuploQ('monte-carlo');
+  } catch (erro) {
+    erroMonteCarlo = erro;
+  }
+  if (!erroMonteCarlo?.message.includes('Double Q')) {
+    throw new Error("❌ O Double Q deveria ser recusado no modo Monte Carlo");
+  }
+
+  const duploQ = criarTreinadorDuploQ('td');
+  for (let partida = 0; partida < 200; partida++) {
+    duploQ.executarUmaPartida();
+  }
+  const { tabelaQ, tabelaQA, tabelaQB } = duploQ.agenteX;
+  if (Object.keys(tabelaQA).length === 0 || Object.keys(tabelaQB).length === 0) {
+    throw new Error("❌ No modo TD, as duas tabelas do Double Q deveriam aprender");
+  }
+  for (const [estado, acoes] of Object.entries(tabelaQ)) {
+    for (const [acao, valor] of Object.entries(acoes)) {
+      const media = ((tabelaQA[estado]?.[acao] ?? 0) + (tabelaQB[estado]?.[acao] ?? 0)) / 2;
+      if (Math.abs(valor - media) > 1e-9) {
+        throw new Error(`❌ A Tabela Q deveria ser a média das duas tabelas (${estado}, ${acao})`);
+      }
+    }
+  }
+
+  console.log("✅ O modo TD aprende a cada jogada e sobrevive à retomada.");
+  console.log("--- TESTE 6 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica o registro de métricas de cada janela, em memória e, pelo ouvinte
+ * de métricas, no arquivo ao lado dos checkpoints.
+ * 
+ * Validações:
+ * - Um registro por janela, com taxas que somam 1 e |ΔQ| medido
+ * - O CSV tem o cabeçalho e uma linha por janela
+ * - Ao retomar, as janelas depois do checkpoint são refeitas sem duplicar linhas
+ * - Sem o ouvinte de métricas, elas ficam só em memória
+ * - O ouvinte padrão grava em JSONL, e um formato desconhecido é recusado
+ * 
+ * @returns {void}
+ * @throws {Error} Se qualquer validação falhar
+ */
+function testarRegistroDeMetricas() {
+  console.log("--- INICIANDO TESTE 7: REGISTRO DE MÉTRICAS ---");
+  const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'treinador-'));
+  const criarTreinador = formato => {
+    const treinador = new Treinador(
+      new AgenteQLearning({ jogador: 1 }),
+      new AgenteQLearning({ jogador: 2 }),
+      new AmbienteJogoDaVelha(3),
+      { pastaModelos: pasta }
+    );
+    // Sem formato, o ouvinte padrão (JSONL) continua; com null, não há arquivo de métricas
+    if (formato !== undefined) {
+      treinador.desconectar(treinador.ouvintesPadrao.metricas);
+      if (formato !== null) treinador.conectar(criarOuvinteDeMetricas(formato));
+    }
+    return treinador;
+  };
+
+  const treinador = criarTreinador('csv');
+  treinador.treinar(150, 50, 100);
+
+  if (treinador.metricas.map(registro => registro.partida).join() !== '50,100,150') {
+    throw new Error(`❌ Deveria haver um registro a cada 50 partidas, mas há: ${treinador.metricas.map(r => r.partida)}`);
+  }
+  for (const registro of treinador.metricas) {
+    const soma = registro.taxaVitoriasX + registro.taxaVitoriasO + registro.taxaEmpates;
+    if (Math.abs(soma - 1) > 1e-9) {
+      throw new Error(`❌ As taxas da janela ${registro.partida} deveriam somar 1, mas somam ${soma}`);
+    }
+    if (!(registro.variacaoMediaQX > 0) || !(registro.estadosO > 0)) {
+      throw new Error(`❌ A janela ${registro.partida} deveria medir |ΔQ| e o tamanho das Tabelas Q`);
+    }
+  }
+  const ultimo = treinador.metricas[treinador.metricas.length - 1];
+  if (ultimo.epsilonX !== treinador.agenteX.epsilon || ultimo.estadosX !== Object.keys(treinador.agenteX.tabelaQ).length) {
+    throw new Error("❌ O último registro deveria refletir o estado final do Agente X");
+  }
+
+  const lerLinhas = () => fs.readFileSync(path.join(pasta, 'metricas_treino.csv'), 'utf-8').trim().split('\n');
+  const linhas = lerLinhas();
+  if (linhas.length !== 4 || !linhas[0].startsWith('partida,taxaVitoriasX') || linhas[3].split(',').length !== linhas[0].split(',').length) {
+    throw new Error(`❌ O CSV deveria ter o cabeçalho e 3 linhas completas:\n${linhas.join('\n')}`);
+  }
+
+  // Retoma do checkpoint 100: a janela da partida 150 é jogada de novo
+  criarTreinador('csv').retomarTreinamento();
+  const partidasNoArquivo = lerLinhas().slice(1).map(linha => parseInt(linha));
+  if (partidasNoArquivo.join() !== '50,100,150') {
+    throw new Error(`❌ Ao retomar, o CSV não deveria duplicar janelas, mas tem: ${partidasNoArquivo}`);
+  }
+
+  const caminhoJsonl = path.join(pasta, 'metricas_treino.jsonl');
+  const emMemoria = criarTreinador(null);
+  emMemoria.treinar(20, 10, 999999);
+  if (fs.existsSync(caminhoJsonl) || emMemoria.metricas.length !== 2) {
+    throw new Error("❌ Sem o ouvinte de métricas, elas deveriam ficar só em memória");
+  }
+
+  const padrao = criarTreinador();
+  padrao.treinar(20, 10, 999999);
+  const registros = fs.readFileSync(caminhoJsonl, 'utf-8').trim().split('\n').map(linha => JSON.parse(linha));
+  if (padrao.ouvintesPadrao.metricas.caminho !== caminhoJsonl || JSON.stringify(registros) !== JSON.stringify(padrao.metricas)) {
+    throw new Error("❌ O ouvinte padrão deveria gravar em JSONL os mesmos registros da memória");
+  }
+
+  let erro = null;
+  try {
+    criarTreinador('xml');
+  } catch (e) {
+    erro = e;
+  }
+  if (erro === null) {
+    throw new Error("❌ Um formato de métricas desconhecido deveria lançar um erro");
+  }
+
+  fs.rmSync(pasta, { recursive: true, force: true });
+
+  console.log("✅ As métricas de cada janela ficam registradas para as curvas de aprendizado.");
+  console.log("--- TESTE 7 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica a avaliação contra os adversários de referência.
+ * 
+ * Validações:
+ * - Uma série por modelo, adversário e ordem de início, com a cor em que o modelo treinou
+ * - Ninguém vence o Minimax
+ * - A taxa de derrotas fica dentro do intervalo de confiança
+ * - O intervalo de Wilson não é vazio quando não há derrotas
+ * 
+ * @returns {void}
+ * @throws {Error} Se qualquer validação falhar
+ */
+function testarAvaliacaoContraReferencias() {
+  console.log("--- INICIANDO TESTE 8: AVALIAÇÃO CONTRA REFERÊNCIAS ---");
+
+  const treinador = silenciarTreinador(new Treinador(
+    new AgenteQLearning({ jogador: 1 }),
+    new AgenteQLearning({ jogador: 2 }),
+    new AmbienteJogoDaVelha(3),
+    { semente: 3 }
+  ));
+  treinador.treinar(300, 100, 999999);
+  const { confronto, contraReferencias } = treinador.avaliarAgentes(50, { partidasContraReferencias: 30 });
+
+  if (confronto.vitoriasX + confronto.vitoriasO + confronto.empates !== 50) {
+    throw new Error("❌ O confronto entre os agentes deveria ter 50 partidas");
+  }
+  if (contraReferencias.length !== 12) {
+    throw new Error(`❌ Deveria haver 12 séries (2 modelos × 3 adversários × 2 ordens), mas há ${contraReferencias.length}`);
+  }
+  const combinacoes = new Set(contraReferencias.map(({ modelo, adversario, comeca }) => `${modelo}|${adversario}|${comeca}`));
+  if (combinacoes.size !== 12) {
+    throw new Error("❌ Cada combinação de modelo, adversário e ordem deveria aparecer uma vez");
+  }
+  if (!contraReferencias.every(({ modelo, cor }) => modelo === `Agente ${cor}`)) {
+    throw new Error("❌ Cada modelo deveria jogar só com a cor em que treinou");
+  }
+
+  for (const serie of contraReferencias) {
+    if (serie.vitorias + serie.empates + serie.derrotas !== 30) {
+      throw new Error(`❌ Cada série deveria ter 30 partidas (${JSON.stringify(serie)})`);
+    }
+    if (serie.adversario === 'minimax' && serie.vitorias > 0) {
+      throw new Error(`❌ O modelo não deveria vencer o Minimax (${JSON.stringify(serie)})`);
+    }
+    const [inferior, superior] = serie.intervaloDerrotas;
+    if (!(inferior <= serie.taxaDerrotas && serie.taxaDerrotas <= superior)) {
+      throw new Error(`❌ A taxa de derrotas deveria estar no intervalo (${JSON.stringify(serie)})`);
+    }
+  }
+
+  const [inferior, superior] = calcularIntervaloDeConfianca(0, 1000);
+  if (inferior !== 0 || Math.abs(superior - 0.00383) > 1e-4) {
+    throw new Error(`❌ O intervalo de 0 em 1.000 deveria ser [0, ~0.38%], mas é [${inferior}, ${superior}]`);
+  }
+  if (treinador.avaliarAgentes(10, { partidasContraReferencias: 0 }).contraReferencias.length !== 0) {
+    throw new Error("❌ Sem partidas contra as referências, nenhuma série deveria ser jogada");
+  }
+
+  console.log("✅ Cada modelo foi avaliado contra as referências, com a sua cor e as duas ordens.");
+  console.log("--- TESTE 8 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica os eventos do treino e os ouvintes.
+ * 
+ * Validações:
+ * - Um ouvinte conectado recebe cada evento na quantidade e na ordem certas
+ * - Sem os ouvintes padrão, o treino não escreve nada no console
+ * - Sem o ouvinte de checkpoints, nenhum arquivo é salvo
+ * - Depois de desconectado, o ouvinte não recebe mais nada
+ * 
+ * @returns {void}
+ * @throws {Error} Se qualquer validação falhar
+ */
+function testarEventosDoTreino() {
+  console.log("--- INICIANDO TESTE 9: EVENTOS DO TREINO ---");
+  const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'treinador-'));
+
+  const treinador = new Treinador(
+    new AgenteQLearning({ jogador: 1 }),
+    new AgenteQLearning({ jogador: 2 }),
+    new AmbienteJogoDaVelha(3),
+    { pastaModelos: pasta }
+  );
+  Object.values(treinador.ouvintesPadrao).forEach(ouvinte => treinador.desconectar(ouvinte));
+
+  const recebidos = [];
+  const ouvinte = treinador.conectar(Object.fromEntries(
+    EVENTOS_DO_TREINO.map(evento => [evento, dados => recebidos.push({ evento, ...dados })])
+  ));
+
+  const logOriginal = console.log;
+  let linhasNoConsole = 0;
+  console.log = () => linhasNoConsole++;
+  try {
+    treinador.treinar(120, 40, 60);
+  } finally {
+    console.log = logOriginal;
+  }
+
+  const contar = evento => recebidos.filter(recebido => recebido.evento === evento).length;
+  const esperado = { inicioTreino: 1, fimPartida: 120, intervaloLog: 3, checkpoint: 2, fimTreino: 1, encerramentoTreino: 1 };
+  for (const [evento, quantidade] of Object.entries(esperado)) {
+    if (contar(evento) !== quantidade) {
+      throw new Error(`❌ O evento '${evento}' deveria chegar ${quantidade} vez(es), mas chegou ${contar(evento)}`);
+    }
+  }
+  const ultimos = recebidos.slice(-2).map(recebido => recebido.evento).join();
+  if (recebidos[0].evento !== 'inicioTreino' || ultimos !== 'fimTreino,encerramentoTreino') {
+    throw new Error("❌ O treino deveria começar com 'inicioTreino' e terminar com 'fimTreino' e 'encerramentoTreino'");
+  }
+  if (!recebidos.every(recebido => recebido.treinador === treinador)) {
+    throw new Error("❌ Todos os eventos deveriam trazer o treinador");
+  }
+  const intervalos = recebidos.filter(recebido => recebido.evento === 'intervaloLog');
+  if (intervalos[2].metricas !== treinador.metricas[2] || intervalos[2].numeroPartida !== 120) {
+    throw new Error("❌ O 'intervaloLog' deveria trazer o registro de métricas da janela");
+  }
+
+  if (linhasNoConsole !== 0) {
+    throw new Error(`❌ Sem os ouvintes padrão, o treino não deveria escrever no console (escreveu ${linhasNoConsole} linhas)`);
+  }
+  if (fs.readdirSync(pasta).length !== 0) {
+    throw new Error(`❌ Sem o ouvinte de checkpoints, nada deveria ser salvo (há: ${fs.readdirSync(pasta).join(', ')})`);
+  }
+
+  treinador.desconectar(ouvinte);
+  const quantidadeAntes = recebidos.length;
+  treinador.treinar(10, 10, 10);
+  if (recebidos.length !== quantidadeAntes) {
+    throw new Error("❌ Um ouvinte desconectado não deveria receber eventos");
+  }
+
+  fs.rmSync(pasta, { recursive: true, force: true });
+
+  console.log("✅ Os eventos do treino chegam aos ouvintes conectados.");
+  console.log("--- TESTE 9 FINALIZADO ---\n");
+}
+
+/**
+ * Verifica se o treino é encerrado mesmo quando lança um erro no meio.
+ * 
+ * É como cair no meio de uma War of Emperium: a guilda perde a batalha,
+ * mas precisa sair do castelo e liberar o mapa para a próxima.
+ * 
+ * Validações:
+ * - O erro chega a quem chamou o treino (sequencial, em liga e paralelo)
+ * - O 'encerramentoTreino' é anunciado uma vez, e o 'fimTreino' não
+ * - A barra de progresso é parada no 'encerramentoTreino'
+ * 
+ * @returns {Promise<void>}
+ * @throws {Error} Se qualquer validação falhar
+ */
+async function testarEncerramentoComErro() {
+  console.log("--- INICIANDO TESTE 10: ENCERRAMENTO COM ERRO ---");
+
+  const treinos = {
+    sequencial: treinador => treinador.treinar(100, 50, 999999),
+    liga: treinador => treinador.treinarEmLiga(100, { intervaloLog: 50, intervaloCheckpoint: 999999 }),
+    paralelo: treinador => treinador.treinarEmParalelo(100, {
+      numeroDeTrabalhadores: 2,
+      partidasPorRodada: 20,
+      intervaloLog: 50,
+      intervaloCheckpoint: 999999
+    })
+  };
+
+  for (const [nome, treinar] of Object.entries(treinos)) {
+    const treinador = silenciarTreinador(new Treinador(
+      new AgenteQLearning({ jogador: 1 }),
+      new AgenteQLearning({ jogador: 2 }),
+      new AmbienteJogoDaVelha(3),
+      { semente: 5 }
+    ));
+
+    // Espia a barra de progresso padrão, reconectada com o 'encerramentoTreino' contado
+    const barra = treinador.ouvintesPadrao.barraDeProgresso;
+    let barraParada = 0;
+    treinador.conectar({
+      ...barra,
+      encerramentoTreino: dados => {
+        barraParada++;
+        barra.encerramentoTreino(dados);
+      }
+    });
+
+    const recebidos = [];
+    treinador.conectar({
+      fimPartida: ({ numeroPartida }) => {
+        if (numeroPartida === 30) throw new Error('Partida corrompida');
+      },
+      fimTreino: () => recebidos.push('fimTreino'),
+      encerramentoTreino: () => recebidos.push('encerramentoTreino')
+    });
+
+    let erro = null;
+    try {
+      await treinar(treinador);
+    } catch (e) {
+      erro = e;
+    }
+
+    if (erro?.message !== 'Partida corrompida') {
+      throw new Error(`❌ O erro do treino ${nome} deveria chegar a quem o chamou, mas chegou: ${erro?.message}`);
+    }
+    if (recebidos.join() !== 'encerramentoTreino' || barraParada !== 1) {
+      throw new Error(`❌ O treino ${nome} deveria ser encerrado uma vez, sem 'fimTreino' (recebidos: ${recebidos.join(', ')})`);
+    }
+  }
+
+  console.log("✅ O treino é encerrado e a barra é parada mesmo quando algo falha.");
+  console.log("--- TESTE 10 FINALIZADO ---\n");
+}
+
 /**
  * Função principal para rodar toda a suíte de testes do Treinador.
  * 
@@ -102,15 +819,24 @@ function testarCicloDeTreinamentoRapido() {
  * evento no Ragnarok: garante que todos os sistemas de treinamento
  * estão funcionando perfeitamente.
  * 
- * @returns {void}
+ * @returns {Promise<void>}
  * @throws {Error} Se qualquer teste falhar
  */
-export function executarTodosTestes() {
+export async function executarTodosTestes() {
   console.log("\n" + "=".repeat(50));
   console.log("🧪 INICIANDO BATERIA DE TESTES DO TREINADOR 🧪");
   console.log("=".repeat(50) + "\n");
   
   testarCicloDeTreinamentoRapido();
+  testarRetomadaDoCheckpoint();
+  testarTreinoComSemente();
+  await testarTreinoParaleloDeterministico();
+  await testarRegrasOnPolicyNoTreinador();
+  testarModoTD();
+  testarRegistroDeMetricas();
+  testarAvaliacaoContraReferencias();
+  testarEventosDoTreino();
+  await testarEncerramentoComErro();
   
   console.log("=".repeat(50));
   console.log("✅ TODOS OS TESTES DO TREINADOR CONCLUÍDOS COM SUCESSO!");
@@ -119,6 +845,6 @@ export function executarTodosTestes() {
 
 // Executa os testes se o arquivo for chamado diretamente
 if (import.meta.url === `file://${process.argv[1]}`) {
-  executarTodosTestes();
+  await executarTodosTestes();
 
 }
@@ -0,0 +1,341 @@
+/**
+ * @Modulo 🥇 jogo-da-velha/torneio.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Esta é uma ferramenta para ranquear modelos salvos (checkpoints, modelos
+ * finais, superagentes) em um torneio de todos contra todos, com rating Elo.
+ *
+ * É como o ranking de PvP de Ragnarok: cada vitória contra alguém bem
+ * ranqueado vale mais do que contra um novato, e no fim a tabela mostra
+ * quem é quem.
+ *
+ * Como funciona:
+ * 1. Cada par de modelos se enfrenta com as duas cores (A de X contra B de O,
+ *    e B de X contra A de O), sem explorar, usando o loop de avaliação do
+ *    Treinador (`disputarPartidas`)
+ * 2. Os ratings começam em `ELO_INICIAL` e são atualizados partida a partida,
+ *    intercalando os confrontos (uma partida de cada confronto por rodada),
+ *    para que a ordem dos confrontos não favoreça ninguém
+ * 3. A classificação é exibida em uma tabela e salva em JSON
+ *
+ * Uso:
+ *   node torneio.js [modelo1.json modelo2.json ...] [--partidas 100] [--fator-k 16]
+ *                   [--semente 42] [--dimensao 3 | 6x7] [--sequencia 4] [--gravidade]
+ *                   [--saida torneio_3x3.json]
+ *
+ * As partidas seguem as regras do tabuleiro em que os modelos foram treinados
+ * (linhas, colunas, sequência para vencer e gravidade, lidas do cabeçalho);
+ * todos precisam ter o mesmo. As opções de tabuleiro só valem para modelos
+ * antigos, sem cabeçalho, e para escolher os modelos da pasta: sem modelos,
+ * participam todos os da pasta `modelos_treinados` treinados no tabuleiro
+ * pedido.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { criarAmbiente } from './ambienteComGravidade.js';
+import { AgenteQLearning, lerArquivoModelo } from './agente.js';
+import { criarGeradorAleatorio } from './aleatorio.js';
+import { disputarPartidas } from './treinador.js';
+
+// Obtém o diretório atual (equivalente ao __dirname do CommonJS)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Rating de quem ainda não jogou nenhuma partida.
+ */
+const ELO_INICIAL = 1500;
+
+/**
+ * Chance de vitória (contando empate como meia) que o Elo prevê para A contra B.
+ *
+ * @param {number} eloA - Rating de A
+ * @param {number} eloB - Rating de B
+ * @returns {number} Pontuação esperada de A, entre 0 e 1
+ */
+function calcularPontuacaoEsperada(eloA, eloB) {
+  return 1 / (1 + Math.pow(10, (eloB - eloA) / 400));
+}
+
+/**
+ * Disputa o torneio de todos contra todos e calcula a classificação.
+ *
+ * Cada participante informa quem joga com cada cor, porque alguns
+ * jogadores (como o `AgenteMinimax`) precisam saber o próprio lado.
+ * Para um `AgenteQLearning`, o mesmo agente pode jogar com as duas.
+ *
+ * @param {Array<{nome: string, agenteX: Object, agenteO: Object}>} participantes - Quem disputa
+ * @param {AmbienteJogoDaVelha} ambiente - Ambiente das partidas
+ * @param {Object} [opcoes] - Opções do torneio
+ * @param {number} [opcoes.partidasPorConfronto=100] - Partidas de cada confronto (por cor)
+ * @param {number} [opcoes.fatorK=16] - Quanto o rating muda a cada partida
+ * @returns {{classificacao: Array<Object>, confrontos: Array<Object>}} A classificação (do maior
+ *   Elo para o menor) e o placar de cada confronto
+ */
+function disputarTorneio(participantes, ambiente, { partidasPorConfronto = 100, fatorK = 16 } = {}) {
+  const confrontos = [];
+  for (const [indiceX, participanteX] of participantes.entries()) {
+    for (const [indiceO, participanteO] of participantes.entries()) {
+      if (indiceX === indiceO) continue;
+
+      const vencedores = [];
+      const placar = disputarPartidas(
+        participanteX.agenteX,
+        participanteO.agenteO,
+        ambiente,
+        partidasPorConfronto,
+        vencedor => vencedores.push(vencedor)
+      );
+      confrontos.push({ indiceX, indiceO, vencedores, ...placar });
+    }
+  }
+
+  // Uma partida de cada confronto por rodada, como se todos jogassem ao mesmo tempo
+  const elos = participantes.map(() => ELO_INICIAL);
+  for (let rodada = 0; rodada < partidasPorConfronto; rodada++) {
+    for (const { indiceX, indiceO, vencedores } of confrontos) {
+      const pontuacaoX = vencedores[rodada] === 1 ? 1 : vencedores[rodada] === 2 ? 0 : 0.5;
+      const esperadaX = calcularPontuacaoEsperada(elos[indiceX], elos[indiceO]);
+      elos[indiceX] += fatorK * (pontuacaoX - esperadaX);
+      elos[indiceO] -= fatorK * (pontuacaoX - esperadaX);
+    }
+  }
+
+  const classificacao = participantes.map(({ nome }, indice) => {
+    const comoX = confrontos.filter(confronto => confronto.indiceX === indice);
+    const comoO = confrontos.filter(confronto => confronto.indiceO === indice);
+    const somar = (lista, campo) => lista.reduce((total, confronto) => total + confronto[campo], 0);
+    const vitorias = somar(comoX, 'vitoriasX') + somar(comoO, 'vitoriasO');
+    const derrotas = somar(comoX, 'vitoriasO') + somar(comoO, 'vitoriasX');
+    const empates = somar(comoX, 'empates') + somar(comoO, 'empates');
+    const partidas = vitorias + derrotas + empates;
+    return {
+      modelo: nome,
+      elo: elos[indice],
+      partidas,
+      vitorias,
+      empates,
+      derrotas,
+      pontuacao: partidas > 0 ? (vitorias + empates / 2) / partidas : 0
+    };
+  }).sort((a, b) => b.elo - a.elo);
+
+  return {
+    classificacao: classificacao.map((linha, indice) => ({ posicao: indice + 1, ...linha })),
+    confrontos: confrontos.map(({ indiceX, indiceO, vitoriasX, vitoriasO, empates }) => ({
+      modeloX: participantes[indiceX].nome,
+      modeloO: participantes[indiceO].nome,
+      vitoriasX,
+      vitoriasO,
+      empates
+    }))
+  };
+}
+
+/**
+ * Exibe a classificação do torneio em uma tabela no console.
+ *
+ * @param {Array<Object>} classificacao - Classificação de `disputarTorneio`
+ * @returns {void}
+ */
+function exibirClassificacao(classificacao) {
+  console.log("\n" + "=".repeat(50));
+  console.log("🥇 CLASSIFICAÇÃO DO TORNEIO (ELO)");
+  console.log("=".repeat(50));
+  console.table(classificacao.map(linha => ({
+    'Posição': linha.posicao,
+    'Modelo': linha.modelo,
+    'Elo': Math.round(linha.elo),
+    'Partidas': linha.partidas,
+    'V / E / D': `${linha.vitorias} / ${linha.empates} / ${linha.derrotas}`,
+    'Pontuação': `${(linha.pontuacao * 100).toFixed(1)}%`
+  })));
+}
+
+/**
+ * Completa a descrição de um tabuleiro: sem `sequenciaParaVencer`, vale a
+ * do Jogo da Velha (o menor lado, no máximo 4 com gravidade, como no Lig 4);
+ * sem `comGravidade`, o tabuleiro é o clássico.
+ *
+ * @param {{linhas: number, colunas: number, sequenciaParaVencer?: number|null, comGravidade?: boolean}} tabuleiro -
+ *   O tabuleiro (como o campo `dimensao` do cabeçalho de um modelo)
+ * @returns {{linhas: number, colunas: number, sequenciaParaVencer: number, comGravidade: boolean}} O tabuleiro completo
+ */
+function completarTabuleiro({ linhas, colunas, sequenciaParaVencer = null, comGravidade = false }) {
+  const menorLado = Math.min(linhas, colunas);
+  return {
+    linhas,
+    colunas,
+    sequenciaParaVencer: sequenciaParaVencer ?? (comGravidade ? Math.min(4, menorLado) : menorLado),
+    comGravidade
+  };
+}
+
+/**
+ * Descreve um tabuleiro para mensagens e relatórios (ex.: "6x7, 4 em linha, com gravidade").
+ *
+ * @param {Object} tabuleiro - Tabuleiro completo (veja `completarTabuleiro`)
+ * @returns {string} A descrição
+ */
+function descreverTabuleiro({ linhas, colunas, sequenciaParaVencer, comGravidade }) {
+  return `${linhas}x${colunas}, ${sequenciaParaVencer} em linha${comGravidade ? ', com gravidade' : ''}`;
+}
+
+/**
+ * Lista os modelos da pasta treinados em um tabuleiro.
+ *
+ * Ficam de fora os arquivos de progresso do treino (`treino_checkpoint_N.json`),
+ * os resultados de torneios e os modelos de outros tabuleiros (linhas, colunas,
+ * sequência para vencer ou gravidade diferentes). Arquivos antigos (sem
+ * cabeçalho) não dizem o tabuleiro e entram na lista.
+ *
+ * @param {string} pasta - A pasta dos modelos
+ * @param {Object} tabuleiro - Tabuleiro dos modelos (veja `completarTabuleiro`)
+ * @returns {Array<string>} Os caminhos dos modelos, em ordem alfabética
+ */
+function listarModelos(pasta, tabuleiro) {
+  if (!fs.existsSync(pasta)) return [];
+
+  const descricao = descreverTabuleiro(completarTabuleiro(tabuleiro));
+  return fs.readdirSync(pasta)
+    .filter(arquivo => arquivo.endsWith('.json') && !/^(treino_checkpoint|torneio)/.test(arquivo))
+    .sort()
+    .map(arquivo => path.join(pasta, arquivo))
+    .filter(caminho => {
+      const { cabecalho } = lerArquivoModelo(caminho);
+      return !cabecalho?.dimensao || descreverTabuleiro(completarTabuleiro(cabecalho.dimensao)) === descricao;
+    });
+}
+
+/**
+ * Descobre o tabuleiro do torneio pelos cabeçalhos dos modelos.
+ *
+ * É como conferir se todos os inscritos treinaram na mesma arena: um modelo
+ * de Lig 4 não sabe jogar Jogo da Velha, e vice-versa.
+ *
+ * @param {Array<string>} caminhosModelos - Os modelos do torneio
+ * @param {Object} tabuleiroPadrao - Tabuleiro usado se nenhum modelo tiver cabeçalho
+ * @returns {Object} O tabuleiro completo (veja `completarTabuleiro`)
+ * @throws {Error} Se os modelos foram treinados em tabuleiros diferentes
+ */
+function obterTabuleiroDosModelos(caminhosModelos, tabuleiroPadrao) {
+  const tabuleiros = new Map();
+  for (const caminho of caminhosModelos) {
+    const { cabecalho } = lerArquivoModelo(caminho);
+    if (!cabecalho?.dimensao) continue;
+    const tabuleiro = completarTabuleiro(cabecalho.dimensao);
+    tabuleiros.set(descreverTabuleiro(tabuleiro), tabuleiro);
+  }
+
+  if (tabuleiros.size > 1) {
+    throw new Error(`Os modelos foram treinados em tabuleiros diferentes: ${[...tabuleiros.keys()].join(' | ')}.`);
+  }
+  return tabuleiros.size === 1 ? [...tabuleiros.values()][0] : completarTabuleiro(tabuleiroPadrao);
+}
+
+/**
+ * Lê os argumentos da linha de comando.
+ *
+ * A `--dimensao` aceita o tamanho de um tabuleiro quadrado (`3`) ou as
+ * linhas e colunas (`6x7`).
+ *
+ * @param {Array<string>} argumentos - Normalmente `process.argv.slice(2)`
+ * @returns {{caminhosModelos: Array<string>, partidasPorConfronto: number, fatorK: number,
+ *   semente: number|null, tabuleiro: Object, caminhoSaida: string|null}} Opções do torneio
+ *   (sem `--saida`, o caminho é decidido depois, pelo tabuleiro dos modelos)
+ */
+function lerArgumentos(argumentos) {
+  const pastaModelos = path.resolve(__dirname, 'modelos_treinados');
+  const opcoes = {
+    caminhosModelos: [],
+    partidasPorConfronto: 100,
+    fatorK: 16,
+    semente: null,
+    tabuleiro: { linhas: 3, colunas: 3, sequenciaParaVencer: null, comGravidade: false },
+    caminhoSaida: null
+  };
+
+  for (let i = 0; i < argumentos.length; i++) {
+    const argumento = argumentos[i];
+    if (argumento === '--partidas') {
+      opcoes.partidasPorConfronto = parseInt(argumentos[++i]);
+    } else if (argumento === '--fator-k') {
+      opcoes.fatorK = parseFloat(argumentos[++i]);
+    } else if (argumento === '--semente') {
+      opcoes.semente = parseInt(argumentos[++i]);
+    } else if (argumento === '--dimensao') {
+      const [linhas, colunas = linhas] = argumentos[++i].split('x').map(valor => parseInt(valor));
+      Object.assign(opcoes.tabuleiro, { linhas, colunas });
+    } else if (argumento === '--sequencia') {
+      opcoes.tabuleiro.sequenciaParaVencer = parseInt(argumentos[++i]);
+    } else if (argumento === '--gravidade') {
+      opcoes.tabuleiro.comGravidade = true;
+    } else if (argumento === '--saida') {
+      opcoes.caminhoSaida = path.resolve(argumentos[++i]);
+    } else {
+      opcoes.caminhosModelos.push(path.resolve(argumento));
+    }
+  }
+
+  opcoes.tabuleiro = completarTabuleiro(opcoes.tabuleiro);
+  if (opcoes.caminhosModelos.length === 0) {
+    opcoes.caminhosModelos = listarModelos(pastaModelos, opcoes.tabuleiro);
+  }
+
+  return opcoes;
+}
+
+// --- Bloco de Execução Principal ---
+// Este bloco permite que o arquivo seja executado como um script.
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { caminhosModelos, partidasPorConfronto, fatorK, semente, tabuleiro: tabuleiroPedido, caminhoSaida: saidaPedida } =
+    lerArgumentos(process.argv.slice(2));
+
+  if (caminhosModelos.length < 2) {
+    console.log("❌ ERRO: O torneio precisa de pelo menos dois modelos.");
+    process.exit(1);
+  }
+
+  let dimensao;
+  try {
+    dimensao = obterTabuleiroDosModelos(caminhosModelos, tabuleiroPedido);
+  } catch (erro) {
+    console.log(`❌ ERRO: ${erro.message}`);
+    process.exit(1);
+  }
+  const caminhoSaida = saidaPedida ??
+    path.resolve(__dirname, 'modelos_treinados', `torneio_${dimensao.linhas}x${dimensao.colunas}.json`);
+
+  const aleatorio = semente === null ? Math.random : criarGeradorAleatorio(semente);
+  const ambiente = criarAmbiente(dimensao, aleatorio);
+  const participantes = caminhosModelos.map(caminho => {
+    const agente = AgenteQLearning.carregar(caminho, { epsilon: 0, aleatorio });
+    return { nome: path.basename(caminho, '.json'), agenteX: agente, agenteO: agente };
+  });
+
+  console.log("\n" + "=".repeat(50));
+  console.log("🥇 INICIANDO O TORNEIO 🥇");
+  console.log("=".repeat(50));
+  console.log(`Tabuleiro: ${descreverTabuleiro(dimensao)}`);
+  console.log(`Modelos: ${participantes.length} | Confrontos: ${participantes.length * (participantes.length - 1)}`);
+  console.log(`Partidas por confronto: ${partidasPorConfronto.toLocaleString('pt-BR')} | Fator K: ${fatorK}`);
+
+  const { classificacao, confrontos } = disputarTorneio(participantes, ambiente, { partidasPorConfronto, fatorK });
+  exibirClassificacao(classificacao);
+
+  fs.writeFileSync(caminhoSaida, JSON.stringify({
+    criadoEm: new Date().toISOString(),
+    dimensao,
+    semente,
+    partidasPorConfronto,
+    fatorK,
+    classificacao,
+    confrontos
+  }, null, 2));
+  console.log(`\n💾 Resultado do torneio salvo em: ${caminhoSaida}`);
+}
+
+// Exporta as funções para uso em outros módulos
+export { ELO_INICIAL, calcularPontuacaoEsperada, disputarTorneio, exibirClassificacao, listarModelos, obterTabuleiroDosModelos };
@@ -0,0 +1,112 @@
+/**
+ * @Modulo 🧵 jogo-da-velha/trabalhadorSelfPlay.js
+ * @Projeto 📘 AI Game Learning
+ *
+ * Este módulo é o código executado por cada worker (`worker_threads`) no
+ * treinamento paralelo do `Treinador` (`treinarEmParalelo`).
+ *
+ * Cada worker tem o seu próprio ambiente e as suas próprias cópias dos
+ * agentes. A cada rodada ele recebe as Tabelas Q atualizadas do Treinador,
+ * joga um lote de partidas sem aprender nada e devolve os episódios
+ * (o histórico de jogadas e o vencedor de cada partida). Quem aprende é
+ * sempre o Treinador, aplicando os episódios de todos os workers em uma
+ * ordem fixa.
+ *
+ * Protocolo de mensagens:
+ * - Entrada: `{ tabelaQX, tabelaQO, visitasX, visitasO, epsilonX, epsilonO, exploracaoX, exploracaoO,
+ *   partidasTreinadasX, partidasTreinadasO, numeroDePartidas, deslocamento }`
+ * - Saída: `{ episodios: [{ historicoX, historicoO, vencedor }] }`, em que cada
+ *   histórico é uma lista de jogadas `[estado, acao, acoesValidas]`
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { criarAmbiente } from './ambienteComGravidade.js';
+import { AgenteQLearning } from './agente.js';
+import { criarEstrategiaDeExploracao } from './exploracao.js';
+import { criarGeradorAleatorio, derivarSemente } from './aleatorio.js';
+
+/**
+ * Avança o cronograma de exploração de um agente do worker em uma partida,
+ * como `aprenderComFimDePartida` faz no agente do Treinador.
+ *
+ * @param {AgenteQLearning} agente - Agente do worker
+ * @returns {void}
+ */
+function avancarExploracao(agente) {
+  agente.partidasTreinadas += 1;
+  agente.exploracao.aoFimDaPartida(agente);
+}
+
+/**
+ * Deixa o agente do worker com a mesma exploração que o agente do Treinador
+ * terá na partida de índice `partidasAFrente` desta rodada, repetindo o
+ * cronograma (decaimento do epsilon, temperatura, etc.) aplicado a cada partida.
+ *
+ * @param {AgenteQLearning} agente - Agente do worker
+ * @param {number} epsilonInicial - Epsilon do agente do Treinador no início da rodada
+ * @param {Object} configuracaoExploracao - Estratégia do agente do Treinador no início da rodada
+ * @param {number} partidasTreinadas - Partidas do agente do Treinador no início da rodada
+ *   (o passo do `cronogramaEpsilon`)
+ * @param {number} partidasAFrente - Quantas partidas da rodada vêm antes desta
+ * @returns {void}
+ */
+function prepararExploracao(agente, epsilonInicial, configuracaoExploracao, partidasTreinadas, partidasAFrente) {
+  agente.epsilon = epsilonInicial;
+  agente.exploracao = criarEstrategiaDeExploracao(configuracaoExploracao);
+  agente.partidasTreinadas = partidasTreinadas;
+  for (let i = 0; i < partidasAFrente; i++) {
+    avancarExploracao(agente);
+  }
+}
+
+const { configAmbiente, hiperparametrosX, hiperparametrosO, semente, indiceTrabalhador } = workerData;
+
+// Sem semente, cada worker sorteia livremente; com semente, cada um tem sua própria sequência fixa
+const aleatorio = semente === null ? Math.random : criarGeradorAleatorio(derivarSemente(semente, indiceTrabalhador));
+
+const ambiente = criarAmbiente(configAmbiente, aleatorio);
+const agenteX = new AgenteQLearning({ ...hiperparametrosX, jogador: 1, aleatorio });
+const agenteO = new AgenteQLearning({ ...hiperparametrosO, jogador: 2, aleatorio });
+
+parentPort.on('message', ({
+  tabelaQX, tabelaQO, visitasX, visitasO, epsilonX, epsilonO, exploracaoX, exploracaoO,
+  partidasTreinadasX, partidasTreinadasO, numeroDePartidas, deslocamento
+}) => {
+  agenteX.tabelaQ = tabelaQX;
+  agenteO.tabelaQ = tabelaQO;
+  // As visitas guiam o UCB1; as do worker são descartadas (o Treinador conta as suas ao aplicar os episódios)
+  agenteX.visitas = visitasX;
+  agenteO.visitas = visitasO;
+  prepararExploracao(agenteX, epsilonX, exploracaoX, partidasTreinadasX, deslocamento);
+  prepararExploracao(agenteO, epsilonO, exploracaoO, partidasTreinadasO, deslocamento);
+
+  const episodios = [];
+  for (let i = 0; i < numeroDePartidas; i++) {
+    ambiente.reiniciarPartida();
+    agenteX.iniciarNovaPartida();
+    agenteO.iniciarNovaPartida();
+
+    while (!ambiente.partidaFinalizada) {
+      const agenteDaVez = ambiente.jogadorAtual === 1 ? agenteX : agenteO;
+      const estadoAtual = ambiente.obterEstadoComoTupla();
+      const acoesValidas = ambiente.obterAcoesValidas();
+      const acaoEscolhida = agenteDaVez.escolherAcao(estadoAtual, acoesValidas, true);
+      // Só anota a jogada: nas regras on-policy, `registrarJogada` já aprenderia aqui
+      agenteDaVez.historicoPartida.push([estadoAtual, acaoEscolhida, acoesValidas]);
+      agenteDaVez.registrarVisita(estadoAtual, acaoEscolhida);
+      ambiente.executarJogada(acaoEscolhida);
+    }
+
+    episodios.push({
+      historicoX: agenteX.historicoPartida,
+      historicoO: agenteO.historicoPartida,
+      vencedor: ambiente.vencedor
+    });
+
+    // Avança o cronograma de exploração, como o Treinador fará ao aplicar esta partida
+    avancarExploracao(agenteX);
+    avancarExploracao(agenteO);
+  }
+
+  parentPort.postMessage({ episodios });
+});
@@ -10,23 +10,137 @@
  * - Gerenciar o loop de treinamento principal (milhares de partidas).
  * - Coordenar a interação entre os Agentes e o Ambiente.
  * - Atribuir as recompensas corretas a cada Agente no final da partida.
- * - Exibir estatísticas de treinamento em tempo real com uma interface rica.
+ * - Medir as métricas de cada janela (curvas de aprendizado).
+ * - Anunciar os eventos do treino (`EVENTOS_DO_TREINO`). A barra de progresso, os
+ *   resumos, os checkpoints, os modelos finais e o arquivo de métricas são ouvintes
+ *   desses eventos (veja ouvintesDoTreino.js), e qualquer um pode se inscrever.
  * - Salvar o conhecimento (modelos) e estatísticas dos Agentes treinados.
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { execSync } from 'child_process';
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import os from 'os';
+import { Worker } from 'worker_threads';
 import cliProgress from 'cli-progress';
 import colors from 'ansi-colors';
 import { AmbienteJogoDaVelha } from './ambiente.js';
+import { AmbienteComGravidade, criarAmbiente } from './ambienteComGravidade.js';
 import { AgenteQLearning } from './agente.js';
+import { criarGeradorAleatorio } from './aleatorio.js';
+import { mesclarModelos } from './mesclarModelos.js';
+import { Liga } from './liga.js';
+import { AgenteAleatorio, AgenteHeuristico } from './adversarios.js';
+import { AgenteMinimax, OraculoMinimax } from './minimax.js';
+import {
+  criarResumoDoTreino,
+  criarBarraDeProgresso,
+  criarOuvinteDeCheckpoints,
+  criarOuvinteDeModelosFinais,
+  criarOuvinteDeMetricas
+} from './ouvintesDoTreino.js';
 
 // Obtém o diretório atual (equivalente ao __dirname do CommonJS)
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Modos de treino aceitos pelo Treinador.
+ *
+ * - 'monte-carlo': cada agente espera o fim da partida e propaga a recompensa
+ *   final para trás (comportamento original)
+ * - 'td': cada agente aprende após cada jogada, assim que o adversário responde
+ *   e chega de novo a sua vez (Temporal Difference)
+ */
+export const MODOS_DE_TREINO = ['monte-carlo', 'td'];
+
+/**
+ * Eventos anunciados pelo Treinador durante um treino. Todos trazem o
+ * `treinador` que os anunciou, além de:
+ *
+ * - 'inicioTreino': `titulo`, `numeroDePartidas`, `partidaInicial` (maior que 0 ao retomar)
+ *   e `detalhes` (linhas extras do modo de treino)
+ * - 'fimPartida': `numeroPartida`, `numeroDePartidas`, `vencedor` (1, 2 ou 0) e `janela`
+ *   (contadores da janela atual, já com esta partida)
+ * - 'intervaloLog': `numeroPartida` e `metricas` (o registro da janela, veja `COLUNAS_DAS_METRICAS`
+ *   em ouvintesDoTreino.js)
+ * - 'checkpoint': `numeroPartida` e `progresso` (parâmetros do loop, contadores da janela e estado do gerador)
+ * - 'fimTreino': `tempoTotalSegundos`, `partidasJogadas` e `detalheVelocidade` (só quando o treino
+ *   chega ao fim)
+ * - 'encerramentoTreino': nada além do `treinador`; anunciado sempre, depois de 'fimTreino' ou de
+ *   um erro no meio do treino, para que os ouvintes liberem o que seguram (como o terminal)
+ */
+export const EVENTOS_DO_TREINO = ['inicioTreino', 'fimPartida', 'intervaloLog', 'checkpoint', 'fimTreino', 'encerramentoTreino'];
+
+/**
+ * Coloca dois jogadores para disputar partidas sem explorar (e sem aprender)
+ * e conta os resultados.
+ *
+ * É o loop de avaliação do `avaliarAgentes`, também usado por quem precisa
+ * comparar jogadores, como o torneio (torneio.js).
+ *
+ * @param {Object} agenteX - Quem joga com 'X' (`AgenteQLearning` ou um adversário fixo)
+ * @param {Object} agenteO - Quem joga com 'O'
+ * @param {AmbienteJogoDaVelha} ambiente - Ambiente das partidas
+ * @param {number} numeroDePartidas - Quantas partidas jogar
+ * @param {function(number, number): void} [aoFimDaPartida] - Chamada após cada partida com o
+ *   vencedor (1, 2 ou 0 para empate) e o número da partida (começando em 1)
+ * @param {number|null} [jogadorInicial=null] - Quem começa todas as partidas (1 ou 2), ou null para sortear
+ * @returns {{vitoriasX: number, vitoriasO: number, empates: number}} Placar das partidas
+ */
+export function disputarPartidas(agenteX, agenteO, ambiente, numeroDePartidas, aoFimDaPartida = () => {}, jogadorInicial = null) {
+  const placar = { vitoriasX: 0, vitoriasO: 0, empates: 0 };
+
+  for (let i = 0; i < numeroDePartidas; i++) {
+    ambiente.reiniciarPartida(jogadorInicial);
+
+    while (!ambiente.partidaFinalizada) {
+      const agenteDaVez = ambiente.jogadorAtual === 1 ? agenteX : agenteO;
+      const estado = ambiente.obterEstadoComoTupla();
+      const acoes = ambiente.obterAcoesValidas();
+      const acao = agenteDaVez.escolherAcao(estado, acoes, false); // em_treinamento = false
+      ambiente.executarJogada(acao);
+    }
+
+    if (ambiente.vencedor === 1) placar.vitoriasX++;
+    else if (ambiente.vencedor === 2) placar.vitoriasO++;
+    else placar.empates++;
+
+    aoFimDaPartida(ambiente.vencedor, i + 1);
+  }
+
+  return placar;
+}
+
+/**
+ * Calcula o intervalo de confiança de uma proporção (intervalo de Wilson).
+ *
+ * Ao contrário do "p ± margem" ingênuo, não sai de [0, 1] e continua útil
+ * quando nada aconteceu: 0 derrotas em 1.000 partidas ainda deixa uma
+ * pequena chance de derrota, e o limite superior mostra quanto.
+ *
+ * @param {number} ocorrencias - Quantas vezes o evento aconteceu
+ * @param {number} total - Quantas tentativas houve
+ * @param {number} [z=1.96] - Quantil da normal (1.96 para 95% de confiança)
+ * @returns {[number, number]} Limites inferior e superior da proporção
+ */
+export function calcularIntervaloDeConfianca(ocorrencias, total, z = 1.96) {
+  if (total === 0) return [0, 1];
+
+  const proporcao = ocorrencias / total;
+  const z2 = z * z;
+  const centro = (proporcao + z2 / (2 * total)) / (1 + z2 / total);
+  const margem = (z / (1 + z2 / total)) * Math.sqrt((proporcao * (1 - proporcao)) / total + z2 / (4 * total * total));
+  return [Math.max(0, centro - margem), Math.min(1, centro + margem)];
+}
+
+/**
+ * Adversários de referência da avaliação: do mais fraco ao perfeito.
+ */
+const ADVERSARIOS_DE_REFERENCIA = ['aleatorio', 'heuristico', 'minimax'];
+
 /**
  * Orquestra o treinamento de dois agentes Q-Learning através de self-play,
  * com uma interface de usuário rica para acompanhamento em tempo real.
@@ -35,14 +149,27 @@ const __dirname = path.dirname(__filename);
  * coloca dois times para batalhar, registra os resultados, cria checkpoints
  * (save points) e ajuda todos a evoluírem com a experiência adquirida.
  * 
- * @property {AgenteQLearning} agenteX - O agente que joga como 'X' (jogador 1)
- * @property {AgenteQLearning} agenteO - O agente que joga como 'O' (jogador 2)
+ * @property {AgenteQLearning|AgenteMinimax} agenteX - O agente que joga como 'X' (jogador 1)
+ * @property {AgenteQLearning|AgenteMinimax} agenteO - O agente que joga como 'O' (jogador 2)
  * @property {AmbienteJogoDaVelha} ambiente - O tabuleiro/arena onde as batalhas acontecem
  * @property {string} pastaModelos - Diretório onde os modelos treinados são salvos
- * @property {Array<Object>} #checkpoints - Lista de metadados dos checkpoints salvos
+ * @property {string|null} idTreino - Identificador da execução de treino atual (gravado nos modelos)
+ * @property {number|null} semente - Semente do gerador aleatório (gravada nos modelos)
+ * @property {function(): number|null} aleatorio - Gerador semeado compartilhado (null sem semente)
+ * @property {string} modoDeTreino - 'monte-carlo' ou 'td' (veja `MODOS_DE_TREINO`)
+ * @property {Liga|null} liga - Adversários do último treino em liga (null até `treinarEmLiga`)
+ * @property {Array<Object>} metricas - Registros de métricas do treino atual, um por janela
+ *   (veja `COLUNAS_DAS_METRICAS` em ouvintesDoTreino.js)
+ * @property {{resumo: Object, barraDeProgresso: Object, checkpoints: Object, modelosFinais: Object,
+ *   metricas: Object}} ouvintesPadrao - Ouvintes conectados na criação (veja ouvintesDoTreino.js);
+ *   use `desconectar` para dispensar algum (por exemplo, a barra de progresso em um treino sem
+ *   terminal, ou todos eles nos testes)
+ * @property {Object|null} #pontoDeRetomada - Progresso restaurado por `retomarTreinamento`, consumido por `treinar`
+ * @property {{partida: number, tempo: number}|null} #inicioDaJanela - Onde e quando a janela atual começou
  */
-export class Treinador {
-  #checkpoints = [];
+export class Treinador extends EventEmitter {
+  #pontoDeRetomada = null;
+  #inicioDaJanela = null;
 
   /**
    * Cria um novo Treinador para orquestrar o treinamento por self-play.
@@ -50,20 +177,158 @@ export class Treinador {
    * É como criar um NPC Mestre de Guilda que vai organizar batalhas de treino
    * entre dois personagens, registrando tudo e ajudando-os a evoluir.
    * 
-   * @param {AgenteQLearning} agenteX - O agente que jogará como 'X'
-   * @param {AgenteQLearning} agenteO - O agente que jogará como 'O'
+   * @param {AgenteQLearning|AgenteMinimax} agenteX - O agente que jogará como 'X'
+   * @param {AgenteQLearning|AgenteMinimax} agenteO - O agente que jogará como 'O'
    * @param {AmbienteJogoDaVelha} ambiente - O ambiente/tabuleiro do jogo
+   * @param {Object} [opcoes] - Opções do treino
+   * @param {number|null} [opcoes.semente=null] - Semente do gerador aleatório. Com a mesma semente,
+   *   dois treinos geram Tabelas Q idênticas
+   * @param {string} [opcoes.modoDeTreino='monte-carlo'] - 'monte-carlo' (aprende no fim da partida)
+   *   ou 'td' (aprende após cada resposta do adversário)
+   * @param {string} [opcoes.pastaModelos] - Onde salvar checkpoints, modelos finais e métricas
+   *   (padrão: `modelos_treinados`, ao lado deste arquivo); a pasta só é criada ao salvar o primeiro arquivo
+   * @throws {Error} Se o modo de treino for desconhecido
    */
-  constructor(agenteX, agenteO, ambiente, test_treinador = false) {
+  constructor(agenteX, agenteO, ambiente, {
+    semente = null,
+    modoDeTreino = 'monte-carlo',
+    pastaModelos = path.resolve(__dirname, 'modelos_treinados')
+  } = {}) {
+    if (!MODOS_DE_TREINO.includes(modoDeTreino)) {
+      throw new Error(`Modo de treino '${modoDeTreino}' desconhecido. Use: ${MODOS_DE_TREINO.join(', ')}.`);
+    }
+    super();
+
     this.agenteX = agenteX;
     this.agenteO = agenteO;
     this.ambiente = ambiente;
-    this.test_treinador = test_treinador;
-    this.pastaModelos = path.resolve(__dirname, 'modelos_treinados');
+    this.#verificarSimetrias();
+    this.pastaModelos = pastaModelos;
+    this.idTreino = null;
+
+    // Um único gerador para ambiente e agentes: como a ordem dos sorteios é
+    // sempre a mesma, a mesma semente reproduz o treino inteiro
+    this.semente = semente;
+    this.aleatorio = semente === null ? null : criarGeradorAleatorio(semente);
+    this.#aplicarGeradorAleatorio();
+
+    this.modoDeTreino = modoDeTreino;
+    this.#aplicarModoDeTreino();
+    this.liga = null;
+
+    this.metricas = [];
+
+    // A ordem importa: o resumo dos checkpoints sai antes do resumo final,
+    // e os modelos finais são salvos depois de tudo exibido
+    this.ouvintesPadrao = {
+      checkpoints: criarOuvinteDeCheckpoints(),
+      resumo: criarResumoDoTreino(),
+      barraDeProgresso: criarBarraDeProgresso(),
+      modelosFinais: criarOuvinteDeModelosFinais(),
+      metricas: criarOuvinteDeMetricas()
+    };
+    Object.values(this.ouvintesPadrao).forEach(ouvinte => this.conectar(ouvinte));
+  }
+
+  /**
+   * Inscreve um ouvinte nos eventos do treino: cada função do ouvinte com o
+   * nome de um dos `EVENTOS_DO_TREINO` passa a ser chamada nesse evento.
+   *
+   * @param {Object<string, function(Object): void>} ouvinte - Funções por nome de evento
+   * @returns {Object} O próprio ouvinte (para desconectá-lo depois)
+   */
+  conectar(ouvinte) {
+    for (const evento of EVENTOS_DO_TREINO) {
+      if (typeof ouvinte[evento] === 'function') this.on(evento, ouvinte[evento]);
+    }
+    return ouvinte;
+  }
+
+  /**
+   * Cancela a inscrição de um ouvinte conectado com `conectar`.
+   *
+   * @param {Object<string, function(Object): void>} ouvinte - O ouvinte a desconectar
+   * @returns {void}
+   */
+  desconectar(ouvinte) {
+    for (const evento of EVENTOS_DO_TREINO) {
+      if (typeof ouvinte[evento] === 'function') this.off(evento, ouvinte[evento]);
+    }
+  }
+
+  /**
+   * Garante que agentes com `usarSimetrias` só treinem em ambientes que
+   * aceitam a canonização (o ambiente com gravidade, por exemplo, recusa:
+   * girar o tabuleiro deixaria as peças "flutuando").
+   *
+   * @private
+   * @returns {void}
+   * @throws {Error} Se algum agente usa simetrias e o ambiente não as suporta
+   */
+  #verificarSimetrias() {
+    const agentesComSimetrias = [this.agenteX, this.agenteO].filter(agente => agente.usarSimetrias);
+    if (agentesComSimetrias.length === 0) return;
 
-    // Cria o diretório se não existir
-    if (!fs.existsSync(this.pastaModelos) && !this.test_treinador) {
-      fs.mkdirSync(this.pastaModelos, { recursive: true });
+    try {
+      this.ambiente.obterEstadoCanonico();
+    } catch (erro) {
+      throw new Error(`O agente ${agentesComSimetrias[0].simbolo} usa simetrias, mas o ambiente não as suporta: ${erro.message}`);
+    }
+  }
+
+  /**
+   * Cria o identificador de uma nova execução de treino.
+   *
+   * Com semente, o identificador vem dela, para que o mesmo treino gere
+   * sempre os mesmos arquivos; sem semente, é um UUID aleatório.
+   *
+   * @private
+   * @returns {string} O identificador da execução
+   */
+  #criarIdTreino() {
+    return this.semente === null ? randomUUID() : `semente-${this.semente}`;
+  }
+
+  /**
+   * Injeta o gerador semeado no ambiente e nos agentes (se houver semente).
+   *
+   * @private
+   * @returns {void}
+   */
+  #aplicarGeradorAleatorio() {
+    if (this.aleatorio === null) return;
+    for (const participante of [this.ambiente, this.agenteX, this.agenteO]) {
+      participante.aleatorio = this.aleatorio;
+    }
+  }
+
+  /**
+   * Configura os agentes Q-Learning para aprender conforme o modo de treino.
+   *
+   * No modo 'td', cada agente atualiza a jogada anterior quando chega de novo
+   * a sua vez (em `registrarJogada`). Como o próximo estado já inclui a
+   * resposta do adversário, o agente aprende com o tabuleiro que ele realmente
+   * vai encontrar, e não com o que ele mesmo deixou; as jogadas dos dois
+   * agentes se alternam sem que um atualize a jogada do outro. A última jogada
+   * de cada um recebe a recompensa final em `aprenderComFimDePartida`.
+   *
+   * Adversários fixos (como o Oráculo Minimax) não são alterados.
+   *
+   * O Double Q só corrige o valor futuro estimado a cada jogada; um agente
+   * com Double Q que acabaria aprendendo só no fim da partida é recusado.
+   *
+   * @private
+   * @returns {void}
+   * @throws {Error} Se algum agente usa Double Q e aprenderia pelo Monte Carlo
+   */
+  #aplicarModoDeTreino() {
+    for (const agente of [this.agenteX, this.agenteO]) {
+      if (agente instanceof AgenteQLearning) {
+        agente.aprenderACadaJogada = this.modoDeTreino === 'td';
+        if (agente.usarDuploQ && !agente.aprendePorJogada()) {
+          throw new Error(`O agente ${agente.simbolo} usa Double Q, que só funciona no modo de treino 'td'.`);
+        }
+      }
     }
   }
 
@@ -73,42 +338,47 @@ export class Treinador {
    * É como organizar uma batalha de treino no Ragnarok: os dois jogadores
    * se enfrentam, cada um tomando suas decisões, até que haja um vencedor
    * ou empate. Depois, ambos aprendem com o resultado.
+   *
+   * No treino em liga, um dos lados é trocado por um adversário da Liga.
    * 
+   * @param {Object} [jogadorX=this.agenteX] - Quem joga com 'X'
+   * @param {Object} [jogadorO=this.agenteO] - Quem joga com 'O'
    * @returns {number} O jogador vencedor (1 para 'X', 2 para 'O', 0 para empate)
    */
-  executarUmaPartida() {
+  executarUmaPartida(jogadorX = this.agenteX, jogadorO = this.agenteO) {
     this.ambiente.reiniciarPartida();
-    this.agenteX.iniciarNovaPartida();
-    this.agenteO.iniciarNovaPartida();
+    jogadorX.iniciarNovaPartida();
+    jogadorO.iniciarNovaPartida();
 
     while (!this.ambiente.partidaFinalizada) {
-      const agenteDaVez = this.ambiente.jogadorAtual === 1 ? this.agenteX : this.agenteO;
+      const agenteDaVez = this.ambiente.jogadorAtual === 1 ? jogadorX : jogadorO;
       const estadoAtual = this.ambiente.obterEstadoComoTupla();
       const acoesValidas = this.ambiente.obterAcoesValidas();
       const acaoEscolhida = agenteDaVez.escolherAcao(estadoAtual, acoesValidas, true);
-      agenteDaVez.registrarJogada(estadoAtual, acaoEscolhida);
+      agenteDaVez.registrarJogada(estadoAtual, acaoEscolhida, acoesValidas);
       this.ambiente.executarJogada(acaoEscolhida);
     }
 
-    // Atribui recompensas baseado no resultado
-    let recompensaX, recompensaO;
-    if (this.ambiente.vencedor === 1) {
-      recompensaX = 1.0;
-      recompensaO = -1.0;
-    } else if (this.ambiente.vencedor === 2) {
-      recompensaX = -1.0;
-      recompensaO = 1.0;
-    } else {
-      recompensaX = 0.0;
-      recompensaO = 0.0;
-    }
-
-    this.agenteX.aprenderComFimDePartida(recompensaX);
-    this.agenteO.aprenderComFimDePartida(recompensaO);
+    const [recompensaX, recompensaO] = this.#calcularRecompensas(this.ambiente.vencedor);
+    jogadorX.aprenderComFimDePartida(recompensaX);
+    jogadorO.aprenderComFimDePartida(recompensaO);
 
     return this.ambiente.vencedor;
   }
 
+  /**
+   * Atribui as recompensas de cada agente com base no vencedor da partida.
+   *
+   * @private
+   * @param {number} vencedor - O jogador vencedor (1 para 'X', 2 para 'O', 0 para empate)
+   * @returns {[number, number]} Recompensas de X e de O (+1 vitória, -1 derrota, 0 empate)
+   */
+  #calcularRecompensas(vencedor) {
+    if (vencedor === 1) return [1.0, -1.0];
+    if (vencedor === 2) return [-1.0, 1.0];
+    return [0.0, 0.0];
+  }
+
   /**
    * Executa o loop de treinamento principal com interface visual avançada.
    *
@@ -116,234 +386,648 @@ export class Treinador {
    * consecutivas onde os agentes aprendem e evoluem, com checkpoints periódicos
    * (save games) para preservar o progresso.
    *
-   * Durante o loop os checkpoints são salvos silenciosamente. Ao final, é exibido
-   * um resumo completo de todos os checkpoints criados.
+   * Durante o loop, o Treinador só anuncia os eventos (`EVENTOS_DO_TREINO`): a
+   * barra de progresso, os checkpoints e os resumos ficam com os ouvintes.
    *
-   * @param {number} [numeroDePartidas=50000] - Quantas partidas realizar no treinamento
-   * @param {number} [intervaloLog=1000] - A cada quantas partidas resetar contadores da janela
+   * Se o treino foi preparado por `retomarTreinamento`, o loop continua da
+   * partida do checkpoint (e não do zero), com os contadores da janela restaurados.
+   *
+   * @param {number} [numeroDePartidas=50000] - Quantas partidas realizar no treinamento (contando as já jogadas, ao retomar)
+   * @param {number} [intervaloLog=1000] - A cada quantas partidas registrar as métricas e resetar contadores da janela
    * @param {number} [intervaloCheckpoint=10000] - A cada quantas partidas criar um checkpoint
    * @returns {void}
    */
   treinar(numeroDePartidas = 50000, intervaloLog = 1000, intervaloCheckpoint = 10000) {
-    console.log("\n" + "=".repeat(50));
-    console.log("⚔️ INICIANDO TREINAMENTO INTENSIVO (SELF-PLAY) ⚔️");
-    console.log("=".repeat(50));
-    console.log(`Total de Partidas: ${numeroDePartidas.toLocaleString('pt-BR')}`);
-    console.log(`Ambiente: Tabuleiro ${this.ambiente.dimensao}x${this.ambiente.dimensao}`);
-    console.log("=".repeat(50) + "\n");
+    // Consome o ponto de retomada (se houver) para que o próximo treino comece do zero
+    const retomada = this.#pontoDeRetomada;
+    this.#pontoDeRetomada = null;
+    const partidaInicial = retomada ? retomada.partidasConcluidas : 0;
 
-    let vitoriasXJanela = 0;
-    let vitoriasOJanela = 0;
-    let empatesJanela = 0;
+    const janela = retomada ? { ...retomada.janela } : { vitoriasX: 0, vitoriasO: 0, empates: 0 };
+    const parametros = { numeroDePartidas, intervaloLog, intervaloCheckpoint };
 
     const tempoInicio = Date.now();
 
-    // Reseta array de checkpoints
-    this.#checkpoints = [];
+    // Identifica esta execução nos modelos salvos (um treino retomado continua sendo a mesma execução)
+    this.idTreino = retomada?.idTreino ?? this.#criarIdTreino();
+    try {
+      this.#iniciarTreino(
+        "⚔️ INICIANDO TREINAMENTO INTENSIVO (SELF-PLAY) ⚔️",
+        numeroDePartidas,
+        partidaInicial,
+        retomada ? [`Retomando da partida: ${partidaInicial.toLocaleString('pt-BR')}`] : []
+      );
 
-    // Cria barra de progresso com formato personalizado
-    const barraProgresso = new cliProgress.SingleBar({
-      format: colors.cyan('{bar}') + ' | {percentage}% | {value}/{total} | ETA: {eta}s | ' +
-        colors.green('εX: {epsilonX}') + ' | ' + colors.yellow('εO: {epsilonO}') + ' | ' +
-        colors.blue('Empates: {taxaEmpate}%'),
-      barCompleteChar: '\u2588',
-      barIncompleteChar: '\u2591',
-      hideCursor: true,
-      clearOnComplete: false,
-      stopOnComplete: true
-    });
+      for (let partidaAtual = partidaInicial; partidaAtual < numeroDePartidas; partidaAtual++) {
+        const vencedor = this.executarUmaPartida();
+        this.#contabilizarPartida(partidaAtual + 1, vencedor, janela, parametros);
+      }
 
-    // Inicia a barra
-    barraProgresso.start(numeroDePartidas, 0, {
-      epsilonX: this.agenteX.epsilon.toFixed(4),
-      epsilonO: this.agenteO.epsilon.toFixed(4),
-      taxaEmpate: '0.0'
-    });
+      const tempoTotalSegundos = (Date.now() - tempoInicio) / 1000;
+      const partidasJogadas = Math.max(0, numeroDePartidas - partidaInicial);
+      this.#finalizarTreino(tempoTotalSegundos, partidasJogadas);
+    } finally {
+      this.#encerrarTreino();
+    }
+  }
 
-    for (let partidaAtual = 0; partidaAtual < numeroDePartidas; partidaAtual++) {
-      const vencedor = this.executarUmaPartida();
-
-      if (vencedor === 1) vitoriasXJanela++;
-      else if (vencedor === 2) vitoriasOJanela++;
-      else empatesJanela++;
-
-      // Calcula taxa de empate da janela atual
-      const totalJanela = vitoriasXJanela + vitoriasOJanela + empatesJanela || 1;
-      const taxaEmpate = ((empatesJanela / totalJanela) * 100).toFixed(1);
-
-      // Atualiza a barra de progresso
-      barraProgresso.update(partidaAtual + 1, {
-        epsilonX: this.agenteX.epsilon.toFixed(4),
-        epsilonO: this.agenteO.epsilon.toFixed(4),
-        taxaEmpate: taxaEmpate
-      });
-
-      // Reset dos contadores da janela
-      if ((partidaAtual + 1) % intervaloLog === 0) {
-        vitoriasXJanela = 0;
-        vitoriasOJanela = 0;
-        empatesJanela = 0;
-      }
+  /**
+   * Executa o treinamento em liga: em vez de só jogarem um contra o outro,
+   * os agentes enfrentam adversários sorteados da `Liga`.
+   *
+   * É como trocar o duelo diário com o mesmo colega de guilda pela fila
+   * aleatória da arena: o aprendiz não consegue se viciar nas manias de um
+   * adversário só.
+   *
+   * Funcionamento:
+   * - As partidas alternam o aprendiz: nas pares aprende o X, nas ímpares o O
+   * - O adversário do outro lado é sorteado pelos pesos da Liga (veja `TIPOS_DE_ADVERSARIO`);
+   *   no tipo 'atual', é o outro aprendiz e os dois aprendem, como no self-play
+   * - A cada `intervaloCongelamento` partidas, uma cópia congelada de cada aprendiz entra na Liga
+   * - A cada `intervaloLog` partidas, o placar de cada confronto é exibido
+   *
+   * Os checkpoints são salvos como no `treinar`, mas `retomarTreinamento`
+   * continua o treino em self-play.
+   *
+   * @param {number} [numeroDePartidas=50000] - Quantas partidas realizar no treinamento
+   * @param {Object} [opcoes] - Opções do treino em liga
+   * @param {Liga|Object} [opcoes.liga={}] - A Liga, ou a configuração para criá-la (veja `Liga`);
+   *   o ambiente e o gerador aleatório vêm do Treinador
+   * @param {number} [opcoes.intervaloLog=1000] - A cada quantas partidas exibir o placar da Liga
+   *   e registrar as métricas
+   * @param {number} [opcoes.intervaloCheckpoint=10000] - A cada quantas partidas criar um checkpoint
+   * @param {number} [opcoes.intervaloCongelamento=intervaloCheckpoint] - A cada quantas partidas
+   *   congelar uma cópia de cada aprendiz
+   * @returns {void}
+   * @throws {Error} Se a configuração da Liga for inválida
+   */
+  treinarEmLiga(numeroDePartidas = 50000, {
+    liga = {},
+    intervaloLog = 1000,
+    intervaloCheckpoint = 10000,
+    intervaloCongelamento = intervaloCheckpoint
+  } = {}) {
+    this.liga = liga instanceof Liga
+      ? liga
+      : new Liga({ ...liga, ambiente: this.ambiente, aleatorio: this.aleatorio ?? Math.random });
+
+    const janela = { vitoriasX: 0, vitoriasO: 0, empates: 0 };
+    const parametros = { numeroDePartidas, intervaloLog, intervaloCheckpoint };
+
+    const tempoInicio = Date.now();
+    this.idTreino = this.#criarIdTreino();
+    const pesos = Object.entries(this.liga.pesos).filter(([, peso]) => peso > 0);
+    try {
+      this.#iniciarTreino("🏟️ INICIANDO TREINAMENTO EM LIGA 🏟️", numeroDePartidas, 0, [
+        `Adversários: ${pesos.map(([tipo, peso]) => `${tipo} (${peso})`).join(', ')}`
+      ]);
 
-      // Salva checkpoint periódico
-      if ((partidaAtual + 1) % intervaloCheckpoint === 0) {
-        this.#salvarCheckpoint(partidaAtual + 1);
+      for (let partidaAtual = 0; partidaAtual < numeroDePartidas; partidaAtual++) {
+        const aprendizX = partidaAtual % 2 === 0;
+        const aprendiz = aprendizX ? this.agenteX : this.agenteO;
+        const { rotulo, agente: adversario } = this.liga.sortearAdversario(aprendizX ? 2 : 1);
+
+        let vencedor;
+        if (adversario === null) vencedor = this.executarUmaPartida();
+        else if (aprendizX) vencedor = this.executarUmaPartida(this.agenteX, adversario);
+        else vencedor = this.executarUmaPartida(adversario, this.agenteO);
+
+        this.liga.registrarResultado(aprendiz, rotulo, vencedor);
+        this.#contabilizarPartida(partidaAtual + 1, vencedor, janela, parametros);
+
+        if ((partidaAtual + 1) % intervaloCongelamento === 0) {
+          for (const agente of [this.agenteX, this.agenteO]) {
+            if (agente instanceof AgenteQLearning) this.liga.congelar(agente);
+          }
+        }
+        if ((partidaAtual + 1) % intervaloLog === 0) {
+          this.liga.exibirResultados(partidaAtual + 1);
+        }
       }
+
+      const tempoTotalSegundos = (Date.now() - tempoInicio) / 1000;
+      this.#finalizarTreino(tempoTotalSegundos, numeroDePartidas);
+    } finally {
+      this.#encerrarTreino();
     }
+  }
 
-    // Finaliza a barra
-    barraProgresso.stop();
+  /**
+   * Executa o treinamento em paralelo, com as partidas jogadas em vários `worker_threads`.
+   *
+   * É como dividir a guilda em vários grupos de caça em mapas diferentes: cada
+   * grupo (worker) batalha com a sua própria arena e, ao fim de cada rodada,
+   * todos voltam à base e contam ao Mestre da Guilda o que aconteceu. Só o
+   * Mestre atualiza a "Enciclopédia de Monstros" (as Tabelas Q).
+   *
+   * Funcionamento de cada rodada:
+   * 1. O Treinador envia as Tabelas Q e o estado atual da exploração (epsilons,
+   *    temperatura, contagens de visitas) para os workers
+   * 2. Cada worker joga a sua parte das partidas da rodada, sem aprender
+   * 3. O Treinador aplica os episódios de todos os workers, sempre na ordem
+   *    dos workers, como se as partidas tivessem sido jogadas em sequência
+   *
+   * Como as Tabelas Q só são sincronizadas entre rodadas, rodadas menores
+   * deixam o treino mais parecido com o sequencial, e rodadas maiores são mais rápidas.
+   *
+   * Com uma `semente`, o resultado é sempre o mesmo para a mesma combinação de
+   * semente, número de workers e tamanho de rodada.
+   *
+   * Antes de começar, uma calibração curta mede as partidas por segundo do
+   * treino sequencial nesta máquina, e o resumo final mostra a razão entre as
+   * duas velocidades. Com menos núcleos do que workers, a troca de mensagens
+   * custa mais do que o paralelismo ganha, e a razão fica abaixo de 1x.
+   *
+   * Só funciona com dois `AgenteQLearning` (o Oráculo Minimax não é copiado para os workers).
+   *
+   * @param {number} [numeroDePartidas=50000] - Quantas partidas realizar no treinamento
+   * @param {Object} [opcoes] - Opções do treino paralelo
+   * @param {number} [opcoes.numeroDeTrabalhadores] - Quantos workers usar (padrão: núcleos disponíveis)
+   * @param {number} [opcoes.partidasPorRodada=1000] - Partidas jogadas entre duas sincronizações
+   * @param {number|null} [opcoes.semente] - Semente para um treino reproduzível (padrão: a do Treinador).
+   *   Uma semente diferente da do Treinador passa a valer também para os agentes principais
+   * @param {number} [opcoes.intervaloLog=1000] - A cada quantas partidas registrar as métricas e resetar
+   *   contadores da janela (como os episódios chegam em rodadas, a velocidade de cada janela só é
+   *   confiável se ela for maior que a rodada)
+   * @param {number} [opcoes.intervaloCheckpoint=10000] - A cada quantas partidas criar um checkpoint
+   * @param {number} [opcoes.partidasDeCalibracao] - Partidas da calibração sequencial (padrão: o
+   *   total do treino, até 2.000); com 0, o resumo não mostra a comparação
+   * @returns {Promise<void>} Resolvida quando o treino termina e os workers são encerrados
+   * @throws {Error} Se algum dos agentes não for um `AgenteQLearning`
+   */
+  async treinarEmParalelo(numeroDePartidas = 50000, {
+    numeroDeTrabalhadores = os.availableParallelism(),
+    partidasPorRodada = 1000,
+    semente = this.semente,
+    intervaloLog = 1000,
+    intervaloCheckpoint = 10000,
+    partidasDeCalibracao = Math.min(numeroDePartidas, 2000)
+  } = {}) {
+    if (!(this.agenteX instanceof AgenteQLearning) || !(this.agenteO instanceof AgenteQLearning)) {
+      throw new Error("O treino paralelo só é suportado entre dois agentes Q-Learning.");
+    }
 
-    const tempoTotalSegundos = (Date.now() - tempoInicio) / 1000;
-    const tempoTotal = tempoTotalSegundos > 0 ? tempoTotalSegundos.toFixed(2) : '0.00';
-    const pps = tempoTotalSegundos > 0 ? (numeroDePartidas / tempoTotalSegundos).toFixed(2) : '—';
+    // Os agentes principais também sorteiam ao aprender (como a moeda do Double Q):
+    // uma semente nova troca o gerador deles, como no construtor
+    if (semente !== this.semente) {
+      this.semente = semente;
+      this.aleatorio = semente === null ? null : criarGeradorAleatorio(semente);
+      this.#aplicarGeradorAleatorio();
+    }
 
-    // Exibe resumo de checkpoints
-    this.#exibirResumoCheckpoints();
+    const janela = { vitoriasX: 0, vitoriasO: 0, empates: 0 };
+    const parametros = { numeroDePartidas, intervaloLog, intervaloCheckpoint };
+    const velocidadeSequencial = partidasDeCalibracao > 0 ? this.#medirVelocidadeSequencial(partidasDeCalibracao) : null;
 
-    // Informações finais do treinamento
-    console.log("\n" + "=".repeat(50));
-    console.log("✅ TREINAMENTO CONCLUÍDO!");
-    console.log("=".repeat(50));
-    console.log(`⏱️  Tempo total: ${tempoTotal}s`);
-    console.log(`📊 Partidas por segundo: ${pps}`);
-    console.log("=".repeat(50) + "\n");
+    const tempoInicio = Date.now();
+    this.idTreino = this.#criarIdTreino();
+    try {
+      this.#iniciarTreino("🧵 INICIANDO TREINAMENTO PARALELO (SELF-PLAY) 🧵", numeroDePartidas, 0, [
+        `Workers: ${numeroDeTrabalhadores} | Partidas por rodada: ${partidasPorRodada.toLocaleString('pt-BR')}`
+      ]);
+
+      const trabalhadores = Array.from({ length: numeroDeTrabalhadores }, (_, indiceTrabalhador) =>
+        new Worker(new URL('./trabalhadorSelfPlay.js', import.meta.url), {
+          workerData: {
+            configAmbiente: this.obterMetadadosDoModelo().dimensao,
+            hiperparametrosX: this.agenteX.obterCabecalho().hiperparametros,
+            hiperparametrosO: this.agenteO.obterCabecalho().hiperparametros,
+            semente,
+            indiceTrabalhador
+          }
+        })
+      );
+
+      try {
+        let partidasConcluidas = 0;
+        while (partidasConcluidas < numeroDePartidas) {
+          const tamanhoDaRodada = Math.min(partidasPorRodada, numeroDePartidas - partidasConcluidas);
+
+          // Divide a rodada entre os workers (os primeiros recebem o resto da divisão)
+          let deslocamento = 0;
+          const respostas = trabalhadores.map((trabalhador, indice) => {
+            const partidasDoTrabalhador = Math.floor(tamanhoDaRodada / numeroDeTrabalhadores) +
+              (indice < tamanhoDaRodada % numeroDeTrabalhadores ? 1 : 0);
+            const mensagem = {
+              tabelaQX: this.agenteX.tabelaQ,
+              tabelaQO: this.agenteO.tabelaQ,
+              visitasX: this.agenteX.visitas,
+              visitasO: this.agenteO.visitas,
+              epsilonX: this.agenteX.epsilon,
+              epsilonO: this.agenteO.epsilon,
+              exploracaoX: this.agenteX.exploracao.obterConfiguracao(),
+              exploracaoO: this.agenteO.exploracao.obterConfiguracao(),
+              partidasTreinadasX: this.agenteX.partidasTreinadas,
+              partidasTreinadasO: this.agenteO.partidasTreinadas,
+              numeroDePartidas: partidasDoTrabalhador,
+              deslocamento
+            };
+            deslocamento += partidasDoTrabalhador;
+            return this.#enviarParaTrabalhador(trabalhador, mensagem);
+          });
+
+          // Aplica os episódios na ordem dos workers, para o resultado ser determinístico
+          for (const { episodios } of await Promise.all(respostas)) {
+            for (const { historicoX, historicoO, vencedor } of episodios) {
+              const [recompensaX, recompensaO] = this.#calcularRecompensas(vencedor);
+              this.#aplicarEpisodio(this.agenteX, historicoX, recompensaX);
+              this.#aplicarEpisodio(this.agenteO, historicoO, recompensaO);
+
+              partidasConcluidas++;
+              this.#contabilizarPartida(partidasConcluidas, vencedor, janela, parametros);
+            }
+          }
+        }
+      } finally {
+        await Promise.all(trabalhadores.map(trabalhador => trabalhador.terminate()));
+      }
+
+      const tempoTotalSegundos = (Date.now() - tempoInicio) / 1000;
+      let detalheVelocidade = `${numeroDeTrabalhadores} workers`;
+      if (velocidadeSequencial !== null && tempoTotalSegundos > 0) {
+        const razao = numeroDePartidas / tempoTotalSegundos / velocidadeSequencial;
+        detalheVelocidade += `, ${razao.toFixed(2)}x o sequencial, que fez ${velocidadeSequencial.toFixed(2)} ` +
+          `partidas/s na calibração de ${partidasDeCalibracao.toLocaleString('pt-BR')} partidas`;
+      }
+      this.#finalizarTreino(tempoTotalSegundos, numeroDePartidas, detalheVelocidade);
+    } finally {
+      this.#encerrarTreino();
+    }
+  }
 
-    // Exibe estatísticas finais dos agentes
-    this.agenteX.imprimirEstatisticas();
-    this.agenteO.imprimirEstatisticas();
+  /**
+   * Reproduz no agente uma partida jogada por um worker, jogada a jogada,
+   * como se ela tivesse acontecido aqui (inclusive as atualizações on-policy
+   * de `registrarJogada`).
+   *
+   * @private
+   * @param {AgenteQLearning} agente - O agente que vai aprender
+   * @param {Array<Array>} historico - Jogadas `[estado, acao, acoesValidas]` do agente na partida
+   * @param {number} recompensa - Recompensa final do agente
+   * @returns {void}
+   */
+  #aplicarEpisodio(agente, historico, recompensa) {
+    agente.iniciarNovaPartida();
+    for (const [estado, acao, acoesValidas] of historico) {
+      agente.registrarJogada(estado, acao, acoesValidas);
+    }
+    agente.aprenderComFimDePartida(recompensa);
+  }
 
-    // Salva modelos finais
-    if (!this.test_treinador) this.#salvarModelosFinais();
+  /**
+   * Envia uma rodada de partidas para um worker e aguarda os episódios de volta.
+   *
+   * @private
+   * @param {Worker} trabalhador - O worker que vai jogar
+   * @param {Object} mensagem - Tabelas Q, epsilons e tamanho do lote
+   * @returns {Promise<{episodios: Array<Object>}>} Resposta do worker
+   */
+  #enviarParaTrabalhador(trabalhador, mensagem) {
+    return new Promise((resolve, reject) => {
+      const aoResponder = resposta => {
+        trabalhador.off('error', aoFalhar);
+        resolve(resposta);
+      };
+      const aoFalhar = erro => {
+        trabalhador.off('message', aoResponder);
+        reject(erro);
+      };
+      trabalhador.once('message', aoResponder);
+      trabalhador.once('error', aoFalhar);
+      trabalhador.postMessage(mensagem);
+    });
   }
 
   /**
-   * Salva o estado atual dos agentes em um checkpoint.
+   * Mede as partidas por segundo do treino sequencial nesta máquina, a
+   * referência para o ganho do treino paralelo.
    *
-   * É como fazer um "save game" no meio da jornada: preserva todo o conhecimento
-   * adquirido até o momento para que não seja perdido em caso de problemas.
+   * É como cronometrar uma caçada solo antes de levar o grupo: sem esse
+   * tempo, não há como saber se o grupo caçou mais rápido ou só fez mais barulho.
    *
-   * Registra metadados (número da partida, timestamp, caminhos dos arquivos) em
-   * `this.#checkpoints` para posterior exibição de resumo.
+   * As partidas são jogadas por cópias novas dos agentes (com os mesmos
+   * hiperparâmetros e o mesmo modo de treino) em um ambiente novo, sorteando
+   * com `Math.random`: as Tabelas Q e o gerador semeado do treino não mudam.
    *
    * @private
-   * @param {number} numeroPartida - Número da partida atual (identificador do checkpoint)
-   * @returns {void}
+   * @param {number} partidas - Quantas partidas jogar na calibração
+   * @returns {number} Partidas por segundo do treino sequencial
    */
-  #salvarCheckpoint(numeroPartida) {
-    const caminhoX = path.join(
-      this.pastaModelos,
-      `agente_x_checkpoint_${numeroPartida}.json`
-    );
-    const caminhoO = path.join(
-      this.pastaModelos,
-      `agente_o_checkpoint_${numeroPartida}.json`
+  #medirVelocidadeSequencial(partidas) {
+    const calibrador = new Treinador(
+      new AgenteQLearning({ ...this.agenteX.obterCabecalho().hiperparametros, jogador: 1 }),
+      new AgenteQLearning({ ...this.agenteO.obterCabecalho().hiperparametros, jogador: 2 }),
+      criarAmbiente(this.obterMetadadosDoModelo().dimensao),
+      { modoDeTreino: this.modoDeTreino }
     );
 
-    try {
-      fs.writeFileSync(caminhoX, JSON.stringify(this.agenteX.tabelaQ, null, 2));
-      fs.writeFileSync(caminhoO, JSON.stringify(this.agenteO.tabelaQ, null, 2));
-
-      // Registra metadados do checkpoint
-      this.#checkpoints.push({
-        numeroPartida,
-        timestamp: Date.now(),
-        pasta: this.pastaModelos,
-        sucesso: true
-      });
-    } catch (err) {
-      // Registra falha
-      this.#checkpoints.push({
-        numeroPartida,
-        timestamp: Date.now(),
-        erro: err.message,
-        sucesso: false
-      });
+    const inicio = performance.now();
+    for (let partida = 0; partida < partidas; partida++) {
+      calibrador.executarUmaPartida();
     }
+    return partidas / (Math.max(performance.now() - inicio, 1) / 1000);
   }
 
   /**
-   * Exibe um resumo limpo e organizado dos checkpoints salvos durante o treinamento.
+   * Prepara um treino (métricas) e anuncia o seu início ('inicioTreino').
    *
-   * É como mostrar o "log de expedições" no Ragnarok: lista todas as vezes que
-   * o progresso foi salvo, com data, hora e número da partida.
+   * @private
+   * @param {string} titulo - Título do modo de treino
+   * @param {number} numeroDePartidas - Total de partidas do treino
+   * @param {number} partidaInicial - Partidas já concluídas (maior que 0 ao retomar)
+   * @param {Array<string>} detalhes - Informações extras do modo de treino
+   * @returns {void}
+   */
+  #iniciarTreino(titulo, numeroDePartidas, partidaInicial, detalhes) {
+    this.#iniciarRegistroDeMetricas(partidaInicial);
+    this.emit('inicioTreino', { treinador: this, titulo, numeroDePartidas, partidaInicial, detalhes });
+  }
+
+  /**
+   * Registra o resultado de uma partida na janela de estatísticas e anuncia
+   * os eventos: 'fimPartida' sempre, 'intervaloLog' (com as métricas da janela)
+   * e 'checkpoint' nos seus intervalos.
    *
    * @private
+   * @param {number} numeroPartida - Número da partida que acabou de terminar (começando em 1)
+   * @param {number} vencedor - O jogador vencedor (1, 2 ou 0 para empate)
+   * @param {{vitoriasX: number, vitoriasO: number, empates: number}} janela - Contadores da janela (atualizados aqui)
+   * @param {{numeroDePartidas: number, intervaloLog: number, intervaloCheckpoint: number}} parametros - Parâmetros do loop
    * @returns {void}
    */
-  #exibirResumoCheckpoints() {
-    if (!this.#checkpoints || this.#checkpoints.length === 0) {
-      console.log('\n⚠️  Nenhum checkpoint foi salvo.\n');
-      return;
+  #contabilizarPartida(numeroPartida, vencedor, janela, parametros) {
+    if (vencedor === 1) janela.vitoriasX++;
+    else if (vencedor === 2) janela.vitoriasO++;
+    else janela.empates++;
+
+    this.emit('fimPartida', { treinador: this, numeroPartida, numeroDePartidas: parametros.numeroDePartidas, vencedor, janela });
+
+    // Registro das métricas e reset dos contadores da janela
+    if (numeroPartida % parametros.intervaloLog === 0) {
+      const metricas = this.#registrarMetricas(numeroPartida, janela);
+      this.emit('intervaloLog', { treinador: this, numeroPartida, metricas });
+      janela.vitoriasX = 0;
+      janela.vitoriasO = 0;
+      janela.empates = 0;
+    }
+
+    if (numeroPartida % parametros.intervaloCheckpoint === 0) {
+      // O estado do gerador permite que o treino retomado sorteie exatamente o que o ininterrupto sortearia
+      const progresso = { ...parametros, janela: { ...janela }, estadoDoAleatorio: this.aleatorio?.obterEstado() ?? null };
+      this.emit('checkpoint', { treinador: this, numeroPartida, progresso });
     }
+  }
+
+  /**
+   * Prepara o registro de métricas de um treino: zera os registros em memória
+   * e começa a primeira janela. O arquivo de métricas fica com o ouvinte
+   * `criarOuvinteDeMetricas` (ouvintesDoTreino.js).
+   *
+   * @private
+   * @param {number} partidaInicial - Partidas já concluídas (maior que 0 ao retomar)
+   * @returns {void}
+   */
+  #iniciarRegistroDeMetricas(partidaInicial) {
+    this.metricas = [];
+    this.#inicioDaJanela = { partida: partidaInicial, tempo: Date.now() };
+    // Descarta as variações de Q de antes do treino
+    for (const agente of [this.agenteX, this.agenteO]) {
+      if (agente instanceof AgenteQLearning) agente.coletarVariacaoMediaQ();
+    }
+  }
+
+  /**
+   * Registra em memória as métricas da janela que acabou de terminar.
+   *
+   * @private
+   * @param {number} numeroPartida - Partida em que a janela terminou
+   * @param {{vitoriasX: number, vitoriasO: number, empates: number}} janela - Contadores da janela
+   * @returns {Object} O registro da janela
+   */
+  #registrarMetricas(numeroPartida, janela) {
+    const agora = Date.now();
+    const totalJanela = janela.vitoriasX + janela.vitoriasO + janela.empates || 1;
+    const segundos = (agora - this.#inicioDaJanela.tempo) / 1000;
+    const contarEstados = agente => agente instanceof AgenteQLearning ? Object.keys(agente.tabelaQ).length : null;
+    const coletarVariacao = agente => agente instanceof AgenteQLearning ? agente.coletarVariacaoMediaQ() : null;
 
-    const checkpointsSucesso = this.#checkpoints.filter(cp => cp.sucesso);
+    const registro = {
+      partida: numeroPartida,
+      taxaVitoriasX: janela.vitoriasX / totalJanela,
+      taxaVitoriasO: janela.vitoriasO / totalJanela,
+      taxaEmpates: janela.empates / totalJanela,
+      epsilonX: this.agenteX.epsilon,
+      epsilonO: this.agenteO.epsilon,
+      estadosX: contarEstados(this.agenteX),
+      estadosO: contarEstados(this.agenteO),
+      variacaoMediaQX: coletarVariacao(this.agenteX),
+      variacaoMediaQO: coletarVariacao(this.agenteO),
+      partidasPorSegundo: segundos > 0 ? (numeroPartida - this.#inicioDaJanela.partida) / segundos : null
+    };
+    this.#inicioDaJanela = { partida: numeroPartida, tempo: agora };
+    this.metricas.push(registro);
+    return registro;
+  }
 
-    console.log('\n' + '━'.repeat(80));
-    console.log('💾 CHECKPOINTS SALVOS');
-    console.log('━'.repeat(80) + '\n');
+  /**
+   * Anuncia o fim do treino ('fimTreino'): é quando os ouvintes exibem os
+   * resumos e salvam os modelos finais.
+   *
+   * @private
+   * @param {number} tempoTotalSegundos - Duração do treino
+   * @param {number} partidasJogadas - Partidas jogadas nesta execução
+   * @param {string} [detalheVelocidade] - Informação extra para a linha de partidas por segundo
+   * @returns {void}
+   */
+  #finalizarTreino(tempoTotalSegundos, partidasJogadas, detalheVelocidade) {
+    this.emit('fimTreino', { treinador: this, tempoTotalSegundos, partidasJogadas, detalheVelocidade });
+  }
 
-    if (checkpointsSucesso.length > 0) {
-      console.log(`✅ ${checkpointsSucesso.length} checkpoint(s) criado(s) com sucesso\n`);
-      console.log(`📁 Pasta: ${checkpointsSucesso[0].pasta}\n`);
+  /**
+   * Anuncia que o treino terminou, com sucesso ou não ('encerramentoTreino').
+   *
+   * Chamado no `finally` de cada loop de treino: mesmo quando uma partida ou
+   * um worker lança um erro, a barra de progresso é parada e o cursor volta
+   * ao terminal.
+   *
+   * @private
+   * @returns {void}
+   */
+  #encerrarTreino() {
+    this.emit('encerramentoTreino', { treinador: this });
+  }
 
-      checkpointsSucesso.forEach(cp => {
-        const data = new Date(cp.timestamp);
-        const dataFormatada = data.toLocaleDateString('pt-BR', {
-          day: '2-digit',
-          month: '2-digit',
-          year: 'numeric'
-        });
-        const horaFormatada = data.toLocaleTimeString('pt-BR', {
-          hour: '2-digit',
-          minute: '2-digit'
-        });
+  /**
+   * Lista os números de partida dos checkpoints disponíveis na pasta de modelos.
+   *
+   * Considera tanto os checkpoints completos (`treino_checkpoint_N.json`) quanto
+   * os antigos, que só têm os modelos dos agentes (`agente_x_checkpoint_N.json`).
+   *
+   * @returns {Array<number>} Números de partida em ordem crescente
+   */
+  listarCheckpoints() {
+    if (!fs.existsSync(this.pastaModelos)) return [];
 
-        const partidaFormatada = cp.numeroPartida.toLocaleString('pt-BR');
-        console.log(`  🎯 Partida ${partidaFormatada} — ${dataFormatada} às ${horaFormatada}`);
-      });
+    const numeros = new Set();
+    for (const arquivo of fs.readdirSync(this.pastaModelos)) {
+      const encontrado = arquivo.match(/^(?:treino|agente_x|agente_o)_checkpoint_(\d+)\.json$/);
+      if (encontrado) numeros.add(parseInt(encontrado[1]));
+    }
+    return [...numeros].sort((a, b) => a - b);
+  }
+
+  /**
+   * Prepara o Treinador para continuar um treino interrompido a partir de um checkpoint.
+   *
+   * É como carregar o "save point" depois que o cliente do Ragnarok fechou no meio
+   * de uma War of Emperium: os dois agentes voltam com as mesmas Tabelas Q, a mesma
+   * curiosidade (epsilon) e o mesmo placar, e o treino continua de onde parou,
+   * numerando os próximos checkpoints a partir dali.
+   *
+   * Checkpoints antigos (sem `treino_checkpoint_N.json`) também podem ser retomados:
+   * as Tabelas Q são carregadas, o epsilon é recalculado a partir do número de
+   * partidas (o decaimento é aplicado uma vez por partida) e a janela começa zerada.
+   * Como eles não guardam o total de partidas do treino, `numeroDePartidas` é obrigatório.
+   *
+   * Agentes que não são Q-Learning (como o Oráculo Minimax) são mantidos como estão.
+   * O modo de treino gravado no checkpoint é restaurado (os antigos eram Monte Carlo).
+   * Em um treino com semente, o gerador volta ao estado salvo no checkpoint, e o
+   * treino retomado termina igual ao que nunca foi interrompido.
+   *
+   * @param {number} [numeroPartida] - Checkpoint a retomar (padrão: o mais recente)
+   * @param {number} [numeroDePartidas] - Total de partidas do treino (padrão: o mesmo do treino original;
+   *   obrigatório nos checkpoints antigos)
+   * @returns {void}
+   * @throws {Error} Se não houver checkpoint disponível, os arquivos estiverem faltando, ou se o
+   *   total de partidas for desconhecido ou já tiver sido alcançado
+   */
+  retomarTreinamento(numeroPartida, numeroDePartidas) {
+    const disponiveis = this.listarCheckpoints();
+    if (numeroPartida === undefined) {
+      numeroPartida = disponiveis[disponiveis.length - 1];
+    }
+    if (numeroPartida === undefined) {
+      throw new Error(`Nenhum checkpoint encontrado em ${this.pastaModelos}.`);
+    }
+    if (!disponiveis.includes(numeroPartida)) {
+      throw new Error(`Checkpoint da partida ${numeroPartida} não encontrado em ${this.pastaModelos}.`);
+    }
+
+    const caminhoEstado = path.join(this.pastaModelos, `treino_checkpoint_${numeroPartida}.json`);
+    const estadoDoTreino = fs.existsSync(caminhoEstado)
+      ? JSON.parse(fs.readFileSync(caminhoEstado, 'utf-8'))
+      : null;
+
+    numeroDePartidas ??= estadoDoTreino?.numeroDePartidas;
+    if (numeroDePartidas === undefined) {
+      throw new Error(
+        `O checkpoint da partida ${numeroPartida} está no formato antigo e não guarda o total de partidas do treino. ` +
+        "Informe o total (na linha de comando: --retomar N --partidas TOTAL)."
+      );
+    }
+    if (numeroDePartidas <= numeroPartida) {
+      throw new Error(`O treino já chegou a ${numeroPartida} partidas (total pedido: ${numeroDePartidas}): informe um total maior.`);
+    }
+
+    console.log("\n" + "=".repeat(50));
+    console.log(`♻️  RETOMANDO TREINO DO CHECKPOINT DA PARTIDA ${numeroPartida.toLocaleString('pt-BR')}`);
+    console.log("=".repeat(50));
+    if (!estadoDoTreino) {
+      console.log("⚠️  Checkpoint no formato antigo: o epsilon será recalculado e a janela começará zerada.");
     }
 
-    // Exibe erros se houver
-    const checkpointsErro = this.#checkpoints.filter(cp => !cp.sucesso);
-    if (checkpointsErro.length > 0) {
-      console.log(`\n❌ ${checkpointsErro.length} checkpoint(s) com erro:\n`);
-      checkpointsErro.forEach(cp => {
-        const partidaFormatada = cp.numeroPartida.toLocaleString('pt-BR');
-        console.log(`  ⚠️  Partida ${partidaFormatada} — ${cp.erro}`);
-      });
+    this.agenteX = this.#carregarAgenteDoCheckpoint(this.agenteX, 'x', numeroPartida, estadoDoTreino);
+    this.agenteO = this.#carregarAgenteDoCheckpoint(this.agenteO, 'o', numeroPartida, estadoDoTreino);
+    if (estadoDoTreino?.estadoDoAleatorio != null) {
+      // Continua a sequência da semente original do ponto em que ela parou
+      this.semente = estadoDoTreino.semente;
+      this.aleatorio = criarGeradorAleatorio(this.semente);
+      this.aleatorio.definirEstado(estadoDoTreino.estadoDoAleatorio);
     }
+    this.#aplicarGeradorAleatorio();
+    this.modoDeTreino = estadoDoTreino?.modoDeTreino ?? 'monte-carlo';
+    this.#aplicarModoDeTreino();
+
+    this.#pontoDeRetomada = {
+      partidasConcluidas: numeroPartida,
+      idTreino: estadoDoTreino?.idTreino ?? null,
+      janela: estadoDoTreino?.janela ?? { vitoriasX: 0, vitoriasO: 0, empates: 0 }
+    };
 
-    console.log('\n' + '━'.repeat(80) + '\n');
+    this.treinar(
+      numeroDePartidas,
+      estadoDoTreino?.intervaloLog,
+      estadoDoTreino?.intervaloCheckpoint
+    );
   }
 
   /**
-   * Salva os modelos finais após o término do treinamento.
-   * 
-   * É como fazer o "save game final" no Ragnarok: todo o conhecimento e
-   * experiência acumulados durante o treinamento são preservados permanentemente.
-   * 
+   * Restaura um agente a partir do seu arquivo de checkpoint.
+   *
    * @private
-   * @returns {void}
-   * @throws {Error} Se houver problema ao salvar os arquivos
+   * @param {AgenteQLearning|AgenteMinimax} agenteAtual - O agente configurado no Treinador
+   * @param {string} sufixo - 'x' ou 'o', como nos nomes dos arquivos
+   * @param {number} numeroPartida - Número da partida do checkpoint
+   * @param {Object|null} estadoDoTreino - Conteúdo de `treino_checkpoint_N.json` (null nos antigos)
+   * @returns {AgenteQLearning|AgenteMinimax} O agente restaurado (ou o atual, se não for Q-Learning)
+   * @throws {Error} Se o arquivo do agente não existir
    */
-  #salvarModelosFinais() {
-    const caminhoX = path.join(
-      this.pastaModelos,
-      `agente_x_final_${this.ambiente.dimensao}x${this.ambiente.dimensao}.json`
-    );
-    const caminhoO = path.join(
-      this.pastaModelos,
-      `agente_o_final_${this.ambiente.dimensao}x${this.ambiente.dimensao}.json`
-    );
+  #carregarAgenteDoCheckpoint(agenteAtual, sufixo, numeroPartida, estadoDoTreino) {
+    if (!(agenteAtual instanceof AgenteQLearning)) return agenteAtual;
 
-    try {
-      this.agenteX.salvarMemoria(caminhoX);
-      this.agenteO.salvarMemoria(caminhoO);
-    } catch (err) {
-      console.error(`❌ Erro ao salvar modelos finais: ${err.message}`);
-      throw err;
+    const caminho = path.join(this.pastaModelos, `agente_${sufixo}_checkpoint_${numeroPartida}.json`);
+    if (!fs.existsSync(caminho)) {
+      throw new Error(`Arquivo do checkpoint não encontrado: ${caminho}`);
+    }
+
+    if (estadoDoTreino) {
+      // O cabeçalho do modelo já guarda epsilon, hiperparâmetros e estatísticas
+      return AgenteQLearning.carregar(caminho);
     }
+
+    // Formato antigo: usa os hiperparâmetros do agente atual e reconstrói o epsilon
+    const {
+      jogador, alpha, gamma, epsilon, epsilonMinimo, taxaDecaimentoEpsilon, usarSimetrias, regraDeAtualizacao, usarDuploQ, n, lambda,
+      cronogramaEpsilon, cronogramaAlpha
+    } = agenteAtual;
+    const agente = AgenteQLearning.carregar(caminho, {
+      jogador,
+      alpha,
+      gamma,
+      epsilon: cronogramaEpsilon
+        ? cronogramaEpsilon.consultar(numeroPartida)
+        : Math.max(epsilonMinimo, epsilon * Math.pow(taxaDecaimentoEpsilon, numeroPartida)),
+      epsilonMinimo,
+      taxaDecaimentoEpsilon,
+      usarSimetrias,
+      regraDeAtualizacao,
+      usarDuploQ,
+      n,
+      lambda,
+      cronogramaEpsilon,
+      cronogramaAlpha
+    });
+    agente.partidasTreinadas = numeroPartida;
+    return agente;
+  }
+
+  /**
+   * Informações do treino gravadas no cabeçalho de cada modelo salvo.
+   *
+   * @returns {{idTreino: string|null, semente: number|null, dimensao: Object}} Execução de treino, semente e tabuleiro
+   *   usado (linhas, colunas, sequência para vencer e se tem gravidade)
+   */
+  obterMetadadosDoModelo() {
+    return {
+      idTreino: this.idTreino,
+      semente: this.semente,
+      dimensao: {
+        linhas: this.ambiente.linhas,
+        colunas: this.ambiente.colunas,
+        sequenciaParaVencer: this.ambiente.sequenciaParaVencer,
+        comGravidade: this.ambiente instanceof AmbienteComGravidade
+      }
+    };
   }
 
   /**
@@ -355,38 +1039,74 @@ export class Treinador {
    * 
    * Se os agentes não estiverem treinados, tenta carregar modelos salvos do disco.
    * 
-   * @param {number} [numeroDePartidas=100000] - Quantidade de partidas para avaliar
-   * @returns {void}
+   * Como dois bons agentes só empatam entre si, cada modelo também enfrenta os
+   * adversários de referência (aleatório, heurístico e o Minimax perfeito),
+   * com a sua cor e as duas ordens de início (veja `#avaliarContraReferencias`).
+   * 
+   * @param {number} [numeroDePartidas=100000] - Quantidade de partidas entre os dois agentes
+   * @param {Object} [opcoes] - Opções da avaliação
+   * @param {number} [opcoes.partidasContraReferencias=1000] - Partidas de cada série contra os
+   *   adversários de referência (0 para não jogar)
+   * @returns {{confronto: {vitoriasX: number, vitoriasO: number, empates: number}, contraReferencias: Array<Object>}}
+   *   O placar entre os agentes e o resultado de cada série contra as referências
    */
-  avaliarAgentes(numeroDePartidas = 100000) {
+  avaliarAgentes(numeroDePartidas = 100000, { partidasContraReferencias = 1000 } = {}) {
     console.log("\n" + "=".repeat(50));
     console.log("🏆 INICIANDO MODO DE AVALIAÇÃO (SEM EXPLORAÇÃO) 🏆");
     console.log("=".repeat(50));
 
     // --- LÓGICA DE CARREGAMENTO AUTOMÁTICO ---
-    if (Object.keys(this.agenteX.tabelaQ).length === 0) {
+    if (this.agenteX instanceof AgenteQLearning && Object.keys(this.agenteX.tabelaQ).length === 0) {
       console.log("Agente X não treinado. Tentando carregar modelo do disco...");
       const caminhoX = path.join(
         this.pastaModelos,
-        `superagente_final_${this.ambiente.dimensao}x${this.ambiente.dimensao}.json`
+        `superagente_final_${this.ambiente.linhas}x${this.ambiente.colunas}.json`
       );
       this.agenteX = AgenteQLearning.carregar(caminhoX, { jogador: 1 });
     }
 
-    if (Object.keys(this.agenteO.tabelaQ).length === 0) {
+    if (this.agenteO instanceof AgenteQLearning && Object.keys(this.agenteO.tabelaQ).length === 0) {
       console.log("Agente O não treinado. Tentando carregar modelo do disco...");
       const caminhoO = path.join(
         this.pastaModelos,
-        `agente_o_final_${this.ambiente.dimensao}x${this.ambiente.dimensao}.json`
+        `agente_o_final_${this.ambiente.linhas}x${this.ambiente.colunas}.json`
       );
       this.agenteO = AgenteQLearning.carregar(caminhoO, { jogador: 2 });
     }
 
-    let vitoriasX = 0;
-    let vitoriasO = 0;
-    let empates = 0;
+    const barraProgresso = this.#iniciarBarraDeAvaliacao(numeroDePartidas);
+
+    const { vitoriasX, vitoriasO, empates } = disputarPartidas(
+      this.agenteX,
+      this.agenteO,
+      this.ambiente,
+      numeroDePartidas,
+      (vencedor, numeroPartida) => barraProgresso.update(numeroPartida)
+    );
+
+    barraProgresso.stop();
 
-    // Cria barra de progresso para avaliação
+    console.log("\n--- RESULTADO FINAL DA AVALIAÇÃO ---");
+    console.log(`Partidas Jogadas: ${numeroDePartidas.toLocaleString('pt-BR')}`);
+    console.log(`Vitórias de X: ${vitoriasX.toLocaleString('pt-BR')} (${((vitoriasX / numeroDePartidas) * 100).toFixed(1)}%)`);
+    console.log(`Vitórias de O: ${vitoriasO.toLocaleString('pt-BR')} (${((vitoriasO / numeroDePartidas) * 100).toFixed(1)}%)`);
+    console.log(`Empates: ${empates.toLocaleString('pt-BR')} (${((empates / numeroDePartidas) * 100).toFixed(1)}%)`);
+    console.log("=".repeat(50) + "\n");
+
+    return {
+      confronto: { vitoriasX, vitoriasO, empates },
+      contraReferencias: this.#avaliarContraReferencias(partidasContraReferencias)
+    };
+  }
+
+  /**
+   * Cria e inicia a barra de progresso de uma avaliação.
+   *
+   * @private
+   * @param {number} numeroDePartidas - Total de partidas da avaliação
+   * @returns {cliProgress.SingleBar} A barra iniciada
+   */
+  #iniciarBarraDeAvaliacao(numeroDePartidas) {
     const barraProgresso = new cliProgress.SingleBar({
       format: colors.cyan('{bar}') + ' | {percentage}% | {value}/{total} | ETA: {eta}s',
       barCompleteChar: '\u2588',
@@ -395,52 +1115,126 @@ export class Treinador {
     });
 
     barraProgresso.start(numeroDePartidas, 0);
+    return barraProgresso;
+  }
 
-    for (let i = 0; i < numeroDePartidas; i++) {
-      this.ambiente.reiniciarPartida();
+  /**
+   * Coloca cada modelo (sem explorar) contra os adversários de referência.
+   *
+   * É como testar um personagem novo contra os monstros de sempre antes de
+   * levá-lo para a WoE: se perde para um Poring, tem algo errado, não
+   * importa quantos empates ele tenha com o colega de guilda.
+   *
+   * Cada série combina um modelo, um adversário e quem começa, e informa a
+   * taxa de derrotas com o intervalo de confiança de 95%. O modelo joga só
+   * com a cor em que treinou (`jogador`): a Tabela Q de X só conhece as
+   * posições em que é a vez de X, e com a outra cor ele jogaria às cegas.
+   * O Minimax só joga em tabuleiros de até 9 casas (além disso, fica lento demais).
+   *
+   * @private
+   * @param {number} partidasPorSerie - Partidas de cada série
+   * @returns {Array<{modelo: string, adversario: string, cor: string, comeca: string, partidas: number,
+   *   vitorias: number, empates: number, derrotas: number, taxaDerrotas: number,
+   *   intervaloDerrotas: [number, number]}>} O resultado de cada série
+   */
+  #avaliarContraReferencias(partidasPorSerie) {
+    const modelos = [this.agenteX, this.agenteO].filter(agente => agente instanceof AgenteQLearning);
+    if (partidasPorSerie <= 0 || modelos.length === 0) return [];
 
-      while (!this.ambiente.partidaFinalizada) {
-        const agenteDaVez = this.ambiente.jogadorAtual === 1 ? this.agenteX : this.agenteO;
-        const estado = this.ambiente.obterEstadoComoTupla();
-        const acoes = this.ambiente.obterAcoesValidas();
-        const acao = agenteDaVez.escolherAcao(estado, acoes, false); // em_treinamento = false
-        this.ambiente.executarJogada(acao);
-      }
+    const referencias = ADVERSARIOS_DE_REFERENCIA.filter(tipo => tipo !== 'minimax' || this.ambiente.numeroDeCasas <= 9);
+    const aleatorio = this.aleatorio ?? Math.random;
+    let oraculo = null;
+    const criarAdversario = (tipo, jogador) => {
+      if (tipo === 'aleatorio') return new AgenteAleatorio({ jogador, aleatorio });
+      if (tipo === 'heuristico') return new AgenteHeuristico({ jogador, ambiente: this.ambiente, aleatorio });
+      oraculo ??= new OraculoMinimax(this.ambiente);
+      return new AgenteMinimax({ jogador, oraculo, aleatorio });
+    };
 
-      if (this.ambiente.vencedor === 1) vitoriasX++;
-      else if (this.ambiente.vencedor === 2) vitoriasO++;
-      else empates++;
+    const series = modelos.flatMap(modelo => referencias.flatMap(tipo =>
+      ['modelo', 'adversario'].map(comeca => ({ modelo, tipo, cor: modelo.jogador, comeca }))
+    ));
 
-      barraProgresso.update(i + 1);
-    }
+    console.log("\n" + "=".repeat(50));
+    console.log("🎯 AVALIAÇÃO CONTRA ADVERSÁRIOS DE REFERÊNCIA 🎯");
+    console.log("=".repeat(50));
+    console.log(`Adversários: ${referencias.join(', ')} | Partidas por série: ${partidasPorSerie.toLocaleString('pt-BR')}`);
+
+    const barraProgresso = this.#iniciarBarraDeAvaliacao(series.length * partidasPorSerie);
+    let partidasConcluidas = 0;
+
+    const resultados = series.map(({ modelo, tipo, cor, comeca }) => {
+      const corAdversario = cor === 1 ? 2 : 1;
+      const adversario = criarAdversario(tipo, corAdversario);
+      const placar = disputarPartidas(
+        cor === 1 ? modelo : adversario,
+        cor === 1 ? adversario : modelo,
+        this.ambiente,
+        partidasPorSerie,
+        (vencedor, numeroPartida) => barraProgresso.update(partidasConcluidas + numeroPartida),
+        comeca === 'modelo' ? cor : corAdversario
+      );
+      partidasConcluidas += partidasPorSerie;
+
+      const vitorias = cor === 1 ? placar.vitoriasX : placar.vitoriasO;
+      const derrotas = cor === 1 ? placar.vitoriasO : placar.vitoriasX;
+      return {
+        modelo: `Agente ${modelo.simbolo}`,
+        adversario: tipo,
+        cor: cor === 1 ? 'X' : 'O',
+        comeca,
+        partidas: partidasPorSerie,
+        vitorias,
+        empates: placar.empates,
+        derrotas,
+        taxaDerrotas: derrotas / partidasPorSerie,
+        intervaloDerrotas: calcularIntervaloDeConfianca(derrotas, partidasPorSerie)
+      };
+    });
 
     barraProgresso.stop();
 
-    console.log("\n--- RESULTADO FINAL DA AVALIAÇÃO ---");
-    console.log(`Partidas Jogadas: ${numeroDePartidas.toLocaleString('pt-BR')}`);
-    console.log(`Vitórias de X: ${vitoriasX.toLocaleString('pt-BR')} (${((vitoriasX / numeroDePartidas) * 100).toFixed(1)}%)`);
-    console.log(`Vitórias de O: ${vitoriasO.toLocaleString('pt-BR')} (${((vitoriasO / numeroDePartidas) * 100).toFixed(1)}%)`);
-    console.log(`Empates: ${empates.toLocaleString('pt-BR')} (${((empates / numeroDePartidas) * 100).toFixed(1)}%)`);
+    const formatarTaxa = taxa => `${(taxa * 100).toFixed(1)}%`;
+    console.table(resultados.map(resultado => ({
+      'Modelo': resultado.modelo,
+      'Adversário': resultado.adversario,
+      'Cor': resultado.cor,
+      'Começa': resultado.comeca === 'modelo' ? 'modelo' : 'adversário',
+      'Vitórias': formatarTaxa(resultado.vitorias / resultado.partidas),
+      'Empates': formatarTaxa(resultado.empates / resultado.partidas),
+      'Derrotas': formatarTaxa(resultado.taxaDerrotas),
+      'Derrotas (IC 95%)': resultado.intervaloDerrotas.map(formatarTaxa).join(' – ')
+    })));
     console.log("=".repeat(50) + "\n");
+
+    return resultados;
   }
 
   /**
-   * Executa o script mesclar_modelos.js para criar o superagente.
+   * Mescla os modelos finais do X e do O para criar o superagente.
    *
    * É como fazer uma "fusão de personagens" no Ragnarok: combina o conhecimento
    * dos dois agentes (X e O) em um único superagente com o melhor de ambos.
    *
+   * @param {string} [estrategia='maximo'] - Uma das `ESTRATEGIAS_DE_MESCLAGEM` de mesclarModelos.js
    * @returns {void}
    */
-  mesclarAgentesTrainados() {
+  mesclarAgentesTrainados(estrategia = 'maximo') {
     console.log("\n" + "=".repeat(50));
     console.log("🔄 EXECUTANDO MESCLAGEM DOS MODELOS...");
     console.log("=".repeat(50) + "\n");
 
+    const dimensao = `${this.ambiente.linhas}x${this.ambiente.colunas}`;
     try {
-      // Executa o script Node.js
-      execSync('node mesclarModelos.js', { stdio: 'inherit' });
-      console.log("\n✅ Mesclagem concluída com sucesso!");
+      const resumo = mesclarModelos(
+        [
+          path.join(this.pastaModelos, `agente_x_final_${dimensao}.json`),
+          path.join(this.pastaModelos, `agente_o_final_${dimensao}.json`)
+        ],
+        path.join(this.pastaModelos, `superagente_final_${dimensao}.json`),
+        { estrategia }
+      );
+      if (resumo) console.log("\n✅ Mesclagem concluída com sucesso!");
     } catch (err) {
       console.error(`\n❌ Erro ao executar mesclagem: ${err.message}`);
     }
@@ -452,17 +1246,98 @@ export class Treinador {
 if (import.meta.url === `file://${process.argv[1]}`) {
   // Opção 1: Treinamento Padrão (3x3, 200.000 partidas)
   const ambientePadrao = new AmbienteJogoDaVelha(3);
-  const agenteXPadrao = new AgenteQLearning({ jogador: 1 });
-  const agenteOPadrao = new AgenteQLearning({ jogador: 2 });
 
-  const treinadorPadrao = new Treinador(agenteXPadrao, agenteOPadrao, ambientePadrao);
-  treinadorPadrao.treinar(400000, 5000, 100000);
+  // Use `--regra sarsa` ou `--regra sarsa-esperado` para trocar a regra de atualização
+  const indiceRegra = process.argv.indexOf('--regra');
+  const regraDeAtualizacao = indiceRegra !== -1 ? process.argv[indiceRegra + 1] : undefined;
+
+  // Use `--duplo` para aprender com duas tabelas (Double Q-Learning); exige `--td` (ou uma regra on-policy, `--n`)
+  const usarDuploQ = process.argv.includes('--duplo');
+
+  // Use `--n N` (n-step) ou `--lambda L` (Watkins Q(λ)) para levar o crédito mais longe
+  const indiceN = process.argv.indexOf('--n');
+  const indiceLambda = process.argv.indexOf('--lambda');
+  const n = indiceN !== -1 ? parseInt(process.argv[indiceN + 1]) : undefined;
+  const lambda = indiceLambda !== -1 ? parseFloat(process.argv[indiceLambda + 1]) : undefined;
+
+  // Use `--exploracao boltzmann|ucb1|otimista` para trocar a estratégia de exploração
+  const indiceExploracao = process.argv.indexOf('--exploracao');
+  const exploracao = indiceExploracao !== -1 ? process.argv[indiceExploracao + 1] : undefined;
+
+  // Use `--cronograma-epsilon` e `--cronograma-alpha` com um tipo (`linear`, `cosseno`, `inverso-visitas`...)
+  // ou com a configuração em JSON (`'{"tipo":"linear","inicial":0.5,"final":0.05,"duracao":300000}'`)
+  const lerCronograma = opcao => {
+    const indice = process.argv.indexOf(opcao);
+    if (indice === -1) return undefined;
+    const valor = process.argv[indice + 1];
+    return valor.startsWith('{') ? JSON.parse(valor) : valor;
+  };
+  const cronogramaEpsilon = lerCronograma('--cronograma-epsilon');
+  const cronogramaAlpha = lerCronograma('--cronograma-alpha');
+
+  const configuracaoAgentes = { regraDeAtualizacao, usarDuploQ, n, lambda, exploracao, cronogramaEpsilon, cronogramaAlpha };
+  const agenteXPadrao = new AgenteQLearning({ ...configuracaoAgentes, jogador: 1 });
+  const agenteOPadrao = new AgenteQLearning({ ...configuracaoAgentes, jogador: 2 });
+
+  // Use `--semente N` para um treino reproduzível
+  const indiceSemente = process.argv.indexOf('--semente');
+  const semente = indiceSemente !== -1 ? parseInt(process.argv[indiceSemente + 1]) : NaN;
+
+  // Use `--td` para aprender a cada jogada em vez de no fim da partida
+  const modoDeTreino = process.argv.includes('--td') ? 'td' : 'monte-carlo';
+
+  const treinadorPadrao = new Treinador(agenteXPadrao, agenteOPadrao, ambientePadrao, {
+    semente: Number.isNaN(semente) ? null : semente,
+    modoDeTreino
+  });
+
+  // Use `--metricas csv` para gravar as métricas de cada janela em CSV (ou `--metricas nenhuma`)
+  const indiceMetricas = process.argv.indexOf('--metricas');
+  if (indiceMetricas !== -1) {
+    const formato = process.argv[indiceMetricas + 1];
+    treinadorPadrao.desconectar(treinadorPadrao.ouvintesPadrao.metricas);
+    if (formato !== 'nenhuma') {
+      treinadorPadrao.ouvintesPadrao.metricas = treinadorPadrao.conectar(criarOuvinteDeMetricas(formato));
+    }
+  }
+
+  // Use `node treinador.js --retomar [partida] [--partidas total]` para continuar um treino interrompido
+  // ou `node treinador.js --paralelo [workers]` para treinar com vários worker_threads
+  // ou `node treinador.js --liga ['{"minimax":0.5,"congelado":0.5}'] [--liga-congelados a.json,b.json]`
+  // para treinar contra os adversários da Liga
+  const indiceRetomar = process.argv.indexOf('--retomar');
+  const indiceLiga = process.argv.indexOf('--liga');
+  const indiceParalelo = process.argv.indexOf('--paralelo');
+  if (indiceRetomar !== -1) {
+    const partidaCheckpoint = parseInt(process.argv[indiceRetomar + 1]);
+    const indicePartidas = process.argv.indexOf('--partidas');
+    const totalDePartidas = indicePartidas !== -1 ? parseInt(process.argv[indicePartidas + 1]) : undefined;
+    treinadorPadrao.retomarTreinamento(Number.isNaN(partidaCheckpoint) ? undefined : partidaCheckpoint, totalDePartidas);
+  } else if (indiceLiga !== -1) {
+    const pesosLiga = process.argv[indiceLiga + 1]?.startsWith('{') ? JSON.parse(process.argv[indiceLiga + 1]) : undefined;
+    const liga = new Liga({ pesos: pesosLiga, ambiente: ambientePadrao, aleatorio: treinadorPadrao.aleatorio ?? Math.random });
+    const indiceCongelados = process.argv.indexOf('--liga-congelados');
+    if (indiceCongelados !== -1) {
+      process.argv[indiceCongelados + 1].split(',').forEach(caminho => liga.carregarCongelado(caminho));
+    }
+    treinadorPadrao.treinarEmLiga(400000, { liga, intervaloLog: 5000, intervaloCheckpoint: 100000 });
+  } else if (indiceParalelo !== -1) {
+    const numeroDeTrabalhadores = parseInt(process.argv[indiceParalelo + 1]);
+    await treinadorPadrao.treinarEmParalelo(400000, {
+      numeroDeTrabalhadores: Number.isNaN(numeroDeTrabalhadores) ? undefined : numeroDeTrabalhadores,
+      intervaloLog: 5000,
+      intervaloCheckpoint: 100000
+    });
+  } else {
+    treinadorPadrao.treinar(400000, 5000, 100000);
+  }
 
   // Avalia os agentes após o treinamento
   treinadorPadrao.avaliarAgentes();
 
-  // Mescla os modelos treinados
-  treinadorPadrao.mesclarAgentesTrainados();
+  // Mescla os modelos treinados (use `--mesclagem media`, `preferir-dono`... para trocar a estratégia)
+  const indiceMesclagem = process.argv.indexOf('--mesclagem');
+  treinadorPadrao.mesclarAgentesTrainados(indiceMesclagem !== -1 ? process.argv[indiceMesclagem + 1] : undefined);
 
   // Opção 2: Treinamento Customizado (ex: 4x4, 100.000 partidas)
   // Descomente as linhas abaixo para rodar um treino diferente.
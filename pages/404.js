@@ -8,7 +8,7 @@ export default function PaginaNaoEncontrada() {
   useEffect(() => {
     // Redireciona automaticamente para /terminal após 2 segundos
     const temporizador = setTimeout(() => {
-      roteador.push('/404');
+      roteador.push('/terminal');
     }, 2000);
 
     // Cleanup do temporizador
@@ -0,0 +1,84 @@
+// pages/api/v1/jogo-da-velha/jogada/index.js
+// Endpoint que recebe um tabuleiro 3x3 e devolve a jogada escolhida pelo superagente treinado.
+
+import fs from 'fs';
+import path from 'path';
+import { AmbienteJogoDaVelha } from '../../../../../ia-game-learning/jogo-da-velha/ambiente.js';
+import { AgenteQLearning } from '../../../../../ia-game-learning/jogo-da-velha/agente.js';
+
+const DIMENSAO = 3;
+const CAMINHO_MODELO = path.join(
+  process.cwd(),
+  'ia-game-learning',
+  'jogo-da-velha',
+  'modelos_treinados',
+  `superagente_final_${DIMENSAO}x${DIMENSAO}.json`
+);
+
+// O modelo é carregado uma única vez e reaproveitado entre as requisições.
+let agenteEmCache = null;
+
+function obterAgente() {
+  if (!agenteEmCache) {
+    agenteEmCache = AgenteQLearning.carregar(CAMINHO_MODELO, { epsilon: 0 });
+  }
+  return agenteEmCache;
+}
+
+// Qualquer um dos lados pode começar, então as peças de X e O diferem em no máximo uma,
+// e quem tem uma peça a mais acabou de jogar.
+function validarVezDoJogador(tabuleiro, jogador) {
+  const pecasX = tabuleiro.filter(casa => casa === 1).length;
+  const pecasO = tabuleiro.filter(casa => casa === 2).length;
+
+  if (Math.abs(pecasX - pecasO) > 1) {
+    return 'A quantidade de peças de X e O é inconsistente.';
+  }
+  if ((pecasX > pecasO && jogador !== 2) || (pecasO > pecasX && jogador !== 1)) {
+    return `Não é a vez do jogador ${jogador}.`;
+  }
+  return null;
+}
+
+export default function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ message: `Método ${req.method} não permitido.` });
+  }
+
+  if (!fs.existsSync(CAMINHO_MODELO)) {
+    return res.status(503).json({ message: 'Modelo treinado não encontrado no servidor.' });
+  }
+
+  const { tabuleiro, jogador } = req.body || {};
+  const ambiente = new AmbienteJogoDaVelha(DIMENSAO);
+
+  try {
+    ambiente.definirEstado(tabuleiro, jogador);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  const erroDeVez = validarVezDoJogador(tabuleiro, jogador);
+  if (erroDeVez) {
+    return res.status(400).json({ message: erroDeVez });
+  }
+
+  if (ambiente.partidaFinalizada) {
+    return res.status(400).json({ message: 'A partida já está finalizada.' });
+  }
+
+  try {
+    const agente = obterAgente();
+    const acao = agente.escolherAcao(
+      ambiente.obterEstadoComoTupla(),
+      ambiente.obterAcoesValidas(),
+      false
+    );
+
+    res.status(200).json({ acao });
+  } catch (error) {
+    console.error('Erro no endpoint /api/v1/jogo-da-velha/jogada:', error);
+    res.status(500).json({ message: 'Erro interno do servidor ao escolher a jogada.' });
+  }
+}
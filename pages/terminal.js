@@ -0,0 +1,280 @@
+// pages/terminal.js
+// Terminal interativo no navegador: prompt, histórico de comandos (setas),
+// autocompletar (Tab) e comandos que consultam as rotas /api/v1.
+
+import { useEffect, useRef, useState } from 'react';
+import TabuleiroJogoDaVelha from '../components/TabuleiroJogoDaVelha';
+
+const PROMPT = 'visitante@lksferreira:~$';
+
+const MENSAGEM_BOAS_VINDAS = [
+  'Bem-vindo ao terminal do portfólio!',
+  "Digite 'help' para ver a lista de comandos disponíveis.",
+];
+
+/**
+ * Busca os projetos públicos na rota /api/v1/projetos e os renderiza
+ * usando as classes `.project-description` e `.project-stats`.
+ *
+ * @returns {Promise<Array<JSX.Element|string>>} Linhas de saída do comando
+ */
+async function executarProjetos() {
+  const resposta = await fetch('/api/v1/projetos');
+  const dados = await resposta.json();
+
+  if (!resposta.ok) {
+    throw new Error(dados.message || 'Falha ao buscar projetos.');
+  }
+
+  if (dados.length === 0) {
+    return ['Nenhum projeto encontrado.'];
+  }
+
+  return [
+    `${dados.length} projeto(s) encontrado(s):`,
+    ...dados.map(projeto => (
+      <div key={projeto.name} style={{ marginBottom: '8px' }}>
+        <a href={projeto.url} target="_blank" rel="noopener noreferrer">
+          📁 {projeto.name}
+        </a>
+        <span className="project-description">{projeto.description}</span>
+        <span className="project-stats">
+          ⭐ {projeto.stars} | {projeto.language || 'N/A'} | Atualizado em{' '}
+          {new Date(projeto.updated_at).toLocaleDateString('pt-BR')}
+        </span>
+      </div>
+    )),
+  ];
+}
+
+/**
+ * Consulta a rota /api/v1/status e informa se a API está de pé.
+ *
+ * @returns {Promise<Array<string>>} Linhas de saída do comando
+ */
+async function executarStatus() {
+  const inicio = Date.now();
+  const resposta = await fetch('/api/v1/status');
+  const corpo = await resposta.text();
+  const latencia = Date.now() - inicio;
+
+  if (!resposta.ok) {
+    throw new Error(`API indisponível (HTTP ${resposta.status}).`);
+  }
+
+  return [`API: ${corpo} (HTTP ${resposta.status}, ${latencia}ms)`];
+}
+
+/**
+ * Registro de todos os comandos do terminal.
+ *
+ * Cada comando tem uma descrição (exibida no `help`) e uma função `executar`
+ * que devolve as linhas de saída. O comando `clear` é tratado à parte, pois
+ * mexe diretamente no histórico da tela.
+ */
+const COMANDOS = {
+  help: {
+    descricao: 'Lista os comandos disponíveis',
+    executar: async () => [
+      'Comandos disponíveis:',
+      ...Object.entries(COMANDOS).map(
+        ([nome, { descricao }]) => `  ${nome.padEnd(10)} ${descricao}`
+      ),
+    ],
+  },
+  projetos: {
+    descricao: 'Lista os projetos públicos do GitHub',
+    executar: executarProjetos,
+  },
+  status: {
+    descricao: 'Verifica se a API está respondendo',
+    executar: executarStatus,
+  },
+  jogar: {
+    descricao: 'Desafia a IA treinada no Jogo da Velha',
+    executar: async () => [<TabuleiroJogoDaVelha />],
+  },
+  clear: {
+    descricao: 'Limpa a tela do terminal',
+    executar: async () => [],
+  },
+};
+
+const estilos = {
+  terminal: {
+    height: '100vh',
+    overflowY: 'auto',
+    padding: '20px',
+    fontFamily: '"Fira Code", monospace',
+    color: '#00ff00',
+    backgroundColor: '#1a1a1a',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word',
+  },
+  linha: {
+    marginBottom: '4px',
+  },
+  prompt: {
+    color: '#84a98c',
+    marginRight: '8px',
+  },
+  erro: {
+    color: '#ff5555',
+  },
+  formulario: {
+    display: 'flex',
+  },
+  entrada: {
+    flex: 1,
+    background: 'transparent',
+    border: 'none',
+    outline: 'none',
+    color: '#00ff00',
+    fontFamily: 'inherit',
+    fontSize: 'inherit',
+  },
+};
+
+export default function Terminal() {
+  const [linhas, setLinhas] = useState(() =>
+    MENSAGEM_BOAS_VINDAS.map(conteudo => ({ tipo: 'saida', conteudo }))
+  );
+  const [entrada, setEntrada] = useState('');
+  const [historico, setHistorico] = useState([]);
+  const [indiceHistorico, setIndiceHistorico] = useState(-1);
+  const [executando, setExecutando] = useState(false);
+
+  const referenciaEntrada = useRef(null);
+  const referenciaFim = useRef(null);
+
+  // Mantém o prompt sempre visível após cada nova saída
+  useEffect(() => {
+    referenciaFim.current?.scrollIntoView({ block: 'end' });
+  }, [linhas, executando]);
+
+  useEffect(() => {
+    if (!executando) referenciaEntrada.current?.focus();
+  }, [executando]);
+
+  function adicionarLinhas(novasLinhas) {
+    setLinhas(anteriores => [...anteriores, ...novasLinhas]);
+  }
+
+  async function executarComando(textoDigitado) {
+    const textoLimpo = textoDigitado.trim();
+
+    adicionarLinhas([{ tipo: 'comando', conteudo: textoDigitado }]);
+    if (!textoLimpo) return;
+
+    setHistorico(anteriores => [...anteriores, textoLimpo]);
+    setIndiceHistorico(-1);
+
+    const [nome] = textoLimpo.split(/\s+/);
+    const comando = COMANDOS[nome.toLowerCase()];
+
+    if (!comando) {
+      adicionarLinhas([
+        { tipo: 'erro', conteudo: `Comando não encontrado: ${nome}. Digite 'help' para ajuda.` },
+      ]);
+      return;
+    }
+
+    if (nome.toLowerCase() === 'clear') {
+      setLinhas([]);
+      return;
+    }
+
+    setExecutando(true);
+    try {
+      const saida = await comando.executar();
+      adicionarLinhas(saida.map(conteudo => ({ tipo: 'saida', conteudo })));
+    } catch (erro) {
+      adicionarLinhas([{ tipo: 'erro', conteudo: `Erro: ${erro.message}` }]);
+    } finally {
+      setExecutando(false);
+    }
+  }
+
+  function navegarHistorico(direcao) {
+    if (historico.length === 0) return;
+
+    // -1 representa a linha "nova", ainda não enviada
+    let novoIndice;
+    if (direcao < 0) {
+      novoIndice = indiceHistorico === -1 ? historico.length - 1 : Math.max(0, indiceHistorico - 1);
+    } else {
+      if (indiceHistorico === -1) return;
+      novoIndice = indiceHistorico + 1 >= historico.length ? -1 : indiceHistorico + 1;
+    }
+
+    setIndiceHistorico(novoIndice);
+    setEntrada(novoIndice === -1 ? '' : historico[novoIndice]);
+  }
+
+  function autocompletar() {
+    const prefixo = entrada.trim().toLowerCase();
+    const candidatos = Object.keys(COMANDOS).filter(nome => nome.startsWith(prefixo));
+
+    if (candidatos.length === 1) {
+      setEntrada(candidatos[0]);
+    } else if (candidatos.length > 1) {
+      adicionarLinhas([
+        { tipo: 'comando', conteudo: entrada },
+        { tipo: 'saida', conteudo: candidatos.join('  ') },
+      ]);
+    }
+  }
+
+  function aoPressionarTecla(evento) {
+    if (evento.key === 'ArrowUp') {
+      evento.preventDefault();
+      navegarHistorico(-1);
+    } else if (evento.key === 'ArrowDown') {
+      evento.preventDefault();
+      navegarHistorico(1);
+    } else if (evento.key === 'Tab') {
+      evento.preventDefault();
+      autocompletar();
+    }
+  }
+
+  function aoEnviar(evento) {
+    evento.preventDefault();
+    if (executando) return;
+
+    const texto = entrada;
+    setEntrada('');
+    executarComando(texto);
+  }
+
+  return (
+    <div style={estilos.terminal} onClick={() => referenciaEntrada.current?.focus()}>
+      {linhas.map((linha, indice) => (
+        <div key={indice} style={{ ...estilos.linha, ...(linha.tipo === 'erro' ? estilos.erro : {}) }}>
+          {linha.tipo === 'comando' && <span style={estilos.prompt}>{PROMPT}</span>}
+          {linha.conteudo}
+        </div>
+      ))}
+
+      {executando ? (
+        <div style={estilos.linha}>Executando...</div>
+      ) : (
+        <form style={estilos.formulario} onSubmit={aoEnviar}>
+          <span style={estilos.prompt}>{PROMPT}</span>
+          <input
+            ref={referenciaEntrada}
+            style={estilos.entrada}
+            value={entrada}
+            onChange={evento => setEntrada(evento.target.value)}
+            onKeyDown={aoPressionarTecla}
+            autoComplete="off"
+            spellCheck={false}
+            aria-label="Entrada de comando do terminal"
+          />
+        </form>
+      )}
+
+      <div ref={referenciaFim} />
+    </div>
+  );
+}